@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "Payment" ADD COLUMN     "failureReason" TEXT,
+ADD COLUMN     "razorpayOrderId" TEXT,
+ADD COLUMN     "razorpayPaymentId" TEXT;
+
+-- AlterTable
+ALTER TABLE "Promotion" ADD COLUMN     "paymentId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Payment_razorpayPaymentId_key" ON "Payment"("razorpayPaymentId");
+
+-- CreateIndex
+CREATE INDEX "Payment_razorpayOrderId_idx" ON "Payment"("razorpayOrderId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Promotion_paymentId_key" ON "Promotion"("paymentId");
+
+-- AddForeignKey
+ALTER TABLE "Promotion" ADD CONSTRAINT "Promotion_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "Payment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,43 @@
+-- CreateEnum
+CREATE TYPE "PaymentOrderStatus" AS ENUM ('CREATED', 'ATTEMPTED', 'PAID');
+
+-- CreateTable
+CREATE TABLE "PaymentOrder" (
+    "id" TEXT NOT NULL,
+    "razorpayOrderId" TEXT NOT NULL,
+    "listingId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "planId" TEXT NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'INR',
+    "status" "PaymentOrderStatus" NOT NULL DEFAULT 'CREATED',
+    "paidAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PaymentOrder_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PaymentOrder_razorpayOrderId_key" ON "PaymentOrder"("razorpayOrderId");
+
+-- CreateIndex
+CREATE INDEX "PaymentOrder_listingId_idx" ON "PaymentOrder"("listingId");
+
+-- CreateIndex
+CREATE INDEX "PaymentOrder_userId_idx" ON "PaymentOrder"("userId");
+
+-- CreateIndex
+CREATE INDEX "PaymentOrder_status_idx" ON "PaymentOrder"("status");
+
+-- AddForeignKey
+ALTER TABLE "Payment" ADD CONSTRAINT "Payment_razorpayOrderId_fkey" FOREIGN KEY ("razorpayOrderId") REFERENCES "PaymentOrder"("razorpayOrderId") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PaymentOrder" ADD CONSTRAINT "PaymentOrder_listingId_fkey" FOREIGN KEY ("listingId") REFERENCES "Listing"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PaymentOrder" ADD CONSTRAINT "PaymentOrder_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PaymentOrder" ADD CONSTRAINT "PaymentOrder_planId_fkey" FOREIGN KEY ("planId") REFERENCES "SubscriptionPlan"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
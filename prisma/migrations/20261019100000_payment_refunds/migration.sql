@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Payment" ADD COLUMN     "razorpayRefundId" TEXT,
+ADD COLUMN     "refundReason" TEXT,
+ADD COLUMN     "refundedAmount" DOUBLE PRECISION,
+ADD COLUMN     "refundedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Payment_razorpayRefundId_key" ON "Payment"("razorpayRefundId");
@@ -0,0 +1,68 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "billingAddress" TEXT,
+ADD COLUMN     "billingName" TEXT,
+ADD COLUMN     "billingStateCode" TEXT,
+ADD COLUMN     "gstin" TEXT;
+
+-- CreateTable
+CREATE TABLE "Invoice" (
+    "id" TEXT NOT NULL,
+    "invoiceNumber" TEXT NOT NULL,
+    "financialYear" TEXT NOT NULL,
+    "sequence" INTEGER NOT NULL,
+    "paymentId" TEXT NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "issuedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "description" TEXT NOT NULL,
+    "sacCode" TEXT NOT NULL,
+    "sellerName" TEXT NOT NULL,
+    "sellerGstin" TEXT,
+    "sellerAddress" TEXT,
+    "sellerStateCode" TEXT,
+    "buyerName" TEXT NOT NULL,
+    "buyerEmail" TEXT NOT NULL,
+    "buyerGstin" TEXT,
+    "buyerAddress" TEXT,
+    "buyerStateCode" TEXT,
+    "currency" TEXT NOT NULL DEFAULT 'INR',
+    "taxableAmount" DOUBLE PRECISION NOT NULL,
+    "taxRate" DOUBLE PRECISION NOT NULL,
+    "cgstAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "sgstAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "igstAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "totalAmount" DOUBLE PRECISION NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Invoice_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "InvoiceSequence" (
+    "financialYear" TEXT NOT NULL,
+    "lastNumber" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "InvoiceSequence_pkey" PRIMARY KEY ("financialYear")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Invoice_invoiceNumber_key" ON "Invoice"("invoiceNumber");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Invoice_paymentId_key" ON "Invoice"("paymentId");
+
+-- CreateIndex
+CREATE INDEX "Invoice_userId_idx" ON "Invoice"("userId");
+
+-- CreateIndex
+CREATE INDEX "Invoice_financialYear_idx" ON "Invoice"("financialYear");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Invoice_financialYear_sequence_key" ON "Invoice"("financialYear", "sequence");
+
+-- AddForeignKey
+ALTER TABLE "Invoice" ADD CONSTRAINT "Invoice_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "Payment"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Invoice" ADD CONSTRAINT "Invoice_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
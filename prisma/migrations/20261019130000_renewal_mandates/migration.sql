@@ -0,0 +1,51 @@
+-- CreateEnum
+CREATE TYPE "RenewalStatus" AS ENUM ('CREATED', 'ACTIVE', 'PAST_DUE', 'HALTED', 'CANCELLED', 'COMPLETED');
+
+-- AlterTable
+ALTER TABLE "Payment" ADD COLUMN     "renewalMandateId" TEXT;
+
+-- AlterTable
+ALTER TABLE "SubscriptionPlan" ADD COLUMN     "razorpayPlanId" TEXT;
+
+-- CreateTable
+CREATE TABLE "RenewalMandate" (
+    "id" TEXT NOT NULL,
+    "listingId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "planId" TEXT NOT NULL,
+    "razorpaySubscriptionId" TEXT NOT NULL,
+    "status" "RenewalStatus" NOT NULL DEFAULT 'CREATED',
+    "failedAttempts" INTEGER NOT NULL DEFAULT 0,
+    "lastFailureReason" TEXT,
+    "lastChargedAt" TIMESTAMP(3),
+    "nextChargeAt" TIMESTAMP(3),
+    "cancelledAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "RenewalMandate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RenewalMandate_listingId_key" ON "RenewalMandate"("listingId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RenewalMandate_razorpaySubscriptionId_key" ON "RenewalMandate"("razorpaySubscriptionId");
+
+-- CreateIndex
+CREATE INDEX "RenewalMandate_userId_idx" ON "RenewalMandate"("userId");
+
+-- CreateIndex
+CREATE INDEX "RenewalMandate_status_idx" ON "RenewalMandate"("status");
+
+-- AddForeignKey
+ALTER TABLE "Payment" ADD CONSTRAINT "Payment_renewalMandateId_fkey" FOREIGN KEY ("renewalMandateId") REFERENCES "RenewalMandate"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RenewalMandate" ADD CONSTRAINT "RenewalMandate_listingId_fkey" FOREIGN KEY ("listingId") REFERENCES "Listing"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RenewalMandate" ADD CONSTRAINT "RenewalMandate_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RenewalMandate" ADD CONSTRAINT "RenewalMandate_planId_fkey" FOREIGN KEY ("planId") REFERENCES "SubscriptionPlan"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
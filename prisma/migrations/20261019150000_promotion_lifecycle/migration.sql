@@ -0,0 +1,37 @@
+-- CreateEnum
+CREATE TYPE "PromotionStatus" AS ENUM ('SCHEDULED', 'ACTIVE', 'ENDED', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "Promotion" ADD COLUMN     "status" "PromotionStatus" NOT NULL DEFAULT 'ACTIVE';
+
+-- Backfill: inactive promotions have already ended. Active ones past their
+-- endDate are ended by the first scheduler run.
+UPDATE "Promotion" SET "status" = 'ENDED' WHERE "isActive" = false;
+
+-- CreateTable
+CREATE TABLE "PromotionEvent" (
+    "id" TEXT NOT NULL,
+    "promotionId" TEXT NOT NULL,
+    "listingId" INTEGER NOT NULL,
+    "fromStatus" "PromotionStatus",
+    "toStatus" "PromotionStatus" NOT NULL,
+    "reason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PromotionEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Promotion_status_startDate_idx" ON "Promotion"("status", "startDate");
+
+-- CreateIndex
+CREATE INDEX "PromotionEvent_promotionId_idx" ON "PromotionEvent"("promotionId");
+
+-- CreateIndex
+CREATE INDEX "PromotionEvent_listingId_idx" ON "PromotionEvent"("listingId");
+
+-- AddForeignKey
+ALTER TABLE "PromotionEvent" ADD CONSTRAINT "PromotionEvent_promotionId_fkey" FOREIGN KEY ("promotionId") REFERENCES "Promotion"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PromotionEvent" ADD CONSTRAINT "PromotionEvent_listingId_fkey" FOREIGN KEY ("listingId") REFERENCES "Listing"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,48 @@
+-- CreateEnum
+CREATE TYPE "PromotionPlacement" AS ENUM ('HERO_BANNER', 'MIDDLE_BANNER', 'BOTTOM_BANNER', 'CATEGORY_BANNER', 'TOP_OF_CATEGORY');
+
+-- CreateEnum
+CREATE TYPE "PaymentOrderType" AS ENUM ('SUBSCRIPTION', 'PROMOTION');
+
+-- DropForeignKey
+ALTER TABLE "PaymentOrder" DROP CONSTRAINT "PaymentOrder_planId_fkey";
+
+-- AlterTable
+ALTER TABLE "PaymentOrder" ADD COLUMN     "promotionPackageId" TEXT,
+ADD COLUMN     "promotionStartDate" TIMESTAMP(3),
+ADD COLUMN     "type" "PaymentOrderType" NOT NULL DEFAULT 'SUBSCRIPTION',
+ALTER COLUMN "planId" DROP NOT NULL;
+
+-- AlterTable
+ALTER TABLE "Promotion" ADD COLUMN     "packageId" TEXT,
+ADD COLUMN     "placement" "PromotionPlacement";
+
+-- CreateTable
+CREATE TABLE "PromotionPackage" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "placement" "PromotionPlacement" NOT NULL,
+    "durationDays" INTEGER NOT NULL,
+    "price" DECIMAL NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PromotionPackage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PromotionPackage_placement_idx" ON "PromotionPackage"("placement");
+
+-- CreateIndex
+CREATE INDEX "PromotionPackage_isActive_idx" ON "PromotionPackage"("isActive");
+
+-- AddForeignKey
+ALTER TABLE "PaymentOrder" ADD CONSTRAINT "PaymentOrder_planId_fkey" FOREIGN KEY ("planId") REFERENCES "SubscriptionPlan"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PaymentOrder" ADD CONSTRAINT "PaymentOrder_promotionPackageId_fkey" FOREIGN KEY ("promotionPackageId") REFERENCES "PromotionPackage"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Promotion" ADD CONSTRAINT "Promotion_packageId_fkey" FOREIGN KEY ("packageId") REFERENCES "PromotionPackage"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "Payment" ADD COLUMN     "planSnapshot" JSONB;
+
+-- CreateTable
+CREATE TABLE "PaymentEvent" (
+    "id" TEXT NOT NULL,
+    "paymentId" TEXT NOT NULL,
+    "fromStatus" "PaymentStatus",
+    "toStatus" "PaymentStatus" NOT NULL,
+    "reason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PaymentEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PaymentEvent_paymentId_idx" ON "PaymentEvent"("paymentId");
+
+-- AddForeignKey
+ALTER TABLE "PaymentEvent" ADD CONSTRAINT "PaymentEvent_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "Payment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,35 @@
+-- CreateEnum
+CREATE TYPE "OtpPurpose" AS ENUM ('LOGIN', 'VERIFY_PHONE');
+
+-- AlterTable
+ALTER TABLE "User" ALTER COLUMN "email" DROP NOT NULL,
+ALTER COLUMN "password" DROP NOT NULL,
+ADD COLUMN     "phoneVerifiedAt" TIMESTAMP(3),
+ADD COLUMN     "verifiedPhone" TEXT;
+
+-- AlterTable
+ALTER TABLE "Invoice" ALTER COLUMN "buyerEmail" DROP NOT NULL;
+
+-- CreateTable
+CREATE TABLE "PhoneOtp" (
+    "id" TEXT NOT NULL,
+    "phone" TEXT NOT NULL,
+    "purpose" "OtpPurpose" NOT NULL,
+    "userId" INTEGER,
+    "codeHash" TEXT NOT NULL,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "consumedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PhoneOtp_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "User_verifiedPhone_key" ON "User"("verifiedPhone");
+
+-- CreateIndex
+CREATE INDEX "PhoneOtp_phone_purpose_createdAt_idx" ON "PhoneOtp"("phone", "purpose", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "PhoneOtp" ADD CONSTRAINT "PhoneOtp_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,40 @@
+-- CreateEnum
+CREATE TYPE "AuthEventType" AS ENUM ('ACCOUNT_LOCKED', 'IP_LOCKED', 'ACCOUNT_UNLOCKED', 'IP_UNLOCKED');
+
+-- CreateTable
+CREATE TABLE "LoginThrottle" (
+    "id" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "failures" INTEGER NOT NULL DEFAULT 0,
+    "lastFailureAt" TIMESTAMP(3),
+    "lockedUntil" TIMESTAMP(3),
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "LoginThrottle_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "AuthEvent" (
+    "id" TEXT NOT NULL,
+    "type" "AuthEventType" NOT NULL,
+    "subject" TEXT NOT NULL,
+    "userId" INTEGER,
+    "adminId" TEXT,
+    "actorAdminId" TEXT,
+    "ipAddress" TEXT,
+    "userAgent" TEXT,
+    "failures" INTEGER,
+    "reason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AuthEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LoginThrottle_key_key" ON "LoginThrottle"("key");
+
+-- CreateIndex
+CREATE INDEX "AuthEvent_subject_createdAt_idx" ON "AuthEvent"("subject", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AuthEvent_type_createdAt_idx" ON "AuthEvent"("type", "createdAt");
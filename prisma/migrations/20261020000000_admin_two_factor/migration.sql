@@ -0,0 +1,30 @@
+-- AlterEnum
+ALTER TYPE "AuthEventType" ADD VALUE 'TWO_FACTOR_ENABLED';
+ALTER TYPE "AuthEventType" ADD VALUE 'TWO_FACTOR_DISABLED';
+ALTER TYPE "AuthEventType" ADD VALUE 'TWO_FACTOR_RESET';
+ALTER TYPE "AuthEventType" ADD VALUE 'RECOVERY_CODE_USED';
+
+-- AlterTable
+ALTER TABLE "Admin" ADD COLUMN     "totpEnabledAt" TIMESTAMP(3),
+ADD COLUMN     "totpLastStep" INTEGER,
+ADD COLUMN     "totpSecret" TEXT;
+
+-- CreateTable
+CREATE TABLE "AdminRecoveryCode" (
+    "id" TEXT NOT NULL,
+    "adminId" TEXT NOT NULL,
+    "codeHash" TEXT NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AdminRecoveryCode_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AdminRecoveryCode_codeHash_key" ON "AdminRecoveryCode"("codeHash");
+
+-- CreateIndex
+CREATE INDEX "AdminRecoveryCode_adminId_idx" ON "AdminRecoveryCode"("adminId");
+
+-- AddForeignKey
+ALTER TABLE "AdminRecoveryCode" ADD CONSTRAINT "AdminRecoveryCode_adminId_fkey" FOREIGN KEY ("adminId") REFERENCES "Admin"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,63 @@
+-- CreateTable
+CREATE TABLE "AdminRole" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "permissions" TEXT[],
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "AdminRole_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "_AdminToAdminRole" (
+    "A" TEXT NOT NULL,
+    "B" TEXT NOT NULL,
+
+    CONSTRAINT "_AdminToAdminRole_AB_pkey" PRIMARY KEY ("A","B")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AdminRole_name_key" ON "AdminRole"("name");
+
+-- CreateIndex
+CREATE INDEX "_AdminToAdminRole_B_index" ON "_AdminToAdminRole"("B");
+
+-- AddForeignKey
+ALTER TABLE "_AdminToAdminRole" ADD CONSTRAINT "_AdminToAdminRole_A_fkey" FOREIGN KEY ("A") REFERENCES "Admin"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_AdminToAdminRole" ADD CONSTRAINT "_AdminToAdminRole_B_fkey" FOREIGN KEY ("B") REFERENCES "AdminRole"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Seed the built-in roles
+INSERT INTO "AdminRole" ("id", "name", "description", "permissions", "updatedAt") VALUES
+    (gen_random_uuid(), 'SUPER_ADMIN', 'Full access', ARRAY['SUPER'], CURRENT_TIMESTAMP),
+    (gen_random_uuid(), 'MODERATOR', 'Reviews and removes listings', ARRAY['LISTINGS_VIEW', 'LISTINGS_MODERATE', 'LISTINGS_DELETE', 'USERS_VIEW', 'MESSAGES_VIEW'], CURRENT_TIMESTAMP),
+    (gen_random_uuid(), 'CONTENT_EDITOR', 'Runs banners, pages and the catalog', ARRAY['LISTINGS_VIEW', 'LISTINGS_EDIT', 'BANNERS_MANAGE', 'CONTENT_EDIT', 'CATALOG_MANAGE'], CURRENT_TIMESTAMP),
+    (gen_random_uuid(), 'FINANCE', 'Handles payments, refunds and pricing', ARRAY['PAYMENTS_VIEW', 'PAYMENTS_MANAGE', 'PRICING_MANAGE', 'PROMOTIONS_MANAGE', 'REPORTS_VIEW'], CURRENT_TIMESTAMP),
+    (gen_random_uuid(), 'SUPPORT', 'Helps sellers with accounts and payments', ARRAY['USERS_VIEW', 'USERS_MANAGE', 'LISTINGS_VIEW', 'PAYMENTS_VIEW', 'MESSAGES_VIEW'], CURRENT_TIMESTAMP),
+    (gen_random_uuid(), 'VIEWER', 'Read-only access', ARRAY['LISTINGS_VIEW', 'PAYMENTS_VIEW', 'USERS_VIEW', 'MESSAGES_VIEW', 'REPORTS_VIEW'], CURRENT_TIMESTAMP);
+
+-- BASIC admins could read everything, which is now the VIEWER role
+INSERT INTO "_AdminToAdminRole" ("A", "B")
+SELECT "Admin"."id", "AdminRole"."id"
+FROM "Admin", "AdminRole"
+WHERE "AdminRole"."name" = 'VIEWER' AND 'BASIC' = ANY("Admin"."permissions");
+
+-- Rename the old permission strings to the catalog's
+UPDATE "Admin" SET "permissions" = ARRAY(
+    SELECT DISTINCT CASE p
+        WHEN 'APPROVE_LISTINGS' THEN 'LISTINGS_MODERATE'
+        WHEN 'MANAGE_FEATURED' THEN 'LISTINGS_MODERATE'
+        WHEN 'DELETE_LISTINGS' THEN 'LISTINGS_DELETE'
+        WHEN 'MANAGE_USERS' THEN 'USERS_MANAGE'
+        WHEN 'MANAGE_PRICING' THEN 'PRICING_MANAGE'
+        WHEN 'MANAGE_CATEGORIES' THEN 'CATALOG_MANAGE'
+        WHEN 'MANAGE_PROMOTIONS' THEN 'PROMOTIONS_MANAGE'
+        WHEN 'MANAGE_PAYMENTS' THEN 'PAYMENTS_MANAGE'
+        ELSE p
+    END
+    FROM unnest("permissions") AS p
+    WHERE p <> 'BASIC'
+);
@@ -0,0 +1,8 @@
+-- CreateEnum
+CREATE TYPE "UserStatus" AS ENUM ('ACTIVE', 'SUSPENDED', 'BANNED');
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "status" "UserStatus" NOT NULL DEFAULT 'ACTIVE',
+ADD COLUMN     "statusChangedAt" TIMESTAMP(3),
+ADD COLUMN     "statusReason" TEXT,
+ADD COLUMN     "suspendedUntil" TIMESTAMP(3);
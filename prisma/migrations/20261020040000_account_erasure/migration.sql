@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "deletionDueAt" TIMESTAMP(3),
+ADD COLUMN     "erasedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "User_deletionDueAt_idx" ON "User"("deletionDueAt");
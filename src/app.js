@@ -0,0 +1,113 @@
+import express from "express";
+import cookieParser from "cookie-parser";
+import cors from "cors";
+import { auditAdminMutations } from "./utils/auditLog.js";
+import { errorHandler, notFound } from "./middleware/errorHandler.js";
+import authRoutes from "./routes/auth.js";
+import profileRoutes from "./routes/profile.js";
+import notificationRoutes from "./routes/notifications.js";
+import listingRoutes from "./routes/listings.js";
+import promotionRoutes from "./routes/promotions.js";
+import reviewRoutes from "./routes/reviews.js";
+import messageRoutes from "./routes/messages.js";
+import catalogRoutes from "./routes/catalog.js";
+import bannerRoutes from "./routes/banners.js";
+import paymentRoutes from "./routes/payment.js";
+import locationRoutes from "./routes/location.js";
+import renewalRoutes from "./routes/renewals.js";
+import meRoutes from "./routes/me.js";
+import sessionRoutes from "./routes/sessions.js";
+import otpRoutes from "./routes/otp.js";
+import googleAuthRoutes from "./routes/googleAuth.js";
+import walletRoutes from "./routes/wallet.js";
+import homeCategoryRoutes from "./routes/homeCategories.js";
+import adminAuthRoutes from "./routes/admin/auth.js";
+import adminListingRoutes from "./routes/admin/listings.js";
+import adminUserRoutes from "./routes/admin/users.js";
+import adminCatalogRoutes from "./routes/admin/catalog.js";
+import adminPricingRoutes from "./routes/admin/pricing.js";
+import adminPaymentRoutes from "./routes/admin/payments.js";
+import adminContentRoutes from "./routes/admin/content.js";
+import adminReportRoutes from "./routes/admin/reports.js";
+import docsRoutes from "./routes/docs.js";
+
+// Secrets with no safe default; tokens signed with a guessable fallback
+// would let anyone sign in
+const REQUIRED_ENV = ["JWT_SECRET", "JWT_SECRET_ADMIN"];
+
+// Builds the API: the storefront routes and the admin panel's (under
+// /admin, plus the banner and catalog management paths it shares with the
+// storefront). Doesn't listen or start background jobs, so tests can use
+// it directly; see index.js for the server.
+export function createApp() {
+  const missing = REQUIRED_ENV.filter((name) => !process.env[name]);
+  if (missing.length > 0) {
+    throw new Error(`${missing.join(", ")} must be set`);
+  }
+
+  const app = express();
+
+  // Login throttling keys on req.ip, which is only the client's address
+  // behind a proxy once this is set (e.g. TRUST_PROXY=1 for one hop)
+  if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+  }
+
+  app.use(
+    express.json({
+      // Keep the raw body around for Razorpay webhook signature checks
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      },
+    })
+  );
+  app.use(cookieParser());
+  app.use(
+    cors({
+      origin: [
+        process.env.FRONTEND_URL,
+        process.env.FRONTEND_URL_ADMIN || "http://localhost:3000",
+      ].filter(Boolean),
+      credentials: true,
+    })
+  );
+  app.use(auditAdminMutations);
+
+  app.use("/payments", paymentRoutes);
+  app.use("/location", locationRoutes);
+  app.use("/profile/renewals", renewalRoutes);
+  app.use("/profile", profileRoutes);
+  app.use("/me", meRoutes);
+  app.use("/wallet", walletRoutes);
+  app.use("/sessions", sessionRoutes);
+  app.use("/otp", otpRoutes);
+  app.use("/auth/google", googleAuthRoutes);
+  app.use("/notifications", notificationRoutes);
+  app.use("/reviews", reviewRoutes);
+  app.use("/messages", messageRoutes);
+  app.use("/home-categories", homeCategoryRoutes);
+
+  app.use("/admin", adminAuthRoutes);
+  app.use("/admin", adminListingRoutes);
+  app.use("/admin", adminUserRoutes);
+  app.use("/admin", adminCatalogRoutes);
+  app.use("/admin", adminPricingRoutes);
+  app.use("/admin", adminPaymentRoutes);
+  app.use("/admin", adminContentRoutes);
+  app.use("/admin", adminReportRoutes);
+
+  // Routers below define paths across several prefixes
+  app.use(authRoutes);
+  app.use(listingRoutes);
+  app.use(promotionRoutes);
+  app.use(catalogRoutes);
+  app.use(bannerRoutes);
+  app.use(docsRoutes);
+
+  // Errors come back as { error: { code, message, fields } }
+  app.use(notFound);
+  app.use(errorHandler);
+
+  return app;
+}
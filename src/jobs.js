@@ -0,0 +1,118 @@
+import cron from "node-cron";
+import prisma from "./utils/prisma.js";
+import { pruneSessions } from "./utils/sessions.js";
+import { expireListings, queueExpiryReminders } from "./utils/listingExpiry.js";
+import { runPromotionSchedule } from "./utils/promotions.js";
+import { runAccountErasure } from "./utils/accountErasure.js";
+
+const cleanupRejectedListings = async () => {
+  try {
+    const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+    const oldRejectedListings = await prisma.listing.findMany({
+      where: {
+        status: "REJECTED",
+        updatedAt: { lte: twentyFourHoursAgo },
+      },
+      select: { id: true },
+    });
+
+    const listingIds = oldRejectedListings.map((listing) => listing.id);
+
+    if (listingIds.length > 0) {
+      await prisma.$transaction([
+        prisma.promotion.deleteMany({
+          where: { listingId: { in: listingIds } },
+        }),
+        prisma.image.deleteMany({
+          where: { listingId: { in: listingIds } },
+        }),
+        prisma.favorite.deleteMany({
+          where: { listingId: { in: listingIds } },
+        }),
+        prisma.adminApproval.deleteMany({
+          where: { listingId: { in: listingIds } },
+        }),
+        prisma.listing.deleteMany({ where: { id: { in: listingIds } } }),
+      ]);
+
+      console.log(`Cleaned up ${listingIds.length} rejected listings`);
+    }
+  } catch (error) {
+    console.error("Error cleaning up rejected listings:", error);
+  }
+};
+
+const runListingExpiryJobs = async () => {
+  try {
+    const expired = await expireListings();
+    const reminders = await queueExpiryReminders();
+
+    if (expired > 0 || reminders > 0) {
+      console.log(
+        `Expired ${expired} listings, queued ${reminders} expiry reminders`
+      );
+    }
+  } catch (error) {
+    console.error("Error running listing expiry jobs:", error);
+  }
+};
+
+const runPromotionJobs = async () => {
+  try {
+    const { started, ended } = await runPromotionSchedule();
+
+    if (started > 0 || ended > 0) {
+      console.log(`Started ${started} promotions, ended ${ended}`);
+    }
+  } catch (error) {
+    console.error("Error running promotion schedule:", error);
+  }
+};
+
+const runSessionCleanup = async () => {
+  try {
+    const pruned = await pruneSessions();
+
+    if (pruned > 0) {
+      console.log(`Pruned ${pruned} old sessions`);
+    }
+  } catch (error) {
+    console.error("Session cleanup error:", error);
+  }
+};
+
+const runAccountErasureJob = async () => {
+  try {
+    const erased = await runAccountErasure();
+
+    if (erased > 0) {
+      console.log(`Erased ${erased} accounts past their deletion date`);
+    }
+  } catch (error) {
+    console.error("Account erasure error:", error);
+  }
+};
+
+// Background work for the API process. createApp() doesn't start these,
+// so tests can build the app without timers running.
+export function startScheduledJobs() {
+  // Clean up rejected listings every hour, at 3am daily and on startup
+  setInterval(cleanupRejectedListings, 60 * 60 * 1000);
+  cron.schedule("0 3 * * *", cleanupRejectedListings);
+  cleanupRejectedListings();
+
+  // Expire listings and queue reminders at the top of every hour
+  cron.schedule("0 * * * *", runListingExpiryJobs);
+  runListingExpiryJobs();
+
+  // Start and end promotions every 15 minutes
+  cron.schedule("*/15 * * * *", runPromotionJobs);
+  runPromotionJobs();
+
+  // Drop long-dead sessions daily at 4am
+  cron.schedule("0 4 * * *", runSessionCleanup);
+
+  // Erase accounts whose deletion grace period is over, daily at 4:30am
+  cron.schedule("30 4 * * *", runAccountErasureJob);
+}
@@ -0,0 +1,72 @@
+import jwt from "jsonwebtoken";
+import prisma from "../utils/prisma.js";
+import { hasAnyPermission, resolvePermissions } from "../utils/permissions.js";
+import { HttpError } from "../utils/httpError.js";
+
+// The admin behind an adminToken cookie, with their roles, or null
+async function loadAdmin(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET_ADMIN);
+  return prisma.admin.findUnique({
+    where: { id: decoded.adminId },
+    include: { roles: true },
+  });
+}
+
+// Verifies the adminToken cookie and loads the admin with their roles.
+// With `requiredPermissions` the admin needs at least one of them (SUPER
+// always passes); without, any signed-in admin gets through. Sets
+// req.admin and req.permissions, the effective permission list.
+export default function authenticateAdmin(requiredPermissions) {
+  const middleware = async (req, res, next) => {
+    const token = req.cookies.adminToken;
+
+    if (!token) {
+      return next(
+        new HttpError(401, "NOT_SIGNED_IN", "Admin authentication required")
+      );
+    }
+
+    try {
+      const admin = await loadAdmin(token);
+
+      if (!admin) {
+        return next(new HttpError(401, "INVALID_TOKEN", "Invalid admin token"));
+      }
+
+      const permissions = resolvePermissions(admin);
+
+      if (
+        requiredPermissions &&
+        !hasAnyPermission(permissions, requiredPermissions)
+      ) {
+        return next(
+          new HttpError(
+            403,
+            "MISSING_PERMISSION",
+            "Insufficient permissions",
+            null,
+            {
+              required: requiredPermissions,
+            }
+          )
+        );
+      }
+
+      req.admin = admin;
+      req.permissions = permissions;
+      next();
+    } catch (error) {
+      // Covers expiry too; anything else is a real failure
+      if (error instanceof jwt.JsonWebTokenError) {
+        return next(
+          new HttpError(401, "INVALID_TOKEN", "Invalid or expired token")
+        );
+      }
+      next(error);
+    }
+  };
+
+  // Found on the route by the OpenAPI generator
+  middleware.adminAccess = { permissions: requiredPermissions || [] };
+  return middleware;
+}
@@ -1,20 +1,79 @@
 import jwt from "jsonwebtoken";
+import { getAccountStatus } from "../utils/accountStatus.js";
+import { isSessionOpen } from "../utils/sessions.js";
+import { HttpError } from "../utils/httpError.js";
 
+// Verifies the short-lived access token and that its session hasn't been
+// revoked. Clients swap an expired one for a new one at /refresh (see
+// utils/sessions.js). Banned accounts are turned away here; req.account
+// carries the status for requireActiveAccount.
 export default function authenticateToken(req, res, next) {
   const token = req.cookies.token;
 
   if (!token) {
-    return res.sendStatus(401);
+    return next(new HttpError(401, "NOT_SIGNED_IN", "Sign in to continue"));
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
     if (err) {
       if (err.name === "TokenExpiredError") {
-        return res.status(401).json({ error: "Token expired" });
+        return next(new HttpError(401, "TOKEN_EXPIRED", "Token expired"));
       }
-      return res.sendStatus(403);
+      return next(new HttpError(403, "INVALID_TOKEN", "Invalid token"));
+    }
+
+    // Tokens issued before sessions existed can't be revoked
+    if (!user.sessionId) {
+      return next(new HttpError(401, "SESSION_EXPIRED", "Session expired"));
+    }
+
+    try {
+      if (!(await isSessionOpen(user.sessionId))) {
+        return next(new HttpError(401, "SESSION_EXPIRED", "Session expired"));
+      }
+
+      const account = await getAccountStatus(user.userId);
+
+      if (!account) {
+        return next(
+          new HttpError(401, "ACCOUNT_NOT_FOUND", "Account not found")
+        );
+      }
+
+      if (account.status === "BANNED") {
+        return next(
+          new HttpError(403, "ACCOUNT_BANNED", "Account banned", null, {
+            reason: account.reason,
+          })
+        );
+      }
+
+      req.user = user;
+      req.account = account;
+      next();
+    } catch (error) {
+      next(error);
     }
-    req.user = user;
-    next();
   });
 }
+
+// After authenticateToken, on routes that reach other users or the public:
+// posting listings, messaging, reviewing. Suspended accounts get a 403.
+export function requireActiveAccount(req, res, next) {
+  if (req.account?.status === "SUSPENDED") {
+    return next(
+      new HttpError(
+        403,
+        "ACCOUNT_SUSPENDED",
+        "Your account is suspended",
+        null,
+        {
+          reason: req.account.reason,
+          suspendedUntil: req.account.suspendedUntil,
+        }
+      )
+    );
+  }
+
+  next();
+}
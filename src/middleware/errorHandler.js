@@ -0,0 +1,83 @@
+import multer from "multer";
+import { Prisma } from "@prisma/client";
+import { HttpError } from "../utils/httpError.js";
+
+const envelope = (code, message, fields = null, details = null) => ({
+  error: { code, message, ...(fields && { fields }), ...details },
+});
+
+// Prisma's unique constraint errors name the columns involved
+const conflictFields = (error) => {
+  const target = error.meta?.target;
+  if (!Array.isArray(target)) return null;
+  return Object.fromEntries(target.map((field) => [field, "Already taken"]));
+};
+
+// The HttpError a thrown error stands for, or null for a server fault
+function toHttpError(error) {
+  if (error instanceof HttpError) return error;
+
+  if (error instanceof Prisma.PrismaClientKnownRequestError) {
+    if (error.code === "P2002") {
+      return new HttpError(
+        409,
+        "CONFLICT",
+        "A record with these details already exists",
+        conflictFields(error)
+      );
+    }
+    if (error.code === "P2025") {
+      return new HttpError(404, "NOT_FOUND", "Record not found");
+    }
+    return null;
+  }
+
+  if (error instanceof multer.MulterError) {
+    return error.code === "LIMIT_FILE_SIZE"
+      ? new HttpError(413, "FILE_TOO_LARGE", "File is too large")
+      : new HttpError(400, "UPLOAD_REJECTED", error.message);
+  }
+
+  // body-parser: malformed JSON, oversized bodies and the like
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return error.type === "entity.parse.failed"
+      ? new HttpError(400, "INVALID_JSON", "Request body is not valid JSON")
+      : new HttpError(error.status, "BAD_REQUEST", error.message);
+  }
+
+  return null;
+}
+
+// Unmatched routes. Mount after every router.
+export function notFound(req, res) {
+  res
+    .status(404)
+    .json(envelope("NOT_FOUND", `No route for ${req.method} ${req.path}`));
+}
+
+// Turns errors passed to next() into the error envelope. Anything that
+// isn't a known client error is logged and sent as a bare 500, so
+// database details don't reach the client. Mount last; Express spots
+// error handlers by their four arguments, so `next` has to stay.
+export function errorHandler(error, req, res, next) {
+  if (res.headersSent) return next(error);
+
+  const httpError = toHttpError(error);
+  if (!httpError) {
+    console.error(`${req.method} ${req.originalUrl} error:`, error);
+    return res
+      .status(500)
+      .json(envelope("INTERNAL_ERROR", "Something went wrong"));
+  }
+
+  res
+    .status(httpError.status)
+    .json(
+      envelope(
+        httpError.code,
+        httpError.message,
+        httpError.fields,
+        httpError.details
+      )
+    );
+}
@@ -0,0 +1,26 @@
+import multer from "multer";
+import { HttpError } from "../utils/httpError.js";
+
+// Listing and banner images, kept in memory until they go to S3
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith("image/")) {
+      cb(null, true);
+    } else {
+      cb(
+        new HttpError(
+          400,
+          "UNSUPPORTED_FILE_TYPE",
+          "Only image files are allowed"
+        ),
+        false
+      );
+    }
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024,
+  },
+});
+
+export default upload;
@@ -0,0 +1,309 @@
+import { readFileSync } from "fs";
+import authenticateToken, { requireActiveAccount } from "../middleware/auth.js";
+import { models } from "./models.js";
+import { operations, tags } from "./operations.js";
+import { obj, ref, str } from "./schema.js";
+import { views } from "./views.js";
+
+const { version } = JSON.parse(
+  readFileSync(new URL("../../package.json", import.meta.url))
+);
+
+// Express 4 only keeps the compiled pattern of a router's mount path, e.g.
+// ^\/payments\/?(?=\/|$) for app.use("/payments", router)
+function mountPath(layer) {
+  if (layer.regexp.fast_slash) return "";
+  const match = layer.regexp.source.match(/^\^(.*?)\\\/\?\(\?=\\\/\|\$\)$/);
+  if (!match) throw new Error(`Can't read mount path ${layer.regexp}`);
+  return match[1].replace(/\\\//g, "/");
+}
+
+// Every route `app` serves, in the order Express matches them:
+// [{ key: "GET /list/:slug", method, path, handlers }]. A route registered
+// on several paths, e.g. router.post(["/login", "/auth/login"]), shows up
+// once for each.
+export function listRoutes(app) {
+  const routes = [];
+  const add = (prefix, route) => {
+    for (const routePath of [].concat(route.path)) {
+      const path = prefix && routePath === "/" ? prefix : prefix + routePath;
+      for (const method of Object.keys(route.methods)) {
+        routes.push({
+          key: `${method.toUpperCase()} ${path}`,
+          method: method.toUpperCase(),
+          path,
+          handlers: route.stack.map((layer) => layer.handle),
+        });
+      }
+    }
+  };
+
+  for (const layer of app._router.stack) {
+    if (layer.route) {
+      add("", layer.route);
+    } else if (layer.name === "router") {
+      const prefix = mountPath(layer);
+      for (const inner of layer.handle.stack) {
+        if (inner.route) add(prefix, inner.route);
+      }
+    }
+  }
+
+  return routes;
+}
+
+const errorResponse = (description) => ({
+  description,
+  content: { "application/json": { schema: ref("Error") } },
+});
+
+const components = {
+  securitySchemes: {
+    userCookie: {
+      type: "apiKey",
+      in: "cookie",
+      name: "token",
+      description: "Access token set by /login, /otp/login or Google sign-in",
+    },
+    adminCookie: {
+      type: "apiKey",
+      in: "cookie",
+      name: "adminToken",
+      description: "Set by /admin/login (and /admin/login/2fa)",
+    },
+  },
+  schemas: {
+    Error: obj(
+      {
+        error: {
+          ...obj(
+            {
+              code: str({ examples: ["VALIDATION_FAILED", "NOT_FOUND"] }),
+              message: str(),
+              fields: {
+                type: "object",
+                additionalProperties: str(),
+                description: 'Problems by field path, e.g. "photos[0].url"',
+              },
+            },
+            ["code", "message"]
+          ),
+          description:
+            "Some codes add values the client acts on, such as retryAfter (seconds) or attemptsLeft",
+        },
+      },
+      ["error"]
+    ),
+    ...models,
+    ...views,
+  },
+  responses: {
+    BadRequest: errorResponse("The request is invalid"),
+    Unauthorized: errorResponse("Not signed in, or the token has expired"),
+    Forbidden: errorResponse(
+      "Banned or suspended account, missing admin permissions, or someone else's record"
+    ),
+    NotFound: errorResponse("No such record"),
+    Conflict: errorResponse("Clashes with an existing record"),
+    PayloadTooLarge: errorResponse("An uploaded file is over the size limit"),
+    TooManyRequests: errorResponse("Rate limited or locked out"),
+    InternalError: errorResponse("Unexpected server error"),
+  },
+};
+
+const ERROR_RESPONSES = {
+  400: "BadRequest",
+  401: "Unauthorized",
+  403: "Forbidden",
+  404: "NotFound",
+  409: "Conflict",
+  413: "PayloadTooLarge",
+  429: "TooManyRequests",
+  500: "InternalError",
+};
+
+const STATUS_DESCRIPTIONS = {
+  200: "OK",
+  201: "Created",
+  204: "No content",
+  302: "Redirect",
+};
+
+// getAdminListingsById for GET /admin/listings/:id
+const operationId = (method, path) =>
+  method.toLowerCase() +
+  path
+    .split(/[/.-]/)
+    .filter(Boolean)
+    .map((part) =>
+      part.startsWith(":")
+        ? `By${part[1].toUpperCase()}${part.slice(2)}`
+        : part[0].toUpperCase() + part.slice(1)
+    )
+    .join("");
+
+// What signs in to a route variant, from its middleware
+function variantAccess(handlers) {
+  if (handlers.includes(authenticateToken)) {
+    return {
+      security: { userCookie: [] },
+      activeAccount: handlers.includes(requireActiveAccount),
+    };
+  }
+  const admin = handlers.find((handler) => handler.adminAccess)?.adminAccess;
+  if (admin) return { security: { adminCookie: [] }, admin };
+  return { security: {} };
+}
+
+const findValidation = (handlers, source) =>
+  handlers.find((handler) => handler.validates?.source === source)?.validates
+    .schema;
+
+function queryParameters(query) {
+  if (!query) return [];
+  return Object.entries(query.properties).map(([name, schema]) => ({
+    name,
+    in: "query",
+    required: query.required?.includes(name) || false,
+    schema,
+  }));
+}
+
+function buildOperation(method, path, variants, entry) {
+  const accesses = variants.map(({ handlers }) => variantAccess(handlers));
+  // Alternatives, one per variant; {} means no sign-in needed
+  const schemes = new Map(
+    accesses.map(({ security }) => [Object.keys(security)[0], security])
+  );
+  const security = entry.security || [...schemes.values()];
+  const isPublic = security.some((scheme) => Object.keys(scheme).length === 0);
+
+  const handlers = variants.flatMap((variant) => variant.handlers);
+  const paramsSchema = findValidation(handlers, "params");
+  const queryValidation = findValidation(handlers, "query");
+  const querySchema = queryValidation || entry.query;
+  const bodySchema = findValidation(handlers, "body") || entry.body;
+  const isMultipart =
+    entry.multipart ||
+    handlers.some((handler) => handler.name === "multerMiddleware");
+
+  const notes = [];
+  for (const { admin, activeAccount } of accesses) {
+    if (admin?.permissions.length > 0) {
+      notes.push(`Admin permission: ${admin.permissions.join(" or ")}`);
+    }
+    if (activeAccount) notes.push("Suspended accounts get a 403.");
+  }
+  const description = [entry.description, ...notes]
+    .filter(Boolean)
+    .join("\n\n");
+
+  const parameters = [
+    ...[...path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+      name,
+      in: "path",
+      required: true,
+      schema: paramsSchema?.properties[name] || str(),
+    })),
+    ...queryParameters(querySchema),
+  ];
+
+  const status = entry.status || 200;
+  const success = {
+    description: entry.responseDescription || STATUS_DESCRIPTIONS[status],
+  };
+  if (entry.response !== null && status !== 204 && status !== 302) {
+    success.content = {
+      [entry.responseType || "application/json"]: {
+        schema: entry.response || {},
+      },
+    };
+  }
+
+  const errorCodes = new Set(entry.errors || []);
+  if (bodySchema || paramsSchema || queryValidation) errorCodes.add(400);
+  if (isMultipart) errorCodes.add(413);
+  if (!isPublic) {
+    errorCodes.add(401);
+    // Banned users, and admins without the permission
+    if (
+      security.some((scheme) => scheme.userCookie) ||
+      accesses.some(({ admin }) => admin?.permissions.length > 0)
+    ) {
+      errorCodes.add(403);
+    }
+  }
+  if (path.includes(":")) errorCodes.add(404);
+  errorCodes.add(500);
+
+  const responses = { [status]: success };
+  for (const code of [...errorCodes].sort()) {
+    responses[code] = {
+      $ref: `#/components/responses/${ERROR_RESPONSES[code]}`,
+    };
+  }
+
+  return {
+    tags: [entry.tag],
+    summary: entry.summary,
+    ...(description && { description }),
+    operationId: operationId(method, path),
+    ...(entry.deprecated && { deprecated: true }),
+    security,
+    ...(parameters.length > 0 && { parameters }),
+    ...(bodySchema && {
+      requestBody: {
+        required: true,
+        content: {
+          [isMultipart ? "multipart/form-data" : "application/json"]: {
+            schema: bodySchema,
+          },
+        },
+      },
+    }),
+    responses,
+  };
+}
+
+// The OpenAPI 3.1 document for `app`: paths, auth and request schemas come
+// from the routes themselves, summaries and response shapes from
+// operations.js. Routes missing from operations.js are listed under
+// "Undocumented" (and fail test/openapi.test.js).
+export function buildOpenApiDocument(app) {
+  const variantsByKey = new Map();
+  for (const route of listRoutes(app)) {
+    if (!variantsByKey.has(route.key)) variantsByKey.set(route.key, []);
+    variantsByKey.get(route.key).push(route);
+  }
+
+  const paths = {};
+  for (const [key, variants] of variantsByKey) {
+    const { method, path } = variants[0];
+    const entry = operations[key] || {
+      tag: "Undocumented",
+      summary: key,
+    };
+
+    const openApiPath = path.replace(/:(\w+)/g, "{$1}");
+    paths[openApiPath] ||= {};
+    paths[openApiPath][method.toLowerCase()] = buildOperation(
+      method,
+      path,
+      variants,
+      entry
+    );
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "Egodeals API",
+      version,
+      description:
+        "Storefront and admin panel API. Every error answers with the Error shape, { error: { code, message } } plus fields for invalid input.",
+    },
+    tags: tags.map((name) => ({ name })),
+    paths,
+    components,
+  };
+}
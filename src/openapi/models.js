@@ -0,0 +1,521 @@
+import {
+  arrayOf,
+  bool,
+  dateTime,
+  enumOf,
+  int,
+  json,
+  nullable,
+  num,
+  obj,
+  ref,
+  str,
+} from "./schema.js";
+
+// Records as the API returns them, following prisma/schema.prisma. Columns
+// that never leave the server (password hashes, TOTP secrets, token hashes)
+// are left out. Relations are added per operation where they're included.
+export const models = {
+  AuthEventType: enumOf([
+    "ACCOUNT_LOCKED",
+    "IP_LOCKED",
+    "ACCOUNT_UNLOCKED",
+    "IP_UNLOCKED",
+    "TWO_FACTOR_ENABLED",
+    "TWO_FACTOR_DISABLED",
+    "TWO_FACTOR_RESET",
+    "RECOVERY_CODE_USED",
+  ]),
+  DiscountType: enumOf(["PERCENTAGE", "FLAT"]),
+  ListingStatus: enumOf([
+    "DRAFT",
+    "PENDING_PAYMENT",
+    "PENDING_APPROVAL",
+    "APPROVED",
+    "REJECTED",
+    "ARCHIVED",
+    "EXPIRED",
+  ]),
+  ListingTier: enumOf(["FREE", "PREMIUM", "PREMIUM_PLUS"]),
+  ListingType: enumOf(["PRIVATE_INDIVIDUAL", "PROFESSIONAL"]),
+  NotificationStatus: enumOf(["PENDING", "SENT", "FAILED"]),
+  NotificationType: enumOf(["LISTING_EXPIRY_REMINDER", "LISTING_EXPIRED"]),
+  PaymentOrderStatus: enumOf(["CREATED", "ATTEMPTED", "PAID"]),
+  PaymentOrderType: enumOf(["SUBSCRIPTION", "PROMOTION", "WALLET_TOP_UP"]),
+  PaymentStatus: enumOf(["PENDING", "COMPLETED", "FAILED", "REFUNDED"]),
+  PromotionPlacement: enumOf([
+    "HERO_BANNER",
+    "MIDDLE_BANNER",
+    "BOTTOM_BANNER",
+    "CATEGORY_BANNER",
+    "TOP_OF_CATEGORY",
+  ]),
+  PromotionStatus: enumOf(["SCHEDULED", "ACTIVE", "ENDED", "CANCELLED"]),
+  RenewalStatus: enumOf([
+    "CREATED",
+    "ACTIVE",
+    "PAST_DUE",
+    "HALTED",
+    "CANCELLED",
+    "COMPLETED",
+  ]),
+  UserStatus: enumOf(["ACTIVE", "SUSPENDED", "BANNED"]),
+  WalletTransactionType: enumOf(["TOP_UP", "DEBIT", "REFUND", "ADJUSTMENT"]),
+
+  User: obj({
+    id: int(),
+    email: nullable(str()),
+    firstName: nullable(str()),
+    lastName: nullable(str()),
+    phone: nullable(str()),
+    verifiedPhone: nullable(str()),
+    phoneVerifiedAt: nullable(dateTime()),
+    city: nullable(str()),
+    gstin: nullable(str()),
+    billingName: nullable(str()),
+    billingAddress: nullable(str()),
+    billingStateCode: nullable(str()),
+    emailVerifiedAt: nullable(dateTime()),
+    status: ref("UserStatus"),
+    suspendedUntil: nullable(dateTime()),
+    statusReason: nullable(str()),
+    statusChangedAt: nullable(dateTime()),
+    deletionDueAt: nullable(dateTime()),
+    erasedAt: nullable(dateTime()),
+    createdAt: dateTime(),
+    updatedAt: dateTime(),
+  }),
+  Admin: obj({
+    id: str(),
+    name: str(),
+    email: str(),
+    permissions: arrayOf(str()),
+    totpEnabledAt: nullable(dateTime()),
+    createdAt: dateTime(),
+    updatedAt: dateTime(),
+  }),
+  AdminRole: obj({
+    id: str(),
+    name: str(),
+    description: nullable(str()),
+    permissions: arrayOf(str()),
+    createdAt: dateTime(),
+    updatedAt: dateTime(),
+  }),
+  Category: obj({
+    id: str(),
+    name: str(),
+    createdAt: dateTime(),
+    updatedAt: dateTime(),
+  }),
+  City: obj({
+    id: str(),
+    name: str(),
+    createdAt: dateTime(),
+    updatedAt: dateTime(),
+  }),
+  Listing: obj({
+    id: int(),
+    title: str(),
+    description: str(),
+    slug: str(),
+    type: ref("ListingType"),
+    price: num(),
+    negotiable: bool(),
+    tags: arrayOf(str()),
+    highlights: arrayOf(str()),
+    businessHours: nullable(json()),
+    phone: nullable(str()),
+    website: nullable(str()),
+    status: ref("ListingStatus"),
+    listingTier: ref("ListingTier"),
+    cityId: str(),
+    categoryId: str(),
+    userId: int(),
+    businessCategory: nullable(str()),
+    establishedYear: nullable(int()),
+    serviceArea: nullable(str()),
+    teamSize: nullable(str()),
+    rating: nullable(num()),
+    reviewCount: nullable(int()),
+    createdAt: dateTime(),
+    updatedAt: dateTime(),
+    expiresAt: dateTime(),
+    isBannerEnabled: bool(),
+    subscriptionId: nullable(str()),
+    youtubeVideo: nullable(str()),
+    locationUrl: nullable(str()),
+    pincode: nullable(int()),
+    serviceRadius: nullable(int()),
+  }),
+  HomeCategory: obj({
+    id: str(),
+    name: str(),
+    categoryId: str(),
+    iconName: str(),
+    color: str(),
+    order: int(),
+    createdAt: dateTime(),
+    updatedAt: dateTime(),
+  }),
+  Review: obj({
+    id: str(),
+    title: str(),
+    description: str(),
+    rating: num(),
+    userId: int(),
+    listingId: int(),
+    createdAt: dateTime(),
+    updatedAt: dateTime(),
+  }),
+  Image: obj({
+    id: str(),
+    url: str(),
+    isPrimary: bool(),
+    isBanner: bool(),
+    listingId: int(),
+  }),
+  ListingImage: obj({
+    id: str(),
+    url: str(),
+    listingId: int(),
+    isPrimary: bool(),
+    createdAt: dateTime(),
+  }),
+  Favorite: obj({
+    id: str(),
+    userId: int(),
+    listingId: int(),
+    createdAt: dateTime(),
+  }),
+  AdminApproval: obj({
+    id: str(),
+    listingId: int(),
+    adminId: str(),
+    status: ref("ListingStatus"),
+    comments: nullable(str()),
+    createdAt: dateTime(),
+    updatedAt: dateTime(),
+  }),
+  Promotion: obj({
+    id: str(),
+    listingId: int(),
+    price: num(),
+    startDate: dateTime(),
+    endDate: nullable(dateTime()),
+    durationDays: int(),
+    isActive: bool(),
+    status: ref("PromotionStatus"),
+    placement: nullable(ref("PromotionPlacement")),
+    packageId: nullable(str()),
+    paymentId: nullable(str()),
+    createdAt: dateTime(),
+    updatedAt: dateTime(),
+  }),
+  PromotionPackage: obj({
+    id: str(),
+    name: str(),
+    description: nullable(str()),
+    placement: ref("PromotionPlacement"),
+    durationDays: int(),
+    price: num(),
+    isActive: bool(),
+    createdAt: dateTime(),
+    updatedAt: dateTime(),
+  }),
+  PromotionEvent: obj({
+    id: str(),
+    promotionId: str(),
+    listingId: int(),
+    fromStatus: nullable(ref("PromotionStatus")),
+    toStatus: ref("PromotionStatus"),
+    reason: nullable(str()),
+    createdAt: dateTime(),
+  }),
+  Banner: obj({
+    id: int(),
+    Image: nullable(str()),
+    youtubeUrl: nullable(str()),
+    ListingUrl: nullable(str()),
+    pincode: nullable(int()),
+    locationUrl: nullable(str()),
+    active: bool(),
+    createdAt: dateTime(),
+    updatedAt: dateTime(),
+  }),
+  AdminBanner: obj({
+    id: int(),
+    Image: nullable(str()),
+    youtubeUrl: nullable(str()),
+    ListingUrl: nullable(str()),
+    pincode: nullable(int()),
+    locationUrl: nullable(str()),
+    active: bool(),
+    expiresAt: nullable(dateTime()),
+    createdAt: dateTime(),
+    updatedAt: dateTime(),
+  }),
+  MiddleBanner: obj({
+    id: int(),
+    Image: nullable(str()),
+    youtubeUrl: nullable(str()),
+    ListingUrl: nullable(str()),
+    pincode: nullable(int()),
+    locationUrl: nullable(str()),
+    active: bool(),
+    expiresAt: nullable(dateTime()),
+    createdAt: dateTime(),
+    updatedAt: dateTime(),
+  }),
+  BottomBanner: obj({
+    id: int(),
+    Image: nullable(str()),
+    youtubeUrl: nullable(str()),
+    ListingUrl: nullable(str()),
+    pincode: nullable(int()),
+    locationUrl: nullable(str()),
+    active: bool(),
+    expiresAt: nullable(dateTime()),
+    createdAt: dateTime(),
+    updatedAt: dateTime(),
+  }),
+  CategoryBanner: obj({
+    id: int(),
+    Image: nullable(str()),
+    youtubeUrl: nullable(str()),
+    ListingUrl: nullable(str()),
+    pincode: nullable(int()),
+    locationUrl: nullable(str()),
+    active: bool(),
+    expiresAt: nullable(dateTime()),
+    createdAt: dateTime(),
+    updatedAt: dateTime(),
+    categoryId: str(),
+  }),
+  SubscriptionPlan: obj({
+    id: str(),
+    name: str(),
+    description: str(),
+    durationDays: int(),
+    promotionDays: int(),
+    tierType: ref("ListingTier"),
+    isActive: bool(),
+    adminId: str(),
+    createdAt: dateTime(),
+    updatedAt: dateTime(),
+    price: nullable(num()),
+    razorpayPlanId: nullable(str()),
+  }),
+  Message: obj({
+    id: str(),
+    senderId: int(),
+    receiverId: int(),
+    listingId: int(),
+    content: str(),
+    isRead: bool(),
+    createdAt: dateTime(),
+  }),
+  Payment: obj({
+    id: str(),
+    listingId: int(),
+    amount: num(),
+    currency: str(),
+    paymentMethod: str(),
+    transactionId: str(),
+    razorpayOrderId: nullable(str()),
+    razorpayPaymentId: nullable(str()),
+    failureReason: nullable(str()),
+    razorpayRefundId: nullable(str()),
+    refundedAmount: nullable(num()),
+    refundReason: nullable(str()),
+    refundedAt: nullable(dateTime()),
+    renewalMandateId: nullable(str()),
+    planSnapshot: nullable(json()),
+    status: ref("PaymentStatus"),
+    createdAt: dateTime(),
+    updatedAt: dateTime(),
+  }),
+  PaymentOrder: obj({
+    id: str(),
+    razorpayOrderId: str(),
+    type: ref("PaymentOrderType"),
+    listingId: nullable(int()),
+    userId: int(),
+    planId: nullable(str()),
+    promotionPackageId: nullable(str()),
+    promotionStartDate: nullable(dateTime()),
+    amount: int(),
+    discountAmount: int(),
+    couponId: nullable(str()),
+    currency: str(),
+    status: ref("PaymentOrderStatus"),
+    paidAt: nullable(dateTime()),
+    createdAt: dateTime(),
+    updatedAt: dateTime(),
+  }),
+  Invoice: obj({
+    id: str(),
+    invoiceNumber: str(),
+    financialYear: str(),
+    sequence: int(),
+    paymentId: str(),
+    userId: int(),
+    issuedAt: dateTime(),
+    description: str(),
+    sacCode: str(),
+    sellerName: str(),
+    sellerGstin: nullable(str()),
+    sellerAddress: nullable(str()),
+    sellerStateCode: nullable(str()),
+    buyerName: str(),
+    buyerEmail: nullable(str()),
+    buyerGstin: nullable(str()),
+    buyerAddress: nullable(str()),
+    buyerStateCode: nullable(str()),
+    currency: str(),
+    taxableAmount: num(),
+    taxRate: num(),
+    cgstAmount: num(),
+    sgstAmount: num(),
+    igstAmount: num(),
+    totalAmount: num(),
+    createdAt: dateTime(),
+    updatedAt: dateTime(),
+  }),
+  RenewalMandate: obj({
+    id: str(),
+    listingId: int(),
+    userId: int(),
+    planId: str(),
+    razorpaySubscriptionId: str(),
+    status: ref("RenewalStatus"),
+    failedAttempts: int(),
+    lastFailureReason: nullable(str()),
+    lastChargedAt: nullable(dateTime()),
+    nextChargeAt: nullable(dateTime()),
+    cancelledAt: nullable(dateTime()),
+    createdAt: dateTime(),
+    updatedAt: dateTime(),
+  }),
+  Coupon: obj({
+    id: str(),
+    code: str(),
+    description: nullable(str()),
+    discountType: ref("DiscountType"),
+    discountValue: num(),
+    maxDiscount: nullable(num()),
+    planIds: arrayOf(str()),
+    validFrom: nullable(dateTime()),
+    validUntil: nullable(dateTime()),
+    maxRedemptions: nullable(int()),
+    perUserLimit: nullable(int()),
+    firstListingOnly: bool(),
+    isActive: bool(),
+    createdAt: dateTime(),
+    updatedAt: dateTime(),
+  }),
+  OfferZone: obj({
+    id: int(),
+    vendorName: str(),
+    discount: str(),
+    promoCode: str(),
+    category: str(),
+    description: str(),
+    validUntil: str(),
+    link: nullable(str()),
+    rating: num(),
+    isActive: bool(),
+    createdAt: dateTime(),
+    updatedAt: dateTime(),
+  }),
+  Page: obj({
+    id: str(),
+    title: str(),
+    slug: str(),
+    content: str(),
+    createdAt: dateTime(),
+    updatedAt: dateTime(),
+  }),
+  Notification: obj({
+    id: str(),
+    userId: int(),
+    listingId: nullable(int()),
+    type: ref("NotificationType"),
+    title: str(),
+    message: str(),
+    dedupeKey: nullable(str()),
+    status: ref("NotificationStatus"),
+    sentAt: nullable(dateTime()),
+    readAt: nullable(dateTime()),
+    createdAt: dateTime(),
+  }),
+  Session: obj({
+    id: str(),
+    userId: int(),
+    deviceName: nullable(str()),
+    userAgent: nullable(str()),
+    ipAddress: nullable(str()),
+    createdAt: dateTime(),
+    lastUsedAt: dateTime(),
+    rotatedAt: nullable(dateTime()),
+    expiresAt: dateTime(),
+    revokedAt: nullable(dateTime()),
+    revokedReason: nullable(str()),
+  }),
+  AuthEvent: obj({
+    id: str(),
+    type: ref("AuthEventType"),
+    subject: str(),
+    userId: nullable(int()),
+    adminId: nullable(str()),
+    actorAdminId: nullable(str()),
+    ipAddress: nullable(str()),
+    userAgent: nullable(str()),
+    failures: nullable(int()),
+    reason: nullable(str()),
+    createdAt: dateTime(),
+  }),
+  LoginThrottle: obj({
+    id: str(),
+    key: str(),
+    failures: int(),
+    lastFailureAt: nullable(dateTime()),
+    lockedUntil: nullable(dateTime()),
+    updatedAt: dateTime(),
+  }),
+  Wallet: obj({
+    id: str(),
+    userId: int(),
+    balance: int(),
+    createdAt: dateTime(),
+    updatedAt: dateTime(),
+  }),
+  WalletTransaction: obj({
+    id: str(),
+    walletId: str(),
+    type: ref("WalletTransactionType"),
+    amount: int(),
+    balanceAfter: int(),
+    description: str(),
+    paymentId: nullable(str()),
+    paymentOrderId: nullable(str()),
+    razorpayPaymentId: nullable(str()),
+    adminId: nullable(str()),
+    createdAt: dateTime(),
+  }),
+  AuditLog: obj({
+    id: str(),
+    adminId: nullable(str()),
+    adminEmail: nullable(str()),
+    action: str(),
+    entityType: nullable(str()),
+    entityId: nullable(str()),
+    changes: nullable(json()),
+    metadata: nullable(json()),
+    method: str(),
+    path: str(),
+    ipAddress: nullable(str()),
+    userAgent: nullable(str()),
+    createdAt: dateTime(),
+  }),
+};
@@ -0,0 +1,61 @@
+import adminAuth from "./paths/admin/auth.js";
+import adminCatalog from "./paths/admin/catalog.js";
+import adminContent from "./paths/admin/content.js";
+import adminListings from "./paths/admin/listings.js";
+import adminPayments from "./paths/admin/payments.js";
+import adminPricing from "./paths/admin/pricing.js";
+import adminReports from "./paths/admin/reports.js";
+import adminUsers from "./paths/admin/users.js";
+import auth from "./paths/auth.js";
+import banners from "./paths/banners.js";
+import catalog from "./paths/catalog.js";
+import docs from "./paths/docs.js";
+import googleAuth from "./paths/googleAuth.js";
+import homeCategories from "./paths/homeCategories.js";
+import listings from "./paths/listings.js";
+import location from "./paths/location.js";
+import me from "./paths/me.js";
+import messages from "./paths/messages.js";
+import notifications from "./paths/notifications.js";
+import otp from "./paths/otp.js";
+import payment from "./paths/payment.js";
+import profile from "./paths/profile.js";
+import promotions from "./paths/promotions.js";
+import renewals from "./paths/renewals.js";
+import reviews from "./paths/reviews.js";
+import sessions from "./paths/sessions.js";
+import wallet from "./paths/wallet.js";
+
+// What the routes can't say about themselves, keyed by "METHOD /path" as
+// Express sees it. Each file in paths/ covers a router, and each section
+// here becomes a tag in the docs. A route missing from here fails
+// test/openapi.test.js.
+const sections = [
+  ["Auth", [auth, otp, googleAuth, sessions]],
+  ["Profile", [profile, notifications]],
+  ["Listings", [listings, reviews]],
+  ["Promotions", [promotions]],
+  ["Payments", [payment, me, renewals, wallet]],
+  ["Messages", [messages]],
+  ["Catalog", [catalog, homeCategories, location]],
+  ["Banners", [banners]],
+  ["Admin: Auth", [adminAuth]],
+  ["Admin: Listings", [adminListings]],
+  ["Admin: Users", [adminUsers]],
+  ["Admin: Catalog", [adminCatalog]],
+  ["Admin: Pricing", [adminPricing]],
+  ["Admin: Payments", [adminPayments]],
+  ["Admin: Content", [adminContent]],
+  ["Admin: Reports", [adminReports]],
+  ["Docs", [docs]],
+];
+
+export const tags = sections.map(([tag]) => tag);
+
+export const operations = {};
+for (const [tag, files] of sections) {
+  for (const [key, entry] of files.flatMap(Object.entries)) {
+    if (operations[key]) throw new Error(`${key} is documented twice`);
+    operations[key] = { ...entry, tag };
+  }
+}
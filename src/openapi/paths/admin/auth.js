@@ -0,0 +1,146 @@
+import {
+  arrayOf,
+  bool,
+  dateTime,
+  extend,
+  int,
+  message,
+  nullable,
+  obj,
+  ref,
+  str,
+} from "../../schema.js";
+
+// publicAdmin: the record without secrets
+const admin = extend(ref("Admin"), { twoFactorEnabled: bool() });
+
+const adminWithAccess = extend(admin, {
+  roles: arrayOf(ref("AdminRole")),
+  effectivePermissions: arrayOf(str()),
+});
+
+const signedIn = obj({ message: str(), admin });
+
+const accessFields = {
+  permissions: arrayOf(str({ description: "From GET /admin/permissions" })),
+  roleIds: arrayOf(str()),
+};
+
+const roleBody = obj({
+  name: str(),
+  description: str(),
+  permissions: arrayOf(str()),
+});
+
+const code = str({ description: "Six digits from the authenticator app" });
+
+export default {
+  "POST /admin/register": {
+    summary: "Add an admin",
+    description:
+      "Open to anyone while there are no admins: the first one becomes SUPER and is signed in. After that it needs a SUPER admin.",
+    security: [{ adminCookie: [] }, {}],
+    status: 201,
+    response: signedIn,
+    errors: [401, 403],
+  },
+  "POST /admin/login": {
+    summary: "Admin sign-in",
+    description:
+      "Sets the adminToken cookie, unless 2FA is on: then it answers { twoFactorRequired: true } and the code goes to /admin/login/2fa within five minutes.",
+    response: extend(signedIn, { twoFactorRequired: bool() }),
+    errors: [400, 401, 429],
+  },
+  "POST /admin/login/2fa": {
+    summary: "Finish a two-factor sign-in",
+    description: "Send the code from the app, or one of the recovery codes.",
+    response: extend(signedIn, { recoveryCodesLeft: int() }),
+    errors: [400, 401, 429],
+  },
+  "POST /admin/logout": {
+    summary: "Clear the adminToken cookie",
+    response: message(),
+  },
+  "GET /admin/check-auth": {
+    summary: "The signed-in admin",
+    response: obj({
+      isAuthenticated: bool(),
+      admin,
+      permissions: arrayOf(str()),
+    }),
+  },
+
+  "GET /admin/2fa": {
+    summary: "Your two-factor status",
+    response: obj({
+      enabled: bool(),
+      enabledAt: nullable(dateTime()),
+      recoveryCodesLeft: int(),
+    }),
+  },
+  "POST /admin/2fa/setup": {
+    summary: "Start two-factor setup",
+    description:
+      "Returns a new secret and its otpauth:// URI to show as a QR code. Confirm with /admin/2fa/enable.",
+    response: obj({ secret: str(), otpauthUri: str() }),
+    errors: [400],
+  },
+  "POST /admin/2fa/enable": {
+    summary: "Turn on two-factor sign-in",
+    description: "The recovery codes are only ever shown in this response.",
+    body: obj({ code }, ["code"]),
+    response: obj({ message: str(), recoveryCodes: arrayOf(str()) }),
+  },
+  "POST /admin/2fa/recovery-codes": {
+    summary: "Replace your recovery codes",
+    body: obj({ code }, ["code"]),
+    response: obj({ recoveryCodes: arrayOf(str()) }),
+  },
+  "POST /admin/2fa/disable": {
+    summary: "Turn off two-factor sign-in",
+    body: obj({ password: str(), code, recoveryCode: str() }, ["password"]),
+    response: message(),
+  },
+  "POST /admin/admins/:id/2fa/reset": {
+    summary: "Turn off another admin's two-factor sign-in",
+    description: "For a lost device; they enroll again after signing in.",
+    body: obj({ reason: str() }),
+    response: message(),
+  },
+
+  "GET /admin/permissions": {
+    summary: "The permission catalog",
+    response: arrayOf(obj({ name: str(), description: str() })),
+  },
+  "GET /admin/roles": {
+    summary: "Roles, with how many admins hold each",
+    response: arrayOf(
+      extend(ref("AdminRole"), { _count: obj({ admins: int() }) })
+    ),
+  },
+  "POST /admin/roles": {
+    summary: "Create a role",
+    body: { ...roleBody, required: ["name"] },
+    status: 201,
+    response: ref("AdminRole"),
+  },
+  "PUT /admin/roles/:id": {
+    summary: "Update a role",
+    description: "Its admins get the new permissions on their next request.",
+    body: roleBody,
+    response: ref("AdminRole"),
+  },
+  "DELETE /admin/roles/:id": {
+    summary: "Delete a role",
+    response: message(),
+  },
+  "GET /admin/admins": {
+    summary: "Admins with their roles and effective permissions",
+    response: arrayOf(adminWithAccess),
+  },
+  "PUT /admin/admins/:id/access": {
+    summary: "Set an admin's permissions and roles",
+    body: obj(accessFields),
+    response: adminWithAccess,
+  },
+};
@@ -0,0 +1,44 @@
+import { arrayOf, extend, int, message, obj, ref } from "../../schema.js";
+
+export default {
+  "GET /admin/cities": {
+    summary: "Cities with their approved listing counts",
+    response: arrayOf(
+      extend(ref("City"), { _count: obj({ listings: int() }) })
+    ),
+  },
+  "GET /admin/categories": {
+    summary: "Categories with their listing counts, by name",
+    response: arrayOf(
+      extend(ref("Category"), { _count: obj({ listings: int() }) })
+    ),
+  },
+  "POST /admin/categories": {
+    summary: "Create a category",
+    status: 201,
+    response: ref("Category"),
+  },
+  "POST /admin/cities": {
+    summary: "Create a city",
+    status: 201,
+    response: ref("City"),
+  },
+  "PUT /admin/categories/:id": {
+    summary: "Rename a category",
+    response: ref("Category"),
+  },
+  "PUT /admin/cities/:id": {
+    summary: "Rename a city",
+    response: ref("City"),
+  },
+  "DELETE /admin/categories/:id": {
+    summary: "Delete a category",
+    description: "Fails with a 400 while it has listings.",
+    response: message(),
+  },
+  "DELETE /admin/cities/:id": {
+    summary: "Delete a city",
+    description: "Fails with a 400 while it has listings.",
+    response: message(),
+  },
+};
@@ -0,0 +1,70 @@
+import { arrayOf, bool, int, obj, ref, str } from "../../schema.js";
+
+const offer = obj({
+  id: int(),
+  vendorName: str(),
+  discount: str(),
+  promoCode: str(),
+  link: { type: ["string", "null"] },
+  description: str(),
+  validUntil: str({ format: "date" }),
+  rating: { type: "number" },
+});
+
+const offerResult = obj({
+  success: bool(),
+  message: str(),
+  data: ref("OfferZone"),
+});
+
+const pageBody = obj({ title: str(), slug: str(), content: str() }, [
+  "title",
+  "slug",
+  "content",
+]);
+
+export default {
+  "GET /admin/offer-zone": {
+    summary: "Offers still valid today, newest first",
+    response: obj({
+      success: bool({ description: "False when there are no offers" }),
+      count: int(),
+      message: str(),
+      data: arrayOf(offer),
+    }),
+  },
+  "POST /admin/offer-zone": {
+    summary: "Create an offer",
+    status: 201,
+    response: offerResult,
+  },
+  "PUT /admin/offer-zone/:id": {
+    summary: "Update an offer",
+    description: "Only the fields sent are changed.",
+    response: offerResult,
+  },
+  "DELETE /admin/offer-zone/:id": {
+    summary: "Delete an offer",
+    response: obj({ success: bool(), message: str() }),
+  },
+
+  "GET /admin/pages": {
+    summary: "Static pages, most recently updated first",
+    response: arrayOf(ref("Page")),
+  },
+  "POST /admin/pages": {
+    summary: "Create a static page",
+    body: pageBody,
+    response: ref("Page"),
+    errors: [400],
+  },
+  "PUT /admin/pages/:id": {
+    summary: "Update a static page",
+    body: obj({ title: str(), content: str() }),
+    response: ref("Page"),
+  },
+  "DELETE /admin/pages/:id": {
+    summary: "Delete a static page",
+    response: obj({ success: bool() }),
+  },
+};
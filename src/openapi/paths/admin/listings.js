@@ -0,0 +1,190 @@
+import {
+  arrayOf,
+  bool,
+  extend,
+  file,
+  int,
+  json,
+  message,
+  num,
+  obj,
+  paged,
+  ref,
+  str,
+} from "../../schema.js";
+
+const seller = obj({
+  id: int(),
+  firstName: str(),
+  lastName: str(),
+  email: str(),
+});
+
+// The listing form fields admins can set on anyone's listing
+const listingFields = {
+  categoryId: str(),
+  cityId: str(),
+  type: ref("ListingType"),
+  title: str(),
+  description: str(),
+  price: num(),
+  negotiable: bool(),
+  listingTier: ref("ListingTier"),
+  tags: arrayOf(str()),
+  highlights: arrayOf(str()),
+  phone: str(),
+  website: str(),
+  businessHours: json(),
+  businessCategory: str(),
+  establishedYear: int(),
+  serviceArea: str(),
+  teamSize: str(),
+  youtubeVideo: str(),
+  locationUrl: str(),
+  serviceRadius: int(),
+};
+
+const pageQuery = {
+  page: int({ default: 1 }),
+  limit: int({ default: 20 }),
+};
+
+export default {
+  "POST /admin/upload": {
+    summary: "Upload listing photos to S3",
+    body: obj(
+      {
+        images: arrayOf(file()),
+        "imageTypes[0]": str({
+          enum: ["featured", "banner", "gallery"],
+          description: "One per image, by index; defaults to gallery",
+        }),
+      },
+      ["images"]
+    ),
+    response: obj({
+      success: bool(),
+      images: arrayOf(
+        obj({
+          url: str(),
+          type: str(),
+          isPrimary: bool(),
+          isGallery: bool(),
+          order: int(),
+        })
+      ),
+      primaryImage: str(),
+      galleryImages: arrayOf(str()),
+    }),
+  },
+  "POST /admin/listings": {
+    summary: "Post an approved listing for a seller",
+    description:
+      "Paid tiers start their plan's promotion straight away, free of charge.",
+    body: obj(
+      {
+        ...listingFields,
+        userId: int({ description: "The seller" }),
+        rating: num(),
+        reviewCount: int(),
+        photos: arrayOf(obj({ url: str(), isBanner: bool() })),
+      },
+      ["userId", "categoryId", "cityId", "title", "description"]
+    ),
+    status: 201,
+    response: obj({ message: str(), listing: ref("Listing") }),
+  },
+  "PUT /admin/listing/:id": {
+    summary: "Edit any listing",
+    description: "New photos come as images; old ones go by imagesToDelete.",
+    body: obj({
+      ...listingFields,
+      pincode: int(),
+      images: arrayOf(file()),
+      imagesToDelete: arrayOf(int({ description: "Image id" })),
+    }),
+    response: obj({
+      success: bool(),
+      data: ref("Listing"),
+      message: str(),
+    }),
+  },
+  "DELETE /admin/listings/:id": {
+    summary: "Delete a listing with its images, reviews and promotions",
+    response: message(),
+  },
+  "GET /admin/listings": {
+    summary: "All listings, newest first unless sorted",
+    query: obj({
+      status: ref("ListingStatus"),
+      category: str({ description: "Category id" }),
+      city: str({ description: "Matches the city name" }),
+      type: ref("ListingType"),
+      minPrice: num(),
+      maxPrice: num(),
+      search: str({ description: "Matches title, description or city" }),
+      sort: str({
+        enum: ["newest", "oldest", "price-high", "price-low"],
+        default: "newest",
+      }),
+      ...pageQuery,
+    }),
+    response: paged(
+      "listings",
+      extend(ref("Listing"), {
+        category: ref("Category"),
+        images: arrayOf(ref("Image")),
+        user: seller,
+        promotions: arrayOf(ref("Promotion")),
+      })
+    ),
+  },
+  "GET /admin/listings/:id": {
+    summary: "A listing with its seller and last review decision",
+    response: extend(ref("Listing"), {
+      category: ref("Category"),
+      images: arrayOf(ref("Image")),
+      user: extend(seller, { phone: str() }),
+      promotions: arrayOf(ref("Promotion")),
+      lastApproval: { anyOf: [ref("AdminApproval"), { type: "null" }] },
+    }),
+  },
+  "PUT /admin/listings/:id/approve": {
+    summary: "Approve a listing",
+    body: obj({ comments: str() }),
+    response: ref("Listing"),
+  },
+  "PUT /admin/listings/:id/reject": {
+    summary: "Reject a listing",
+    description: "Rejected listings are deleted after a day.",
+    body: obj({ comments: str() }),
+    response: ref("Listing"),
+  },
+  "PUT /admin/listings/:id/feature": {
+    summary: "Feature a listing for free",
+    description: "Cancels its current promotion first.",
+    body: obj({ duration: int({ default: 7, description: "Days" }) }),
+    response: ref("Promotion"),
+  },
+  "GET /admin/promotions": {
+    summary: "Promotions, newest first",
+    query: obj({ status: str({ enum: ["active", "expired"] }), ...pageQuery }),
+    response: paged(
+      "promotions",
+      extend(ref("Promotion"), {
+        listing: extend(ref("Listing"), { user: seller }),
+      })
+    ),
+  },
+  "DELETE /admin/listings/:id/promotions": {
+    summary: "Cancel a listing's scheduled and running promotions",
+    response: message(),
+  },
+  "PUT /admin/listings/:id/change-tier": {
+    summary: "Move a listing to another tier",
+    description:
+      "Upgrading from FREE starts the new plan's promotion, free of charge.",
+    body: obj({ newTier: ref("ListingTier") }, ["newTier"]),
+    response: ref("Listing"),
+  },
+};
@@ -0,0 +1,222 @@
+import {
+  arrayOf,
+  bool,
+  dateTime,
+  extend,
+  int,
+  nullable,
+  num,
+  obj,
+  paged,
+  ref,
+  str,
+} from "../../schema.js";
+
+const seller = obj({
+  id: int(),
+  email: str(),
+  firstName: str(),
+  lastName: str(),
+});
+
+// Revenue in rupees: completed payments, less refunds
+const revenue = obj({
+  count: int(),
+  gross: num(),
+  refunded: num(),
+  net: num(),
+});
+
+const pageQuery = (limit) => ({
+  page: int({ default: 1 }),
+  limit: int({ default: limit }),
+});
+
+export default {
+  "GET /admin/payment": {
+    summary: "Every payment, newest first",
+    deprecated: true,
+    description: "Unpaged; use /admin/payments.",
+    response: obj({
+      success: bool(),
+      data: arrayOf(
+        obj({
+          id: str(),
+          amount: num(),
+          currency: str(),
+          paymentMethod: nullable(str()),
+          status: ref("PaymentStatus"),
+          transactionId: nullable(str()),
+          createdAt: dateTime(),
+          listing: obj({
+            id: int(),
+            title: str(),
+            status: ref("ListingStatus"),
+            tier: ref("ListingTier"),
+            subscription: nullable(obj({ name: str(), durationDays: int() })),
+          }),
+        })
+      ),
+    }),
+    errors: [404],
+  },
+  "GET /admin/payments": {
+    summary: "Payments with revenue totals by plan tier",
+    description:
+      "With ?format=csv, every matching payment as a text/csv download instead of a page.",
+    query: obj({
+      listingId: int(),
+      userId: int({ description: "The seller" }),
+      status: str({ description: "Comma separated PaymentStatus values" }),
+      from: str({ format: "date" }),
+      to: str({ format: "date", description: "A date covers the whole day" }),
+      format: str({ enum: ["csv"] }),
+      ...pageQuery(20),
+    }),
+    response: extend(
+      paged("payments", extend(ref("PaymentSummary"), { seller })),
+      {
+        totals: revenue,
+        byGroup: {
+          type: "object",
+          additionalProperties: revenue,
+          description: "Keyed by plan tier, or PROMOTION",
+        },
+      }
+    ),
+    errors: [400],
+  },
+  "GET /admin/payments/:id": {
+    summary: "A payment with its status timeline",
+    response: extend(ref("PaymentDetail"), { seller }),
+  },
+  "POST /admin/payments/:id/refund": {
+    summary: "Refund a Razorpay payment",
+    description:
+      "A full refund, or one prorated to the unused days. Cancels the subscription or promotion it paid for, and the auto-renewal if it was a renewal charge.",
+    body: obj({
+      type: str({ enum: ["full", "prorated"], default: "full" }),
+      reason: str(),
+    }),
+    response: obj({
+      message: str(),
+      payment: ref("Payment"),
+      refundAmount: num({ description: "Rupees" }),
+    }),
+  },
+
+  "GET /admin/wallets": {
+    summary: "Seller wallets, largest balance first",
+    query: obj({
+      search: str({ description: "Part of the email" }),
+      ...pageQuery(20),
+    }),
+    response: paged(
+      "wallets",
+      extend(ref("Wallet"), {
+        balance: num({ description: "Rupees" }),
+        user: seller,
+      })
+    ),
+  },
+  "GET /admin/wallets/:userId/ledger": {
+    summary: "A seller's wallet transactions, newest first",
+    query: obj({
+      type: ref("WalletTransactionType"),
+      from: dateTime(),
+      to: dateTime(),
+      ...pageQuery(50),
+    }),
+    response: obj({
+      user: seller,
+      balance: num({ description: "Rupees" }),
+      transactions: arrayOf(
+        extend(ref("WalletEntry"), {
+          paymentOrderId: nullable(str()),
+          razorpayPaymentId: nullable(str()),
+          adminId: nullable(str()),
+        })
+      ),
+      total: int(),
+      page: int(),
+      totalPages: int(),
+    }),
+  },
+  "POST /admin/wallets/:userId/adjustments": {
+    summary: "Credit or debit a seller's wallet",
+    body: obj(
+      {
+        amount: num({ description: "Rupees; negative to debit" }),
+        reason: str(),
+      },
+      ["amount", "reason"]
+    ),
+    status: 201,
+    response: obj({
+      message: str(),
+      balance: num({ description: "Rupees" }),
+      transaction: ref("WalletEntry"),
+    }),
+  },
+
+  "GET /admin/payment-orders": {
+    summary: "Razorpay orders, newest first",
+    description:
+      "?abandoned=true lists orders left unpaid for more than a day.",
+    query: obj({
+      status: ref("PaymentOrderStatus"),
+      abandoned: str({ enum: ["true"] }),
+      ...pageQuery(20),
+    }),
+    response: paged(
+      "orders",
+      extend(ref("PaymentOrder"), {
+        listing: nullable(
+          obj({ id: int(), title: str(), status: ref("ListingStatus") })
+        ),
+        user: seller,
+        plan: nullable(
+          obj({ id: str(), name: str(), tierType: ref("ListingTier") })
+        ),
+        promotionPackage: nullable(
+          obj({
+            id: str(),
+            name: str(),
+            placement: ref("PromotionPlacement"),
+          })
+        ),
+      })
+    ),
+  },
+  "GET /admin/invoices": {
+    summary: "GST invoices, latest number first",
+    query: obj({
+      financialYear: str({ examples: ["25-26"] }),
+      search: str({
+        description: "Matches invoice number, buyer name, email or GSTIN",
+      }),
+      ...pageQuery(20),
+    }),
+    response: paged(
+      "invoices",
+      extend(ref("Invoice"), {
+        payment: obj({
+          id: str(),
+          status: ref("PaymentStatus"),
+          razorpayPaymentId: nullable(str()),
+        }),
+      })
+    ),
+  },
+  "GET /admin/invoices/:id": {
+    summary: "Download an invoice",
+    query: obj({ format: str({ enum: ["pdf", "html"], default: "pdf" }) }),
+    responseType: "application/pdf",
+    response: str({ format: "binary", description: "HTML with format=html" }),
+  },
+  "POST /admin/invoices/:id/regenerate": {
+    summary: "Refresh an invoice's billing details",
+    description: "Keeps the invoice number.",
+    response: ref("Invoice"),
+  },
+};
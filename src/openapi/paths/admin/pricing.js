@@ -0,0 +1,163 @@
+import {
+  arrayOf,
+  bool,
+  dateTime,
+  extend,
+  int,
+  message,
+  num,
+  obj,
+  ref,
+  str,
+} from "../../schema.js";
+
+// Pricing plans have no model in prisma/schema.prisma, so no shared schema
+const pricingPlanFields = {
+  name: str(),
+  description: str(),
+  promotionType: str(),
+  durationType: str(),
+  price: num(),
+};
+
+const pricingPlan = obj({ id: str(), ...pricingPlanFields, isActive: bool() });
+
+const subscriptionPlanBody = (required) =>
+  obj(
+    {
+      name: str(),
+      description: str(),
+      durationDays: int(),
+      promotionDays: int(),
+      price: num({ description: "Rupees" }),
+      tierType: ref("ListingTier"),
+    },
+    required
+  );
+
+const couponBody = (required) =>
+  obj(
+    {
+      code: str({ pattern: "^[A-Z0-9_-]{3,32}$", description: "Upper-cased" }),
+      description: str(),
+      discountType: ref("DiscountType"),
+      discountValue: num({ description: "Percent, or rupees when FLAT" }),
+      maxDiscount: num({ description: "Rupees" }),
+      planIds: arrayOf(str({ description: "Empty for every plan" })),
+      validFrom: dateTime(),
+      validUntil: dateTime(),
+      maxRedemptions: int(),
+      perUserLimit: int(),
+      firstListingOnly: bool(),
+      isActive: bool(),
+    },
+    required
+  );
+
+const promotionPackageBody = (required) =>
+  obj(
+    {
+      name: str(),
+      description: str(),
+      placement: ref("PromotionPlacement"),
+      durationDays: int({ minimum: 1 }),
+      price: num({ minimum: 1, description: "Rupees" }),
+      isActive: bool(),
+    },
+    required
+  );
+
+const activeQuery = str({ enum: ["true", "false"] });
+
+export default {
+  "GET /admin/pricing-plans": {
+    summary: "Pricing plans, cheapest first",
+    response: arrayOf(pricingPlan),
+  },
+  "POST /admin/pricing-plans": {
+    summary: "Create a pricing plan",
+    body: obj(pricingPlanFields),
+    status: 201,
+    response: pricingPlan,
+  },
+  "PUT /admin/pricing-plans/:id": {
+    summary: "Update a pricing plan",
+    body: obj({ ...pricingPlanFields, isActive: bool() }),
+    response: pricingPlan,
+  },
+  "DELETE /admin/pricing-plans/:id": {
+    summary: "Delete a pricing plan",
+    response: message(),
+  },
+
+  "POST /admin/subscription-plans": {
+    summary: "Create a subscription plan",
+    body: subscriptionPlanBody([
+      "name",
+      "durationDays",
+      "promotionDays",
+      "price",
+      "tierType",
+    ]),
+    status: 201,
+    response: ref("SubscriptionPlan"),
+  },
+  "PUT /admin/subscription-plans/:id": {
+    summary: "Update a subscription plan",
+    body: extend(subscriptionPlanBody(), { isActive: bool() }),
+    response: ref("SubscriptionPlan"),
+  },
+
+  "GET /admin/coupons": {
+    summary: "Checkout coupons with redemption counts, newest first",
+    query: obj({
+      search: str({ description: "Part of the code" }),
+      active: activeQuery,
+    }),
+    response: arrayOf(
+      extend(ref("Coupon"), { _count: obj({ redemptions: int() }) })
+    ),
+  },
+  "POST /admin/coupons": {
+    summary: "Create a coupon",
+    body: couponBody(["code", "discountType", "discountValue"]),
+    status: 201,
+    response: ref("Coupon"),
+  },
+  "PUT /admin/coupons/:id": {
+    summary: "Update a coupon",
+    description: "Only the fields sent are changed.",
+    body: couponBody(),
+    response: ref("Coupon"),
+  },
+  "DELETE /admin/coupons/:id": {
+    summary: "Deactivate a coupon",
+    description: "Redeemed coupons keep their history.",
+    response: message(),
+  },
+
+  "GET /admin/promotion-packages": {
+    summary: "Promotion packages with how many were sold",
+    query: obj({ placement: ref("PromotionPlacement"), active: activeQuery }),
+    response: arrayOf(
+      extend(ref("PromotionPackage"), { _count: obj({ promotions: int() }) })
+    ),
+  },
+  "POST /admin/promotion-packages": {
+    summary: "Create a promotion package",
+    body: promotionPackageBody(["name", "placement", "durationDays", "price"]),
+    status: 201,
+    response: ref("PromotionPackage"),
+  },
+  "PUT /admin/promotion-packages/:id": {
+    summary: "Update a promotion package",
+    description: "Promotions already bought keep the price they were sold at.",
+    body: promotionPackageBody(),
+    response: ref("PromotionPackage"),
+  },
+  "DELETE /admin/promotion-packages/:id": {
+    summary: "Deactivate a promotion package",
+    description: "Packages already sold keep their history.",
+    response: message(),
+  },
+};
@@ -0,0 +1,77 @@
+import {
+  arrayOf,
+  dateTime,
+  extend,
+  int,
+  obj,
+  paged,
+  ref,
+  str,
+} from "../../schema.js";
+
+const person = obj({
+  id: int(),
+  firstName: str(),
+  lastName: str(),
+  email: str(),
+});
+
+export default {
+  "GET /admin/audit-log": {
+    summary: "Admin actions, newest first",
+    description:
+      "With ?format=csv, every matching entry as a text/csv download instead of a page.",
+    query: obj({
+      adminId: str(),
+      action: str({ examples: ["listing.approve"] }),
+      entityType: str(),
+      entityId: str(),
+      from: dateTime(),
+      to: dateTime(),
+      format: str({ enum: ["csv"] }),
+      page: int({ default: 1 }),
+      limit: int({ default: 50 }),
+    }),
+    response: paged("entries", ref("AuditLog")),
+  },
+  "GET /admin/stats": {
+    summary: "Dashboard counts and recent sign-ups and listings",
+    response: obj({
+      stats: obj({
+        users: int(),
+        listings: int(),
+        pendingListings: int(),
+        activePromotions: int(),
+        categories: int(),
+      }),
+      recentActivity: obj({
+        listings: arrayOf(
+          extend(ref("Listing"), {
+            user: obj({ id: int(), firstName: str(), lastName: str() }),
+          })
+        ),
+        users: arrayOf(
+          obj({
+            id: int(),
+            email: str(),
+            firstName: str(),
+            lastName: str(),
+            createdAt: dateTime(),
+          })
+        ),
+      }),
+    }),
+  },
+  "GET /admin/messages": {
+    summary: "Messages between users, newest first",
+    query: obj({ page: int({ default: 1 }), limit: int({ default: 20 }) }),
+    response: paged(
+      "messages",
+      extend(ref("Message"), {
+        sender: person,
+        receiver: person,
+        listing: obj({ id: int(), title: str() }),
+      })
+    ),
+  },
+};
@@ -0,0 +1,129 @@
+import {
+  arrayOf,
+  dateTime,
+  int,
+  message,
+  nullable,
+  obj,
+  paged,
+  ref,
+  str,
+} from "../../schema.js";
+
+const userStatus = obj({
+  id: int(),
+  status: ref("UserStatus"),
+  suspendedUntil: nullable(dateTime()),
+  statusReason: nullable(str()),
+  statusChangedAt: nullable(dateTime()),
+});
+
+const moderated = obj({ message: str(), user: userStatus });
+
+const reason = obj({ reason: str({ description: "Kept in the audit log" }) });
+
+export default {
+  "POST /admin/users/register": {
+    summary: "Create a seller account",
+    description: "The caller stays signed in as themselves.",
+    status: 201,
+    response: obj({ message: str(), user: ref("User") }),
+  },
+  "GET /admin/users": {
+    summary: "Users, newest first",
+    description:
+      "effectiveStatus is ACTIVE once a suspension has run out, while status still reads SUSPENDED.",
+    query: obj({
+      search: str({ description: "Matches email or name" }),
+      status: ref("UserStatus"),
+      page: int({ default: 1 }),
+      limit: int({ default: 20 }),
+    }),
+    response: paged(
+      "users",
+      obj({
+        id: int(),
+        email: str(),
+        firstName: str(),
+        lastName: str(),
+        phone: str(),
+        city: str(),
+        status: ref("UserStatus"),
+        suspendedUntil: nullable(dateTime()),
+        statusReason: nullable(str()),
+        createdAt: dateTime(),
+        _count: obj({ listings: int(), favorites: int() }),
+        effectiveStatus: ref("UserStatus"),
+      })
+    ),
+  },
+  "DELETE /admin/users/:id": {
+    summary: "Erase a user now",
+    description:
+      "The same erasure as the user's own account deletion, without the grace period. Listings with payment records are archived rather than deleted.",
+    response: obj({
+      message: str(),
+      listingsDeleted: int(),
+      listingsArchived: int(),
+      imagesDeleted: int(),
+    }),
+  },
+  "POST /admin/users/:id/suspend": {
+    summary: "Suspend a user",
+    description:
+      "Until a date or for a number of days. They can still sign in but can't list, message or review, and their listings are hidden.",
+    body: obj(
+      {
+        until: dateTime(),
+        days: int(),
+        reason: str({ description: "Shown to the user" }),
+      },
+      ["reason"]
+    ),
+    response: moderated,
+  },
+  "POST /admin/users/:id/ban": {
+    summary: "Ban a user",
+    description: "Signs them out everywhere and keeps them out.",
+    body: obj({ reason: str({ description: "Shown to the user" }) }, [
+      "reason",
+    ]),
+    response: moderated,
+  },
+  "POST /admin/users/:id/reinstate": {
+    summary: "Lift a suspension or ban",
+    body: obj({ note: str() }, ["note"]),
+    response: moderated,
+  },
+  "GET /admin/users/:id/moderation-history": {
+    summary: "A user's suspensions, bans and reinstatements, newest first",
+    response: arrayOf(ref("AuditLog")),
+  },
+  "POST /admin/users/:id/unlock": {
+    summary: "Lift a login lockout on a seller account",
+    body: reason,
+    response: message(),
+  },
+  "GET /admin/login-locks": {
+    summary: "Accounts and addresses locked out right now",
+    response: arrayOf(ref("LoginThrottle")),
+  },
+  "DELETE /admin/login-locks/:id": {
+    summary: "Lift any lockout, including address and admin ones",
+    body: reason,
+    response: message(),
+  },
+  "GET /admin/auth-events": {
+    summary: "Lockout and unlock history, newest first",
+    query: obj({
+      type: ref("AuthEventType"),
+      userId: int(),
+      ipAddress: str(),
+      from: dateTime(),
+      to: dateTime(),
+      page: int({ default: 1 }),
+      limit: int({ default: 50 }),
+    }),
+    response: paged("events", ref("AuthEvent")),
+  },
+};
@@ -0,0 +1,108 @@
+import {
+  bool,
+  dateTime,
+  int,
+  message,
+  nullable,
+  obj,
+  ref,
+  str,
+} from "../schema.js";
+
+const userResponse = obj({ message: str(), user: ref("User") });
+
+const loginDescription =
+  "Sets the token (access) and refreshToken cookies. Repeated failures lock the account or address for a while.";
+
+const refreshDescription =
+  "Swaps the refreshToken cookie for a new access token and refresh token.";
+
+export default {
+  "POST /register": {
+    summary: "Sign up with email and password",
+    description: "Sends an email verification link.",
+    status: 201,
+    response: userResponse,
+  },
+  "POST /login": {
+    summary: "Sign in with email and password",
+    description: loginDescription,
+    response: userResponse,
+    errors: [401, 403, 429],
+  },
+  "POST /logout": {
+    summary: "Sign out this device",
+    response: message(),
+  },
+  "POST /refresh": {
+    summary: "Refresh the access token",
+    description: refreshDescription,
+    response: message(),
+    errors: [401],
+  },
+  "GET /check-auth": {
+    summary: "Whether the access token is valid",
+    description: "`account` tells a suspended user why, and until when.",
+    response: obj({
+      isAuthenticated: bool(),
+      user: obj({ userId: int(), sessionId: str() }),
+      account: obj({
+        status: ref("UserStatus"),
+        reason: nullable(str()),
+        suspendedUntil: nullable(dateTime()),
+      }),
+    }),
+  },
+  "POST /verify-email/request": {
+    summary: "Send a fresh email verification link",
+    response: message(),
+    errors: [400, 429],
+  },
+  "POST /verify-email": {
+    summary: "Verify an email address with the link's token",
+    response: message(),
+  },
+  "POST /forgot-password": {
+    summary: "Email a password reset link",
+    description:
+      "Answers the same whether or not the account exists, so it can't be used to probe for accounts.",
+    response: message(),
+  },
+  "POST /reset-password": {
+    summary: "Set a new password from a reset link",
+    description: "Signs out every session.",
+    response: message(),
+  },
+  "POST /auth/register": {
+    summary: "Sign up with email and password",
+    description: "Same as POST /register, at the old admin server's path.",
+    deprecated: true,
+    status: 201,
+    response: userResponse,
+  },
+  "POST /auth/login": {
+    summary: "Sign in with email and password",
+    description: `Same as POST /login. ${loginDescription}`,
+    deprecated: true,
+    response: userResponse,
+    errors: [401, 403, 429],
+  },
+  "POST /auth/logout": {
+    summary: "Sign out this device",
+    description: "Same as POST /logout.",
+    deprecated: true,
+    response: message(),
+  },
+  "POST /auth/refresh": {
+    summary: "Refresh the access token",
+    description: `Same as POST /refresh. ${refreshDescription}`,
+    deprecated: true,
+    response: message(),
+    errors: [401],
+  },
+  "GET /auth/me": {
+    summary: "The signed-in user",
+    response: ref("User"),
+    errors: [404],
+  },
+};
@@ -0,0 +1,175 @@
+import {
+  arrayOf,
+  bool,
+  dateTime,
+  extend,
+  file,
+  int,
+  obj,
+  ref,
+  str,
+} from "../schema.js";
+
+// The fields every banner kind shares; Image or youtubeUrl must be set
+const bannerFields = {
+  Image: str(),
+  youtubeUrl: str(),
+  ListingUrl: str(),
+  pincode: int({ description: "0 shows the banner everywhere" }),
+  locationUrl: str(),
+  expiresAt: dateTime(),
+  active: bool(),
+};
+
+const uploadFields = (properties) =>
+  obj({ image: file(), ...properties }, ["image"]);
+
+const feedQuery = (extra) =>
+  obj({
+    location: str({ description: "Visitor's PIN code" }),
+    limit: int({ default: 10 }),
+    ...extra,
+  });
+
+const feedDescription =
+  "Active banners nearest ?location. The admin panel lists every banner under /admin.";
+
+// The admin panel's list of one banner kind
+const adminList = (label, item) => ({
+  summary: `Every ${label}, newest first`,
+  description: "Inactive and expired ones included.",
+  response: arrayOf(item),
+});
+
+// CRUD for one banner kind: "middle-banners" → MiddleBanner
+function bannerKind(path, model, { extraFields, upload = true } = {}) {
+  const label = model.replace(/([a-z])([A-Z])/g, "$1 $2").toLowerCase();
+  const body = obj({ ...bannerFields, ...extraFields });
+  return {
+    [`POST /${path}`]: {
+      summary: `Create a ${label}`,
+      body,
+      status: 201,
+      response: ref(model),
+    },
+    [`PUT /${path}/:id`]: {
+      summary: `Update a ${label}`,
+      body,
+      response: ref(model),
+    },
+    [`DELETE /${path}/:id`]: {
+      summary: `Delete a ${label} and its image`,
+      status: 204,
+    },
+    ...(upload && {
+      [`POST /${path}/upload`]: {
+        summary: `Upload an image for a ${label}`,
+        description: "Returns the URL to save as Image.",
+        body: uploadFields(),
+        response: obj({ Image: str(), message: str() }),
+      },
+    }),
+  };
+}
+
+export default {
+  "GET /home-banner": {
+    summary: "Active home page banners",
+    response: arrayOf(ref("Banner")),
+  },
+  "GET /admin/home-banner": adminList("home page banner", ref("Banner")),
+  "GET /home-banner/:id": {
+    summary: "A home page banner",
+    response: ref("Banner"),
+  },
+  "POST /home-banner": {
+    summary: "Create a home page banner",
+    body: obj({ Image: str(), ListingUrl: str(), active: bool() }, ["Image"]),
+    status: 201,
+    response: ref("Banner"),
+  },
+  "POST /home-banner/upload": {
+    summary: "Upload a home page banner",
+    body: uploadFields({ ListingUrl: str(), active: bool() }),
+    status: 201,
+    response: ref("Banner"),
+  },
+  "PUT /home-banner/:id": {
+    summary: "Update a home page banner",
+    body: obj({ Image: str(), ListingUrl: str(), active: bool() }),
+    response: ref("Banner"),
+  },
+  "DELETE /home-banner/:id": {
+    summary: "Delete a home page banner and its image",
+    status: 204,
+  },
+
+  "GET /admin-banners": {
+    summary: "Hero banners as stored, newest first",
+    response: arrayOf(ref("AdminBanner")),
+  },
+  "GET /admin-banners/:id": {
+    summary: "A hero banner",
+    response: ref("AdminBanner"),
+  },
+  "POST /admin-banner/upload": {
+    summary: "Upload a hero banner",
+    body: uploadFields({
+      ListingUrl: str(),
+      locationUrl: str(),
+      pincode: int(),
+      expiresAt: dateTime(),
+      active: bool(),
+    }),
+    status: 201,
+    response: ref("AdminBanner"),
+  },
+  ...bannerKind("admin-banners", "AdminBanner", { upload: false }),
+  "GET /hero-banners": {
+    summary: "Hero banners for the visitor's area",
+    query: feedQuery(),
+    response: arrayOf(ref("BannerFeedItem")),
+  },
+
+  "GET /middle-banners": {
+    summary: "Middle banners",
+    description: feedDescription,
+    query: feedQuery(),
+    response: arrayOf(ref("BannerFeedItem")),
+  },
+  "GET /admin/middle-banners": adminList("middle banner", ref("MiddleBanner")),
+  ...bannerKind("middle-banners", "MiddleBanner"),
+
+  "GET /bottom-banners": {
+    summary: "Bottom banners",
+    description: feedDescription,
+    query: feedQuery(),
+    response: arrayOf(ref("BannerFeedItem")),
+  },
+  "GET /admin/bottom-banners": adminList("bottom banner", ref("BottomBanner")),
+  ...bannerKind("bottom-banners", "BottomBanner"),
+
+  "GET /category-banners": {
+    summary: "Category banners",
+    description: feedDescription,
+    query: feedQuery({ category: str({ description: "Category name" }) }),
+    response: arrayOf(ref("BannerFeedItem")),
+  },
+  "GET /admin/category-banners": adminList(
+    "category banner",
+    extend(ref("CategoryBanner"), {
+      category: obj({ id: str(), name: str() }),
+    })
+  ),
+  ...bannerKind("category-banners", "CategoryBanner", {
+    extraFields: { categoryId: str() },
+    upload: false,
+  }),
+
+  "PUT /:bannerType/:id/toggle-status": {
+    summary: "Switch a banner on or off",
+    description:
+      "bannerType is admin-banners, middle-banners, bottom-banners or category-banners.",
+    response: obj({ message: str(), banner: ref("AdminBanner") }),
+  },
+};
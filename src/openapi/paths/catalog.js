@@ -0,0 +1,46 @@
+import { arrayOf, bool, int, obj, ref, str } from "../schema.js";
+
+export default {
+  "GET /categories": {
+    summary: "Up to 15 category names matching ?search",
+    description:
+      "The admin panel gets whole categories from /admin/categories.",
+    query: obj({ search: str() }),
+    response: arrayOf(str()),
+  },
+  "GET /cities": {
+    summary: "Up to 15 city names matching ?search",
+    query: obj({ search: str() }),
+    response: arrayOf(str()),
+  },
+  "POST /cities": {
+    summary: "Add a city",
+    status: 201,
+    response: ref("City"),
+    errors: [409],
+  },
+  "GET /pages": {
+    summary: "Static pages, most recently updated first",
+    response: arrayOf(ref("Page")),
+  },
+  "GET /pages/:slug": {
+    summary: "A static page",
+    response: ref("Page"),
+  },
+  "GET /offer-zone": {
+    summary: "Offers still valid today",
+    response: obj({
+      success: bool({ description: "False when there are no offers" }),
+      count: int(),
+      data: arrayOf(ref("OfferZone")),
+    }),
+  },
+  "GET /subscription-plans": {
+    summary: "Active subscription plans, cheapest first",
+    response: arrayOf(ref("SubscriptionPlan")),
+  },
+  "GET /subscription-plans/:id": {
+    summary: "A subscription plan",
+    response: ref("SubscriptionPlan"),
+  },
+};
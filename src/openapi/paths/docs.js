@@ -0,0 +1,14 @@
+import { str } from "../schema.js";
+
+export default {
+  "GET /openapi.json": {
+    summary: "This document",
+    response: { type: "object" },
+  },
+  "GET /docs": {
+    summary: "Interactive API docs",
+    description: "Swagger UI for /openapi.json; requests send your cookies.",
+    responseType: "text/html",
+    response: str(),
+  },
+};
@@ -0,0 +1,20 @@
+import { obj, str } from "../schema.js";
+
+export default {
+  "GET /auth/google": {
+    summary: "Start Sign in with Google",
+    description: "Redirects to Google's consent screen.",
+    query: obj({
+      returnTo: str({ description: "Frontend path to land on afterwards" }),
+      loginHint: str({ description: "Email to preselect" }),
+    }),
+    status: 302,
+  },
+  "GET /auth/google/callback": {
+    summary: "Google's redirect back after consent",
+    description:
+      "Signs the user in and redirects to the frontend; failures land on /login?error=...",
+    query: obj({ code: str(), state: str(), error: str() }),
+    status: 302,
+  },
+};
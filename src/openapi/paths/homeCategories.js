@@ -0,0 +1,42 @@
+import { arrayOf, bool, extend, int, obj, ref, str } from "../schema.js";
+
+const listingCount = obj({ listings: int() });
+
+const homeCategory = obj({
+  id: str(),
+  name: str(),
+  categoryId: str(),
+  iconName: str(),
+  color: str(),
+  order: int(),
+  _count: listingCount,
+});
+
+export default {
+  "GET /home-categories/all-categories": {
+    summary: "Every category with its approved listing count",
+    response: arrayOf(extend(ref("Category"), { _count: listingCount })),
+  },
+  "GET /home-categories": {
+    summary: "Categories featured on the home page, in order",
+    response: arrayOf(homeCategory),
+  },
+  "DELETE /home-categories/:id": {
+    summary: "Remove a category from the home page",
+    response: obj({ success: bool() }),
+  },
+  "POST /home-categories": {
+    summary: "Feature a category on the home page",
+    body: obj(
+      {
+        name: str(),
+        categoryId: str(),
+        iconName: str({ default: "Briefcase" }),
+        color: str({ default: "blue" }),
+      },
+      ["name", "categoryId"]
+    ),
+    status: 201,
+    response: homeCategory,
+  },
+};
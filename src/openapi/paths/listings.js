@@ -0,0 +1,289 @@
+import {
+  arrayOf,
+  bool,
+  dateTime,
+  extend,
+  file,
+  int,
+  json,
+  message,
+  num,
+  obj,
+  paged,
+  ref,
+  str,
+} from "../schema.js";
+
+// A listing with its category, cover image and current promotion
+const listingCard = extend(ref("Listing"), {
+  category: ref("Category"),
+  images: arrayOf(ref("Image")),
+  promotions: arrayOf(ref("Promotion")),
+});
+
+const listingWithCity = extend(ref("Listing"), {
+  category: ref("Category"),
+  city: ref("City"),
+  images: arrayOf(ref("Image")),
+});
+
+const listingDetail = extend(ref("Listing"), {
+  category: ref("Category"),
+  city: ref("City"),
+  images: arrayOf(ref("Image")),
+  user: obj({
+    id: int(),
+    firstName: str(),
+    lastName: str(),
+    email: str(),
+    phone: str(),
+    city: str(),
+    createdAt: dateTime(),
+  }),
+  reviews: arrayOf(ref("Review")),
+  promotions: arrayOf(ref("Promotion")),
+  subscription: obj({ name: str(), tierType: ref("ListingTier") }),
+});
+
+const pageQuery = {
+  page: int({ default: 1 }),
+  limit: int({ default: 20 }),
+};
+
+export default {
+  "GET /listings": {
+    summary: "Your approved listings",
+    description: "The admin panel browses everyone's at /admin/listings.",
+    response: arrayOf(listingWithCity),
+  },
+  "GET /list/:slug": {
+    summary: "An approved listing's page, with similar listings",
+    response: obj({
+      listing: extend(listingDetail, { isPhoneVerified: bool() }),
+      similarListings: arrayOf(
+        extend(ref("Listing"), {
+          city: str({ description: "City name" }),
+          category: ref("Category"),
+        })
+      ),
+    }),
+  },
+  "GET /listing/professional": {
+    summary: "Browse approved listings by seller type",
+    description:
+      "Newest first; with a category, listings promoted to the top of it come first.",
+    query: obj({
+      search: str(),
+      category: str({ description: "Category name" }),
+      location: str({ description: "City name" }),
+      type: str({
+        enum: ["ALL", "PROFESSIONAL", "PRIVATE_INDIVIDUAL"],
+        default: "ALL",
+      }),
+      page: int({ default: 1 }),
+      limit: int({ default: 9 }),
+    }),
+    response: paged("listings", listingWithCity),
+  },
+  "GET /listings/pending": {
+    summary: "Your listings waiting for approval",
+    response: arrayOf(listingCard),
+  },
+  "GET /listings/archived": {
+    summary: "Your archived listings",
+    response: arrayOf(listingCard),
+  },
+  "GET /listings/:listingId/favorite/check": {
+    summary: "Whether you've favorited a listing",
+    response: obj({ isFavorite: bool() }),
+  },
+  "GET /listings/favorites": {
+    summary: "Listings you've favorited",
+    response: arrayOf(ref("Listing")),
+  },
+  "PUT /listings/:id": {
+    summary: "Edit your listing",
+    description:
+      "Send only the fields to change. Someone else's listing is a 404.",
+    response: extend(ref("Listing"), { category: ref("Category") }),
+  },
+  "DELETE /listings/:id": {
+    summary: "Delete a listing",
+    description: "Your own listings only; admins use /admin/listings/{id}.",
+    response: message(),
+  },
+  "PUT /listings/:id/archive": {
+    summary: "Archive your listing",
+    response: ref("Listing"),
+  },
+  "PUT /listings/:id/reactivate": {
+    summary: "Republish your archived listing",
+    response: ref("Listing"),
+  },
+  "POST /listings/:id/favorite": {
+    summary: "Favorite a listing",
+    status: 201,
+    response: extend(ref("Favorite"), { listing: ref("Listing") }),
+  },
+  "DELETE /listings/:id/favorite": {
+    summary: "Unfavorite a listing",
+    response: message(),
+  },
+  "POST /upload": {
+    summary: "Upload listing photos to S3",
+    description:
+      "Up to 10 images of 5 MB each. Use the returned URLs as `photos` when creating the listing.",
+    body: obj(
+      {
+        photos: arrayOf(file()),
+        "photoTypes[0]": str({
+          enum: ["featured", "banner", "gallery"],
+          description: "One per photo, by index",
+        }),
+        photoMetadata: str({ description: "JSON, echoed back" }),
+      },
+      ["photos"]
+    ),
+    response: obj({
+      urls: arrayOf(
+        obj({
+          url: str({ format: "uri" }),
+          filename: str(),
+          key: str(),
+          type: str(),
+          isFeatured: bool(),
+          isBanner: bool(),
+          isGallery: bool(),
+          order: int(),
+        })
+      ),
+      organized: obj({
+        featured: arrayOf(obj()),
+        banner: arrayOf(obj()),
+        gallery: arrayOf(obj()),
+        all: arrayOf(obj()),
+      }),
+      metadata: json(),
+    }),
+  },
+  "POST /listings": {
+    summary: "Create a listing",
+    description:
+      "Free listings go to moderation; paid tiers wait for payment (requiresPayment). With REQUIRE_VERIFIED_EMAIL set, unverified sellers get a 403.",
+    status: 201,
+    response: obj({
+      message: str(),
+      listing: extend(ref("Listing"), {
+        category: ref("Category"),
+        user: ref("User"),
+      }),
+      requiresPayment: bool(),
+    }),
+  },
+  "DELETE /images/:id": {
+    summary: "Delete one of your listing's images",
+    response: message(),
+  },
+  "GET /listings/random": {
+    summary: "Listings for the home page, nearest first",
+    description:
+      "Promoted and nearby listings are favoured when a pincode is given.",
+    query: obj({ pincode: str(), limit: int({ default: 6 }) }),
+    response: arrayOf(
+      obj({
+        id: int(),
+        title: str(),
+        category: str(),
+        subcategory: str(),
+        location: str(),
+        date: dateTime(),
+        images: int({ description: "Image count" }),
+        imageSrc: str(),
+        distance: str({ examples: ["3.2 km"] }),
+        locationScore: num(),
+        slug: str(),
+        price: num(),
+        isPromoted: bool(),
+      })
+    ),
+  },
+  "GET /payment": {
+    summary: "Payments for your listings",
+    description: "Older than /me/payments; 404 when there are none.",
+    deprecated: true,
+    response: obj({
+      success: bool(),
+      data: arrayOf(
+        obj({
+          id: str(),
+          amount: num(),
+          currency: str(),
+          paymentMethod: str(),
+          status: ref("PaymentStatus"),
+          transactionId: str(),
+          createdAt: dateTime(),
+          listing: obj({
+            id: int(),
+            title: str(),
+            status: ref("ListingStatus"),
+            tier: ref("ListingTier"),
+            subscription: obj({ name: str(), durationDays: int() }),
+          }),
+        })
+      ),
+    }),
+    errors: [404],
+  },
+  "GET /listings/featured": {
+    summary: "Up to 10 featured listings",
+    response: arrayOf(listingCard),
+  },
+  "GET /listing/:slug": {
+    summary: "An approved listing by slug or id",
+    description: "Listings of suspended or banned sellers are not found.",
+    response: listingDetail,
+    errors: [404],
+  },
+  "GET /admin/listing/:slug": {
+    summary: "A listing by slug or id, whatever its status",
+    description: "The admin panel's view of GET /listing/{slug}.",
+    response: listingDetail,
+  },
+  "GET /users/me/listings": {
+    summary: "All your listings",
+    query: obj({ status: ref("ListingStatus"), ...pageQuery }),
+    response: paged("listings", listingCard),
+  },
+  "GET /favorites": {
+    summary: "Your favorites with their listings",
+    response: arrayOf(extend(ref("Favorite"), { listing: ref("Listing") })),
+  },
+  "POST /favorites": {
+    summary: "Favorite a listing",
+    body: obj({ listingId: int() }, ["listingId"]),
+    status: 201,
+    response: ref("Favorite"),
+    errors: [404],
+  },
+  "DELETE /favorites/:listingId": {
+    summary: "Unfavorite a listing",
+    response: message(),
+  },
+  "POST /search": {
+    summary: "Search approved listings",
+    description:
+      "With a category filter, listings promoted to the top of it come first.",
+    body: obj({
+      query: str(),
+      filters: obj({
+        category: str({ description: "Category id" }),
+        city: str(),
+        type: ref("ListingType"),
+        minPrice: num(),
+        maxPrice: num(),
+      }),
+      userId: int({ description: "Records the search for this user" }),
+    }),
+    response: arrayOf(listingCard),
+  },
+};
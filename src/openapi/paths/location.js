@@ -0,0 +1,15 @@
+import { num, obj, str } from "../schema.js";
+
+export default {
+  "POST /location/maps": {
+    summary: "Resolve a Google Maps link to a place",
+    body: obj({ url: str({ format: "uri" }) }, ["url"]),
+    response: obj({
+      name: str(),
+      address: str(),
+      coordinates: obj({ lat: num(), lng: num() }),
+      staticMapUrl: str({ format: "uri" }),
+      placeId: str(),
+    }),
+  },
+};
@@ -0,0 +1,13 @@
+import { paged, ref } from "../schema.js";
+
+export default {
+  "GET /me/payments": {
+    summary: "The seller's payment history",
+    response: paged("payments", ref("PaymentSummary")),
+  },
+  "GET /me/payments/:id": {
+    summary: "One payment with its checkout pricing and status timeline",
+    description: "The receipt itself is at /payments/{id}/invoice.",
+    response: ref("PaymentDetail"),
+  },
+};
@@ -0,0 +1,25 @@
+import { arrayOf, extend, int, obj, ref, str } from "../schema.js";
+
+const person = obj({ id: int(), firstName: str(), lastName: str() });
+
+export default {
+  "GET /messages": {
+    summary: "Messages the user sent or received, newest first",
+    response: arrayOf(
+      extend(ref("Message"), {
+        sender: person,
+        receiver: person,
+        listing: obj({ id: int(), title: str() }),
+      })
+    ),
+  },
+  "POST /messages": {
+    summary: "Message another user about a listing",
+    status: 201,
+    response: ref("Message"),
+  },
+  "PUT /messages/:id/read": {
+    summary: "Mark a received message read",
+    response: ref("Message"),
+  },
+};
@@ -0,0 +1,17 @@
+import { bool, int, obj, paged, ref } from "../schema.js";
+
+export default {
+  "GET /notifications": {
+    summary: "The user's notifications, newest first",
+    query: obj({
+      unread: bool(),
+      page: int({ default: 1 }),
+      limit: int({ default: 20 }),
+    }),
+    response: paged("notifications", ref("Notification")),
+  },
+  "PUT /notifications/:id/read": {
+    summary: "Mark a notification read",
+    response: obj({ updated: int({ description: "0 if already read" }) }),
+  },
+};
@@ -0,0 +1,35 @@
+import { dateTime, int, obj, ref, str } from "../schema.js";
+
+const otpSent = obj({
+  message: str(),
+  expiresAt: dateTime(),
+  retryAfter: int({ description: "Seconds, when rate limited" }),
+});
+
+export default {
+  "POST /otp/login/request": {
+    summary: "Text a login code",
+    description:
+      "Works for numbers without an account too; /otp/login then signs them up.",
+    response: otpSent,
+    errors: [429],
+  },
+  "POST /otp/login": {
+    summary: "Sign in with a texted code",
+    description:
+      "Creates the account on first use (201). Sets the token and refresh cookies.",
+    response: obj({ message: str(), user: ref("User") }),
+    errors: [401, 403],
+  },
+  "POST /otp/phone/request": {
+    summary: "Text a code to verify a phone number",
+    response: otpSent,
+    errors: [409, 429],
+  },
+  "POST /otp/phone/verify": {
+    summary: "Verify a phone number with its code",
+    description: "The number becomes the account's and can be used to log in.",
+    response: obj({ message: str(), user: ref("User") }),
+    errors: [409],
+  },
+};
@@ -0,0 +1,98 @@
+import { bool, int, num, obj, ref, str } from "../schema.js";
+
+// Amounts in paise unless noted
+const checkoutBody = obj(
+  {
+    listingId: int(),
+    pricingOption: ref("ListingTier"),
+    subscriptionId: str({ description: "Plan id; wins over pricingOption" }),
+    couponCode: str(),
+  },
+  ["listingId"]
+);
+
+const razorpayOrder = obj({
+  id: str(),
+  amount: int(),
+  currency: str(),
+  status: str(),
+});
+
+const checkoutResponse = obj({
+  order: razorpayOrder,
+  paymentOrderId: str(),
+  originalAmount: int(),
+  discountAmount: int(),
+  success: bool({ description: "Set for free plans and wallet payments" }),
+  paidFromWallet: bool(),
+  listingId: int(),
+  paymentId: str(),
+  walletBalance: num({ description: "Rupees" }),
+});
+
+export default {
+  "POST /payments/coupons/validate": {
+    summary: "Preview a coupon against a checkout",
+    body: checkoutBody,
+    response: obj({
+      valid: bool(),
+      code: str(),
+      originalAmount: int(),
+      discountAmount: int(),
+      amount: int(),
+    }),
+  },
+  "POST /payments/create-order": {
+    summary: "Start checkout for a listing plan",
+    description:
+      "Free plans are applied straight away; with useWallet the seller's wallet pays, otherwise a Razorpay order is created.",
+    body: obj(
+      { ...checkoutBody.properties, useWallet: bool() },
+      checkoutBody.required
+    ),
+    response: checkoutResponse,
+  },
+  "POST /payments/renew": {
+    summary: "Renew a published or expired listing",
+    description:
+      "Checks out the listing's current plan unless the body picks another.",
+    body: obj(
+      { ...checkoutBody.properties, useWallet: bool() },
+      checkoutBody.required
+    ),
+    response: checkoutResponse,
+    errors: [404],
+  },
+  "POST /payments/verify": {
+    summary: "Confirm a Razorpay payment from the checkout callback",
+    body: obj(
+      {
+        razorpay_payment_id: str(),
+        razorpay_order_id: str(),
+        razorpay_signature: str(),
+        pricingOption: ref("ListingTier"),
+      },
+      ["razorpay_payment_id", "razorpay_order_id", "razorpay_signature"]
+    ),
+    response: obj({
+      success: bool(),
+      listingId: int(),
+      paymentId: str(),
+      walletBalance: num({ description: "Rupees, for wallet top-ups" }),
+    }),
+    errors: [404],
+  },
+  "GET /payments/:id/invoice": {
+    summary: "Download a payment's invoice",
+    query: obj({ format: str({ enum: ["pdf", "html"], default: "pdf" }) }),
+    responseType: "application/pdf",
+    response: str({ format: "binary", description: "HTML with format=html" }),
+  },
+  "POST /payments/webhook": {
+    summary: "Razorpay webhook",
+    description:
+      "Signed with X-Razorpay-Signature. Unknown events, and events missing the payload entities they need, are acknowledged and ignored; processing failures return 500 so Razorpay retries.",
+    body: obj({ event: str(), payload: obj() }, ["event"]),
+    response: obj({ received: bool(), ignored: bool() }),
+  },
+};
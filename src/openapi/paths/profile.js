@@ -0,0 +1,48 @@
+import { dateTime, int, message, nullable, obj, str } from "../schema.js";
+
+const profile = obj({
+  id: int(),
+  email: nullable(str()),
+  firstName: nullable(str()),
+  lastName: nullable(str()),
+  phone: nullable(str()),
+  city: nullable(str()),
+  gstin: nullable(str()),
+  billingName: nullable(str()),
+  billingAddress: nullable(str()),
+  billingStateCode: nullable(str()),
+  emailVerifiedAt: nullable(dateTime()),
+  verifiedPhone: nullable(str()),
+  phoneVerifiedAt: nullable(dateTime()),
+  createdAt: dateTime(),
+});
+
+export default {
+  "GET /profile": {
+    summary: "The signed-in user's profile",
+    response: profile,
+    errors: [404],
+  },
+  "PUT /profile": {
+    summary: "Update the profile and GST billing details",
+    response: profile,
+  },
+  "PUT /profile/password": {
+    summary: "Change password",
+    description: "Signs out every other device.",
+    response: message(),
+  },
+  "POST /profile/export": {
+    summary: "Download everything stored about the user",
+    description:
+      "A JSON attachment with the profile, listings, payments, reviews, messages and a manifest of uploaded images.",
+    response: obj({ exportedAt: dateTime() }),
+    errors: [404],
+  },
+  "DELETE /profile": {
+    summary: "Schedule the account for deletion",
+    description:
+      "Signs out everywhere. Signing in again before deletionDueAt cancels.",
+    response: obj({ message: str(), deletionDueAt: dateTime() }),
+  },
+};
@@ -0,0 +1,30 @@
+import { arrayOf, bool, dateTime, int, num, obj, ref, str } from "../schema.js";
+
+export default {
+  "GET /promotion-packages": {
+    summary: "Active promotion packages",
+    query: obj({ placement: ref("PromotionPlacement") }),
+    response: arrayOf(ref("PromotionPackage")),
+  },
+  "POST /listings/:id/promote": {
+    summary: "Buy a promotion package for your listing",
+    description:
+      "Returns a Razorpay order to pay through checkout and /payments/verify; the promotion starts once paid, or at a future startDate. With useWallet the wallet pays straight away. Banner placements show the listing's banner, so FREE listings can't buy them; TOP_OF_CATEGORY lists the listing first on its category's pages.",
+    body: obj({ packageId: str(), startDate: dateTime(), useWallet: bool() }, [
+      "packageId",
+    ]),
+    status: 201,
+    response: obj({
+      order: obj({ id: str(), amount: int(), currency: str() }),
+      paymentOrderId: str(),
+      paidFromWallet: bool(),
+      paymentId: str(),
+      walletBalance: num({ description: "Rupees" }),
+      promotionPackage: ref("PromotionPackage"),
+    }),
+  },
+  "GET /listings/:id/promotions": {
+    summary: "Promotion history for your listing, newest first",
+    response: arrayOf(ref("Promotion")),
+  },
+};
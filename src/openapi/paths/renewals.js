@@ -0,0 +1,41 @@
+import {
+  arrayOf,
+  dateTime,
+  extend,
+  int,
+  num,
+  obj,
+  ref,
+  str,
+} from "../schema.js";
+
+const mandate = extend(ref("RenewalMandate"), {
+  listing: obj({ id: int(), title: str(), expiresAt: dateTime() }),
+  plan: obj({ id: str(), name: str(), durationDays: int(), price: num() }),
+});
+
+export default {
+  "GET /profile/renewals": {
+    summary: "List the seller's auto-renewal mandates",
+    response: arrayOf(mandate),
+  },
+  "POST /profile/renewals": {
+    summary: "Set up auto-renewal for a listing",
+    description:
+      "Creates a Razorpay subscription on the listing's plan; the seller authorises it at shortUrl. Plans shorter than 7 days can't auto-renew.",
+    body: obj({ listingId: int() }, ["listingId"]),
+    status: 201,
+    response: obj({
+      mandate: ref("RenewalMandate"),
+      subscriptionId: str(),
+      shortUrl: str({ format: "uri" }),
+      key: str({ description: "Razorpay key id for the checkout widget" }),
+    }),
+    errors: [400, 404, 409],
+  },
+  "DELETE /profile/renewals/:id": {
+    summary: "Cancel auto-renewal",
+    description: "The listing keeps whatever time it has already paid for.",
+    response: ref("RenewalMandate"),
+  },
+};
@@ -0,0 +1,32 @@
+import { arrayOf, extend, int, message, obj, ref, str } from "../schema.js";
+
+const review = obj({ review: ref("Review") });
+
+export default {
+  "GET /reviews": {
+    summary: "A listing's reviews, newest first",
+    query: obj({ listingId: int() }, ["listingId"]),
+    response: obj({
+      reviews: arrayOf(
+        extend(ref("Review"), {
+          user: obj({ id: int(), firstName: str(), lastName: str() }),
+        })
+      ),
+    }),
+  },
+  "POST /reviews": {
+    summary: "Review a listing",
+    description: "One review per listing; updates the listing's rating.",
+    status: 201,
+    response: review,
+    errors: [409],
+  },
+  "PUT /reviews/:id": {
+    summary: "Edit your review",
+    response: review,
+  },
+  "DELETE /reviews/:id": {
+    summary: "Delete a review",
+    response: message(),
+  },
+};
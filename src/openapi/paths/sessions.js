@@ -0,0 +1,33 @@
+import {
+  arrayOf,
+  bool,
+  dateTime,
+  message,
+  nullable,
+  obj,
+  str,
+} from "../schema.js";
+
+export default {
+  "GET /sessions": {
+    summary: "The user's signed-in devices, most recently used first",
+    response: arrayOf(
+      obj({
+        id: str(),
+        deviceName: nullable(str()),
+        userAgent: nullable(str()),
+        ipAddress: nullable(str()),
+        createdAt: dateTime(),
+        lastUsedAt: dateTime(),
+        expiresAt: dateTime(),
+        current: bool(),
+      })
+    ),
+  },
+  "DELETE /sessions/:id": {
+    summary: "Sign a device out",
+    description:
+      "Its access token and refresh token stop working straight away.",
+    response: message(),
+  },
+};
@@ -0,0 +1,25 @@
+import { arrayOf, int, num, obj, ref, str } from "../schema.js";
+
+export default {
+  "GET /wallet": {
+    summary: "Wallet balance and ledger, newest first",
+    response: obj({
+      balance: num({ description: "Rupees" }),
+      transactions: arrayOf(ref("WalletEntry")),
+      total: int(),
+      page: int(),
+      totalPages: int(),
+    }),
+  },
+  "POST /wallet/top-up": {
+    summary: "Start a wallet top-up",
+    description:
+      "Creates a Razorpay order; the payment completes through checkout and /payments/verify.",
+    body: obj({ amount: num({ description: "Rupees" }) }, ["amount"]),
+    status: 201,
+    response: obj({
+      order: obj({ id: str(), amount: int(), currency: str() }),
+      paymentOrderId: str(),
+    }),
+  },
+};
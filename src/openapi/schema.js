@@ -0,0 +1,39 @@
+// Shorthand for the JSON Schema fragments in the OpenAPI document
+export const str = (extra) => ({ type: "string", ...extra });
+export const int = (extra) => ({ type: "integer", ...extra });
+export const num = (extra) => ({ type: "number", ...extra });
+export const bool = () => ({ type: "boolean" });
+export const dateTime = () => ({ type: "string", format: "date-time" });
+export const json = () => ({});
+export const file = () => ({ type: "string", format: "binary" });
+export const enumOf = (values) => ({ type: "string", enum: values });
+export const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+export const arrayOf = (items) => ({ type: "array", items });
+
+export const nullable = (schema) =>
+  schema.type
+    ? { ...schema, type: [schema.type, "null"] }
+    : { anyOf: [schema, { type: "null" }] };
+
+// An object with `properties`; `required` lists the ones that must be set
+export const obj = (properties = {}, required = []) => ({
+  type: "object",
+  properties,
+  ...(required.length > 0 && { required }),
+});
+
+// `schema` plus more properties, e.g. a record with its relations included
+export const extend = (schema, properties) => ({
+  allOf: [schema, obj(properties)],
+});
+
+// The { <key>: [...], total, page, totalPages } pages admin lists return
+export const paged = (key, items) =>
+  obj({
+    [key]: arrayOf(items),
+    total: int(),
+    page: int(),
+    totalPages: int(),
+  });
+
+export const message = () => obj({ message: str() });
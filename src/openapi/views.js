@@ -0,0 +1,94 @@
+import {
+  arrayOf,
+  bool,
+  dateTime,
+  extend,
+  int,
+  json,
+  nullable,
+  num,
+  obj,
+  ref,
+  str,
+} from "./schema.js";
+
+// Shapes the API builds itself rather than returning records as stored,
+// shared by several routes
+export const views = {
+  // utils/paymentHistory.js formatPayment
+  PaymentSummary: obj({
+    id: str(),
+    amount: num(),
+    currency: str(),
+    status: ref("PaymentStatus"),
+    paymentMethod: nullable(str()),
+    transactionId: nullable(str()),
+    failureReason: nullable(str()),
+    refundedAmount: nullable(num()),
+    refundedAt: nullable(dateTime()),
+    isRenewal: bool(),
+    createdAt: dateTime(),
+    listing: obj({ id: int(), title: str() }),
+    purchase: nullable(json()),
+    invoice: nullable(
+      obj({
+        id: str(),
+        invoiceNumber: str(),
+        issuedAt: dateTime(),
+        taxRate: num(),
+        taxableAmount: num(),
+        cgstAmount: num(),
+        sgstAmount: num(),
+        igstAmount: num(),
+        totalAmount: num(),
+      })
+    ),
+  }),
+  // formatPaymentDetail: the summary plus checkout pricing and timeline
+  PaymentDetail: extend(ref("PaymentSummary"), {
+    refundReason: nullable(str()),
+    checkout: nullable(
+      obj({
+        originalAmount: num({ description: "Rupees" }),
+        discountAmount: num({ description: "Rupees" }),
+        couponCode: nullable(str()),
+        orderCreatedAt: dateTime(),
+        paidAt: nullable(dateTime()),
+      })
+    ),
+    events: arrayOf(
+      obj({
+        fromStatus: nullable(ref("PaymentStatus")),
+        toStatus: ref("PaymentStatus"),
+        reason: nullable(str()),
+        createdAt: dateTime(),
+      })
+    ),
+  }),
+  // utils/wallet.js formatWalletTransaction; amounts in rupees
+  WalletEntry: obj({
+    id: str(),
+    type: ref("WalletTransactionType"),
+    amount: num(),
+    balanceAfter: num(),
+    description: nullable(str()),
+    paymentId: nullable(str()),
+    createdAt: dateTime(),
+  }),
+  // The storefront banner feeds, e.g. utils/middleBanner.js
+  // formatMiddleBanners; category banners add categoryName and categoryId
+  BannerFeedItem: obj({
+    id: int(),
+    imageUrl: str(),
+    title: str(),
+    subtitle: str(),
+    link: str(),
+    youtubeUrl: nullable(str()),
+    isGlobal: bool(),
+    locationScore: num(),
+    expiresAt: nullable(dateTime()),
+    pincode: nullable(int()),
+    categoryName: str(),
+    categoryId: str(),
+  }),
+};
@@ -0,0 +1,730 @@
+import { Router } from "express";
+import bcrypt from "bcryptjs";
+import jwt from "jsonwebtoken";
+import prisma from "../../utils/prisma.js";
+import authenticateAdmin from "../../middleware/adminAuth.js";
+import {
+  confirmTotpEnrollment,
+  countRecoveryCodesLeft,
+  disableTwoFactor,
+  isTwoFactorEnabled,
+  regenerateRecoveryCodes,
+  startTotpEnrollment,
+  verifySecondFactor,
+} from "../../utils/adminTwoFactor.js";
+import { recordAudit } from "../../utils/auditLog.js";
+import {
+  checkLoginThrottle,
+  clearLoginFailures,
+  recordLoginFailure,
+  throttledError,
+} from "../../utils/loginThrottle.js";
+import {
+  PERMISSIONS,
+  resolvePermissions,
+  unknownPermissions,
+} from "../../utils/permissions.js";
+import { HttpError } from "../../utils/httpError.js";
+import {
+  email,
+  invalidFields,
+  list,
+  password,
+  string,
+  validateBody,
+} from "../../utils/validation.js";
+
+const router = Router();
+
+// createApp() refuses to start without JWT_SECRET_ADMIN
+const ADMIN_JWT_SECRET = process.env.JWT_SECRET_ADMIN;
+
+// Separate key so a 2FA challenge can never pass as an adminToken
+const ADMIN_2FA_SECRET = `${ADMIN_JWT_SECRET}:two-factor`;
+
+const adminCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: process.env.sameSite,
+};
+
+// Carries a passed password check over to POST /admin/login/2fa
+const ADMIN_2FA_COOKIE = "adminTwoFactor";
+
+const twoFactorCookieOptions = { ...adminCookieOptions, path: "/admin/login" };
+
+function issueAdminToken(res, admin) {
+  const token = jwt.sign(
+    { adminId: admin.id, permissions: admin.permissions },
+    ADMIN_JWT_SECRET,
+    { expiresIn: "1d" }
+  );
+
+  res.cookie("adminToken", token, {
+    ...adminCookieOptions,
+    maxAge: 24 * 60 * 60 * 1000,
+  });
+}
+
+// Never send the password hash or TOTP secret to the client
+const publicAdmin = ({ password, totpSecret, totpLastStep, ...admin }) => ({
+  ...admin,
+  twoFactorEnabled: !!admin.totpEnabledAt,
+});
+
+// The very first admin signs up on their own and becomes SUPER; after
+// that only a SUPER admin can add admins
+const requireSuperUnlessFirstAdmin = async (req, res, next) => {
+  try {
+    if ((await prisma.admin.count()) === 0) return next();
+  } catch (error) {
+    return next(error);
+  }
+  authenticateAdmin(["SUPER"])(req, res, next);
+};
+
+// Checks a { permissions, roleIds } body against the catalog and the
+// roles table. Returns an error message, or null.
+async function validateAdminAccess({ permissions, roleIds }) {
+  if (permissions !== undefined) {
+    if (!Array.isArray(permissions)) return "permissions must be an array";
+    const unknown = unknownPermissions(permissions);
+    if (unknown.length > 0) {
+      return `Unknown permissions: ${unknown.join(", ")}`;
+    }
+  }
+
+  if (roleIds !== undefined) {
+    if (!Array.isArray(roleIds)) return "roleIds must be an array";
+    const found = await prisma.adminRole.count({
+      where: { id: { in: roleIds } },
+    });
+    if (found !== new Set(roleIds).size) return "Unknown role";
+  }
+
+  return null;
+}
+
+// What admin.create and admin.update_access audit entries record
+const accessSnapshot = (admin) => ({
+  permissions: admin.permissions,
+  roles: admin.roles.map((role) => role.name),
+});
+
+const registerSchema = {
+  name: string({ max: 100 }),
+  email: email(),
+  password: password(),
+  permissions: list(string({ max: 50 }), { default: [] }),
+  roleIds: list(string({ max: 64 }), { default: [] }),
+};
+
+// Sign-in only looks the email up, so any text will do
+const loginSchema = {
+  email: string({ max: 254 }),
+  password: password(),
+};
+
+const secondFactorSchema = {
+  code: string({ max: 20, optional: true }),
+  recoveryCode: string({ max: 50, optional: true }),
+};
+
+const invalidCredentials = () =>
+  new HttpError(401, "INVALID_CREDENTIALS", "Invalid credentials");
+
+const loginExpired = () =>
+  new HttpError(401, "LOGIN_EXPIRED", "Login expired, sign in again");
+
+// Run inside the transaction making the change, so it rolls back when no
+// SUPER admin would be left to manage the others
+async function assertSuperAdminRemains(tx) {
+  const supers = await tx.admin.count({
+    where: {
+      OR: [
+        { permissions: { has: "SUPER" } },
+        { roles: { some: { permissions: { has: "SUPER" } } } },
+      ],
+    },
+  });
+  if (supers === 0) {
+    throw new HttpError(
+      400,
+      "LAST_SUPER_ADMIN",
+      "At least one admin must keep SUPER access"
+    );
+  }
+}
+
+// POST /admin/register - Add an admin with direct { permissions } and
+// { roleIds }. Open only while there are no admins at all.
+router.post(
+  "/register",
+  requireSuperUnlessFirstAdmin,
+  validateBody(registerSchema),
+  async (req, res, next) => {
+    try {
+      const { name, email, password, permissions, roleIds } = req.body;
+      const isFirstAdmin = !req.admin;
+
+      const invalid = await validateAdminAccess({ permissions, roleIds });
+      if (invalid) {
+        throw new HttpError(400, "BAD_REQUEST", invalid);
+      }
+
+      const existingAdmin = await prisma.admin.findUnique({ where: { email } });
+
+      if (existingAdmin) {
+        throw new HttpError(
+          400,
+          "ALREADY_EXISTS",
+          "Admin already exists with this email"
+        );
+      }
+
+      const hashedPassword = await bcrypt.hash(password, 10);
+
+      const newAdmin = await prisma.admin.create({
+        data: {
+          name,
+          email,
+          password: hashedPassword,
+          permissions: isFirstAdmin ? ["SUPER"] : permissions,
+          roles: { connect: roleIds.map((id) => ({ id })) },
+        },
+        include: { roles: true },
+      });
+
+      await recordAudit(req, {
+        action: "admin.create",
+        entityType: "Admin",
+        entityId: newAdmin.id,
+        after: { email: newAdmin.email, ...accessSnapshot(newAdmin) },
+      });
+
+      // A SUPER admin adding someone stays signed in as themselves
+      if (isFirstAdmin) {
+        issueAdminToken(res, newAdmin);
+      }
+
+      res.status(201).json({
+        message: "Admin registered successfully",
+        admin: publicAdmin(newAdmin),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post("/login", validateBody(loginSchema), async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    const throttle = await checkLoginThrottle("admin", email, req);
+    if (throttle) {
+      throw throttledError(res, throttle);
+    }
+
+    const admin = await prisma.admin.findUnique({ where: { email } });
+
+    const passwordValid =
+      !!admin && (await bcrypt.compare(password, admin.password));
+
+    if (!passwordValid) {
+      await recordLoginFailure("admin", email, req, { adminId: admin?.id });
+      throw invalidCredentials();
+    }
+
+    // No adminToken yet: the code goes to POST /admin/login/2fa, and the
+    // failure count stands until it passes
+    if (isTwoFactorEnabled(admin)) {
+      const challenge = jwt.sign({ adminId: admin.id }, ADMIN_2FA_SECRET, {
+        expiresIn: "5m",
+      });
+      res.cookie(ADMIN_2FA_COOKIE, challenge, {
+        ...twoFactorCookieOptions,
+        maxAge: 5 * 60 * 1000,
+      });
+
+      return res.status(200).json({
+        message: "Enter your authentication code",
+        twoFactorRequired: true,
+      });
+    }
+
+    await clearLoginFailures("admin", email);
+    issueAdminToken(res, admin);
+
+    res.status(200).json({
+      message: "Admin login successful",
+      admin: publicAdmin(admin),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /admin/login/2fa - Second login step. Body: { code } from the
+// authenticator app, or { recoveryCode }
+router.post(
+  "/login/2fa",
+  validateBody(secondFactorSchema),
+  async (req, res, next) => {
+    try {
+      const { code, recoveryCode } = req.body;
+
+      if (!code && !recoveryCode) {
+        throw invalidFields({ code: "Required" });
+      }
+
+      let challenge;
+      try {
+        challenge = jwt.verify(
+          req.cookies[ADMIN_2FA_COOKIE] || "",
+          ADMIN_2FA_SECRET
+        );
+      } catch {
+        throw loginExpired();
+      }
+
+      const admin = await prisma.admin.findUnique({
+        where: { id: challenge.adminId },
+      });
+
+      if (!admin || !isTwoFactorEnabled(admin)) {
+        throw loginExpired();
+      }
+
+      const throttle = await checkLoginThrottle("admin", admin.email, req);
+      if (throttle) {
+        throw throttledError(res, throttle);
+      }
+
+      const method = await verifySecondFactor(
+        admin,
+        { code, recoveryCode },
+        {
+          ipAddress: req.ip || null,
+          userAgent: req.get("user-agent")?.slice(0, 512) || null,
+        }
+      );
+
+      if (!method) {
+        await recordLoginFailure("admin", admin.email, req, {
+          adminId: admin.id,
+        });
+        throw new HttpError(
+          401,
+          "INVALID_2FA_CODE",
+          "Invalid authentication code"
+        );
+      }
+
+      await clearLoginFailures("admin", admin.email);
+      res.clearCookie(ADMIN_2FA_COOKIE, twoFactorCookieOptions);
+      issueAdminToken(res, admin);
+
+      res.status(200).json({
+        message: "Admin login successful",
+        admin: publicAdmin(admin),
+        ...(method === "recovery" && {
+          recoveryCodesLeft: await countRecoveryCodesLeft(admin.id),
+        }),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post("/logout", (req, res) => {
+  res.clearCookie("adminToken", adminCookieOptions);
+  res.status(200).json({ message: "Admin logged out successfully" });
+});
+
+router.get("/check-auth", authenticateAdmin(), (req, res) => {
+  res.status(200).json({
+    isAuthenticated: true,
+    admin: publicAdmin(req.admin),
+    permissions: req.permissions,
+  });
+});
+
+// GET /admin/2fa - Whether 2FA is on and how many recovery codes are left
+router.get("/2fa", authenticateAdmin(), async (req, res, next) => {
+  try {
+    const enabled = isTwoFactorEnabled(req.admin);
+
+    res.json({
+      enabled,
+      enabledAt: req.admin.totpEnabledAt,
+      recoveryCodesLeft: enabled
+        ? await countRecoveryCodesLeft(req.admin.id)
+        : 0,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /admin/2fa/setup - Start enrollment. Returns the secret and the
+// otpauth:// URI for the frontend to render as a QR code.
+router.post("/2fa/setup", authenticateAdmin(), async (req, res, next) => {
+  try {
+    const result = await startTotpEnrollment(req.admin);
+
+    if (result.error) {
+      throw new HttpError(400, "BAD_REQUEST", result.error);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /admin/2fa/enable - Finish enrollment with { code } from the app.
+// The recovery codes in the response are shown only this once.
+router.post("/2fa/enable", authenticateAdmin(), async (req, res, next) => {
+  try {
+    const result = await confirmTotpEnrollment(req.admin, req.body.code);
+
+    if (result.error) {
+      throw new HttpError(400, "BAD_REQUEST", result.error);
+    }
+
+    res.json({
+      message: "Two-factor authentication enabled",
+      recoveryCodes: result.recoveryCodes,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /admin/2fa/recovery-codes - Replace all recovery codes; needs a
+// current { code } from the app
+router.post(
+  "/2fa/recovery-codes",
+  authenticateAdmin(),
+  async (req, res, next) => {
+    try {
+      const method = await verifySecondFactor(req.admin, {
+        code: req.body.code,
+      });
+
+      if (!method) {
+        throw new HttpError(
+          400,
+          "INVALID_2FA_CODE",
+          "Invalid authentication code"
+        );
+      }
+
+      res.json({
+        recoveryCodes: await regenerateRecoveryCodes(req.admin.id),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /admin/2fa/disable - Turn 2FA off. Body: { password } plus { code }
+// or { recoveryCode }
+router.post("/2fa/disable", authenticateAdmin(), async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!isTwoFactorEnabled(req.admin)) {
+      throw new HttpError(
+        400,
+        "BAD_REQUEST",
+        "Two-factor authentication is not enabled"
+      );
+    }
+
+    const passwordValid = await bcrypt.compare(
+      password || "",
+      req.admin.password
+    );
+    const method =
+      passwordValid &&
+      (await verifySecondFactor(req.admin, { code, recoveryCode }));
+
+    if (!method) {
+      throw new HttpError(
+        400,
+        "INVALID_CREDENTIALS",
+        "Invalid password or authentication code"
+      );
+    }
+
+    await disableTwoFactor(req.admin);
+
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /admin/admins/:id/2fa/reset - Clear another admin's 2FA after a
+// lost device. They can sign in with just their password and enroll again.
+router.post(
+  "/admins/:id/2fa/reset",
+  authenticateAdmin(["SUPER"]),
+  async (req, res, next) => {
+    try {
+      const admin = await prisma.admin.findUnique({
+        where: { id: req.params.id },
+      });
+
+      if (!admin) {
+        throw new HttpError(404, "NOT_FOUND", "Admin not found");
+      }
+
+      if (!isTwoFactorEnabled(admin) && !admin.totpSecret) {
+        throw new HttpError(
+          400,
+          "BAD_REQUEST",
+          "Two-factor authentication is not set up"
+        );
+      }
+
+      await disableTwoFactor(admin, {
+        actorAdminId: req.admin.id,
+        reason: req.body?.reason,
+      });
+
+      await recordAudit(req, {
+        action: "admin.reset_2fa",
+        entityType: "Admin",
+        entityId: admin.id,
+        before: { totpEnabledAt: admin.totpEnabledAt },
+        after: { totpEnabledAt: null },
+        metadata: { reason: req.body?.reason ?? null },
+      });
+
+      res.json({ message: "Two-factor authentication reset" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /admin/permissions - The permission catalog, for role editors
+router.get("/permissions", authenticateAdmin(), (req, res) => {
+  res.json(
+    Object.entries(PERMISSIONS).map(([name, description]) => ({
+      name,
+      description,
+    }))
+  );
+});
+
+// GET /admin/roles - Roles with how many admins hold each
+router.get("/roles", authenticateAdmin(["SUPER"]), async (req, res, next) => {
+  try {
+    const roles = await prisma.adminRole.findMany({
+      include: { _count: { select: { admins: true } } },
+      orderBy: { name: "asc" },
+    });
+
+    res.json(roles);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /admin/roles - Create a role. Body: { name, description, permissions }
+router.post("/roles", authenticateAdmin(["SUPER"]), async (req, res, next) => {
+  try {
+    const { name, description, permissions = [] } = req.body;
+
+    if (!name) {
+      throw invalidFields({ name: "Required" });
+    }
+
+    const invalid = await validateAdminAccess({ permissions });
+    if (invalid) {
+      throw new HttpError(400, "BAD_REQUEST", invalid);
+    }
+
+    const role = await prisma.adminRole.create({
+      data: { name, description, permissions },
+    });
+
+    await recordAudit(req, {
+      action: "role.create",
+      entityType: "AdminRole",
+      entityId: role.id,
+      after: role,
+    });
+
+    res.status(201).json(role);
+  } catch (error) {
+    if (error.code === "P2002") {
+      return next(
+        new HttpError(400, "ALREADY_EXISTS", "Role name already exists")
+      );
+    }
+    next(error);
+  }
+});
+
+// PUT /admin/roles/:id - Rename a role or change its permissions; takes
+// effect for its admins on their next request
+router.put(
+  "/roles/:id",
+  authenticateAdmin(["SUPER"]),
+  async (req, res, next) => {
+    try {
+      const { name, description, permissions } = req.body;
+
+      const invalid = await validateAdminAccess({ permissions });
+      if (invalid) {
+        throw new HttpError(400, "BAD_REQUEST", invalid);
+      }
+
+      const before = await prisma.adminRole.findUnique({
+        where: { id: req.params.id },
+      });
+
+      const role = await prisma.$transaction(async (tx) => {
+        const updated = await tx.adminRole.update({
+          where: { id: req.params.id },
+          data: { name, description, permissions },
+        });
+        await assertSuperAdminRemains(tx);
+        return updated;
+      });
+
+      await recordAudit(req, {
+        action: "role.update",
+        entityType: "AdminRole",
+        entityId: role.id,
+        before,
+        after: role,
+      });
+
+      res.json(role);
+    } catch (error) {
+      if (error.code === "P2025") {
+        return next(new HttpError(404, "NOT_FOUND", "Role not found"));
+      }
+      if (error.code === "P2002") {
+        return next(
+          new HttpError(400, "ALREADY_EXISTS", "Role name already exists")
+        );
+      }
+      next(error);
+    }
+  }
+);
+
+// DELETE /admin/roles/:id - Delete a role; its admins keep their direct
+// grants and other roles
+router.delete(
+  "/roles/:id",
+  authenticateAdmin(["SUPER"]),
+  async (req, res, next) => {
+    try {
+      const role = await prisma.$transaction(async (tx) => {
+        const deleted = await tx.adminRole.delete({
+          where: { id: req.params.id },
+        });
+        await assertSuperAdminRemains(tx);
+        return deleted;
+      });
+
+      await recordAudit(req, {
+        action: "role.delete",
+        entityType: "AdminRole",
+        entityId: role.id,
+        before: role,
+      });
+
+      res.json({ message: "Role deleted" });
+    } catch (error) {
+      if (error.code === "P2025") {
+        return next(new HttpError(404, "NOT_FOUND", "Role not found"));
+      }
+      next(error);
+    }
+  }
+);
+
+// GET /admin/admins - Admins with their roles and effective permissions
+router.get("/admins", authenticateAdmin(["SUPER"]), async (req, res, next) => {
+  try {
+    const admins = await prisma.admin.findMany({
+      include: { roles: true },
+      orderBy: { createdAt: "asc" },
+    });
+
+    res.json(
+      admins.map((admin) => ({
+        ...publicAdmin(admin),
+        effectivePermissions: resolvePermissions(admin),
+      }))
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /admin/admins/:id/access - Replace an admin's direct { permissions }
+// and/or { roleIds }
+router.put(
+  "/admins/:id/access",
+  authenticateAdmin(["SUPER"]),
+  async (req, res, next) => {
+    try {
+      const { permissions, roleIds } = req.body;
+
+      const invalid = await validateAdminAccess({ permissions, roleIds });
+      if (invalid) {
+        throw new HttpError(400, "BAD_REQUEST", invalid);
+      }
+
+      const before = await prisma.admin.findUnique({
+        where: { id: req.params.id },
+        include: { roles: true },
+      });
+
+      const admin = await prisma.$transaction(async (tx) => {
+        const updated = await tx.admin.update({
+          where: { id: req.params.id },
+          data: {
+            permissions,
+            roles: roleIds && { set: roleIds.map((id) => ({ id })) },
+          },
+          include: { roles: true },
+        });
+        await assertSuperAdminRemains(tx);
+        return updated;
+      });
+
+      await recordAudit(req, {
+        action: "admin.update_access",
+        entityType: "Admin",
+        entityId: admin.id,
+        before: before && accessSnapshot(before),
+        after: accessSnapshot(admin),
+      });
+
+      res.json({
+        ...publicAdmin(admin),
+        effectivePermissions: resolvePermissions(admin),
+      });
+    } catch (error) {
+      if (error.code === "P2025") {
+        return next(new HttpError(404, "NOT_FOUND", "Admin not found"));
+      }
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,254 @@
+import { Router } from "express";
+import prisma from "../../utils/prisma.js";
+import authenticateAdmin from "../../middleware/adminAuth.js";
+import { recordAudit } from "../../utils/auditLog.js";
+import { HttpError } from "../../utils/httpError.js";
+import { string, validateBody } from "../../utils/validation.js";
+
+const router = Router();
+
+// Categories and cities are both just a name, stored in capitals
+const nameSchema = { name: string({ max: 100 }) };
+
+router.get("/cities", authenticateAdmin(), async (req, res, next) => {
+  try {
+    const cities = await prisma.city.findMany({
+      include: {
+        _count: {
+          select: { listings: { where: { status: "APPROVED" } } },
+        },
+      },
+    });
+
+    res.json(cities);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Category Management
+router.get("/categories", authenticateAdmin(), async (req, res, next) => {
+  try {
+    const categories = await prisma.category.findMany({
+      include: {
+        _count: {
+          select: { listings: true },
+        },
+      },
+      orderBy: { name: "asc" },
+    });
+    res.json(categories);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post(
+  "/categories",
+  authenticateAdmin(["CATALOG_MANAGE"]),
+  validateBody(nameSchema),
+  async (req, res, next) => {
+    try {
+      const { name } = req.body;
+
+      // Convert name to uppercase
+      const uppercaseName = name.toUpperCase();
+
+      const category = await prisma.category.create({
+        data: {
+          name: uppercaseName,
+        },
+      });
+
+      await recordAudit(req, {
+        action: "category.create",
+        entityType: "Category",
+        entityId: category.id,
+        after: category,
+      });
+
+      res.status(201).json(category);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post(
+  "/cities",
+  authenticateAdmin(["CATALOG_MANAGE"]),
+  validateBody(nameSchema),
+  async (req, res, next) => {
+    try {
+      const { name } = req.body;
+
+      // Convert name to uppercase
+      const uppercaseName = name.toUpperCase();
+
+      const city = await prisma.city.create({
+        data: {
+          name: uppercaseName,
+        },
+      });
+
+      await recordAudit(req, {
+        action: "city.create",
+        entityType: "City",
+        entityId: city.id,
+        after: city,
+      });
+
+      res.status(201).json(city);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.put(
+  "/categories/:id",
+  authenticateAdmin(["CATALOG_MANAGE"]),
+  validateBody(nameSchema),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { name } = req.body;
+
+      const uppercaseName = name.toUpperCase();
+
+      const before = await prisma.category.findUnique({ where: { id } });
+
+      const category = await prisma.category.update({
+        where: { id: id },
+        data: {
+          name: uppercaseName,
+        },
+      });
+
+      await recordAudit(req, {
+        action: "category.update",
+        entityType: "Category",
+        entityId: category.id,
+        before,
+        after: category,
+      });
+
+      res.json(category);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.put(
+  "/cities/:id",
+  authenticateAdmin(["CATALOG_MANAGE"]),
+  validateBody(nameSchema),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { name } = req.body;
+
+      const uppercaseName = name.toUpperCase();
+
+      const before = await prisma.city.findUnique({ where: { id } });
+
+      const city = await prisma.city.update({
+        where: { id: id },
+        data: {
+          name: uppercaseName,
+        },
+      });
+
+      await recordAudit(req, {
+        action: "city.update",
+        entityType: "City",
+        entityId: city.id,
+        before,
+        after: city,
+      });
+
+      res.json(city);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.delete(
+  "/categories/:id",
+  authenticateAdmin(["CATALOG_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      // Check if category has listings
+      const listingsCount = await prisma.listing.count({
+        where: { categoryId: id },
+      });
+
+      if (listingsCount > 0) {
+        throw new HttpError(
+          400,
+          "IN_USE",
+          "Cannot delete category with active listings",
+          null,
+          { listingsCount }
+        );
+      }
+
+      const category = await prisma.category.delete({ where: { id } });
+
+      await recordAudit(req, {
+        action: "category.delete",
+        entityType: "Category",
+        entityId: category.id,
+        before: category,
+      });
+
+      res.json({ message: "Category deleted successfully" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.delete(
+  "/cities/:id",
+  authenticateAdmin(["CATALOG_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      // Check if category has listings
+      const listingsCount = await prisma.listing.count({
+        where: { cityId: id },
+      });
+
+      if (listingsCount > 0) {
+        throw new HttpError(
+          400,
+          "IN_USE",
+          "Cannot delete category with active listings",
+          null,
+          { listingsCount }
+        );
+      }
+
+      const city = await prisma.city.delete({ where: { id } });
+
+      await recordAudit(req, {
+        action: "city.delete",
+        entityType: "City",
+        entityId: city.id,
+        before: city,
+      });
+
+      res.json({ message: "Category deleted successfully" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
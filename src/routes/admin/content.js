@@ -0,0 +1,321 @@
+import { Router } from "express";
+import prisma from "../../utils/prisma.js";
+import authenticateAdmin from "../../middleware/adminAuth.js";
+import { recordAudit } from "../../utils/auditLog.js";
+import {
+  boolean,
+  integer,
+  isoDate,
+  number,
+  string,
+  url,
+  validateBody,
+  validateParams,
+} from "../../utils/validation.js";
+import { HttpError } from "../../utils/httpError.js";
+
+const router = Router();
+
+const offerSchema = {
+  vendorName: string({ max: 120 }),
+  discount: string({ max: 50 }),
+  promoCode: string({ max: 50, default: "" }),
+  description: string({ max: 1000, default: "" }),
+  link: url({ optional: true }),
+  validUntil: isoDate(),
+  rating: number({ min: 0, max: 5, default: 0 }),
+};
+
+const offerUpdateSchema = {
+  ...offerSchema,
+  isActive: boolean(),
+};
+
+const offerIdParams = { id: integer({ min: 1 }) };
+
+router.get(
+  "/offer-zone",
+  authenticateAdmin(["CONTENT_EDIT"]),
+  async (req, res, next) => {
+    try {
+      const currentDate = new Date().toISOString().split("T")[0];
+
+      const offers = await prisma.offerZone.findMany({
+        where: {
+          isActive: true,
+          validUntil: {
+            gte: currentDate,
+          },
+        },
+        orderBy: {
+          createdAt: "desc",
+        },
+        select: {
+          id: true,
+          vendorName: true,
+          discount: true,
+          promoCode: true,
+          link: true,
+          description: true,
+          validUntil: true,
+          rating: true,
+        },
+      });
+
+      if (offers.length === 0) {
+        return res.status(200).json({
+          success: false,
+          message: "No active offers found",
+          data: [],
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        count: offers.length,
+        data: offers,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Admin-only endpoint to create new offers
+router.post(
+  "/offer-zone",
+  authenticateAdmin(["CONTENT_EDIT"]),
+  validateBody(offerSchema),
+  async (req, res, next) => {
+    try {
+      const newOffer = await prisma.offerZone.create({
+        data: {
+          ...req.body,
+          category: "General",
+          isActive: true,
+        },
+      });
+
+      await recordAudit(req, {
+        action: "offer.create",
+        entityType: "OfferZone",
+        entityId: newOffer.id,
+        after: newOffer,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Offer created successfully",
+        data: newOffer,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Admin-only endpoint to update offers
+router.put(
+  "/offer-zone/:id",
+  authenticateAdmin(["CONTENT_EDIT"]),
+  validateParams(offerIdParams),
+  validateBody(offerUpdateSchema, { partial: true }),
+  async (req, res, next) => {
+    try {
+      const before = await prisma.offerZone.findUnique({
+        where: { id: req.params.id },
+      });
+
+      // A missing offer fails the update with P2025, sent as a 404
+      const updatedOffer = await prisma.offerZone.update({
+        where: { id: req.params.id },
+        data: {
+          ...req.body,
+          updatedAt: new Date(),
+        },
+      });
+
+      await recordAudit(req, {
+        action: "offer.update",
+        entityType: "OfferZone",
+        entityId: updatedOffer.id,
+        before,
+        after: updatedOffer,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Offer updated successfully",
+        data: updatedOffer,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Admin-only endpoint to delete offers
+router.delete(
+  "/offer-zone/:id",
+  authenticateAdmin(["CONTENT_EDIT"]),
+  async (req, res, next) => {
+    try {
+      const offerId = parseInt(req.params.id);
+      if (isNaN(offerId)) {
+        throw new HttpError(400, "BAD_REQUEST", "Invalid offer ID");
+      }
+
+      // Check if offer exists
+      const existingOffer = await prisma.offerZone.findUnique({
+        where: { id: offerId },
+      });
+
+      if (!existingOffer) {
+        throw new HttpError(404, "NOT_FOUND", "Offer not found");
+      }
+
+      // Soft delete (set isActive to false) or hard delete:
+      // Option 1: Soft delete
+      // await prisma.offerZone.update({
+      //   where: { id: String(offerId) },
+      //   data: {
+      //     isActive: false,
+      //     updatedAt: new Date(),
+      //   },
+      // });
+
+      // Option 2: Hard delete
+      await prisma.offerZone.delete({
+        where: { id: offerId },
+      });
+
+      await recordAudit(req, {
+        action: "offer.delete",
+        entityType: "OfferZone",
+        entityId: offerId,
+        before: existingOffer,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Offer deleted successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /admin/pages - List all pages
+router.get(
+  "/pages",
+  authenticateAdmin(["CONTENT_EDIT"]),
+  async (req, res, next) => {
+    try {
+      const pages = await prisma.page.findMany({
+        orderBy: { updatedAt: "desc" },
+      });
+      res.json(pages);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /admin/pages - Create new page
+router.post(
+  "/pages",
+  authenticateAdmin(["CONTENT_EDIT"]),
+  async (req, res, next) => {
+    const { title, slug, content } = req.body;
+
+    try {
+      // Check if page with this slug already exists
+      const existingPage = await prisma.page.findUnique({
+        where: { slug },
+      });
+
+      if (existingPage) {
+        throw new HttpError(
+          400,
+          "BAD_REQUEST",
+          "Page with this slug already exists"
+        );
+      }
+
+      const newPage = await prisma.page.create({
+        data: { title, slug, content },
+      });
+
+      await recordAudit(req, {
+        action: "page.create",
+        entityType: "Page",
+        entityId: newPage.id,
+        after: newPage,
+      });
+
+      res.json(newPage);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// PUT /admin/pages/:id - Update page
+router.put(
+  "/pages/:id",
+  authenticateAdmin(["CONTENT_EDIT"]),
+  async (req, res, next) => {
+    const { id } = req.params;
+    const { title, content } = req.body;
+
+    try {
+      const before = await prisma.page.findUnique({ where: { id } });
+
+      const updatedPage = await prisma.page.update({
+        where: { id },
+        data: { title, content },
+      });
+
+      await recordAudit(req, {
+        action: "page.update",
+        entityType: "Page",
+        entityId: id,
+        before,
+        after: updatedPage,
+      });
+
+      res.json(updatedPage);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// DELETE /admin/pages/:id - Delete page
+router.delete(
+  "/pages/:id",
+  authenticateAdmin(["CONTENT_EDIT"]),
+  async (req, res, next) => {
+    const { id } = req.params;
+
+    try {
+      const page = await prisma.page.delete({
+        where: { id },
+      });
+
+      await recordAudit(req, {
+        action: "page.delete",
+        entityType: "Page",
+        entityId: id,
+        before: page,
+      });
+
+      res.json({ success: true });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,991 @@
+import { Router } from "express";
+import prisma from "../../utils/prisma.js";
+import authenticateAdmin from "../../middleware/adminAuth.js";
+import upload from "../../middleware/upload.js";
+import { recordAudit } from "../../utils/auditLog.js";
+import { calculateExpirationDate } from "../../utils/listingExpiry.js";
+import {
+  OPEN_PROMOTION_STATUSES,
+  syncBannerFlags,
+  transitionPromotions,
+} from "../../utils/promotions.js";
+import { deleteFileFromS3, uploadFileToS3 } from "../../utils/upload.js";
+import { HttpError } from "../../utils/httpError.js";
+import { invalidFields, requireFields } from "../../utils/validation.js";
+
+const router = Router();
+
+router.post(
+  "/upload",
+  authenticateAdmin(["LISTINGS_EDIT"]),
+  upload.array("images", 10),
+  async (req, res, next) => {
+    try {
+      if (!req.files || req.files.length === 0) {
+        throw new HttpError(400, "BAD_REQUEST", "No files uploaded");
+      }
+
+      const imageTypes = [];
+      for (let i = 0; i < req.files.length; i++) {
+        const typeKey = `imageTypes[${i}]`;
+        imageTypes.push(req.body[typeKey] || "gallery");
+      }
+
+      const uploadPromises = req.files.map((file) => uploadFileToS3(file));
+      const uploadedFiles = await Promise.all(uploadPromises);
+
+      const urls = uploadedFiles.map((file, index) => ({
+        url: file.url,
+        type: imageTypes[index],
+        isPrimary: imageTypes[index] === "featured",
+        isGallery: imageTypes[index] === "gallery",
+        order: index,
+      }));
+
+      const primaryImage =
+        urls.find((img) => img.isPrimary)?.url || urls[0]?.url;
+
+      res.status(200).json({
+        success: true,
+        images: urls,
+        primaryImage,
+        galleryImages: urls
+          .filter((img) => img.isGallery)
+          .map((img) => img.url),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post(
+  "/listings",
+  authenticateAdmin(["LISTINGS_EDIT"]),
+  async (req, res, next) => {
+    try {
+      const {
+        categoryId,
+        type,
+        title,
+        description,
+        price,
+        negotiable,
+        cityId,
+        tags,
+        highlights,
+        phone,
+        website,
+        businessHours,
+        businessCategory,
+        establishedYear,
+        serviceArea,
+        teamSize,
+        rating,
+        reviewCount,
+        listingTier = "FREE",
+        photos, // This should be an array of { url, isBanner }
+        youtubeVideo,
+        locationUrl,
+        serviceRadius,
+        userId, // Seller the listing is posted for
+      } = req.body;
+
+      const missing = requireFields(req.body, [
+        "userId",
+        "categoryId",
+        "title",
+        "description",
+        "cityId",
+      ]);
+      if (missing) {
+        throw missing;
+      }
+
+      const seller = await prisma.user.findUnique({
+        where: { id: parseInt(userId) },
+        select: { id: true },
+      });
+
+      if (!seller) {
+        throw invalidFields({ userId: "Unknown seller" });
+      }
+
+      let processedHours = {};
+      if (businessHours) {
+        if (typeof businessHours === "string") {
+          try {
+            processedHours = JSON.parse(businessHours);
+          } catch (e) {
+            console.error("Error parsing business hours", e);
+          }
+        } else {
+          processedHours = businessHours;
+        }
+      }
+
+      const baseSlug = title
+        .toLowerCase()
+        .replace(/\s+/g, "-")
+        .replace(/[^\w-]+/g, "");
+      let slug = baseSlug;
+      let counter = 1;
+
+      while (await prisma.listing.findFirst({ where: { slug } })) {
+        slug = `${baseSlug}-${counter}`;
+        counter++;
+      }
+
+      // Direct approval for admin-created listings
+      const initialStatus = "APPROVED";
+      const isBannerEnabled = listingTier !== "FREE";
+
+      // Set expiration based on tier (longer durations for admin-created listings)
+      let expiresAt;
+      if (listingTier === "FREE") {
+        expiresAt = calculateExpirationDate(90); // 90 days for FREE
+      } else if (listingTier === "PREMIUM") {
+        expiresAt = calculateExpirationDate(180); // 180 days for PREMIUM
+      } else if (listingTier === "PREMIUM_PLUS") {
+        expiresAt = calculateExpirationDate(365); // 1 year for PREMIUM_PLUS
+      }
+
+      const newListing = await prisma.listing.create({
+        data: {
+          title,
+          description,
+          type: type === "Professional" ? "PROFESSIONAL" : "PRIVATE_INDIVIDUAL",
+          price: parseFloat(price) || 0,
+          negotiable: negotiable === "true" || negotiable === true,
+          category: { connect: { id: categoryId } },
+          user: { connect: { id: seller.id } },
+          city: { connect: { id: cityId } },
+          tags: Array.isArray(tags) ? tags : tags?.split(",") || [],
+          highlights: Array.isArray(highlights)
+            ? highlights
+            : highlights?.split(",") || [],
+          phone: phone || null,
+          website: website || null,
+          businessHours: processedHours,
+          businessCategory: businessCategory || null,
+          establishedYear: establishedYear ? parseInt(establishedYear) : null,
+          serviceArea: serviceArea || null,
+          teamSize: teamSize || null,
+          rating: rating ? parseFloat(rating) : null,
+          reviewCount: reviewCount ? parseInt(reviewCount) : null,
+          listingTier: listingTier,
+          status: initialStatus,
+          slug,
+          expiresAt: expiresAt,
+          isBannerEnabled,
+          youtubeVideo: youtubeVideo || null,
+          locationUrl: locationUrl || null,
+          serviceRadius: serviceRadius ? parseInt(serviceRadius) : null,
+        },
+        include: {
+          category: true,
+          user: true,
+          city: true,
+        },
+      });
+
+      if (photos && photos.length > 0) {
+        const bannerIndex = photos.findIndex((photo) => photo.isBanner);
+
+        await prisma.image.createMany({
+          data: photos.map((photo, index) => ({
+            url: photo.url,
+            isPrimary: index === 0,
+            isBanner: index === bannerIndex,
+            listingId: newListing.id,
+          })),
+        });
+      }
+
+      // Create promotion if tier is not FREE
+      if (listingTier !== "FREE") {
+        const promotionDays = listingTier === "PREMIUM" ? 30 : 60; // 30 days for PREMIUM, 60 for PREMIUM_PLUS
+        await prisma.promotion.create({
+          data: {
+            listingId: newListing.id,
+            price: 0, // Admin-created promotions are free
+            startDate: new Date(),
+            endDate: calculateExpirationDate(promotionDays),
+            durationDays: promotionDays,
+            isActive: true,
+          },
+        });
+      }
+
+      res.status(201).json({
+        message: "Admin listing created and approved successfully",
+        listing: newListing,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.put(
+  "/listing/:id",
+  authenticateAdmin(["LISTINGS_EDIT"]),
+  upload.array("images"),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const {
+        title,
+        description,
+        price,
+        negotiable,
+        categoryId,
+        cityId,
+        listingTier,
+        type,
+        tags = [],
+        highlights = [],
+        businessHours,
+        phone,
+        website,
+        businessCategory,
+        establishedYear,
+        serviceArea,
+        teamSize,
+        youtubeVideo,
+        locationUrl,
+        pincode,
+        serviceRadius,
+        imagesToDelete = [],
+      } = req.body;
+
+      // Find the listing
+      const listing = await prisma.listing.findUnique({
+        where: { id: parseInt(id) },
+        include: {
+          images: true,
+          user: true,
+          AdminApproval: true,
+        },
+      });
+
+      if (!listing) {
+        throw new HttpError(404, "NOT_FOUND", "Listing not found");
+      }
+
+      // Process image deletions first
+      if (imagesToDelete.length > 0) {
+        // Get the image records to be deleted
+        const imagesToRemove = await prisma.image.findMany({
+          where: {
+            id: { in: imagesToDelete.map((id) => parseInt(id)) },
+            listingId: listing.id,
+          },
+        });
+
+        // Delete from S3 first
+        await Promise.all(
+          imagesToRemove.map(async (image) => {
+            try {
+              const fileKey = image.url.split("/").pop();
+              await deleteFileFromS3(fileKey);
+            } catch (error) {
+              console.error(`Error deleting file from S3: ${image.url}`, error);
+            }
+          })
+        );
+
+        // Then delete from database
+        await prisma.image.deleteMany({
+          where: {
+            id: { in: imagesToDelete.map((id) => parseInt(id)) },
+            listingId: listing.id,
+          },
+        });
+      }
+
+      // Process new image uploads
+      const newImages = [];
+      if (req.files && req.files.length > 0) {
+        // Upload files to S3 and get URLs
+        const uploadResults = await Promise.all(
+          req.files.map((file) => uploadFileToS3(file))
+        );
+
+        newImages.push(
+          ...uploadResults.map((result, index) => ({
+            url: result.url,
+            isPrimary: index === 0 && listing.images.length === 0,
+            listingId: listing.id,
+          }))
+        );
+      }
+
+      // Prepare update data
+      const updateData = {
+        title,
+        description,
+        price: parseFloat(price),
+        negotiable: negotiable === "true" || negotiable === true,
+        categoryId,
+        cityId,
+        listingTier,
+        type,
+        tags: Array.isArray(tags)
+          ? tags
+          : typeof tags === "string"
+          ? tags
+              .split(",")
+              .map((t) => t.trim())
+              .filter((t) => t)
+          : [],
+        highlights: Array.isArray(highlights)
+          ? highlights
+          : typeof highlights === "string"
+          ? highlights
+              .split(",")
+              .map((h) => h.trim())
+              .filter((h) => h)
+          : [],
+        businessHours: businessHours,
+        phone: phone || null,
+        website: website || null,
+        businessCategory: businessCategory || null,
+        establishedYear: establishedYear ? parseInt(establishedYear) : null,
+        serviceArea: serviceArea || null,
+        teamSize: teamSize || null,
+        youtubeVideo: youtubeVideo || null,
+        locationUrl: locationUrl || null,
+        pincode: pincode ? parseInt(pincode) : null,
+        serviceRadius: serviceRadius ? parseInt(serviceRadius) : null,
+        updatedAt: new Date(),
+      };
+
+      // Update listing with transaction
+      const [updatedListing] = await prisma.$transaction([
+        prisma.listing.update({
+          where: { id: listing.id },
+          data: updateData,
+          include: {
+            images: true,
+            city: true,
+            category: true,
+            user: {
+              select: {
+                id: true,
+                firstName: true,
+                lastName: true,
+                phone: true,
+              },
+            },
+            AdminApproval: true,
+          },
+        }),
+        ...(newImages.length > 0
+          ? [
+              prisma.image.createMany({
+                data: newImages,
+              }),
+            ]
+          : []),
+      ]);
+
+      await recordAudit(req, {
+        action: "listing.update",
+        entityType: "Listing",
+        entityId: listing.id,
+        before: listing,
+        after: updatedListing,
+        metadata: {
+          imagesDeleted: imagesToDelete.length,
+          imagesAdded: newImages.length,
+        },
+      });
+
+      res.json({
+        success: true,
+        data: updatedListing,
+        message: "Listing updated successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.delete(
+  "/listings/:id",
+  authenticateAdmin(["LISTINGS_DELETE"]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const listing = await prisma.listing.findUnique({
+        where: { id: parseInt(id) },
+      });
+
+      if (!listing) {
+        throw new HttpError(404, "NOT_FOUND", "Listing not found");
+      }
+
+      // Delete related records
+      await prisma.promotion.deleteMany({ where: { listingId: parseInt(id) } });
+      await prisma.image.deleteMany({ where: { listingId: parseInt(id) } });
+      await prisma.favorite.deleteMany({ where: { listingId: parseInt(id) } });
+      await prisma.payment.deleteMany({ where: { listingId: parseInt(id) } });
+      await prisma.adminApproval.deleteMany({
+        where: { listingId: parseInt(id) },
+      });
+
+      // Delete the listing
+      await prisma.listing.delete({ where: { id: parseInt(id) } });
+
+      await recordAudit(req, {
+        action: "listing.delete",
+        entityType: "Listing",
+        entityId: listing.id,
+        before: listing,
+      });
+
+      res.json({ message: "Listing deleted successfully" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.get(
+  "/listings",
+  authenticateAdmin(["LISTINGS_VIEW"]),
+  async (req, res, next) => {
+    try {
+      const {
+        status,
+        category,
+        city,
+        type,
+        minPrice,
+        maxPrice,
+        search,
+        page = 1,
+        limit = 20,
+        sort = "newest",
+      } = req.query;
+
+      const where = {};
+      if (status) where.status = status;
+      if (category) where.categoryId = category;
+      if (city) {
+        where.city = { name: { contains: city, mode: "insensitive" } };
+      }
+      if (type) where.type = type;
+      if (minPrice) where.price = { gte: parseFloat(minPrice) };
+      if (maxPrice) {
+        where.price = { ...where.price, lte: parseFloat(maxPrice) };
+      }
+      if (search) {
+        where.OR = [
+          { title: { contains: search, mode: "insensitive" } },
+          { description: { contains: search, mode: "insensitive" } },
+          { city: { name: { contains: search, mode: "insensitive" } } },
+        ];
+      }
+
+      const orderBy = {};
+      if (sort === "newest") orderBy.createdAt = "desc";
+      if (sort === "oldest") orderBy.createdAt = "asc";
+      if (sort === "price-high") orderBy.price = "desc";
+      if (sort === "price-low") orderBy.price = "asc";
+
+      const listings = await prisma.listing.findMany({
+        where,
+        include: {
+          category: true,
+          images: {
+            take: 1,
+          },
+          user: {
+            select: {
+              id: true,
+              firstName: true,
+              lastName: true,
+              email: true,
+            },
+          },
+          promotions: {
+            where: { isActive: true },
+            orderBy,
+            take: 1,
+          },
+        },
+        skip: (parseInt(page) - 1) * parseInt(limit),
+        take: parseInt(limit),
+        orderBy: { createdAt: "desc" },
+      });
+
+      const total = await prisma.listing.count({ where });
+
+      res.json({
+        listings,
+        total,
+        page: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.get(
+  "/listings/:id",
+  authenticateAdmin(["LISTINGS_VIEW"]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const listing = await prisma.listing.findUnique({
+        where: { id: parseInt(id) },
+        include: {
+          category: true,
+          images: true,
+          user: {
+            select: {
+              id: true,
+              firstName: true,
+              lastName: true,
+              email: true,
+              phone: true,
+            },
+          },
+          promotions: {
+            where: { isActive: true },
+            orderBy: { createdAt: "desc" },
+          },
+          AdminApproval: true,
+        },
+      });
+
+      if (!listing) {
+        throw new HttpError(404, "NOT_FOUND", "Listing not found");
+      }
+
+      // Format business hours if they exist
+      let businessHours = {};
+      try {
+        businessHours = listing.businessHours
+          ? typeof listing.businessHours === "string"
+            ? JSON.parse(listing.businessHours)
+            : listing.businessHours
+          : {};
+      } catch (e) {
+        console.error("Error parsing business hours", e);
+      }
+
+      // Prepare response data
+      const responseData = {
+        ...listing,
+        businessHours,
+        lastApproval: listing.AdminApproval?.[0] || null,
+      };
+
+      delete responseData.AdminApproval;
+
+      res.json(responseData);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.put(
+  "/listings/:id/approve",
+  authenticateAdmin(["LISTINGS_MODERATE"]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { comments } = req.body;
+
+      const before = await prisma.listing.findUnique({
+        where: { id: parseInt(id) },
+      });
+
+      const listing = await prisma.listing.update({
+        where: { id: parseInt(id) },
+        data: { status: "APPROVED" },
+      });
+
+      await prisma.adminApproval.upsert({
+        where: { listingId: parseInt(id) },
+        update: {
+          adminId: req.admin.id,
+          status: "APPROVED",
+          comments,
+        },
+        create: {
+          listingId: parseInt(id),
+          adminId: req.admin.id,
+          status: "APPROVED",
+          comments,
+        },
+      });
+
+      await recordAudit(req, {
+        action: "listing.approve",
+        entityType: "Listing",
+        entityId: listing.id,
+        before,
+        after: listing,
+        metadata: { comments },
+      });
+
+      res.json(listing);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.put(
+  "/listings/:id/reject",
+  authenticateAdmin(["LISTINGS_MODERATE"]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { comments } = req.body;
+
+      const before = await prisma.listing.findUnique({
+        where: { id: parseInt(id) },
+      });
+
+      const listing = await prisma.listing.update({
+        where: { id: parseInt(id) },
+        data: { status: "REJECTED" },
+      });
+
+      await prisma.adminApproval.upsert({
+        where: { listingId: parseInt(id) },
+        update: {
+          adminId: req.admin.id,
+          status: "REJECTED",
+          comments,
+        },
+        create: {
+          listingId: parseInt(id),
+          adminId: req.admin.id,
+          status: "REJECTED",
+          comments,
+        },
+      });
+
+      await recordAudit(req, {
+        action: "listing.reject",
+        entityType: "Listing",
+        entityId: listing.id,
+        before,
+        after: listing,
+        metadata: { comments },
+      });
+
+      res.json(listing);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.put(
+  "/listings/:id/feature",
+  authenticateAdmin(["LISTINGS_MODERATE"]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const duration = parseInt(req.body.duration) || 7;
+
+      await transitionPromotions(
+        prisma,
+        { listingId: parseInt(id), status: "ACTIVE" },
+        "CANCELLED",
+        { reason: "Replaced by a featured promotion", endNow: true }
+      );
+
+      const promotion = await prisma.promotion.create({
+        data: {
+          listingId: parseInt(id),
+          price: 0, // Or get from pricing plan
+          startDate: new Date(),
+          endDate: calculateExpirationDate(duration),
+          isActive: true,
+          durationDays: duration,
+        },
+      });
+
+      await syncBannerFlags(prisma, [parseInt(id)]);
+
+      await recordAudit(req, {
+        action: "listing.feature",
+        entityType: "Listing",
+        entityId: id,
+        metadata: { promotionId: promotion.id, durationDays: duration },
+      });
+
+      res.json(promotion);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Admin Promotion Management
+router.get(
+  "/promotions",
+  authenticateAdmin(["LISTINGS_VIEW", "PROMOTIONS_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const { status, page = 1, limit = 20 } = req.query;
+
+      const where = {};
+      if (status === "active") {
+        where.isActive = true;
+      } else if (status === "expired") {
+        where.isActive = false;
+      }
+
+      const promotions = await prisma.promotion.findMany({
+        where,
+        include: {
+          listing: {
+            include: {
+              user: {
+                select: {
+                  id: true,
+                  firstName: true,
+                  lastName: true,
+                  email: true,
+                },
+              },
+            },
+          },
+        },
+        skip: (parseInt(page) - 1) * parseInt(limit),
+        take: parseInt(limit),
+        orderBy: { createdAt: "desc" },
+      });
+
+      const total = await prisma.promotion.count({ where });
+
+      res.json({
+        promotions,
+        total,
+        page: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.delete(
+  "/listings/:id/promotions",
+  authenticateAdmin(["PROMOTIONS_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      // Cancel running and scheduled promotions for this listing
+      const cancelled = await transitionPromotions(
+        prisma,
+        {
+          listingId: parseInt(id),
+          status: { in: OPEN_PROMOTION_STATUSES },
+        },
+        "CANCELLED",
+        { reason: "Removed by admin", endNow: true }
+      );
+
+      if (cancelled.length === 0) {
+        throw new HttpError(
+          404,
+          "NOT_FOUND",
+          "No active promotions found for this listing"
+        );
+      }
+
+      await syncBannerFlags(prisma, [parseInt(id)]);
+
+      await recordAudit(req, {
+        action: "listing.cancel_promotions",
+        entityType: "Listing",
+        entityId: parseInt(id),
+        metadata: { promotionIds: cancelled.map((promotion) => promotion.id) },
+      });
+
+      res.json({
+        message: `${cancelled.length} promotion(s) deactivated successfully`,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.put(
+  "/listings/:id/change-tier",
+  authenticateAdmin(["LISTINGS_EDIT"]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { newTier } = req.body;
+
+      // Validate the new tier
+      if (!["FREE", "PREMIUM", "PREMIUM_PLUS"].includes(newTier)) {
+        throw invalidFields({
+          newTier: "Must be FREE, PREMIUM or PREMIUM_PLUS",
+        });
+      }
+
+      // Find the listing with its current subscription
+      const listing = await prisma.listing.findUnique({
+        where: { id: parseInt(id) },
+        include: {
+          subscription: true,
+          promotions: {
+            where: { isActive: true },
+            take: 1,
+          },
+          images: true,
+        },
+      });
+
+      if (!listing) {
+        throw new HttpError(404, "NOT_FOUND", "Listing not found");
+      }
+
+      // Calculate new expiration date based on tier change
+      let expiresAt = listing.expiresAt;
+      const now = new Date();
+
+      // Determine if banner should be enabled
+      let isBannerEnabled = listing.isBannerEnabled;
+
+      if (newTier === "FREE") {
+        isBannerEnabled = false; // Disable banner for FREE tier
+      } else {
+        isBannerEnabled = true; // Enable banner for PREMIUM and PREMIUM_PLUS
+      }
+
+      if (newTier !== "FREE") {
+        // Find the standard subscription for the new tier
+        const subscriptionPlan = await prisma.subscriptionPlan.findFirst({
+          where: {
+            tierType: newTier,
+            isActive: true,
+          },
+          orderBy: { createdAt: "desc" },
+        });
+
+        if (subscriptionPlan) {
+          // If listing was FREE, set new expiration from now
+          if (listing.listingTier === "FREE") {
+            expiresAt = new Date();
+            expiresAt.setDate(
+              expiresAt.getDate() + subscriptionPlan.durationDays
+            );
+          } else {
+            expiresAt = new Date(Math.max(now, new Date(listing.expiresAt)));
+            expiresAt.setDate(
+              expiresAt.getDate() + subscriptionPlan.durationDays
+            );
+          }
+        }
+      } else {
+        expiresAt = new Date();
+        expiresAt.setDate(expiresAt.getDate() + 30);
+      }
+
+      // Prepare data for update
+      const updateData = {
+        listingTier: newTier,
+        expiresAt,
+        isBannerEnabled,
+        // If changing to FREE, remove subscription
+        subscription: newTier === "FREE" ? { disconnect: true } : undefined,
+      };
+
+      // Update the listing
+      const updatedListing = await prisma.listing.update({
+        where: { id: parseInt(id) },
+        data: updateData,
+        include: {
+          user: true,
+          category: true,
+          city: true,
+          images: true,
+          subscription: true,
+        },
+      });
+
+      // Handle promotion changes
+      if (listing.promotions.length > 0) {
+        if (newTier === "FREE") {
+          // Disable active promotion if changing to FREE
+          await transitionPromotions(
+            prisma,
+            {
+              listingId: parseInt(id),
+              status: { in: OPEN_PROMOTION_STATUSES },
+            },
+            "CANCELLED",
+            { reason: "Listing moved to the FREE tier", endNow: true }
+          );
+        }
+      }
+
+      // Handle promotion activation when upgrading from FREE to paid tier
+      if (listing.listingTier === "FREE" && newTier !== "FREE") {
+        // Find the subscription plan for the new tier
+        const subscriptionPlan = await prisma.subscriptionPlan.findFirst({
+          where: {
+            tierType: newTier,
+            isActive: true,
+          },
+          orderBy: { createdAt: "desc" },
+        });
+
+        if (subscriptionPlan && subscriptionPlan.promotionDays > 0) {
+          // Create a new promotion when upgrading from FREE to paid tier
+          const startDate = new Date();
+          const endDate = new Date();
+          endDate.setDate(startDate.getDate() + subscriptionPlan.promotionDays);
+
+          await prisma.promotion.create({
+            data: {
+              listingId: parseInt(id),
+              price: 0, // Assuming admin-initiated promotions are free
+              startDate,
+              endDate,
+              durationDays: subscriptionPlan.promotionDays,
+              isActive: true,
+            },
+          });
+        }
+      }
+
+      await recordAudit(req, {
+        action: "listing.change_tier",
+        entityType: "Listing",
+        entityId: updatedListing.id,
+        before: listing,
+        after: updatedListing,
+      });
+
+      res.json(updatedListing);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,653 @@
+import { Router } from "express";
+import prisma from "../../utils/prisma.js";
+import authenticateAdmin from "../../middleware/adminAuth.js";
+import {
+  getInvoiceFilename,
+  regenerateInvoice,
+  renderInvoiceHtml,
+  renderInvoicePdf,
+} from "../../utils/invoice.js";
+import {
+  buildPaymentFilter,
+  formatPayment,
+  formatPaymentDetail,
+  getPaymentGroup,
+  getPaymentSnapshot,
+  paymentHistoryInclude,
+  paymentSummarySelect,
+  toCsv,
+} from "../../utils/paymentHistory.js";
+import {
+  calculateProratedRefund,
+  refundPayment,
+} from "../../utils/payments.js";
+import { recordAudit } from "../../utils/auditLog.js";
+import { cancelRenewalForRefund } from "../../utils/renewals.js";
+import {
+  WALLET_TRANSACTION_TYPES,
+  creditWallet,
+  debitWallet,
+  formatWalletTransaction,
+} from "../../utils/wallet.js";
+import { HttpError } from "../../utils/httpError.js";
+import { invalidFields } from "../../utils/validation.js";
+
+const router = Router();
+
+router.get(
+  "/payment",
+  authenticateAdmin(["PAYMENTS_VIEW"]),
+  async (req, res, next) => {
+    try {
+      // Get all payments for listings owned by the authenticated user
+      const payments = await prisma.payment.findMany({
+        include: {
+          listing: {
+            select: {
+              title: true,
+              status: true,
+              listingTier: true,
+              subscription: {
+                select: {
+                  name: true,
+                  durationDays: true,
+                },
+              },
+            },
+          },
+        },
+        orderBy: {
+          createdAt: "desc",
+        },
+      });
+
+      if (!payments || payments.length === 0) {
+        throw new HttpError(
+          404,
+          "NOT_FOUND",
+          "No payments found for this user"
+        );
+      }
+
+      // Format the response data
+      const formattedPayments = payments.map((payment) => ({
+        id: payment.id,
+        amount: payment.amount,
+        currency: payment.currency,
+        paymentMethod: payment.paymentMethod,
+        status: payment.status,
+        transactionId: payment.transactionId,
+        createdAt: payment.createdAt,
+        listing: {
+          id: payment.listingId,
+          title: payment.listing.title,
+          status: payment.listing.status,
+          tier: payment.listing.listingTier,
+          subscription: payment.listing.subscription,
+        },
+      }));
+
+      res.json({
+        success: true,
+        data: formattedPayments,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+const PAYMENT_CSV_COLUMNS = {
+  paymentId: (payment) => payment.id,
+  date: (payment) => payment.createdAt,
+  status: (payment) => payment.status,
+  amount: (payment) => payment.amount,
+  currency: (payment) => payment.currency,
+  refundedAmount: (payment) => payment.refundedAmount,
+  razorpayPaymentId: (payment) => payment.razorpayPaymentId,
+  listingId: (payment) => payment.listing.id,
+  listingTitle: (payment) => payment.listing.title,
+  sellerEmail: (payment) => payment.listing.user.email,
+  group: getPaymentGroup,
+  purchase: (payment) => getPaymentSnapshot(payment)?.name,
+  invoiceNumber: (payment) => payment.invoice?.invoiceNumber,
+  taxableAmount: (payment) => payment.invoice?.taxableAmount,
+  cgstAmount: (payment) => payment.invoice?.cgstAmount,
+  sgstAmount: (payment) => payment.invoice?.sgstAmount,
+  igstAmount: (payment) => payment.invoice?.igstAmount,
+};
+
+// Revenue counts completed payments; refunds are netted off
+const summarizePayments = (payments) => {
+  const totals = { count: 0, gross: 0, refunded: 0, net: 0 };
+  const byGroup = {};
+
+  payments.forEach((payment) => {
+    if (!["COMPLETED", "REFUNDED"].includes(payment.status)) return;
+
+    const group = getPaymentGroup(payment);
+    byGroup[group] = byGroup[group] || {
+      count: 0,
+      gross: 0,
+      refunded: 0,
+      net: 0,
+    };
+
+    [totals, byGroup[group]].forEach((bucket) => {
+      bucket.count += 1;
+      bucket.gross += payment.amount;
+      bucket.refunded += payment.refundedAmount || 0;
+      bucket.net = bucket.gross - bucket.refunded;
+    });
+  });
+
+  return { totals, byGroup };
+};
+
+// GET /admin/payments - All payments with revenue totals grouped by plan
+// tier. Filters: ?listingId, ?userId, ?status, ?from, ?to. ?format=csv
+// exports every matching payment.
+router.get(
+  "/payments",
+  authenticateAdmin(["PAYMENTS_VIEW"]),
+  async (req, res, next) => {
+    try {
+      const { userId, format, page = 1, limit = 20 } = req.query;
+      const { where, error } = buildPaymentFilter(req.query);
+
+      if (error) {
+        throw new HttpError(400, "BAD_REQUEST", error);
+      }
+
+      if (userId) {
+        where.listing = { userId: parseInt(userId) };
+      }
+
+      if (format === "csv") {
+        const payments = await prisma.payment.findMany({
+          where,
+          include: paymentHistoryInclude,
+          orderBy: { createdAt: "desc" },
+        });
+
+        res.setHeader("Content-Type", "text/csv");
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="payments-${
+            new Date().toISOString().split("T")[0]
+          }.csv"`
+        );
+        return res.send(toCsv(payments, PAYMENT_CSV_COLUMNS));
+      }
+
+      const [payments, summaryRows] = await Promise.all([
+        prisma.payment.findMany({
+          where,
+          include: paymentHistoryInclude,
+          skip: (parseInt(page) - 1) * parseInt(limit),
+          take: parseInt(limit),
+          orderBy: { createdAt: "desc" },
+        }),
+        prisma.payment.findMany({ where, select: paymentSummarySelect }),
+      ]);
+
+      res.json({
+        payments: payments.map((payment) => ({
+          ...formatPayment(payment),
+          seller: payment.listing.user,
+        })),
+        ...summarizePayments(summaryRows),
+        total: summaryRows.length,
+        page: parseInt(page),
+        totalPages: Math.ceil(summaryRows.length / parseInt(limit)),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /admin/payments/:id - Payment detail with its status timeline
+router.get(
+  "/payments/:id",
+  authenticateAdmin(["PAYMENTS_VIEW"]),
+  async (req, res, next) => {
+    try {
+      const payment = await prisma.payment.findUnique({
+        where: { id: req.params.id },
+        include: {
+          ...paymentHistoryInclude,
+          events: { orderBy: { createdAt: "asc" } },
+        },
+      });
+
+      if (!payment) {
+        throw new HttpError(404, "NOT_FOUND", "Payment not found");
+      }
+
+      res.json({
+        ...formatPaymentDetail(payment),
+        seller: payment.listing.user,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /admin/payments/:id/refund - Full or prorated refund, cancels the plan
+router.post(
+  "/payments/:id/refund",
+  authenticateAdmin(["PAYMENTS_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { type = "full", reason } = req.body;
+
+      if (!["full", "prorated"].includes(type)) {
+        throw invalidFields({ type: "Must be full or prorated" });
+      }
+
+      const payment = await prisma.payment.findUnique({
+        where: { id },
+        include: {
+          paymentOrder: { include: { plan: true, promotionPackage: true } },
+          renewalMandate: { include: { plan: true } },
+          listing: { include: { subscription: true } },
+        },
+      });
+
+      if (!payment) {
+        throw new HttpError(404, "NOT_FOUND", "Payment not found");
+      }
+
+      if (payment.status !== "COMPLETED") {
+        throw new HttpError(
+          400,
+          "BAD_REQUEST",
+          "Only completed payments can be refunded"
+        );
+      }
+
+      if (payment.paymentMethod !== "WALLET" && !payment.razorpayPaymentId) {
+        throw new HttpError(
+          400,
+          "BAD_REQUEST",
+          "Payment was not made through Razorpay"
+        );
+      }
+
+      const snapshot = getPaymentSnapshot(payment);
+      const amount =
+        type === "full"
+          ? Math.round(payment.amount * 100)
+          : calculateProratedRefund(payment, snapshot?.durationDays);
+
+      if (amount <= 0) {
+        throw new HttpError(
+          400,
+          "BAD_REQUEST",
+          "Nothing left to refund on this payment"
+        );
+      }
+
+      const refunded = await refundPayment(payment, { amount, reason });
+      await cancelRenewalForRefund(payment);
+
+      await recordAudit(req, {
+        action: "payment.refund",
+        entityType: "Payment",
+        entityId: payment.id,
+        before: payment,
+        after: refunded,
+        metadata: { type, refundAmount: amount / 100 },
+      });
+
+      res.json({
+        message:
+          snapshot?.kind === "PROMOTION"
+            ? "Payment refunded and promotion cancelled"
+            : "Payment refunded and subscription cancelled",
+        payment: refunded,
+        refundAmount: amount / 100,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /admin/wallets - Seller wallets, largest balance first. ?search by email
+router.get(
+  "/wallets",
+  authenticateAdmin(["PAYMENTS_VIEW"]),
+  async (req, res, next) => {
+    try {
+      const { search, page = 1, limit = 20 } = req.query;
+
+      const where = {};
+      if (search) {
+        where.user = { email: { contains: search, mode: "insensitive" } };
+      }
+
+      const [wallets, total] = await Promise.all([
+        prisma.wallet.findMany({
+          where,
+          include: {
+            user: {
+              select: {
+                id: true,
+                email: true,
+                firstName: true,
+                lastName: true,
+              },
+            },
+          },
+          skip: (parseInt(page) - 1) * parseInt(limit),
+          take: parseInt(limit),
+          orderBy: { balance: "desc" },
+        }),
+        prisma.wallet.count({ where }),
+      ]);
+
+      res.json({
+        wallets: wallets.map((wallet) => ({
+          ...wallet,
+          balance: wallet.balance / 100,
+        })),
+        total,
+        page: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /admin/wallets/:userId/ledger - A seller's wallet entries, newest
+// first. Filters: ?type, ?from, ?to
+router.get(
+  "/wallets/:userId/ledger",
+  authenticateAdmin(["PAYMENTS_VIEW"]),
+  async (req, res, next) => {
+    try {
+      const { type, from, to, page = 1, limit = 50 } = req.query;
+
+      const wallet = await prisma.wallet.findUnique({
+        where: { userId: parseInt(req.params.userId) },
+        include: {
+          user: {
+            select: { id: true, email: true, firstName: true, lastName: true },
+          },
+        },
+      });
+
+      if (!wallet) {
+        throw new HttpError(404, "NOT_FOUND", "Wallet not found");
+      }
+
+      if (type && !WALLET_TRANSACTION_TYPES.includes(type)) {
+        throw new HttpError(
+          400,
+          "BAD_REQUEST",
+          `Type must be one of ${WALLET_TRANSACTION_TYPES.join(", ")}`
+        );
+      }
+
+      const where = { walletId: wallet.id };
+      if (type) where.type = type;
+      if (from || to) {
+        where.createdAt = {};
+        if (from) where.createdAt.gte = new Date(from);
+        if (to) where.createdAt.lte = new Date(to);
+      }
+
+      const [transactions, total] = await Promise.all([
+        prisma.walletTransaction.findMany({
+          where,
+          skip: (parseInt(page) - 1) * parseInt(limit),
+          take: parseInt(limit),
+          orderBy: { createdAt: "desc" },
+        }),
+        prisma.walletTransaction.count({ where }),
+      ]);
+
+      res.json({
+        user: wallet.user,
+        balance: wallet.balance / 100,
+        transactions: transactions.map((transaction) => ({
+          ...formatWalletTransaction(transaction),
+          paymentOrderId: transaction.paymentOrderId,
+          razorpayPaymentId: transaction.razorpayPaymentId,
+          adminId: transaction.adminId,
+        })),
+        total,
+        page: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /admin/wallets/:userId/adjustments - Credit (positive amount) or
+// debit (negative) a seller's wallet, in rupees, with a reason
+router.post(
+  "/wallets/:userId/adjustments",
+  authenticateAdmin(["PAYMENTS_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const userId = parseInt(req.params.userId);
+      const amount = Math.round(Number(req.body.amount) * 100);
+      const { reason } = req.body;
+
+      if (!Number.isFinite(amount) || amount === 0) {
+        throw invalidFields({ amount: "Must be a non-zero amount" });
+      }
+
+      if (!reason) {
+        throw invalidFields({ reason: "Required" });
+      }
+
+      const user = await prisma.user.findUnique({ where: { id: userId } });
+
+      if (!user) {
+        throw new HttpError(404, "NOT_FOUND", "User not found");
+      }
+
+      const entry = {
+        type: "ADJUSTMENT",
+        description: reason,
+        adminId: req.admin.id,
+      };
+
+      const before = await prisma.wallet.findUnique({ where: { userId } });
+
+      const { wallet, transaction } = await prisma.$transaction(async (tx) => {
+        if (amount > 0) {
+          return creditWallet(tx, userId, { ...entry, amount });
+        }
+
+        const current = await tx.wallet.findUnique({ where: { userId } });
+        if (!current || current.balance < -amount) {
+          return {};
+        }
+
+        return debitWallet(tx, userId, { ...entry, amount: -amount });
+      });
+
+      if (!wallet) {
+        throw new HttpError(
+          400,
+          "BAD_REQUEST",
+          "Adjustment exceeds the wallet balance"
+        );
+      }
+
+      await recordAudit(req, {
+        action: "wallet.adjust",
+        entityType: "Wallet",
+        entityId: wallet.id,
+        before,
+        after: wallet,
+        metadata: { transactionId: transaction.id },
+      });
+
+      res.status(201).json({
+        message: "Wallet adjusted",
+        balance: wallet.balance / 100,
+        transaction: formatWalletTransaction(transaction),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /admin/payment-orders - Razorpay orders, ?abandoned=true for unpaid ones
+router.get(
+  "/payment-orders",
+  authenticateAdmin(["PAYMENTS_VIEW"]),
+  async (req, res, next) => {
+    try {
+      const { status, abandoned, page = 1, limit = 20 } = req.query;
+
+      const where = {};
+      if (status) where.status = status;
+
+      // Unpaid for a day is treated as abandoned at checkout
+      if (abandoned === "true") {
+        where.status = { in: ["CREATED", "ATTEMPTED"] };
+        where.createdAt = { lte: new Date(Date.now() - 24 * 60 * 60 * 1000) };
+      }
+
+      const orders = await prisma.paymentOrder.findMany({
+        where,
+        include: {
+          listing: { select: { id: true, title: true, status: true } },
+          user: {
+            select: { id: true, email: true, firstName: true, lastName: true },
+          },
+          plan: { select: { id: true, name: true, tierType: true } },
+          promotionPackage: {
+            select: { id: true, name: true, placement: true },
+          },
+        },
+        skip: (parseInt(page) - 1) * parseInt(limit),
+        take: parseInt(limit),
+        orderBy: { createdAt: "desc" },
+      });
+
+      const total = await prisma.paymentOrder.count({ where });
+
+      res.json({
+        orders,
+        total,
+        page: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /admin/invoices - List GST invoices
+router.get(
+  "/invoices",
+  authenticateAdmin(["PAYMENTS_VIEW"]),
+  async (req, res, next) => {
+    try {
+      const { financialYear, search, page = 1, limit = 20 } = req.query;
+
+      const where = {};
+      if (financialYear) where.financialYear = financialYear;
+      if (search) {
+        where.OR = [
+          { invoiceNumber: { contains: search, mode: "insensitive" } },
+          { buyerName: { contains: search, mode: "insensitive" } },
+          { buyerEmail: { contains: search, mode: "insensitive" } },
+          { buyerGstin: { contains: search, mode: "insensitive" } },
+        ];
+      }
+
+      const invoices = await prisma.invoice.findMany({
+        where,
+        include: {
+          payment: {
+            select: { id: true, status: true, razorpayPaymentId: true },
+          },
+        },
+        skip: (parseInt(page) - 1) * parseInt(limit),
+        take: parseInt(limit),
+        orderBy: [{ financialYear: "desc" }, { sequence: "desc" }],
+      });
+
+      const total = await prisma.invoice.count({ where });
+
+      res.json({
+        invoices,
+        total,
+        page: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /admin/invoices/:id - Download, ?format=html for the HTML copy
+router.get(
+  "/invoices/:id",
+  authenticateAdmin(["PAYMENTS_VIEW"]),
+  async (req, res, next) => {
+    try {
+      const invoice = await prisma.invoice.findUnique({
+        where: { id: req.params.id },
+      });
+
+      if (!invoice) {
+        throw new HttpError(404, "NOT_FOUND", "Invoice not found");
+      }
+
+      if (req.query.format === "html") {
+        return res.type("html").send(renderInvoiceHtml(invoice));
+      }
+
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${getInvoiceFilename(invoice, "pdf")}"`
+      );
+      renderInvoicePdf(invoice, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /admin/invoices/:id/regenerate - Refresh billing details, same number
+router.post(
+  "/invoices/:id/regenerate",
+  authenticateAdmin(["PAYMENTS_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const invoice = await prisma.$transaction((tx) =>
+        regenerateInvoice(tx, req.params.id)
+      );
+
+      if (!invoice) {
+        throw new HttpError(404, "NOT_FOUND", "Invoice not found");
+      }
+
+      res.json(invoice);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
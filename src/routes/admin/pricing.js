@@ -0,0 +1,617 @@
+import { Router } from "express";
+import prisma from "../../utils/prisma.js";
+import authenticateAdmin from "../../middleware/adminAuth.js";
+import { recordAudit } from "../../utils/auditLog.js";
+import { normalizeCouponCode } from "../../utils/coupons.js";
+import { HttpError } from "../../utils/httpError.js";
+import { requireFields } from "../../utils/validation.js";
+
+const router = Router();
+
+// Pricing Plan Management
+router.get("/pricing-plans", authenticateAdmin(), async (req, res, next) => {
+  try {
+    const plans = await prisma.pricingPlan.findMany({
+      orderBy: { price: "asc" },
+    });
+    res.json(plans);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post(
+  "/pricing-plans",
+  authenticateAdmin(["PRICING_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const { name, description, promotionType, durationType, price } =
+        req.body;
+
+      const plan = await prisma.pricingPlan.create({
+        data: {
+          name,
+          description,
+          promotionType,
+          durationType,
+          price,
+        },
+      });
+
+      await recordAudit(req, {
+        action: "pricing_plan.create",
+        entityType: "PricingPlan",
+        entityId: plan.id,
+        after: plan,
+      });
+
+      res.status(201).json(plan);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.put(
+  "/pricing-plans/:id",
+  authenticateAdmin(["PRICING_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const {
+        name,
+        description,
+        promotionType,
+        durationType,
+        price,
+        isActive,
+      } = req.body;
+
+      const before = await prisma.pricingPlan.findUnique({
+        where: { id: parseInt(id) },
+      });
+
+      const plan = await prisma.pricingPlan.update({
+        where: { id: parseInt(id) },
+        data: {
+          name,
+          description,
+          promotionType,
+          durationType,
+          price,
+          isActive,
+        },
+      });
+
+      await recordAudit(req, {
+        action: "pricing_plan.update",
+        entityType: "PricingPlan",
+        entityId: plan.id,
+        before,
+        after: plan,
+      });
+
+      res.json(plan);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.delete(
+  "/pricing-plans/:id",
+  authenticateAdmin(["PRICING_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const plan = await prisma.pricingPlan.delete({
+        where: { id: parseInt(id) },
+      });
+
+      await recordAudit(req, {
+        action: "pricing_plan.delete",
+        entityType: "PricingPlan",
+        entityId: plan.id,
+        before: plan,
+      });
+
+      res.json({ message: "Pricing plan deleted successfully" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Admin-only endpoint to create/update subscription plans
+router.post(
+  "/subscription-plans",
+  authenticateAdmin(["PRICING_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const {
+        name,
+        description,
+        durationDays,
+        promotionDays,
+        price,
+        tierType,
+      } = req.body;
+
+      const newPlan = await prisma.subscriptionPlan.create({
+        data: {
+          name,
+          description,
+          durationDays: parseInt(durationDays),
+          promotionDays: parseInt(promotionDays),
+          price: parseFloat(price),
+          tierType,
+          adminId: req.admin.id,
+        },
+      });
+
+      await recordAudit(req, {
+        action: "subscription_plan.create",
+        entityType: "SubscriptionPlan",
+        entityId: newPlan.id,
+        after: newPlan,
+      });
+
+      res.status(201).json(newPlan);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Admin-only endpoint to update subscription plans
+router.put(
+  "/subscription-plans/:id",
+  authenticateAdmin(["PRICING_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const {
+        name,
+        description,
+        durationDays,
+        promotionDays,
+        price,
+        tierType,
+        isActive,
+      } = req.body;
+
+      const before = await prisma.subscriptionPlan.findUnique({
+        where: { id },
+      });
+
+      const updatedPlan = await prisma.subscriptionPlan.update({
+        where: { id },
+        data: {
+          name,
+          description,
+          durationDays: durationDays ? parseInt(durationDays) : undefined,
+          promotionDays: promotionDays ? parseInt(promotionDays) : undefined,
+          price: price ? parseFloat(price) : undefined,
+          tierType,
+          isActive,
+          adminId: req.admin.id,
+          // New renewals need a Razorpay plan at the new price/duration
+          razorpayPlanId: price || durationDays ? null : undefined,
+        },
+      });
+
+      await recordAudit(req, {
+        action: "subscription_plan.update",
+        entityType: "SubscriptionPlan",
+        entityId: updatedPlan.id,
+        before,
+        after: updatedPlan,
+      });
+
+      res.json(updatedPlan);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Shared by coupon create/update; only fields present in the body are set
+const parseCouponInput = (body) => {
+  const data = {};
+
+  const optionalNumber = (value, parse) =>
+    value === null || value === "" ? null : parse(value);
+  const optionalDate = (value) => (value ? new Date(value) : null);
+
+  const fields = {
+    code: normalizeCouponCode,
+    description: (value) => value || null,
+    discountType: (value) => value,
+    discountValue: parseFloat,
+    maxDiscount: (value) => optionalNumber(value, parseFloat),
+    planIds: (value) => (Array.isArray(value) ? value : []),
+    validFrom: optionalDate,
+    validUntil: optionalDate,
+    maxRedemptions: (value) => optionalNumber(value, parseInt),
+    perUserLimit: (value) => optionalNumber(value, parseInt),
+    firstListingOnly: Boolean,
+    isActive: Boolean,
+  };
+
+  Object.entries(fields).forEach(([field, parse]) => {
+    if (body[field] !== undefined) {
+      data[field] = parse(body[field]);
+    }
+  });
+
+  if (data.code !== undefined && !/^[A-Z0-9_-]{3,32}$/.test(data.code)) {
+    return { error: "Code must be 3-32 letters, digits, - or _" };
+  }
+  if (
+    data.discountType !== undefined &&
+    !["PERCENTAGE", "FLAT"].includes(data.discountType)
+  ) {
+    return { error: "Discount type must be PERCENTAGE or FLAT" };
+  }
+  if (
+    data.discountValue !== undefined &&
+    (isNaN(data.discountValue) || data.discountValue <= 0)
+  ) {
+    return { error: "Discount value must be a positive number" };
+  }
+  if (
+    data.discountType === "PERCENTAGE" &&
+    data.discountValue !== undefined &&
+    data.discountValue > 100
+  ) {
+    return { error: "Percentage discount cannot exceed 100" };
+  }
+  if (
+    data.validFrom &&
+    data.validUntil &&
+    data.validFrom.getTime() >= data.validUntil.getTime()
+  ) {
+    return { error: "validFrom must be before validUntil" };
+  }
+
+  return { data };
+};
+
+// GET /admin/coupons - List checkout coupons with redemption counts
+router.get(
+  "/coupons",
+  authenticateAdmin(["PRICING_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const { search, active } = req.query;
+
+      const where = {};
+      if (search) where.code = { contains: search, mode: "insensitive" };
+      if (active !== undefined) where.isActive = active === "true";
+
+      const coupons = await prisma.coupon.findMany({
+        where,
+        include: { _count: { select: { redemptions: true } } },
+        orderBy: { createdAt: "desc" },
+      });
+
+      res.json(coupons);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /admin/coupons - Create coupon
+router.post(
+  "/coupons",
+  authenticateAdmin(["PRICING_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const { data, error } = parseCouponInput(req.body);
+
+      if (error) {
+        throw new HttpError(400, "BAD_REQUEST", error);
+      }
+
+      const missing = requireFields(data, [
+        "code",
+        "discountType",
+        "discountValue",
+      ]);
+      if (missing) {
+        throw missing;
+      }
+
+      const coupon = await prisma.coupon.create({ data });
+
+      await recordAudit(req, {
+        action: "coupon.create",
+        entityType: "Coupon",
+        entityId: coupon.id,
+        after: coupon,
+      });
+
+      res.status(201).json(coupon);
+    } catch (error) {
+      if (error.code === "P2002") {
+        return next(
+          new HttpError(400, "ALREADY_EXISTS", "Coupon code already exists")
+        );
+      }
+      next(error);
+    }
+  }
+);
+
+// PUT /admin/coupons/:id - Update coupon
+router.put(
+  "/coupons/:id",
+  authenticateAdmin(["PRICING_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const { data, error } = parseCouponInput(req.body);
+
+      if (error) {
+        throw new HttpError(400, "BAD_REQUEST", error);
+      }
+
+      const before = await prisma.coupon.findUnique({
+        where: { id: req.params.id },
+      });
+
+      const coupon = await prisma.coupon.update({
+        where: { id: req.params.id },
+        data,
+      });
+
+      await recordAudit(req, {
+        action: "coupon.update",
+        entityType: "Coupon",
+        entityId: coupon.id,
+        before,
+        after: coupon,
+      });
+
+      res.json(coupon);
+    } catch (error) {
+      if (error.code === "P2025") {
+        return next(new HttpError(404, "NOT_FOUND", "Coupon not found"));
+      }
+      if (error.code === "P2002") {
+        return next(
+          new HttpError(400, "ALREADY_EXISTS", "Coupon code already exists")
+        );
+      }
+      next(error);
+    }
+  }
+);
+
+// DELETE /admin/coupons/:id - Deactivates; redeemed coupons keep their history
+router.delete(
+  "/coupons/:id",
+  authenticateAdmin(["PRICING_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const before = await prisma.coupon.findUnique({
+        where: { id: req.params.id },
+      });
+
+      const coupon = await prisma.coupon.update({
+        where: { id: req.params.id },
+        data: { isActive: false },
+      });
+
+      await recordAudit(req, {
+        action: "coupon.deactivate",
+        entityType: "Coupon",
+        entityId: coupon.id,
+        before,
+        after: coupon,
+      });
+
+      res.json({ message: "Coupon deactivated successfully" });
+    } catch (error) {
+      if (error.code === "P2025") {
+        return next(new HttpError(404, "NOT_FOUND", "Coupon not found"));
+      }
+      next(error);
+    }
+  }
+);
+
+const PROMOTION_PLACEMENTS = [
+  "HERO_BANNER",
+  "MIDDLE_BANNER",
+  "BOTTOM_BANNER",
+  "CATEGORY_BANNER",
+  "TOP_OF_CATEGORY",
+];
+
+const parsePromotionPackageInput = (body) => {
+  const data = {};
+
+  const fields = {
+    name: (value) => String(value).trim(),
+    description: (value) => value || null,
+    placement: (value) => value,
+    durationDays: parseInt,
+    price: parseFloat,
+    isActive: Boolean,
+  };
+
+  Object.entries(fields).forEach(([field, parse]) => {
+    if (body[field] !== undefined) {
+      data[field] = parse(body[field]);
+    }
+  });
+
+  if (data.name !== undefined && !data.name) {
+    return { error: "Name cannot be empty" };
+  }
+  if (
+    data.placement !== undefined &&
+    !PROMOTION_PLACEMENTS.includes(data.placement)
+  ) {
+    return {
+      error: `Placement must be one of ${PROMOTION_PLACEMENTS.join(", ")}`,
+    };
+  }
+  if (
+    data.durationDays !== undefined &&
+    (isNaN(data.durationDays) || data.durationDays < 1)
+  ) {
+    return { error: "Duration must be at least 1 day" };
+  }
+  // Razorpay won't create orders below ₹1
+  if (data.price !== undefined && (isNaN(data.price) || data.price < 1)) {
+    return { error: "Price must be at least ₹1" };
+  }
+
+  return { data };
+};
+
+// GET /admin/promotion-packages - Promotion catalog with sales counts
+router.get(
+  "/promotion-packages",
+  authenticateAdmin(),
+  async (req, res, next) => {
+    try {
+      const { placement, active } = req.query;
+
+      const where = {};
+      if (placement) where.placement = placement;
+      if (active !== undefined) where.isActive = active === "true";
+
+      const packages = await prisma.promotionPackage.findMany({
+        where,
+        include: { _count: { select: { promotions: true } } },
+        orderBy: [{ placement: "asc" }, { price: "asc" }],
+      });
+
+      res.json(packages);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /admin/promotion-packages - Create promotion package
+router.post(
+  "/promotion-packages",
+  authenticateAdmin(["PRICING_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const { data, error } = parsePromotionPackageInput(req.body);
+
+      if (error) {
+        throw new HttpError(400, "BAD_REQUEST", error);
+      }
+
+      const missing = requireFields(data, [
+        "name",
+        "placement",
+        "durationDays",
+        "price",
+      ]);
+      if (missing) {
+        throw missing;
+      }
+
+      const promotionPackage = await prisma.promotionPackage.create({ data });
+
+      await recordAudit(req, {
+        action: "promotion_package.create",
+        entityType: "PromotionPackage",
+        entityId: promotionPackage.id,
+        after: promotionPackage,
+      });
+
+      res.status(201).json(promotionPackage);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// PUT /admin/promotion-packages/:id - Update promotion package. Orders
+// already placed keep the price they were created with.
+router.put(
+  "/promotion-packages/:id",
+  authenticateAdmin(["PRICING_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const { data, error } = parsePromotionPackageInput(req.body);
+
+      if (error) {
+        throw new HttpError(400, "BAD_REQUEST", error);
+      }
+
+      const before = await prisma.promotionPackage.findUnique({
+        where: { id: req.params.id },
+      });
+
+      const promotionPackage = await prisma.promotionPackage.update({
+        where: { id: req.params.id },
+        data,
+      });
+
+      await recordAudit(req, {
+        action: "promotion_package.update",
+        entityType: "PromotionPackage",
+        entityId: promotionPackage.id,
+        before,
+        after: promotionPackage,
+      });
+
+      res.json(promotionPackage);
+    } catch (error) {
+      if (error.code === "P2025") {
+        return next(
+          new HttpError(404, "NOT_FOUND", "Promotion package not found")
+        );
+      }
+      next(error);
+    }
+  }
+);
+
+// DELETE /admin/promotion-packages/:id - Deactivates; sold packages keep
+// their history
+router.delete(
+  "/promotion-packages/:id",
+  authenticateAdmin(["PRICING_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const before = await prisma.promotionPackage.findUnique({
+        where: { id: req.params.id },
+      });
+
+      const promotionPackage = await prisma.promotionPackage.update({
+        where: { id: req.params.id },
+        data: { isActive: false },
+      });
+
+      await recordAudit(req, {
+        action: "promotion_package.deactivate",
+        entityType: "PromotionPackage",
+        entityId: promotionPackage.id,
+        before,
+        after: promotionPackage,
+      });
+
+      res.json({ message: "Promotion package deactivated successfully" });
+    } catch (error) {
+      if (error.code === "P2025") {
+        return next(
+          new HttpError(404, "NOT_FOUND", "Promotion package not found")
+        );
+      }
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,213 @@
+import { Router } from "express";
+import prisma from "../../utils/prisma.js";
+import authenticateAdmin from "../../middleware/adminAuth.js";
+import { toCsv } from "../../utils/paymentHistory.js";
+
+const router = Router();
+
+const AUDIT_LOG_CSV_COLUMNS = {
+  id: (entry) => entry.id,
+  date: (entry) => entry.createdAt,
+  adminId: (entry) => entry.adminId,
+  adminEmail: (entry) => entry.adminEmail,
+  action: (entry) => entry.action,
+  entityType: (entry) => entry.entityType,
+  entityId: (entry) => entry.entityId,
+  changes: (entry) => entry.changes && JSON.stringify(entry.changes),
+  metadata: (entry) => entry.metadata && JSON.stringify(entry.metadata),
+  method: (entry) => entry.method,
+  path: (entry) => entry.path,
+  ipAddress: (entry) => entry.ipAddress,
+};
+
+// GET /admin/audit-log - Admin actions, newest first. Filters: ?adminId,
+// ?action, ?entityType, ?entityId, ?from, ?to. ?format=csv exports all
+// matches.
+router.get(
+  "/audit-log",
+  authenticateAdmin(["AUDIT_LOG_VIEW"]),
+  async (req, res, next) => {
+    try {
+      const {
+        adminId,
+        action,
+        entityType,
+        entityId,
+        from,
+        to,
+        format,
+        page = 1,
+        limit = 50,
+      } = req.query;
+
+      const where = {};
+      if (adminId) where.adminId = adminId;
+      if (action) where.action = action;
+      if (entityType) where.entityType = entityType;
+      if (entityId) where.entityId = entityId;
+      if (from || to) {
+        where.createdAt = {};
+        if (from) where.createdAt.gte = new Date(from);
+        if (to) where.createdAt.lte = new Date(to);
+      }
+
+      if (format === "csv") {
+        const entries = await prisma.auditLog.findMany({
+          where,
+          orderBy: { createdAt: "desc" },
+        });
+
+        res.setHeader("Content-Type", "text/csv");
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="audit-log-${
+            new Date().toISOString().split("T")[0]
+          }.csv"`
+        );
+        return res.send(toCsv(entries, AUDIT_LOG_CSV_COLUMNS));
+      }
+
+      const [entries, total] = await Promise.all([
+        prisma.auditLog.findMany({
+          where,
+          skip: (parseInt(page) - 1) * parseInt(limit),
+          take: parseInt(limit),
+          orderBy: { createdAt: "desc" },
+        }),
+        prisma.auditLog.count({ where }),
+      ]);
+
+      res.json({
+        entries,
+        total,
+        page: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Admin Dashboard Stats
+router.get(
+  "/stats",
+  authenticateAdmin(["REPORTS_VIEW"]),
+  async (req, res, next) => {
+    try {
+      const [
+        usersCount,
+        listingsCount,
+        pendingListingsCount,
+        activePromotionsCount,
+        categoriesCount,
+      ] = await Promise.all([
+        prisma.user.count(),
+        prisma.listing.count(),
+        prisma.listing.count({ where: { status: "PENDING_APPROVAL" } }),
+        prisma.promotion.count({ where: { isActive: true } }),
+        prisma.category.count(),
+      ]);
+
+      // Recent activity
+      const recentListings = await prisma.listing.findMany({
+        where: {
+          status: "APPROVED",
+        },
+        take: 5,
+        orderBy: { createdAt: "desc" },
+        include: {
+          user: {
+            select: {
+              id: true,
+              firstName: true,
+              lastName: true,
+            },
+          },
+        },
+      });
+
+      const recentUsers = await prisma.user.findMany({
+        take: 5,
+        orderBy: { createdAt: "desc" },
+        select: {
+          id: true,
+          email: true,
+          firstName: true,
+          lastName: true,
+          createdAt: true,
+        },
+      });
+
+      res.json({
+        stats: {
+          users: usersCount,
+          listings: listingsCount,
+          pendingListings: pendingListingsCount,
+          activePromotions: activePromotionsCount,
+          categories: categoriesCount,
+        },
+        recentActivity: {
+          listings: recentListings,
+          users: recentUsers,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Admin Message Management
+router.get(
+  "/messages",
+  authenticateAdmin(["MESSAGES_VIEW"]),
+  async (req, res, next) => {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+
+      const messages = await prisma.message.findMany({
+        include: {
+          sender: {
+            select: {
+              id: true,
+              firstName: true,
+              lastName: true,
+              email: true,
+            },
+          },
+          receiver: {
+            select: {
+              id: true,
+              firstName: true,
+              lastName: true,
+              email: true,
+            },
+          },
+          listing: {
+            select: {
+              id: true,
+              title: true,
+            },
+          },
+        },
+        skip: (parseInt(page) - 1) * parseInt(limit),
+        take: parseInt(limit),
+        orderBy: { createdAt: "desc" },
+      });
+
+      const total = await prisma.message.count();
+
+      res.json({
+        messages,
+        total,
+        page: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
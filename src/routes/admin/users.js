@@ -0,0 +1,513 @@
+import { Router } from "express";
+import bcrypt from "bcryptjs";
+import prisma from "../../utils/prisma.js";
+import authenticateAdmin from "../../middleware/adminAuth.js";
+import { eraseUser } from "../../utils/accountErasure.js";
+import {
+  forgetAccountStatus,
+  getEffectiveStatus,
+} from "../../utils/accountStatus.js";
+import { recordAudit } from "../../utils/auditLog.js";
+import { accountKey, unlockLogin } from "../../utils/loginThrottle.js";
+import { revokeUserSessions } from "../../utils/sessions.js";
+import { HttpError } from "../../utils/httpError.js";
+import {
+  email,
+  invalidFields,
+  password,
+  string,
+  validateBody,
+} from "../../utils/validation.js";
+
+const router = Router();
+
+const sellerSchema = {
+  firstName: string({ max: 100, optional: true }),
+  lastName: string({ max: 100, optional: true }),
+  email: email(),
+  phone: string({ max: 20, optional: true }),
+  city: string({ max: 100, optional: true }),
+  password: password(),
+  confirmPassword: password({ optional: true }),
+};
+
+router.post(
+  "/users/register",
+  authenticateAdmin(["USERS_MANAGE"]),
+  validateBody(sellerSchema),
+  async (req, res, next) => {
+    try {
+      const {
+        firstName,
+        lastName,
+        email,
+        phone,
+        city,
+        password,
+        confirmPassword,
+      } = req.body;
+
+      if (password !== confirmPassword) {
+        throw invalidFields({ confirmPassword: "Does not match the password" });
+      }
+
+      const existingUser = await prisma.user.findUnique({ where: { email } });
+
+      if (existingUser) {
+        throw new HttpError(
+          400,
+          "ALREADY_EXISTS",
+          "User already exists with this email"
+        );
+      }
+
+      const hashedPassword = await bcrypt.hash(password, 10);
+
+      const newUser = await prisma.user.create({
+        data: {
+          email,
+          password: hashedPassword,
+          firstName,
+          lastName,
+          phone,
+          city,
+        },
+      });
+
+      // Created on the seller's behalf, so no session for the caller
+      const { password: _, ...userData } = newUser;
+
+      await recordAudit(req, {
+        action: "user.create",
+        entityType: "User",
+        entityId: newUser.id,
+        after: userData,
+      });
+      res.status(201).json({
+        message: "User registered successfully",
+        user: userData,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Admin User Management
+router.get(
+  "/users",
+  authenticateAdmin(["USERS_VIEW"]),
+  async (req, res, next) => {
+    try {
+      const { page = 1, limit = 20, search, status } = req.query;
+
+      const where = {};
+      if (search) {
+        where.OR = [
+          { email: { contains: search, mode: "insensitive" } },
+          { firstName: { contains: search, mode: "insensitive" } },
+          { lastName: { contains: search, mode: "insensitive" } },
+        ];
+      }
+      if (status) where.status = status;
+
+      const users = await prisma.user.findMany({
+        where,
+        select: {
+          id: true,
+          email: true,
+          firstName: true,
+          lastName: true,
+          phone: true,
+          city: true,
+          status: true,
+          suspendedUntil: true,
+          statusReason: true,
+          createdAt: true,
+          _count: {
+            select: { listings: true, favorites: true },
+          },
+        },
+        skip: (parseInt(page) - 1) * parseInt(limit),
+        take: parseInt(limit),
+        orderBy: { createdAt: "desc" },
+      });
+
+      const total = await prisma.user.count({ where });
+
+      res.json({
+        // A lapsed suspension still reads SUSPENDED until someone reinstates
+        users: users.map((user) => ({
+          ...user,
+          effectiveStatus: getEffectiveStatus(user),
+        })),
+        total,
+        page: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.delete(
+  "/users/:id",
+  authenticateAdmin(["USERS_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const user = await prisma.user.findUnique({
+        where: { id: parseInt(id) },
+      });
+
+      if (!user || user.erasedAt) {
+        throw new HttpError(404, "NOT_FOUND", "User not found");
+      }
+
+      // Same erasure as a user's own deletion, minus the grace period
+      const result = await eraseUser(user.id, { immediate: true });
+
+      // The log is permanent, so it records what was erased, not who
+      await recordAudit(req, {
+        action: "user.delete",
+        entityType: "User",
+        entityId: user.id,
+        metadata: result,
+      });
+
+      res.json({
+        message: "User erased; listings with payment records were archived",
+        ...result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+const USER_STATUS_SELECT = {
+  id: true,
+  status: true,
+  suspendedUntil: true,
+  statusReason: true,
+  statusChangedAt: true,
+};
+
+const MODERATION_ACTIONS = ["user.suspend", "user.ban", "user.reinstate"];
+
+// Applies a status change and audits it as `action`. Returns the user's
+// new status fields, or null if there's no such user.
+async function moderateUser(req, userId, action, data, metadata) {
+  const before = await prisma.user.findUnique({
+    where: { id: userId },
+    select: USER_STATUS_SELECT,
+  });
+  if (!before) return null;
+
+  const after = await prisma.user.update({
+    where: { id: userId },
+    data: { ...data, statusChangedAt: new Date() },
+    select: USER_STATUS_SELECT,
+  });
+  forgetAccountStatus(userId);
+
+  await recordAudit(req, {
+    action,
+    entityType: "User",
+    entityId: userId,
+    before,
+    after,
+    metadata,
+  });
+
+  return after;
+}
+
+// POST /admin/users/:id/suspend - Suspend until { until } (a date) or for
+// { days }, with a { reason } shown to the user. They can still sign in,
+// but can't list, message or review, and their listings are hidden.
+router.post(
+  "/users/:id/suspend",
+  authenticateAdmin(["USERS_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const { until, days, reason } = req.body;
+
+      const suspendedUntil = until
+        ? new Date(until)
+        : new Date(Date.now() + parseInt(days) * 24 * 60 * 60 * 1000);
+
+      if (!reason) {
+        throw invalidFields({ reason: "Required" });
+      }
+
+      if (isNaN(suspendedUntil) || suspendedUntil <= new Date()) {
+        throw new HttpError(
+          400,
+          "BAD_REQUEST",
+          "Suspension must end in the future"
+        );
+      }
+
+      const user = await moderateUser(
+        req,
+        parseInt(req.params.id),
+        "user.suspend",
+        { status: "SUSPENDED", suspendedUntil, statusReason: reason }
+      );
+
+      if (!user) {
+        throw new HttpError(404, "NOT_FOUND", "User not found");
+      }
+
+      res.json({ message: "User suspended", user });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /admin/users/:id/ban - Ban with a { reason }. Signs the user out
+// everywhere and keeps them out; their data stays for the record.
+router.post(
+  "/users/:id/ban",
+  authenticateAdmin(["USERS_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const { reason } = req.body;
+
+      if (!reason) {
+        throw invalidFields({ reason: "Required" });
+      }
+
+      const userId = parseInt(req.params.id);
+      const user = await moderateUser(req, userId, "user.ban", {
+        status: "BANNED",
+        suspendedUntil: null,
+        statusReason: reason,
+      });
+
+      if (!user) {
+        throw new HttpError(404, "NOT_FOUND", "User not found");
+      }
+
+      await revokeUserSessions(userId, { reason: "banned" });
+
+      res.json({ message: "User banned", user });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /admin/users/:id/reinstate - Lift a suspension or ban. Body:
+// { note } explaining why, kept in the audit log.
+router.post(
+  "/users/:id/reinstate",
+  authenticateAdmin(["USERS_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const { note } = req.body;
+
+      if (!note) {
+        throw invalidFields({ note: "Required" });
+      }
+
+      const current = await prisma.user.findUnique({
+        where: { id: parseInt(req.params.id) },
+        select: USER_STATUS_SELECT,
+      });
+
+      if (!current) {
+        throw new HttpError(404, "NOT_FOUND", "User not found");
+      }
+
+      if (current.status === "ACTIVE") {
+        throw new HttpError(400, "BAD_REQUEST", "User is already active");
+      }
+
+      const user = await moderateUser(
+        req,
+        current.id,
+        "user.reinstate",
+        { status: "ACTIVE", suspendedUntil: null, statusReason: null },
+        { note }
+      );
+
+      res.json({ message: "User reinstated", user });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /admin/users/:id/moderation-history - Suspensions, bans and
+// reinstatements, newest first
+router.get(
+  "/users/:id/moderation-history",
+  authenticateAdmin(["USERS_VIEW"]),
+  async (req, res, next) => {
+    try {
+      const entries = await prisma.auditLog.findMany({
+        where: {
+          entityType: "User",
+          entityId: String(parseInt(req.params.id)),
+          action: { in: MODERATION_ACTIONS },
+        },
+        orderBy: { createdAt: "desc" },
+      });
+
+      res.json(entries);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /admin/users/:id/unlock - Lift a login lockout on a seller account
+router.post(
+  "/users/:id/unlock",
+  authenticateAdmin(["USERS_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: parseInt(req.params.id) },
+        select: { id: true, email: true },
+      });
+
+      if (!user || !user.email) {
+        throw new HttpError(404, "NOT_FOUND", "User not found");
+      }
+
+      const key = accountKey("user", user.email);
+      const lock = await prisma.loginThrottle.findUnique({ where: { key } });
+
+      const unlocked = await unlockLogin(key, {
+        userId: user.id,
+        actorAdminId: req.admin.id,
+        reason: req.body.reason,
+      });
+
+      if (!unlocked) {
+        throw new HttpError(400, "BAD_REQUEST", "Account is not locked");
+      }
+
+      await recordAudit(req, {
+        action: "user.unlock",
+        entityType: "User",
+        entityId: user.id,
+        before: lock,
+        metadata: { reason: req.body.reason ?? null },
+      });
+
+      res.json({ message: "Account unlocked" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /admin/login-locks - Accounts and IPs currently locked out
+router.get(
+  "/login-locks",
+  authenticateAdmin(["USERS_VIEW"]),
+  async (req, res, next) => {
+    try {
+      const locks = await prisma.loginThrottle.findMany({
+        where: { lockedUntil: { gt: new Date() } },
+        orderBy: { lockedUntil: "desc" },
+      });
+
+      res.json(locks);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// DELETE /admin/login-locks/:id - Lift any lock, including IP and admin ones
+router.delete(
+  "/login-locks/:id",
+  authenticateAdmin(["USERS_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const lock = await prisma.loginThrottle.findUnique({
+        where: { id: req.params.id },
+      });
+
+      if (!lock) {
+        throw new HttpError(404, "NOT_FOUND", "Lock not found");
+      }
+
+      await unlockLogin(lock.key, {
+        actorAdminId: req.admin.id,
+        reason: req.body?.reason,
+      });
+
+      await recordAudit(req, {
+        action: "login_lock.delete",
+        entityType: "LoginThrottle",
+        entityId: lock.id,
+        before: lock,
+        metadata: { reason: req.body?.reason ?? null },
+      });
+
+      res.json({ message: "Lock lifted" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /admin/auth-events - Lockout and unlock history. Filters: ?type,
+// ?userId, ?ipAddress, ?from, ?to
+router.get(
+  "/auth-events",
+  authenticateAdmin(["USERS_VIEW"]),
+  async (req, res, next) => {
+    try {
+      const {
+        type,
+        userId,
+        ipAddress,
+        from,
+        to,
+        page = 1,
+        limit = 50,
+      } = req.query;
+
+      const where = {};
+      if (type) where.type = type;
+      if (userId) where.userId = parseInt(userId);
+      if (ipAddress) where.ipAddress = ipAddress;
+      if (from || to) {
+        where.createdAt = {};
+        if (from) where.createdAt.gte = new Date(from);
+        if (to) where.createdAt.lte = new Date(to);
+      }
+
+      const [events, total] = await Promise.all([
+        prisma.authEvent.findMany({
+          where,
+          skip: (parseInt(page) - 1) * parseInt(limit),
+          take: parseInt(limit),
+          orderBy: { createdAt: "desc" },
+        }),
+        prisma.authEvent.count({ where }),
+      ]);
+
+      res.json({
+        events,
+        total,
+        page: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
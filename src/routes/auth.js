@@ -0,0 +1,359 @@
+import { Router } from "express";
+import bcrypt from "bcryptjs";
+import prisma from "../utils/prisma.js";
+import authenticateToken from "../middleware/auth.js";
+import { loginBlockReason } from "../utils/accountStatus.js";
+import {
+  consumeUserToken,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+} from "../utils/emailTokens.js";
+import {
+  checkLoginThrottle,
+  clearLoginFailures,
+  recordLoginFailure,
+  throttledError,
+} from "../utils/loginThrottle.js";
+import {
+  clearAuthCookies,
+  endSession,
+  revokeUserSessions,
+  rotateSession,
+  startSession,
+} from "../utils/sessions.js";
+import { HttpError } from "../utils/httpError.js";
+import {
+  email,
+  invalidFields,
+  password,
+  string,
+  validateBody,
+} from "../utils/validation.js";
+
+const router = Router();
+
+const registerSchema = {
+  firstName: string({ max: 100, optional: true }),
+  lastName: string({ max: 100, optional: true }),
+  email: email(),
+  phone: string({ max: 20, optional: true }),
+  city: string({ max: 100, optional: true }),
+  password: password(),
+  confirmPassword: password({ optional: true }),
+  deviceName: string({ max: 100, optional: true }),
+};
+
+// Sign-in only looks the email up, so any text will do
+const loginSchema = {
+  email: string({ max: 254 }),
+  password: password(),
+  deviceName: string({ max: 100, optional: true }),
+};
+
+const passwordMismatch = () =>
+  invalidFields({ confirmPassword: "Does not match the password" });
+
+const invalidCredentials = () =>
+  new HttpError(401, "INVALID_CREDENTIALS", "Invalid credentials");
+
+// Register, login, logout and refresh also answer under /auth, where the
+// old admin server served them
+router.post(
+  ["/register", "/auth/register"],
+  validateBody(registerSchema),
+  async (req, res, next) => {
+    try {
+      const {
+        firstName,
+        lastName,
+        email,
+        phone,
+        city,
+        password,
+        confirmPassword,
+      } = req.body;
+
+      if (password !== confirmPassword) {
+        throw passwordMismatch();
+      }
+
+      const existingUser = await prisma.user.findUnique({ where: { email } });
+
+      if (existingUser) {
+        throw new HttpError(
+          400,
+          "ALREADY_EXISTS",
+          "User already exists with this email"
+        );
+      }
+
+      const hashedPassword = await bcrypt.hash(password, 10);
+
+      const newUser = await prisma.user.create({
+        data: {
+          email,
+          password: hashedPassword,
+          firstName,
+          lastName,
+          phone,
+          city,
+        },
+      });
+
+      await startSession(req, res, newUser);
+
+      // The account works without it; the seller can ask for another link
+      try {
+        await sendVerificationEmail(newUser);
+      } catch (error) {
+        console.error("Verification email error:", error);
+      }
+
+      const { password: _, ...userData } = newUser;
+      res.status(201).json({
+        message: "User registered successfully",
+        user: userData,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post(
+  ["/login", "/auth/login"],
+  validateBody(loginSchema),
+  async (req, res, next) => {
+    try {
+      const { email, password } = req.body;
+
+      const throttle = await checkLoginThrottle("user", email, req);
+      if (throttle) {
+        throw throttledError(res, throttle);
+      }
+
+      const user = await prisma.user.findUnique({ where: { email } });
+
+      // Accounts created through phone OTP or Google have no password
+      const passwordValid =
+        !!user?.password && (await bcrypt.compare(password, user.password));
+
+      if (!passwordValid) {
+        await recordLoginFailure("user", email, req, { userId: user?.id });
+        throw invalidCredentials();
+      }
+
+      await clearLoginFailures("user", email);
+
+      const banned = loginBlockReason(user);
+      if (banned) {
+        throw new HttpError(403, "ACCOUNT_BANNED", banned);
+      }
+      await startSession(req, res, user);
+
+      const { password: _, ...userData } = user;
+      res.status(200).json({
+        message: "Login successful",
+        user: userData,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post(["/logout", "/auth/logout"], async (req, res, next) => {
+  try {
+    await endSession(req, res);
+    res.status(200).json({ message: "Logged out successfully" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Swaps the refresh cookie for a fresh access token and refresh token
+router.post(["/refresh", "/auth/refresh"], async (req, res, next) => {
+  try {
+    const { error } = await rotateSession(req, res);
+
+    if (error) {
+      clearAuthCookies(res);
+      throw new HttpError(401, "SESSION_EXPIRED", error);
+    }
+
+    res.status(200).json({ message: "Session refreshed" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/check-auth", authenticateToken, (req, res) => {
+  // `account` tells a suspended user why, and until when
+  res.status(200).json({
+    isAuthenticated: true,
+    user: req.user,
+    account: req.account,
+  });
+});
+
+// Sends a fresh verification link to the signed-in user
+router.post(
+  "/verify-email/request",
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: req.user.userId },
+      });
+
+      if (!user.email) {
+        throw new HttpError(
+          400,
+          "BAD_REQUEST",
+          "There is no email address on this account"
+        );
+      }
+
+      if (user.emailVerifiedAt) {
+        throw new HttpError(400, "BAD_REQUEST", "Email is already verified");
+      }
+
+      if (!(await sendVerificationEmail(user))) {
+        throw new HttpError(
+          429,
+          "RATE_LIMITED",
+          "Please wait a minute before asking again"
+        );
+      }
+
+      res.json({ message: "Verification email sent" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post(
+  "/verify-email",
+  validateBody({ token: string({ max: 2000, trim: false }) }),
+  async (req, res, next) => {
+    try {
+      const user = await consumeUserToken(req.body.token, "EMAIL_VERIFICATION");
+
+      if (!user) {
+        throw new HttpError(
+          400,
+          "INVALID_LINK",
+          "Verification link is invalid or has expired"
+        );
+      }
+
+      if (!user.emailVerifiedAt) {
+        await prisma.user.update({
+          where: { id: user.id },
+          data: { emailVerifiedAt: new Date() },
+        });
+      }
+
+      res.json({ message: "Email verified" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Always answers the same way so it can't be used to probe for accounts
+router.post(
+  "/forgot-password",
+  validateBody({ email: string({ max: 254 }) }),
+  async (req, res, next) => {
+    try {
+      const { email } = req.body;
+
+      const user = await prisma.user.findUnique({ where: { email } });
+
+      if (user) {
+        await sendPasswordResetEmail(user);
+      }
+
+      res.json({
+        message:
+          "If an account exists for this email, a reset link is on its way",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Sets a new password from a reset link and signs out every session
+router.post(
+  "/reset-password",
+  validateBody({
+    token: string({ max: 2000, trim: false }),
+    password: password(),
+    confirmPassword: password({ optional: true }),
+  }),
+  async (req, res, next) => {
+    try {
+      const { token, password, confirmPassword } = req.body;
+
+      if (password !== confirmPassword) {
+        throw passwordMismatch();
+      }
+
+      const user = await consumeUserToken(token, "PASSWORD_RESET");
+
+      if (!user) {
+        throw new HttpError(
+          400,
+          "INVALID_LINK",
+          "Reset link is invalid or has expired"
+        );
+      }
+
+      await prisma.user.update({
+        where: { id: user.id },
+        data: {
+          password: await bcrypt.hash(password, 10),
+          // The link reached the inbox, which proves the address
+          emailVerifiedAt: user.emailVerifiedAt || new Date(),
+        },
+      });
+
+      await revokeUserSessions(user.id, { reason: "Password reset" });
+
+      res.json({ message: "Password has been reset, please log in" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// The signed-in user, as the old admin server served it
+router.get("/auth/me", authenticateToken, async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId },
+      select: {
+        id: true,
+        email: true,
+        firstName: true,
+        lastName: true,
+        phone: true,
+        city: true,
+        createdAt: true,
+      },
+    });
+
+    if (!user) {
+      throw new HttpError(404, "NOT_FOUND", "User not found");
+    }
+
+    res.json(user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,1221 @@
+import { Router } from "express";
+import prisma from "../utils/prisma.js";
+import authenticateAdmin from "../middleware/adminAuth.js";
+import upload from "../middleware/upload.js";
+import { recordAudit } from "../utils/auditLog.js";
+import getFilteredBottomBanners, {
+  formatBottomBanners,
+} from "../utils/bottomBanner.js";
+import getFilteredCategoryBanners, {
+  formatCategoryBanners,
+} from "../utils/categoryBanner.js";
+import getFilteredHeroBanners, {
+  formatHeroBanners,
+} from "../utils/heroBanner.js";
+import getFilteredMiddleBanners, {
+  formatMiddleBanners,
+} from "../utils/middleBanner.js";
+import { deleteFileFromS3, uploadFileToS3 } from "../utils/upload.js";
+import { HttpError } from "../utils/httpError.js";
+import { invalidFields } from "../utils/validation.js";
+
+const router = Router();
+
+// The admin panel's view of each banner kind: every banner, inactive and
+// expired ones included. The storefront paths below only serve live ones.
+router.get(
+  "/admin/home-banner",
+  authenticateAdmin(["BANNERS_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const banners = await prisma.banner.findMany({
+        orderBy: { createdAt: "desc" },
+      });
+      res.json(banners);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.get(
+  "/home-banner/:id",
+  authenticateAdmin(["BANNERS_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const banner = await prisma.banner.findUnique({
+        where: { id: Number(id) },
+      });
+
+      if (!banner) {
+        throw new HttpError(404, "NOT_FOUND", "Banner not found");
+      }
+
+      res.json(banner);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post(
+  "/home-banner",
+  authenticateAdmin(["BANNERS_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const { Image, ListingUrl, active = true } = req.body;
+
+      if (!Image) {
+        throw invalidFields({ Image: "Required" });
+      }
+
+      const newBanner = await prisma.banner.create({
+        data: {
+          Image,
+          ListingUrl,
+          active,
+        },
+      });
+
+      await recordAudit(req, {
+        action: "banner.create",
+        entityType: "home-banner",
+        entityId: newBanner.id,
+        after: newBanner,
+      });
+
+      res.status(201).json(newBanner);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post(
+  "/home-banner/upload",
+  authenticateAdmin(["BANNERS_MANAGE"]),
+  upload.single("image"),
+  async (req, res, next) => {
+    try {
+      if (!req.file) {
+        throw invalidFields({ image: "Required" });
+      }
+
+      // Upload image to S3
+      const uploadResult = await uploadFileToS3(req.file);
+
+      // Create banner record in database
+      const { ListingUrl, active = true } = req.body;
+
+      const newBanner = await prisma.banner.create({
+        data: {
+          Image: uploadResult.url,
+          ListingUrl,
+          active,
+        },
+      });
+
+      await recordAudit(req, {
+        action: "banner.create",
+        entityType: "home-banner",
+        entityId: newBanner.id,
+        after: newBanner,
+      });
+
+      res.status(201).json(newBanner);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Update banner (protected)
+router.put(
+  "/home-banner/:id",
+  authenticateAdmin(["BANNERS_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { Image, ListingUrl, active } = req.body;
+
+      const before = await prisma.banner.findUnique({
+        where: { id: Number(id) },
+      });
+
+      const updatedBanner = await prisma.banner.update({
+        where: { id: Number(id) },
+        data: {
+          Image,
+          ListingUrl,
+          active,
+          updatedAt: new Date(),
+        },
+      });
+
+      await recordAudit(req, {
+        action: "banner.update",
+        entityType: "home-banner",
+        entityId: updatedBanner.id,
+        before,
+        after: updatedBanner,
+      });
+
+      res.json(updatedBanner);
+    } catch (error) {
+      if (error.code === "P2025") {
+        return next(new HttpError(404, "NOT_FOUND", "Banner not found"));
+      }
+      next(error);
+    }
+  }
+);
+
+router.delete(
+  "/home-banner/:id",
+  authenticateAdmin(["BANNERS_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const banner = await prisma.banner.findUnique({
+        where: { id: Number(id) },
+      });
+
+      if (!banner) {
+        throw new HttpError(404, "NOT_FOUND", "Banner not found");
+      }
+
+      const url = new URL(banner.Image);
+      const fileKey = url.pathname.substring(1);
+
+      await deleteFileFromS3(fileKey);
+
+      await prisma.banner.delete({
+        where: { id: Number(id) },
+      });
+
+      await recordAudit(req, {
+        action: "banner.delete",
+        entityType: "home-banner",
+        entityId: banner.id,
+        before: banner,
+      });
+
+      res.status(204).end();
+    } catch (error) {
+      if (error.code === "P2025") {
+        return next(new HttpError(404, "NOT_FOUND", "Banner not found"));
+      }
+      next(error);
+    }
+  }
+);
+
+// Get all admin banners
+router.get("/admin-banners", async (req, res, next) => {
+  try {
+    const banners = await prisma.adminBanner.findMany({
+      orderBy: { createdAt: "desc" },
+    });
+    res.json(banners);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get admin banner by ID (protected)
+router.get(
+  "/admin-banners/:id",
+  authenticateAdmin(["BANNERS_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const banner = await prisma.adminBanner.findUnique({
+        where: { id: Number(id) },
+      });
+
+      if (!banner) {
+        throw new HttpError(404, "NOT_FOUND", "Banner not found");
+      }
+
+      res.json(banner);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Create new admin banner (protected)
+router.post(
+  "/admin-banners",
+  authenticateAdmin(["BANNERS_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const {
+        Image,
+        ListingUrl,
+        youtubeUrl,
+        pincode,
+        locationUrl,
+        expiresAt,
+        active = true,
+      } = req.body;
+
+      // Validate pincode if provided
+      if (pincode && (isNaN(pincode) || pincode < 0)) {
+        throw invalidFields({ pincode: "Must be a number" });
+      }
+
+      // Validate expiration date if provided
+      if (expiresAt && new Date(expiresAt) <= new Date()) {
+        throw invalidFields({ expiresAt: "Must be in the future" });
+      }
+
+      const newBanner = await prisma.adminBanner.create({
+        data: {
+          Image,
+          ListingUrl: ListingUrl || null,
+          youtubeUrl: youtubeUrl || null,
+          pincode: pincode ? Number(pincode) : null,
+          locationUrl: locationUrl || null,
+          expiresAt: expiresAt ? new Date(expiresAt) : null,
+          active,
+        },
+      });
+
+      await recordAudit(req, {
+        action: "banner.create",
+        entityType: "admin-banners",
+        entityId: newBanner.id,
+        after: newBanner,
+      });
+
+      res.status(201).json(newBanner);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.delete(
+  "/admin-banners/:id",
+  authenticateAdmin(["BANNERS_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const banner = await prisma.adminBanner.findUnique({
+        where: { id: Number(id) },
+      });
+
+      if (!banner) {
+        throw new HttpError(404, "NOT_FOUND", "Banner not found");
+      }
+
+      const url = new URL(banner.Image);
+      const fileKey = url.pathname.substring(1);
+
+      await deleteFileFromS3(fileKey);
+
+      await prisma.adminBanner.delete({
+        where: { id: Number(id) },
+      });
+
+      await recordAudit(req, {
+        action: "banner.delete",
+        entityType: "admin-banners",
+        entityId: banner.id,
+        before: banner,
+      });
+
+      res.status(204).end();
+    } catch (error) {
+      if (error.code === "P2025") {
+        return next(new HttpError(404, "NOT_FOUND", "Banner not found"));
+      }
+      next(error);
+    }
+  }
+);
+
+router.post(
+  "/admin-banner/upload",
+  authenticateAdmin(["BANNERS_MANAGE"]),
+  upload.single("image"),
+  async (req, res, next) => {
+    try {
+      if (!req.file) {
+        throw invalidFields({ image: "Required" });
+      }
+
+      // Upload image to S3
+      const uploadResult = await uploadFileToS3(req.file);
+
+      // Create banner record in database
+      const {
+        ListingUrl,
+        active = true,
+        locationUrl,
+        pincode,
+        expiresAt,
+      } = req.body;
+
+      const newBanner = await prisma.adminBanner.create({
+        data: {
+          Image: uploadResult.url,
+          ListingUrl,
+          locationUrl,
+          pincode,
+          expiresAt,
+          active,
+        },
+      });
+
+      await recordAudit(req, {
+        action: "banner.create",
+        entityType: "admin-banners",
+        entityId: newBanner.id,
+        after: newBanner,
+      });
+
+      res.status(201).json(newBanner);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Update banner (protected)
+router.put(
+  "/admin-banners/:id",
+  authenticateAdmin(["BANNERS_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { Image, ListingUrl, active, locationUrl, pincode, expiresAt } =
+        req.body;
+
+      const before = await prisma.adminBanner.findUnique({
+        where: { id: Number(id) },
+      });
+
+      const updatedBanner = await prisma.adminBanner.update({
+        where: { id: Number(id) },
+        data: {
+          Image,
+          ListingUrl,
+          locationUrl,
+          pincode,
+          active,
+          expiresAt,
+          updatedAt: new Date(),
+        },
+      });
+
+      await recordAudit(req, {
+        action: "banner.update",
+        entityType: "admin-banners",
+        entityId: updatedBanner.id,
+        before,
+        after: updatedBanner,
+      });
+
+      res.json(updatedBanner);
+    } catch (error) {
+      if (error.code === "P2025") {
+        return next(new HttpError(404, "NOT_FOUND", "Banner not found"));
+      }
+      next(error);
+    }
+  }
+);
+
+router.get(
+  "/admin/middle-banners",
+  authenticateAdmin(["BANNERS_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const banners = await prisma.middleBanner.findMany({
+        orderBy: { createdAt: "desc" },
+      });
+      res.json(banners);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Create new middle banner (protected)
+router.post(
+  "/middle-banners",
+  authenticateAdmin(["BANNERS_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const {
+        Image,
+        youtubeUrl,
+        ListingUrl,
+        pincode,
+        locationUrl,
+        expiresAt,
+        active = true,
+      } = req.body;
+
+      // Validate that either image or youtube URL is provided
+      if (!Image && !youtubeUrl) {
+        throw invalidFields({ Image: "Required without a youtubeUrl" });
+      }
+
+      // Validate pincode if provided
+      if (pincode && (isNaN(pincode) || pincode < 0)) {
+        throw invalidFields({ pincode: "Must be a number" });
+      }
+
+      // Validate YouTube URL format if provided
+      if (youtubeUrl) {
+        const youtubeRegex =
+          /^(https?\:\/\/)?(www\.)?(youtube\.com|youtu\.?be)\/.+$/;
+        if (!youtubeRegex.test(youtubeUrl)) {
+          throw invalidFields({ youtubeUrl: "Must be a YouTube URL" });
+        }
+      }
+
+      // Validate expiration date if provided
+      if (expiresAt && new Date(expiresAt) <= new Date()) {
+        throw invalidFields({ expiresAt: "Must be in the future" });
+      }
+
+      const newBanner = await prisma.middleBanner.create({
+        data: {
+          Image: Image || null,
+          youtubeUrl: youtubeUrl || null,
+          ListingUrl: ListingUrl || null,
+          pincode: pincode ? Number(pincode) : null,
+          locationUrl: locationUrl || null,
+          expiresAt: expiresAt ? new Date(expiresAt) : null,
+          active,
+        },
+      });
+
+      await recordAudit(req, {
+        action: "banner.create",
+        entityType: "middle-banners",
+        entityId: newBanner.id,
+        after: newBanner,
+      });
+
+      res.status(201).json(newBanner);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Update banner (protected)
+router.put(
+  "/middle-banners/:id",
+  authenticateAdmin(["BANNERS_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const {
+        Image,
+        youtubeUrl,
+        ListingUrl,
+        active,
+        locationUrl,
+        pincode,
+        expiresAt,
+      } = req.body;
+
+      // Validate that either image or youtube URL is provided
+      if (!Image && !youtubeUrl) {
+        throw invalidFields({ Image: "Required without a youtubeUrl" });
+      }
+
+      const before = await prisma.middleBanner.findUnique({
+        where: { id: Number(id) },
+      });
+
+      const updatedBanner = await prisma.middleBanner.update({
+        where: { id: Number(id) },
+        data: {
+          Image,
+          youtubeUrl,
+          ListingUrl,
+          locationUrl,
+          pincode,
+          active,
+          expiresAt,
+          updatedAt: new Date(),
+        },
+      });
+
+      await recordAudit(req, {
+        action: "banner.update",
+        entityType: "middle-banners",
+        entityId: updatedBanner.id,
+        before,
+        after: updatedBanner,
+      });
+
+      res.json(updatedBanner);
+    } catch (error) {
+      if (error.code === "P2025") {
+        return next(new HttpError(404, "NOT_FOUND", "Banner not found"));
+      }
+      next(error);
+    }
+  }
+);
+
+// Upload image (protected)
+router.post(
+  "/middle-banners/upload",
+  authenticateAdmin(["BANNERS_MANAGE"]),
+  upload.single("image"),
+  async (req, res, next) => {
+    try {
+      if (!req.file) {
+        throw invalidFields({ image: "Required" });
+      }
+
+      // Upload image to S3
+      const uploadResult = await uploadFileToS3(req.file);
+
+      res.status(200).json({
+        Image: uploadResult.url,
+        message: "Image uploaded successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Delete banner (protected)
+router.delete(
+  "/middle-banners/:id",
+  authenticateAdmin(["BANNERS_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const banner = await prisma.middleBanner.findUnique({
+        where: { id: Number(id) },
+      });
+
+      if (!banner) {
+        throw new HttpError(404, "NOT_FOUND", "Banner not found");
+      }
+
+      // Delete image from S3 if it exists
+      if (banner.Image) {
+        const url = new URL(banner.Image);
+        const fileKey = url.pathname.substring(1);
+        await deleteFileFromS3(fileKey);
+      }
+
+      await prisma.middleBanner.delete({
+        where: { id: Number(id) },
+      });
+
+      await recordAudit(req, {
+        action: "banner.delete",
+        entityType: "middle-banners",
+        entityId: banner.id,
+        before: banner,
+      });
+
+      res.status(204).end();
+    } catch (error) {
+      if (error.code === "P2025") {
+        return next(new HttpError(404, "NOT_FOUND", "Banner not found"));
+      }
+      next(error);
+    }
+  }
+);
+
+router.get(
+  "/admin/bottom-banners",
+  authenticateAdmin(["BANNERS_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const banners = await prisma.bottomBanner.findMany({
+        orderBy: { createdAt: "desc" },
+      });
+      res.json(banners);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Create new bottom banner (protected)
+router.post(
+  "/bottom-banners",
+  authenticateAdmin(["BANNERS_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const {
+        Image,
+        youtubeUrl,
+        ListingUrl,
+        pincode,
+        locationUrl,
+        expiresAt,
+        active = true,
+      } = req.body;
+
+      // Validate that either image or youtube URL is provided
+      if (!Image && !youtubeUrl) {
+        throw invalidFields({ Image: "Required without a youtubeUrl" });
+      }
+
+      // Validate pincode if provided
+      if (pincode && (isNaN(pincode) || pincode < 0)) {
+        throw invalidFields({ pincode: "Must be a number" });
+      }
+
+      // Validate YouTube URL format if provided
+      if (youtubeUrl) {
+        const youtubeRegex =
+          /^(https?\:\/\/)?(www\.)?(youtube\.com|youtu\.?be)\/.+$/;
+        if (!youtubeRegex.test(youtubeUrl)) {
+          throw invalidFields({ youtubeUrl: "Must be a YouTube URL" });
+        }
+      }
+
+      // Validate expiration date if provided
+      if (expiresAt && new Date(expiresAt) <= new Date()) {
+        throw invalidFields({ expiresAt: "Must be in the future" });
+      }
+
+      const newBanner = await prisma.bottomBanner.create({
+        data: {
+          Image: Image || null,
+          youtubeUrl: youtubeUrl || null,
+          ListingUrl: ListingUrl || null,
+          pincode: pincode ? Number(pincode) : null,
+          locationUrl: locationUrl || null,
+          expiresAt: expiresAt ? new Date(expiresAt) : null,
+          active,
+        },
+      });
+
+      await recordAudit(req, {
+        action: "banner.create",
+        entityType: "bottom-banners",
+        entityId: newBanner.id,
+        after: newBanner,
+      });
+
+      res.status(201).json(newBanner);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Update banner (protected)
+router.put(
+  "/bottom-banners/:id",
+  authenticateAdmin(["BANNERS_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const {
+        Image,
+        youtubeUrl,
+        ListingUrl,
+        active,
+        locationUrl,
+        pincode,
+        expiresAt,
+      } = req.body;
+
+      // Validate that either image or youtube URL is provided
+      if (!Image && !youtubeUrl) {
+        throw invalidFields({ Image: "Required without a youtubeUrl" });
+      }
+
+      const before = await prisma.bottomBanner.findUnique({
+        where: { id: Number(id) },
+      });
+
+      const updatedBanner = await prisma.bottomBanner.update({
+        where: { id: Number(id) },
+        data: {
+          Image,
+          youtubeUrl,
+          ListingUrl,
+          locationUrl,
+          pincode,
+          active,
+          expiresAt,
+          updatedAt: new Date(),
+        },
+      });
+
+      await recordAudit(req, {
+        action: "banner.update",
+        entityType: "bottom-banners",
+        entityId: updatedBanner.id,
+        before,
+        after: updatedBanner,
+      });
+
+      res.json(updatedBanner);
+    } catch (error) {
+      if (error.code === "P2025") {
+        return next(new HttpError(404, "NOT_FOUND", "Banner not found"));
+      }
+      next(error);
+    }
+  }
+);
+
+// Upload image (protected)
+router.post(
+  "/bottom-banners/upload",
+  authenticateAdmin(["BANNERS_MANAGE"]),
+  upload.single("image"),
+  async (req, res, next) => {
+    try {
+      if (!req.file) {
+        throw invalidFields({ image: "Required" });
+      }
+
+      // Upload image to S3
+      const uploadResult = await uploadFileToS3(req.file);
+
+      res.status(200).json({
+        Image: uploadResult.url,
+        message: "Image uploaded successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Delete banner (protected)
+router.delete(
+  "/bottom-banners/:id",
+  authenticateAdmin(["BANNERS_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const banner = await prisma.bottomBanner.findUnique({
+        where: { id: Number(id) },
+      });
+
+      if (!banner) {
+        throw new HttpError(404, "NOT_FOUND", "Banner not found");
+      }
+
+      // Delete image from S3 if it exists
+      if (banner.Image) {
+        const url = new URL(banner.Image);
+        const fileKey = url.pathname.substring(1);
+        await deleteFileFromS3(fileKey);
+      }
+
+      await prisma.bottomBanner.delete({
+        where: { id: Number(id) },
+      });
+
+      await recordAudit(req, {
+        action: "banner.delete",
+        entityType: "bottom-banners",
+        entityId: banner.id,
+        before: banner,
+      });
+
+      res.status(204).end();
+    } catch (error) {
+      if (error.code === "P2025") {
+        return next(new HttpError(404, "NOT_FOUND", "Banner not found"));
+      }
+      next(error);
+    }
+  }
+);
+
+router.get(
+  "/admin/category-banners",
+  authenticateAdmin(["BANNERS_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const banners = await prisma.categoryBanner.findMany({
+        orderBy: { createdAt: "desc" },
+        include: {
+          category: {
+            select: {
+              id: true,
+              name: true,
+            },
+          },
+        },
+      });
+      res.json(banners);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Create new admin banner (protected)
+router.post(
+  "/category-banners",
+  authenticateAdmin(["BANNERS_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const {
+        Image,
+        youtubeUrl,
+        categoryId,
+        ListingUrl,
+        pincode,
+        locationUrl,
+        expiresAt,
+        active = true,
+      } = req.body;
+
+      if (!categoryId) {
+        throw invalidFields({ categoryId: "Required" });
+      }
+
+      // Validate that either image or youtube URL is provided
+      if (!Image && !youtubeUrl) {
+        throw invalidFields({ Image: "Required without a youtubeUrl" });
+      }
+
+      // Validate YouTube URL format if provided
+      if (youtubeUrl) {
+        const youtubeRegex =
+          /^(https?\:\/\/)?(www\.)?(youtube\.com|youtu\.?be)\/.+$/;
+        if (!youtubeRegex.test(youtubeUrl)) {
+          throw invalidFields({ youtubeUrl: "Must be a YouTube URL" });
+        }
+      }
+
+      // Validate pincode if provided
+      if (pincode && (isNaN(pincode) || pincode < 0)) {
+        throw invalidFields({ pincode: "Must be a number" });
+      }
+
+      // Validate expiration date if provided
+      if (expiresAt && new Date(expiresAt) <= new Date()) {
+        throw invalidFields({ expiresAt: "Must be in the future" });
+      }
+
+      const newBanner = await prisma.categoryBanner.create({
+        data: {
+          Image: Image || null,
+          youtubeUrl: youtubeUrl || null,
+          categoryId,
+          ListingUrl: ListingUrl || null,
+          pincode: pincode ? Number(pincode) : null,
+          locationUrl: locationUrl || null,
+          expiresAt: expiresAt ? new Date(expiresAt) : null,
+          active,
+        },
+        include: {
+          category: {
+            select: {
+              id: true,
+              name: true,
+            },
+          },
+        },
+      });
+
+      await recordAudit(req, {
+        action: "banner.create",
+        entityType: "category-banners",
+        entityId: newBanner.id,
+        after: newBanner,
+      });
+
+      res.status(201).json(newBanner);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Update banner (protected)
+router.put(
+  "/category-banners/:id",
+  authenticateAdmin(["BANNERS_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const {
+        Image,
+        youtubeUrl,
+        categoryId,
+        ListingUrl,
+        active,
+        locationUrl,
+        pincode,
+        expiresAt,
+      } = req.body;
+
+      if (!categoryId) {
+        throw invalidFields({ categoryId: "Required" });
+      }
+
+      // Validate that either image or youtube URL is provided
+      if (!Image && !youtubeUrl) {
+        throw invalidFields({ Image: "Required without a youtubeUrl" });
+      }
+
+      const before = await prisma.categoryBanner.findUnique({
+        where: { id: Number(id) },
+      });
+
+      const updatedBanner = await prisma.categoryBanner.update({
+        where: { id: Number(id) },
+        data: {
+          Image,
+          youtubeUrl,
+          categoryId,
+          ListingUrl,
+          locationUrl,
+          pincode: pincode ? Number(pincode) : null,
+          active,
+          expiresAt: expiresAt ? new Date(expiresAt) : null,
+          updatedAt: new Date(),
+        },
+        include: {
+          category: {
+            select: {
+              id: true,
+              name: true,
+            },
+          },
+        },
+      });
+
+      await recordAudit(req, {
+        action: "banner.update",
+        entityType: "category-banners",
+        entityId: updatedBanner.id,
+        before,
+        after: updatedBanner,
+      });
+
+      res.json(updatedBanner);
+    } catch (error) {
+      if (error.code === "P2025") {
+        return next(new HttpError(404, "NOT_FOUND", "Banner not found"));
+      }
+      next(error);
+    }
+  }
+);
+
+// Delete banner (protected)
+router.delete(
+  "/category-banners/:id",
+  authenticateAdmin(["BANNERS_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const banner = await prisma.categoryBanner.findUnique({
+        where: { id: Number(id) },
+      });
+
+      if (!banner) {
+        throw new HttpError(404, "NOT_FOUND", "Banner not found");
+      }
+
+      // Delete image from S3 if it exists
+      if (banner.Image) {
+        const url = new URL(banner.Image);
+        const fileKey = url.pathname.substring(1);
+        await deleteFileFromS3(fileKey);
+      }
+
+      await prisma.categoryBanner.delete({
+        where: { id: Number(id) },
+      });
+
+      await recordAudit(req, {
+        action: "banner.delete",
+        entityType: "category-banners",
+        entityId: banner.id,
+        before: banner,
+      });
+
+      res.status(204).end();
+    } catch (error) {
+      if (error.code === "P2025") {
+        return next(new HttpError(404, "NOT_FOUND", "Banner not found"));
+      }
+      next(error);
+    }
+  }
+);
+
+router.put(
+  "/:bannerType/:id/toggle-status",
+  authenticateAdmin(["BANNERS_MANAGE"]),
+  async (req, res, next) => {
+    try {
+      const { bannerType, id } = req.params;
+
+      // Validate banner type
+      console.log(bannerType);
+      const validBannerTypes = [
+        "admin-banners",
+        "middle-banners",
+        "bottom-banners",
+        "category-banners",
+      ];
+      if (!validBannerTypes.includes(bannerType)) {
+        throw new HttpError(400, "BAD_REQUEST", "Invalid banner type");
+      }
+
+      // Determine the Prisma model based on banner type
+      let prismaModel;
+      switch (bannerType) {
+        case "admin-banners":
+          prismaModel = prisma.adminBanner;
+          break;
+        case "middle-banners":
+          prismaModel = prisma.middleBanner;
+          break;
+        case "bottom-banners":
+          prismaModel = prisma.bottomBanner;
+          break;
+        case "category-banners":
+          prismaModel = prisma.categoryBanner;
+          break;
+      }
+
+      // Get current status
+      const banner = await prismaModel.findUnique({
+        where: { id: Number(id) },
+      });
+
+      if (!banner) {
+        throw new HttpError(404, "NOT_FOUND", "Banner not found");
+      }
+
+      // Toggle the status
+      const updatedBanner = await prismaModel.update({
+        where: { id: Number(id) },
+        data: {
+          active: !banner.active,
+          updatedAt: new Date(),
+        },
+      });
+
+      await recordAudit(req, {
+        action: "banner.toggle_status",
+        entityType: bannerType,
+        entityId: id,
+        before: banner,
+        after: updatedBanner,
+      });
+
+      res.json({
+        message: "Banner status updated successfully",
+        banner: updatedBanner,
+      });
+    } catch (error) {
+      if (error.code === "P2025") {
+        return next(new HttpError(404, "NOT_FOUND", "Banner not found"));
+      }
+      next(error);
+    }
+  }
+);
+
+// Storefront banner feeds: active banners near the visitor's pincode.
+// The admin panel lists every banner under /admin instead (see above).
+router.get("/home-banner", async (req, res, next) => {
+  try {
+    const banners = await prisma.banner.findMany({
+      where: { active: true },
+      orderBy: { createdAt: "desc" },
+    });
+    res.json(banners);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/middle-banners", async (req, res, next) => {
+  try {
+    const userPincode = req.query.location?.toString();
+    const maxResults = parseInt(req.query.limit) || 10;
+
+    const banners = await getFilteredMiddleBanners(userPincode, maxResults);
+    console.log(
+      `Returning ${banners.length} banners for pincode: ${userPincode || "all"}`
+    );
+    res.json(formatMiddleBanners(banners));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/bottom-banners", async (req, res, next) => {
+  try {
+    const userPincode = req.query.location?.toString();
+    const maxResults = parseInt(req.query.limit) || 10;
+
+    const banners = await getFilteredBottomBanners(userPincode, maxResults);
+    console.log(
+      `Returning ${banners.length} banners for pincode: ${userPincode || "all"}`
+    );
+    res.json(formatBottomBanners(banners));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/hero-banners", async (req, res, next) => {
+  try {
+    const userPincode = req.query.location?.toString();
+    const maxResults = parseInt(req.query.limit) || 10;
+
+    const banners = await getFilteredHeroBanners(userPincode, maxResults);
+    console.log(
+      `Returning ${banners.length} banners for pincode: ${userPincode || "all"}`
+    );
+    res.json(formatHeroBanners(banners));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/category-banners", async (req, res, next) => {
+  try {
+    const userPincode = req.query.location?.toString();
+    const categoryName = req.query.category?.toString();
+    const maxResults = parseInt(req.query.limit) || 10;
+
+    const banners = await getFilteredCategoryBanners(
+      categoryName,
+      userPincode,
+      maxResults
+    );
+    console.log(
+      `Returning ${banners.length} banners for pincode: ${userPincode || "all"}`
+    );
+    res.json(formatCategoryBanners(banners));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
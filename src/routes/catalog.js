@@ -0,0 +1,189 @@
+import { Router } from "express";
+import prisma from "../utils/prisma.js";
+import authenticateToken from "../middleware/auth.js";
+import { HttpError } from "../utils/httpError.js";
+import { string, validateBody } from "../utils/validation.js";
+
+const router = Router();
+
+// Up to 15 category names matching ?search. The admin panel gets whole
+// categories with listing counts from /admin/categories.
+router.get("/categories", async (req, res, next) => {
+  try {
+    const { search } = req.query;
+    const categories = await prisma.category.findMany({
+      where: search
+        ? {
+            name: {
+              contains: search,
+              mode: "insensitive",
+            },
+          }
+        : {},
+      take: 15,
+      orderBy: {
+        name: "asc",
+      },
+    });
+
+    res.json(categories.map((cat) => cat.name));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/cities", async (req, res, next) => {
+  try {
+    const { search } = req.query;
+    const categories = await prisma.city.findMany({
+      where: search
+        ? {
+            name: {
+              contains: search,
+              mode: "insensitive",
+            },
+          }
+        : {},
+      take: 15,
+      orderBy: {
+        name: "asc",
+      },
+    });
+
+    res.json(categories.map((cat) => cat.name));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post(
+  "/cities",
+  authenticateToken,
+  validateBody({ name: string({ max: 100 }) }),
+  async (req, res, next) => {
+    try {
+      const { name } = req.body;
+      const processedName = name.toUpperCase();
+
+      const city = await prisma.city.create({
+        data: {
+          name: processedName,
+        },
+      });
+
+      res.status(201).json(city);
+    } catch (error) {
+      if (error.code === "P2002" && error.meta?.target?.includes("name")) {
+        return next(new HttpError(409, "CONFLICT", "City already exists"));
+      }
+
+      next(error);
+    }
+  }
+);
+
+router.get("/pages", async (req, res, next) => {
+  try {
+    const pages = await prisma.page.findMany({
+      orderBy: { updatedAt: "desc" },
+    });
+    res.json(pages);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/pages/:slug", async (req, res, next) => {
+  try {
+    const { slug } = req.params;
+    const page = await prisma.page.findUnique({
+      where: { slug },
+    });
+
+    if (!page) {
+      throw new HttpError(404, "NOT_FOUND", "Page not found");
+    }
+
+    res.json(page);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/offer-zone", async (req, res, next) => {
+  try {
+    const currentDate = new Date().toISOString().split("T")[0];
+
+    const offers = await prisma.offerZone.findMany({
+      where: {
+        isActive: true,
+        validUntil: {
+          gte: currentDate,
+        },
+      },
+      orderBy: {
+        createdAt: "desc",
+      },
+      select: {
+        id: true,
+        vendorName: true,
+        discount: true,
+        promoCode: true,
+        category: true,
+        link: true,
+        description: true,
+        validUntil: true,
+        rating: true,
+      },
+    });
+
+    if (offers.length === 0) {
+      return res.status(200).json({
+        success: false,
+        message: "No active offers found",
+        data: [],
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: offers.length,
+      data: offers,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/subscription-plans", async (req, res, next) => {
+  try {
+    const plans = await prisma.subscriptionPlan.findMany({
+      where: { isActive: true },
+      orderBy: { price: "asc" },
+    });
+
+    res.json(plans);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get specific subscription plan by ID
+router.get("/subscription-plans/:id", async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const plan = await prisma.subscriptionPlan.findUnique({
+      where: { id: parseInt(id) },
+    });
+
+    if (!plan) {
+      throw new HttpError(404, "NOT_FOUND", "Subscription plan not found");
+    }
+
+    res.json(plan);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,46 @@
+import { Router } from "express";
+import { buildOpenApiDocument } from "../openapi/index.js";
+
+const router = Router();
+
+const SWAGGER_UI = "https://unpkg.com/swagger-ui-dist@5.17.14";
+
+const docsPage = `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>Egodeals API</title>
+    <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css" />
+  </head>
+  <body>
+    <div id="docs"></div>
+    <script src="${SWAGGER_UI}/swagger-ui-bundle.js"></script>
+    <script>
+      SwaggerUIBundle({
+        url: "/openapi.json",
+        dom_id: "#docs",
+        withCredentials: true,
+        persistAuthorization: true,
+      });
+    </script>
+  </body>
+</html>`;
+
+// GET /openapi.json - Built from the routes on first request; they don't
+// change while the app runs
+router.get("/openapi.json", (req, res, next) => {
+  try {
+    req.app.locals.openApiDocument ||= buildOpenApiDocument(req.app);
+    res.json(req.app.locals.openApiDocument);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /docs - Swagger UI. Requests made from it carry the page's cookies,
+// so sign in first to try the protected routes.
+router.get("/docs", (req, res) => {
+  res.type("html").send(docsPage);
+});
+
+export default router;
@@ -0,0 +1,172 @@
+import { Router } from "express";
+const router = Router();
+import prisma from "../utils/prisma.js";
+import jwt from "jsonwebtoken";
+import {
+  buildAuthorizationUrl,
+  createPkcePair,
+  exchangeCode,
+  randomToken,
+  verifyIdToken,
+} from "../utils/oidc.js";
+import { startSession } from "../utils/sessions.js";
+import { loginBlockReason } from "../utils/accountStatus.js";
+
+const FLOW_COOKIE = "googleAuthFlow";
+
+const getConfig = () => ({
+  issuer: process.env.GOOGLE_ISSUER || "https://accounts.google.com",
+  clientId: process.env.GOOGLE_CLIENT_ID,
+  clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+  redirectUri: process.env.GOOGLE_REDIRECT_URI,
+});
+
+// Lax so the cookie comes back on Google's top-level redirect
+const flowCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "lax",
+  path: "/auth/google",
+};
+
+// Only paths on our own frontend, never another origin
+const safeReturnTo = (value) =>
+  typeof value === "string" && /^\/(?!\/)/.test(value) ? value : "/";
+
+const redirectToFrontend = (res, pathname) =>
+  res.redirect(`${process.env.FRONTEND_URL}${pathname}`);
+
+// Finds the user for a verified Google identity: by Google subject first,
+// then by email (linking the Google account), otherwise a new passwordless
+// user. Google vouches for the address, so it counts as verified.
+async function findOrCreateGoogleUser(claims) {
+  const bySub = await prisma.user.findUnique({
+    where: { googleSub: claims.sub },
+  });
+  if (bySub) return bySub;
+
+  const email = claims.email.toLowerCase();
+  const byEmail = await prisma.user.findFirst({
+    where: { email: { equals: email, mode: "insensitive" } },
+  });
+
+  if (byEmail) {
+    return prisma.user.update({
+      where: { id: byEmail.id },
+      data: {
+        googleSub: claims.sub,
+        emailVerifiedAt: byEmail.emailVerifiedAt || new Date(),
+      },
+    });
+  }
+
+  return prisma.user.create({
+    data: {
+      email,
+      googleSub: claims.sub,
+      emailVerifiedAt: new Date(),
+      firstName: claims.given_name,
+      lastName: claims.family_name,
+    },
+  });
+}
+
+// GET /auth/google - Start "Sign in with Google". ?returnTo is a frontend
+// path to land on afterwards.
+router.get("/", async (req, res, next) => {
+  try {
+    const config = getConfig();
+    const { verifier, challenge } = createPkcePair();
+    const state = randomToken();
+    const nonce = randomToken();
+
+    // The flow secrets ride in a short-lived signed cookie until the callback
+    const flow = jwt.sign(
+      {
+        state,
+        nonce,
+        verifier,
+        returnTo: safeReturnTo(req.query.returnTo),
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: "10m" }
+    );
+    res.cookie(FLOW_COOKIE, flow, {
+      ...flowCookieOptions,
+      maxAge: 10 * 60 * 1000,
+    });
+
+    res.redirect(
+      await buildAuthorizationUrl(config.issuer, {
+        clientId: config.clientId,
+        redirectUri: config.redirectUri,
+        state,
+        nonce,
+        codeChallenge: challenge,
+        loginHint: req.query.loginHint,
+      })
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /auth/google/callback - Google redirects back here with the code
+router.get("/callback", async (req, res) => {
+  const flowToken = req.cookies[FLOW_COOKIE];
+  res.clearCookie(FLOW_COOKIE, flowCookieOptions);
+
+  try {
+    const { code, state, error } = req.query;
+
+    if (error) {
+      return redirectToFrontend(res, "/login?error=google_cancelled");
+    }
+
+    let flow;
+    try {
+      flow = jwt.verify(flowToken || "", process.env.JWT_SECRET);
+    } catch {
+      return redirectToFrontend(res, "/login?error=google_expired");
+    }
+
+    if (!code || state !== flow.state) {
+      return redirectToFrontend(res, "/login?error=google_state");
+    }
+
+    const config = getConfig();
+    const tokens = await exchangeCode(config.issuer, {
+      code,
+      codeVerifier: flow.verifier,
+      clientId: config.clientId,
+      clientSecret: config.clientSecret,
+      redirectUri: config.redirectUri,
+    });
+
+    const claims = await verifyIdToken(tokens.id_token, {
+      issuer: config.issuer,
+      audience: config.clientId,
+      nonce: flow.nonce,
+    });
+
+    // Linking by email is only safe when Google has verified it
+    if (!claims.email || !claims.email_verified) {
+      return redirectToFrontend(res, "/login?error=google_unverified");
+    }
+
+    const user = await findOrCreateGoogleUser(claims);
+
+    if (loginBlockReason(user)) {
+      return redirectToFrontend(res, "/login?error=account_banned");
+    }
+
+    await startSession(req, res, user);
+
+    redirectToFrontend(res, flow.returnTo);
+  } catch (error) {
+    console.error("Google sign-in callback error:", error);
+    redirectToFrontend(res, "/login?error=google_failed");
+  }
+});
+
+export default router;
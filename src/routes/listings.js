@@ -0,0 +1,1212 @@
+import { Router } from "express";
+import { ListingTier, ListingType } from "@prisma/client";
+import prisma from "../utils/prisma.js";
+import authenticateToken, { requireActiveAccount } from "../middleware/auth.js";
+import authenticateAdmin from "../middleware/adminAuth.js";
+import upload from "../middleware/upload.js";
+import { visibleSellerFilter } from "../utils/accountStatus.js";
+import { calculateExpirationDate } from "../utils/listingExpiry.js";
+import { normalizeIndianPhone } from "../utils/otp.js";
+import { findListingsTopOfCategoryFirst } from "../utils/promotions.js";
+import {
+  getFilteredRandomListings,
+  formatListings,
+} from "../utils/randomListings.js";
+import { deleteFileFromS3, uploadFileToS3 } from "../utils/upload.js";
+import { HttpError } from "../utils/httpError.js";
+import {
+  boolean,
+  integer,
+  invalidFields,
+  json,
+  list,
+  number,
+  object,
+  oneOf,
+  pincode,
+  string,
+  url,
+  validateBody,
+  validateParams,
+} from "../utils/validation.js";
+
+const router = Router();
+
+// Fields a seller sets on a listing; POST /listings takes them all,
+// PUT /listings/:id the ones in listingUpdateSchema
+const listingFields = {
+  title: string({ min: 3, max: 150 }),
+  description: string({ min: 10, max: 5000 }),
+  type: oneOf(Object.values(ListingType), { default: "PRIVATE_INDIVIDUAL" }),
+  price: number({ min: 0, default: 0 }),
+  negotiable: boolean({ default: false }),
+  city: string({ max: 100 }),
+  pincode: pincode({ optional: true }),
+  tags: list(string({ max: 50 }), { max: 20, default: [] }),
+  highlights: list(string({ max: 200 }), { max: 20, default: [] }),
+};
+
+const listingSchema = {
+  ...listingFields,
+  category: string({ max: 100 }),
+  phone: string({
+    pattern: /^\+?[\d\s-]{7,20}$/,
+    format: "a phone number",
+    optional: true,
+  }),
+  website: url({ optional: true }),
+  businessHours: json({ default: {} }),
+  businessCategory: string({ max: 100, optional: true }),
+  establishedYear: integer({ min: 1800, max: 2100, optional: true }),
+  serviceArea: string({ max: 200, optional: true }),
+  teamSize: string({ max: 50, optional: true }),
+  rating: number({ min: 0, max: 5, optional: true }),
+  reviewCount: integer({ min: 0, optional: true }),
+  listingTier: oneOf(Object.values(ListingTier), { default: "FREE" }),
+  subscriptionId: string({ max: 64, optional: true }),
+  photos: list(
+    object({
+      url: url(),
+      isBanner: boolean({ default: false }),
+    }),
+    { max: 20, default: [] }
+  ),
+  youtubeVideo: url({ optional: true }),
+  locationUrl: url({ optional: true }),
+  serviceRadius: integer({ min: 0, max: 1000, optional: true }),
+};
+
+const listingUpdateSchema = {
+  ...listingFields,
+  categoryId: string({ max: 64 }),
+};
+
+const listingIdParams = { id: integer({ min: 1 }) };
+
+// A listing field naming a record that doesn't exist fails the request
+// like any other invalid field
+const unknownRecord = (field, message) => invalidFields({ [field]: message });
+
+async function findListingCity(name) {
+  const city = await prisma.city.findUnique({ where: { name } });
+  if (!city) throw unknownRecord("city", "Unknown city");
+  return city;
+}
+
+// GET /listings - The seller's own approved listings. The admin panel
+// browses everyone's at /admin/listings.
+router.get("/listings", authenticateToken, async (req, res, next) => {
+  try {
+    const listings = await prisma.listing.findMany({
+      where: {
+        userId: req.user.userId,
+        status: "APPROVED",
+      },
+      include: {
+        category: true,
+        images: true,
+        city: true,
+      },
+      orderBy: {
+        createdAt: "desc",
+      },
+    });
+
+    res.json(listings);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/list/:slug", async (req, res, next) => {
+  try {
+    const { slug } = req.params;
+
+    const listing = await prisma.listing.findFirst({
+      where: {
+        slug: slug,
+        status: "APPROVED",
+        user: visibleSellerFilter(),
+      },
+      include: {
+        category: true,
+        images: {
+          orderBy: {
+            isPrimary: "desc", // Show primary image first
+          },
+        },
+        city: true,
+        user: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+            email: true,
+            phone: true,
+            verifiedPhone: true,
+            city: true,
+            createdAt: true,
+          },
+        },
+        reviews: {
+          include: {
+            user: { select: { id: true, firstName: true, lastName: true } },
+          },
+        },
+        promotions: {
+          where: {
+            isActive: true,
+            OR: [{ endDate: null }, { endDate: { gte: new Date() } }],
+          },
+          orderBy: {
+            createdAt: "desc",
+          },
+          take: 1,
+        },
+        subscription: {
+          select: {
+            name: true,
+            tierType: true,
+          },
+        },
+      },
+    });
+
+    if (!listing) {
+      throw new HttpError(
+        404,
+        "NOT_FOUND",
+        "Listing not found or not approved"
+      );
+    }
+
+    const similarListings = await prisma.listing.findMany({
+      where: {
+        AND: [
+          {
+            status: "APPROVED",
+            NOT: { id: listing.id },
+            user: visibleSellerFilter(),
+          },
+          {
+            OR: [
+              { categoryId: String(listing.categoryId) }, // Same category
+              ...(listing.cityId ? [{ cityId: String(listing.cityId) }] : []), // Same city (if exists)
+            ],
+          },
+        ],
+      },
+      take: 4,
+      include: {
+        images: { take: 1, orderBy: { isPrimary: "desc" } },
+        city: true,
+        category: true,
+        promotions: {
+          where: {
+            isActive: true,
+            OR: [{ endDate: null }, { endDate: { gte: new Date() } }],
+          },
+          take: 1,
+        },
+      },
+      orderBy: [
+        { listingTier: "desc" }, // Premium first
+        { createdAt: "desc" },
+      ],
+    });
+
+    // "Verified number" badge: the number shown on the listing is one the
+    // owner confirmed by OTP
+    const { verifiedPhone, ...owner } = listing.user;
+    const isPhoneVerified =
+      !!verifiedPhone &&
+      normalizeIndianPhone(listing.phone || owner.phone) === verifiedPhone;
+
+    // Format response data
+    const responseData = {
+      listing: {
+        ...listing,
+        user: owner,
+        isPhoneVerified,
+      },
+      similarListings: similarListings.map((listing) => ({
+        ...listing,
+        city: listing.city?.name || "Unknown Location",
+      })),
+    };
+
+    res.json(responseData);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/listing/professional", async (req, res, next) => {
+  try {
+    const {
+      search,
+      category,
+      location,
+      type = "ALL",
+      page = 1,
+      limit = 9,
+    } = req.query;
+
+    const where = {
+      status: "APPROVED",
+      user: visibleSellerFilter(),
+    };
+
+    if (type === "PROFESSIONAL") {
+      where.type = "PROFESSIONAL";
+    } else if (type === "PRIVATE_INDIVIDUAL") {
+      where.type = "PRIVATE_INDIVIDUAL";
+    } else {
+      where.type = { in: ["PROFESSIONAL", "PRIVATE_INDIVIDUAL"] };
+    }
+
+    if (search) {
+      where.OR = [
+        { title: { contains: search, mode: "insensitive" } },
+        { description: { contains: search, mode: "insensitive" } },
+      ];
+    }
+
+    if (category && category !== "All Categories") {
+      where.category = {
+        name: category,
+      };
+    }
+
+    if (location && location !== "All Locations") {
+      where.city = {
+        name: location,
+      };
+    }
+
+    const include = {
+      category: true,
+      city: true, // Include city relation
+      images: true,
+      user: {
+        select: {
+          firstName: true,
+          lastName: true,
+          phone: true,
+        },
+      },
+    };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    // A category's page shows its TOP_OF_CATEGORY promotions first
+    const listings = where.category
+      ? await findListingsTopOfCategoryFirst({ where, include, skip, take })
+      : await prisma.listing.findMany({
+          where,
+          include,
+          skip,
+          take,
+          orderBy: {
+            createdAt: "desc",
+          },
+        });
+
+    const total = await prisma.listing.count({ where });
+
+    res.json({
+      listings,
+      total,
+      page: parseInt(page),
+      totalPages: Math.ceil(total / parseInt(limit)),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/listings/pending", authenticateToken, async (req, res, next) => {
+  try {
+    const listings = await prisma.listing.findMany({
+      where: {
+        userId: req.user.userId,
+        status: "PENDING_APPROVAL",
+      },
+      include: {
+        category: true,
+        images: true,
+      },
+      orderBy: {
+        createdAt: "desc",
+      },
+    });
+
+    res.json(listings);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/listings/archived", authenticateToken, async (req, res, next) => {
+  try {
+    const listings = await prisma.listing.findMany({
+      where: {
+        userId: req.user.userId,
+        status: "ARCHIVED",
+      },
+      include: {
+        category: true,
+        images: true,
+      },
+      orderBy: {
+        createdAt: "desc",
+      },
+    });
+
+    res.json(listings);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get(
+  "/listings/:listingId/favorite/check",
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const { listingId } = req.params;
+      const userId = req.user.userId;
+
+      const favorite = await prisma.favorite.findUnique({
+        where: {
+          userId_listingId: {
+            userId: parseInt(userId),
+            listingId: parseInt(listingId),
+          },
+        },
+      });
+
+      res.json({ isFavorite: !!favorite });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.get("/listings/favorites", authenticateToken, async (req, res, next) => {
+  try {
+    // Assuming you have a favorites relation in your schema
+    const favorites = await prisma.favorite.findMany({
+      where: { userId: req.user.userId },
+      include: {
+        listing: {
+          include: {
+            category: true,
+            images: true,
+          },
+        },
+      },
+      orderBy: {
+        createdAt: "desc",
+      },
+    });
+
+    res.json(favorites.map((fav) => fav.listing));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put(
+  "/listings/:id",
+  authenticateToken,
+  requireActiveAccount,
+  validateParams(listingIdParams),
+  validateBody(listingUpdateSchema, { partial: true }),
+  async (req, res, next) => {
+    try {
+      const { city, categoryId, ...fields } = req.body;
+
+      const data = { ...fields };
+      if (city !== undefined) {
+        const cityRecord = await findListingCity(city);
+        data.city = { connect: { id: cityRecord.id } };
+      }
+      if (categoryId !== undefined) {
+        const category = await prisma.category.findUnique({
+          where: { id: categoryId },
+        });
+        if (!category) throw unknownRecord("categoryId", "Unknown category");
+        data.category = { connect: { id: category.id } };
+      }
+
+      // Someone else's listing is as good as missing: P2025, so a 404
+      const updatedListing = await prisma.listing.update({
+        where: {
+          id: req.params.id,
+          userId: req.user.userId,
+        },
+        data,
+        include: {
+          category: true,
+        },
+      });
+
+      res.json(updatedListing);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Sellers delete their own listings; admins use DELETE /admin/listings/:id
+router.delete("/listings/:id", authenticateToken, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    await prisma.listing.delete({
+      where: {
+        id: parseInt(id),
+        userId: req.user.userId,
+      },
+    });
+
+    res.json({ message: "Listing deleted successfully" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put(
+  "/listings/:id/archive",
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const listing = await prisma.listing.update({
+        where: {
+          id,
+          userId: req.user.userId,
+        },
+        data: {
+          status: "ARCHIVED",
+        },
+      });
+
+      res.json(listing);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.put(
+  "/listings/:id/reactivate",
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const listing = await prisma.listing.update({
+        where: {
+          id,
+          userId: req.user.userId,
+        },
+        data: {
+          status: "APPROVED",
+        },
+      });
+
+      res.json(listing);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post(
+  "/listings/:id/favorite",
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const favorite = await prisma.favorite.create({
+        data: {
+          userId: req.user.userId,
+          listingId: parseInt(id),
+        },
+        include: {
+          listing: true,
+        },
+      });
+
+      res.status(201).json(favorite);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.delete(
+  "/listings/:id/favorite",
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      await prisma.favorite.delete({
+        where: {
+          userId_listingId: {
+            userId: req.user.userId,
+            listingId: parseInt(id),
+          },
+        },
+      });
+
+      res.json({ message: "Removed from favorites" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post(
+  "/upload",
+  authenticateToken,
+  upload.array("photos", 10),
+  async (req, res, next) => {
+    try {
+      if (!req.files || req.files.length === 0) {
+        throw new HttpError(400, "BAD_REQUEST", "No files uploaded");
+      }
+
+      // Parse photo types from form data
+      const photoTypes = [];
+      for (let i = 0; i < req.files.length; i++) {
+        const typeKey = `photoTypes[${i}]`;
+        photoTypes.push(req.body[typeKey] || "gallery");
+      }
+
+      // Parse metadata if available
+      let metadata = { featuredCount: 0, bannerCount: 0, galleryCount: 0 };
+      if (req.body.photoMetadata) {
+        try {
+          metadata = JSON.parse(req.body.photoMetadata);
+        } catch (e) {
+          console.warn("Failed to parse photo metadata");
+        }
+      }
+
+      const uploadPromises = req.files.map((file) => uploadFileToS3(file));
+      const uploadedFiles = await Promise.all(uploadPromises);
+
+      const urls = uploadedFiles.map((file, index) => ({
+        url: file.url,
+        filename: file.filename,
+        key: file.key,
+        type: photoTypes[index] || "gallery",
+        isFeatured: photoTypes[index] === "featured",
+        isBanner: photoTypes[index] === "banner",
+        isGallery: photoTypes[index] === "gallery",
+        order: index,
+      }));
+
+      const organizedUrls = {
+        featured: urls.filter((img) => img.type === "featured"),
+        banner: urls.filter((img) => img.type === "banner"),
+        gallery: urls.filter((img) => img.type === "gallery"),
+        all: urls,
+      };
+
+      res.status(200).json({
+        urls: urls,
+        organized: organizedUrls,
+        metadata: {
+          ...metadata,
+          totalUploaded: urls.length,
+          uploadedAt: new Date().toISOString(),
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post(
+  "/listings",
+  authenticateToken,
+  requireActiveAccount,
+  validateBody(listingSchema),
+  async (req, res, next) => {
+    try {
+      const {
+        category,
+        type,
+        title,
+        description,
+        price,
+        negotiable,
+        city,
+        tags,
+        highlights,
+        pincode,
+        phone,
+        website,
+        businessHours,
+        businessCategory,
+        establishedYear,
+        serviceArea,
+        teamSize,
+        rating,
+        reviewCount,
+        listingTier,
+        subscriptionId,
+        photos,
+        youtubeVideo,
+        locationUrl,
+        serviceRadius,
+      } = req.body;
+
+      if (process.env.REQUIRE_VERIFIED_EMAIL === "true") {
+        const owner = await prisma.user.findUnique({
+          where: { id: req.user.userId },
+          select: { emailVerifiedAt: true },
+        });
+
+        if (!owner?.emailVerifiedAt) {
+          throw new HttpError(
+            403,
+            "EMAIL_NOT_VERIFIED",
+            "Verify your email address before listing"
+          );
+        }
+      }
+
+      let subscriptionPlan = null;
+      if (subscriptionId) {
+        subscriptionPlan = await prisma.subscriptionPlan.findUnique({
+          where: { id: subscriptionId },
+        });
+
+        if (!subscriptionPlan) {
+          throw unknownRecord("subscriptionId", "Unknown subscription plan");
+        }
+      }
+
+      const cityRecord = await findListingCity(city);
+
+      let categoryRecord = await prisma.category.findUnique({
+        where: { name: category },
+      });
+
+      if (!categoryRecord) {
+        categoryRecord = await prisma.category.create({
+          data: {
+            name: category,
+          },
+        });
+      }
+
+      const baseSlug = title
+        .toLowerCase()
+        .replace(/\s+/g, "-")
+        .replace(/[^\w-]+/g, "");
+      let slug = baseSlug;
+      let counter = 1;
+
+      while (await prisma.listing.findFirst({ where: { slug } })) {
+        slug = `${baseSlug}-${counter}`;
+        counter++;
+      }
+
+      let initialStatus = "DRAFT";
+      if (listingTier === "FREE") {
+        initialStatus = "PENDING_APPROVAL";
+      } else {
+        initialStatus = "PENDING_PAYMENT";
+      }
+
+      // Banners and any promotion the plan includes start once it's paid
+      // for (see applySubscription in utils/payments.js)
+      let expiresAt;
+
+      if (subscriptionPlan) {
+        expiresAt = calculateExpirationDate(subscriptionPlan.durationDays);
+      } else {
+        // Default values if no subscription plan
+        if (listingTier === "FREE") {
+          expiresAt = calculateExpirationDate(30); // 30 days for FREE
+        } else if (listingTier === "PREMIUM") {
+          expiresAt = calculateExpirationDate(60); // 60 days for PREMIUM
+        } else if (listingTier === "PREMIUM_PLUS") {
+          expiresAt = calculateExpirationDate(120); // 120 days for PREMIUM_PLUS
+        }
+      }
+
+      const newListing = await prisma.listing.create({
+        data: {
+          title,
+          description,
+          type,
+          price,
+          negotiable,
+          category: { connect: { id: categoryRecord.id } },
+          user: { connect: { id: req.user.userId } },
+          city: { connect: { id: cityRecord.id } },
+          pincode,
+          tags,
+          highlights,
+          phone,
+          website,
+          businessHours,
+          businessCategory,
+          establishedYear,
+          serviceArea,
+          teamSize,
+          rating,
+          reviewCount,
+          listingTier: subscriptionPlan
+            ? subscriptionPlan.tierType
+            : listingTier,
+          status: initialStatus,
+          slug,
+          expiresAt: expiresAt,
+          youtubeVideo,
+          locationUrl,
+          serviceRadius,
+          subscription: subscriptionPlan
+            ? { connect: { id: subscriptionPlan.id } }
+            : undefined,
+        },
+        include: {
+          category: true,
+          user: true,
+        },
+      });
+
+      if (photos.length > 0) {
+        const bannerIndex = photos.findIndex((photo) => photo.isBanner);
+
+        await prisma.image.createMany({
+          data: photos.map((photo, index) => ({
+            url: photo.url,
+            isPrimary: index === 0,
+            isBanner: index === bannerIndex,
+            listingId: newListing.id,
+          })),
+        });
+      }
+
+      if (
+        listingTier === "FREE" ||
+        (subscriptionPlan && subscriptionPlan.tierType === "FREE")
+      ) {
+        const admin = await prisma.admin.findFirst();
+
+        if (admin) {
+          await prisma.adminApproval.create({
+            data: {
+              listingId: newListing.id,
+              adminId: admin.id,
+              status: "PENDING_APPROVAL",
+            },
+          });
+        } else {
+          console.warn("No admin found to assign approval to");
+        }
+      }
+
+      res.status(201).json({
+        message: "Listing created successfully",
+        listing: newListing,
+        requiresPayment: initialStatus === "PENDING_PAYMENT",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.delete("/images/:id", authenticateToken, async (req, res, next) => {
+  try {
+    const imageId = parseInt(req.params.id);
+
+    const image = await prisma.image.findUnique({
+      where: { id: imageId },
+    });
+
+    if (!image) {
+      throw new HttpError(404, "NOT_FOUND", "Image not found");
+    }
+
+    // Check if the image belongs to a listing owned by the user
+    const listing = await prisma.listing.findUnique({
+      where: { id: image.listingId },
+    });
+
+    if (!listing || listing.userId !== req.user.userId) {
+      throw new HttpError(403, "NOT_OWNER", "Unauthorized");
+    }
+
+    // Delete from S3 if key exists
+    if (image.key) {
+      await deleteFileFromS3(image.key);
+    }
+
+    // Delete from database
+    await prisma.image.delete({
+      where: { id: imageId },
+    });
+
+    res.status(200).json({ message: "Image deleted successfully" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/listings/random", async (req, res, next) => {
+  try {
+    const { pincode, limit } = req.query;
+    const maxResults = parseInt(limit) || 6;
+
+    // Get filtered and scored listings using hybrid system
+    const listings = await getFilteredRandomListings(pincode, maxResults);
+    res.json(formatListings(listings));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/payment", authenticateToken, async (req, res, next) => {
+  try {
+    // Get all payments for listings owned by the authenticated user
+    const payments = await prisma.payment.findMany({
+      where: {
+        listing: {
+          userId: req.user.userId,
+        },
+      },
+      include: {
+        listing: {
+          select: {
+            title: true,
+            status: true,
+            listingTier: true,
+            subscription: {
+              select: {
+                name: true,
+                durationDays: true,
+              },
+            },
+          },
+        },
+      },
+      orderBy: {
+        createdAt: "desc",
+      },
+    });
+
+    if (!payments || payments.length === 0) {
+      throw new HttpError(404, "NOT_FOUND", "No payments found for this user");
+    }
+
+    // Format the response data
+    const formattedPayments = payments.map((payment) => ({
+      id: payment.id,
+      amount: payment.amount,
+      currency: payment.currency,
+      paymentMethod: payment.paymentMethod,
+      status: payment.status,
+      transactionId: payment.transactionId,
+      createdAt: payment.createdAt,
+      listing: {
+        id: payment.listingId,
+        title: payment.listing.title,
+        status: payment.listing.status,
+        tier: payment.listing.listingTier,
+        subscription: payment.listing.subscription,
+      },
+    }));
+
+    res.json({
+      success: true,
+      data: formattedPayments,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/listings/featured", async (req, res, next) => {
+  try {
+    const featuredListings = await prisma.listing.findMany({
+      where: {
+        status: "APPROVED",
+        user: visibleSellerFilter(),
+        promotions: {
+          some: {
+            isActive: true,
+          },
+        },
+      },
+      include: {
+        category: true,
+        images: {
+          take: 1,
+          where: { isPrimary: true },
+        },
+        promotions: {
+          where: { isActive: true },
+          orderBy: { createdAt: "desc" },
+          take: 1,
+        },
+      },
+      take: 10,
+      orderBy: { createdAt: "desc" },
+    });
+
+    res.json(featuredListings);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /listing/:slug - A listing's page, by slug or by id for older links.
+// The public only gets approved listings of visible sellers; the admin
+// panel opens a listing in any status at /admin/listing/:slug.
+const listingPage =
+  ({ publicOnly }) =>
+  async (req, res, next) => {
+    try {
+      const id = parseInt(req.params.slug);
+      const where = isNaN(id) ? { slug: req.params.slug } : { id };
+      if (publicOnly) {
+        where.status = "APPROVED";
+        where.user = visibleSellerFilter();
+      }
+
+      const listing = await prisma.listing.findFirst({
+        where,
+        include: {
+          category: true,
+          images: true,
+          city: true,
+          user: {
+            select: {
+              id: true,
+              firstName: true,
+              lastName: true,
+              phone: true,
+            },
+          },
+          promotions: {
+            where: { isActive: true },
+            orderBy: { createdAt: "desc" },
+          },
+          subscription: true,
+          Favorite: true,
+        },
+      });
+
+      if (!listing) {
+        throw new HttpError(404, "NOT_FOUND", "Listing not found");
+      }
+
+      res.json(listing);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+router.get("/listing/:slug", listingPage({ publicOnly: true }));
+
+router.get(
+  "/admin/listing/:slug",
+  authenticateAdmin(["LISTINGS_VIEW"]),
+  listingPage({ publicOnly: false })
+);
+
+// User Listings
+router.get("/users/me/listings", authenticateToken, async (req, res, next) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const where = { userId: req.user.userId };
+    if (status) where.status = status;
+
+    const listings = await prisma.listing.findMany({
+      where,
+      include: {
+        category: true,
+        images: {
+          take: 1,
+          where: { isPrimary: true },
+        },
+        promotions: {
+          where: { isActive: true },
+          orderBy: { createdAt: "desc" },
+          take: 1,
+        },
+      },
+      skip: (parseInt(page) - 1) * parseInt(limit),
+      take: parseInt(limit),
+      orderBy: { createdAt: "desc" },
+    });
+
+    const total = await prisma.listing.count({ where });
+
+    res.json({
+      listings,
+      total,
+      page: parseInt(page),
+      totalPages: Math.ceil(total / parseInt(limit)),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Favorite Routes
+router.get("/favorites", authenticateToken, async (req, res, next) => {
+  try {
+    const favorites = await prisma.favorite.findMany({
+      where: { userId: req.user.userId },
+      include: {
+        listing: {
+          include: {
+            category: true,
+            images: {
+              take: 1,
+              where: { isPrimary: true },
+            },
+          },
+        },
+      },
+    });
+
+    res.json(favorites);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post("/favorites", authenticateToken, async (req, res, next) => {
+  try {
+    const { listingId } = req.body;
+
+    const listing = await prisma.listing.findUnique({
+      where: { id: listingId },
+    });
+
+    if (!listing) {
+      throw new HttpError(404, "NOT_FOUND", "Listing not found");
+    }
+
+    const existingFavorite = await prisma.favorite.findFirst({
+      where: { userId: req.user.userId, listingId },
+    });
+
+    if (existingFavorite) {
+      throw new HttpError(400, "BAD_REQUEST", "Listing already in favorites");
+    }
+
+    const favorite = await prisma.favorite.create({
+      data: {
+        userId: req.user.userId,
+        listingId,
+      },
+    });
+
+    res.status(201).json(favorite);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete(
+  "/favorites/:listingId",
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const { listingId } = req.params;
+
+      const favorite = await prisma.favorite.findFirst({
+        where: { userId: req.user.userId, listingId: parseInt(listingId) },
+      });
+
+      if (!favorite) {
+        throw new HttpError(404, "NOT_FOUND", "Favorite not found");
+      }
+
+      await prisma.favorite.delete({
+        where: { id: favorite.id },
+      });
+
+      res.json({ message: "Removed from favorites" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Search Routes
+router.post("/search", async (req, res, next) => {
+  try {
+    const { query, filters, userId } = req.body;
+
+    if (userId) {
+      await prisma.searchQuery.create({
+        data: {
+          userId,
+          query,
+          filters,
+        },
+      });
+    }
+
+    const where = {
+      status: "APPROVED",
+      user: visibleSellerFilter(),
+    };
+
+    if (query) {
+      where.OR = [
+        { title: { contains: query, mode: "insensitive" } },
+        { description: { contains: query, mode: "insensitive" } },
+        { tags: { hasSome: [query] } },
+      ];
+    }
+
+    if (filters) {
+      if (filters.category) where.categoryId = filters.category;
+      if (filters.city)
+        where.city = { contains: filters.city, mode: "insensitive" };
+      if (filters.type) where.type = filters.type;
+      if (filters.minPrice) where.price = { gte: parseFloat(filters.minPrice) };
+      if (filters.maxPrice) {
+        where.price = { ...where.price, lte: parseFloat(filters.maxPrice) };
+      }
+    }
+
+    const include = {
+      category: true,
+      images: {
+        take: 1,
+        where: { isPrimary: true },
+      },
+    };
+
+    const listings = where.categoryId
+      ? await findListingsTopOfCategoryFirst({ where, include, take: 20 })
+      : await prisma.listing.findMany({ where, include, take: 20 });
+
+    res.json(listings);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -3,6 +3,8 @@ const router = Router();
 import axios from "axios";
 import { Agent } from "http";
 import { Agent as _Agent } from "https";
+import { mapsApiUrl } from "../utils/googleMaps.js";
+import { invalidFields } from "../utils/validation.js";
 
 const httpClient = axios.create({
   httpAgent: new Agent({ keepAlive: true }),
@@ -17,11 +19,11 @@ router.use(json());
  * @description Get location data from Google Maps URL
  * @access Public
  */
-router.post("/maps", async (req, res) => {
+router.post("/maps", async (req, res, next) => {
   try {
     const { url } = req.body;
     if (!url) {
-      return res.status(400).json({ error: "URL is required" });
+      throw invalidFields({ url: "Required" });
     }
 
     // Resolve short URL to full URL first
@@ -74,11 +76,7 @@ router.post("/maps", async (req, res) => {
       placeId: placeDetails.place_id || null,
     });
   } catch (error) {
-    console.error("Location service error:", error.message);
-    return res.status(500).json({
-      error: error.message || "Location service unavailable",
-      ...(process.env.NODE_ENV === "development" && { details: error.stack }),
-    });
+    next(error);
   }
 });
 
@@ -148,16 +146,13 @@ async function getPlaceIdFromUrl(url) {
 }
 
 async function getPlaceIdFromCoordinates(lat, lng) {
-  const response = await httpClient.get(
-    "https://maps.googleapis.com/maps/api/geocode/json",
-    {
-      params: {
-        latlng: `${lat},${lng}`,
-        key: process.env.GOOGLE_MAPS_API_KEY,
-        language: "en",
-      },
-    }
-  );
+  const response = await httpClient.get(mapsApiUrl("/maps/api/geocode/json"), {
+    params: {
+      latlng: `${lat},${lng}`,
+      key: process.env.GOOGLE_MAPS_API_KEY,
+      language: "en",
+    },
+  });
 
   if (response.data.status === "OK" && response.data.results.length > 0) {
     return response.data.results[0].place_id;
@@ -177,7 +172,7 @@ function isValidPlaceId(placeId) {
 
 async function getPlaceIdFromTextSearch(searchText) {
   const response = await httpClient.get(
-    "https://maps.googleapis.com/maps/api/place/findplacefromtext/json",
+    mapsApiUrl("/maps/api/place/findplacefromtext/json"),
     {
       params: {
         input: decodeURIComponent(searchText.replace(/\+/g, " ")),
@@ -201,7 +196,7 @@ async function getPlaceDetails(placeId) {
   }
 
   const response = await httpClient.get(
-    "https://maps.googleapis.com/maps/api/place/details/json",
+    mapsApiUrl("/maps/api/place/details/json"),
     {
       params: {
         place_id: placeId,
@@ -219,16 +214,13 @@ async function getPlaceDetails(placeId) {
 }
 
 async function getFullAddress(lat, lng) {
-  const response = await httpClient.get(
-    "https://maps.googleapis.com/maps/api/geocode/json",
-    {
-      params: {
-        latlng: `${lat},${lng}`,
-        key: process.env.GOOGLE_MAPS_API_KEY,
-        language: "en",
-      },
-    }
-  );
+  const response = await httpClient.get(mapsApiUrl("/maps/api/geocode/json"), {
+    params: {
+      latlng: `${lat},${lng}`,
+      key: process.env.GOOGLE_MAPS_API_KEY,
+      language: "en",
+    },
+  });
 
   if (response.data.status !== "OK") {
     console.warn("Geocoding failed, using place address instead");
@@ -0,0 +1,95 @@
+import { Router } from "express";
+const router = Router();
+import prisma from "../utils/prisma.js";
+import authenticateToken from "../middleware/auth.js";
+import {
+  paymentHistoryInclude,
+  buildPaymentFilter,
+  formatPayment,
+  formatPaymentDetail,
+} from "../utils/paymentHistory.js";
+import { HttpError } from "../utils/httpError.js";
+import {
+  integer,
+  pageQuery,
+  string,
+  validateQuery,
+} from "../utils/validation.js";
+
+const paymentsQuery = {
+  listingId: integer({ min: 1, optional: true }),
+  status: string({
+    optional: true,
+    description: "Comma separated PaymentStatus values",
+  }),
+  from: string({ optional: true, description: "A date or date-time" }),
+  to: string({
+    optional: true,
+    description: "A date or date-time; a date covers the whole day",
+  }),
+  ...pageQuery,
+};
+
+// GET /me/payments - The seller's payments with what they paid for.
+// Filters: ?listingId, ?status, ?from, ?to
+router.get(
+  "/payments",
+  authenticateToken,
+  validateQuery(paymentsQuery),
+  async (req, res, next) => {
+    try {
+      const { page, limit } = req.query;
+      const { where, error } = buildPaymentFilter(req.query);
+
+      if (error) {
+        throw new HttpError(400, "BAD_REQUEST", error);
+      }
+
+      where.listing = { userId: req.user.userId };
+
+      const [payments, total] = await Promise.all([
+        prisma.payment.findMany({
+          where,
+          include: paymentHistoryInclude,
+          skip: (page - 1) * limit,
+          take: limit,
+          orderBy: { createdAt: "desc" },
+        }),
+        prisma.payment.count({ where }),
+      ]);
+
+      res.json({
+        payments: payments.map(formatPayment),
+        total,
+        page,
+        totalPages: Math.ceil(total / limit),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /me/payments/:id - One payment with its tax breakdown and timeline.
+// The receipt itself is at /payments/:id/invoice.
+router.get("/payments/:id", authenticateToken, async (req, res, next) => {
+  try {
+    const payment = await prisma.payment.findUnique({
+      where: { id: req.params.id },
+      include: {
+        ...paymentHistoryInclude,
+        events: { orderBy: { createdAt: "asc" } },
+      },
+    });
+
+    if (!payment || payment.listing.userId !== req.user.userId) {
+      throw new HttpError(404, "NOT_FOUND", "Payment not found");
+    }
+
+    res.json(formatPaymentDetail(payment));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,109 @@
+import { Router } from "express";
+import prisma from "../utils/prisma.js";
+import authenticateToken, { requireActiveAccount } from "../middleware/auth.js";
+import { HttpError } from "../utils/httpError.js";
+import { integer, string, validateBody } from "../utils/validation.js";
+
+const router = Router();
+
+// Every message is about a listing
+const messageSchema = {
+  receiverId: integer({ min: 1 }),
+  listingId: integer({ min: 1 }),
+  content: string({ max: 5000 }),
+};
+
+router.get("/", authenticateToken, async (req, res, next) => {
+  try {
+    const messages = await prisma.message.findMany({
+      where: {
+        OR: [{ senderId: req.user.userId }, { receiverId: req.user.userId }],
+      },
+      include: {
+        sender: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+          },
+        },
+        receiver: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+          },
+        },
+        listing: {
+          select: {
+            id: true,
+            title: true,
+          },
+        },
+      },
+      orderBy: { createdAt: "desc" },
+    });
+
+    res.json(messages);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post(
+  "/",
+  authenticateToken,
+  requireActiveAccount,
+  validateBody(messageSchema),
+  async (req, res, next) => {
+    try {
+      const { receiverId, listingId, content } = req.body;
+
+      const message = await prisma.message.create({
+        data: {
+          senderId: req.user.userId,
+          receiverId,
+          listingId,
+          content,
+        },
+      });
+
+      res.status(201).json(message);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.put("/:id/read", authenticateToken, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const message = await prisma.message.findUnique({
+      where: { id: parseInt(id) },
+    });
+
+    if (!message) {
+      throw new HttpError(404, "NOT_FOUND", "Message not found");
+    }
+
+    if (message.receiverId !== req.user.userId) {
+      throw new HttpError(
+        403,
+        "NOT_OWNER",
+        "Not authorized to mark this message as read"
+      );
+    }
+
+    const updatedMessage = await prisma.message.update({
+      where: { id },
+      data: { isRead: true },
+    });
+
+    res.json(updatedMessage);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,50 @@
+import { Router } from "express";
+import prisma from "../utils/prisma.js";
+import authenticateToken from "../middleware/auth.js";
+
+const router = Router();
+
+router.get("/", authenticateToken, async (req, res, next) => {
+  try {
+    const { unread, page = 1, limit = 20 } = req.query;
+
+    const where = { userId: req.user.userId };
+    if (unread === "true") {
+      where.readAt = null;
+    }
+
+    const [notifications, total] = await Promise.all([
+      prisma.notification.findMany({
+        where,
+        skip: (parseInt(page) - 1) * parseInt(limit),
+        take: parseInt(limit),
+        orderBy: { createdAt: "desc" },
+      }),
+      prisma.notification.count({ where }),
+    ]);
+
+    res.json({
+      notifications,
+      total,
+      page: parseInt(page),
+      totalPages: Math.ceil(total / parseInt(limit)),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put("/:id/read", authenticateToken, async (req, res, next) => {
+  try {
+    const { count } = await prisma.notification.updateMany({
+      where: { id: req.params.id, userId: req.user.userId, readAt: null },
+      data: { readAt: new Date() },
+    });
+
+    res.json({ updated: count });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
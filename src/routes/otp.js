@@ -0,0 +1,232 @@
+import { Router } from "express";
+const router = Router();
+import prisma from "../utils/prisma.js";
+import authenticateToken from "../middleware/auth.js";
+import { normalizeIndianPhone, sendOtp, verifyOtp } from "../utils/otp.js";
+import { startSession } from "../utils/sessions.js";
+import { loginBlockReason } from "../utils/accountStatus.js";
+import { HttpError } from "../utils/httpError.js";
+import { invalidFields, string, validateBody } from "../utils/validation.js";
+
+const isUniqueViolation = (error) => error?.code === "P2002";
+
+const userSelect = {
+  id: true,
+  email: true,
+  firstName: true,
+  lastName: true,
+  phone: true,
+  city: true,
+  verifiedPhone: true,
+  phoneVerifiedAt: true,
+  emailVerifiedAt: true,
+  status: true,
+  statusReason: true,
+  suspendedUntil: true,
+  createdAt: true,
+};
+
+const phoneNumber = string({
+  max: 20,
+  description: "Indian mobile number, with or without +91",
+});
+
+const phoneSchema = { phone: phoneNumber };
+
+const codeSchema = { phone: phoneNumber, code: string({ max: 10 }) };
+
+const loginSchema = {
+  ...codeSchema,
+  firstName: string({ max: 100, optional: true }),
+  lastName: string({ max: 100, optional: true }),
+};
+
+const invalidPhone = () =>
+  invalidFields({ phone: "Must be a valid mobile number" });
+
+// Throws when sendOtp refused, so call it inside the handler's try
+const sendOtpResponse = (res, result) => {
+  if (result.error) {
+    if (result.retryAfter) res.set("Retry-After", String(result.retryAfter));
+    throw new HttpError(result.status, "RATE_LIMITED", result.error, null, {
+      retryAfter: result.retryAfter,
+    });
+  }
+
+  res.json({ message: "OTP sent", expiresAt: result.expiresAt });
+};
+
+// POST /otp/login/request - Text a login code. Works for numbers without an
+// account too; /otp/login then signs them up.
+router.post(
+  "/login/request",
+  validateBody(phoneSchema),
+  async (req, res, next) => {
+    try {
+      const phone = normalizeIndianPhone(req.body.phone);
+
+      if (!phone) {
+        throw invalidPhone();
+      }
+
+      sendOtpResponse(res, await sendOtp({ phone, purpose: "LOGIN" }));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /otp/login - Sign in with a code, creating the account on first use
+router.post("/login", validateBody(loginSchema), async (req, res, next) => {
+  try {
+    const phone = normalizeIndianPhone(req.body.phone);
+    const { code, firstName, lastName } = req.body;
+
+    if (!phone) {
+      throw invalidPhone();
+    }
+
+    const result = await verifyOtp({ phone, purpose: "LOGIN", code });
+
+    if (result.error) {
+      throw new HttpError(401, "INVALID_OTP", result.error, null, {
+        attemptsLeft: result.attemptsLeft,
+      });
+    }
+
+    let user = await prisma.user.findUnique({
+      where: { verifiedPhone: phone },
+      select: userSelect,
+    });
+    let created = false;
+
+    if (!user) {
+      try {
+        user = await prisma.user.create({
+          data: {
+            phone,
+            verifiedPhone: phone,
+            phoneVerifiedAt: new Date(),
+            firstName,
+            lastName,
+          },
+          select: userSelect,
+        });
+        created = true;
+      } catch (error) {
+        // Two logins for a new number raced; the other one created it
+        if (!isUniqueViolation(error)) throw error;
+        user = await prisma.user.findUnique({
+          where: { verifiedPhone: phone },
+          select: userSelect,
+        });
+      }
+    }
+
+    const banned = loginBlockReason(user);
+    if (banned) {
+      throw new HttpError(403, "ACCOUNT_BANNED", banned);
+    }
+
+    await startSession(req, res, user);
+
+    res.status(created ? 201 : 200).json({
+      message: created ? "Account created" : "Login successful",
+      user,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /otp/phone/request - Text a code to confirm a number for the
+// signed-in user
+router.post(
+  "/phone/request",
+  authenticateToken,
+  validateBody(phoneSchema),
+  async (req, res, next) => {
+    try {
+      const phone = normalizeIndianPhone(req.body.phone);
+
+      if (!phone) {
+        throw invalidPhone();
+      }
+
+      const owner = await prisma.user.findUnique({
+        where: { verifiedPhone: phone },
+        select: { id: true },
+      });
+
+      if (owner && owner.id !== req.user.userId) {
+        throw new HttpError(
+          409,
+          "PHONE_TAKEN",
+          "This number is verified on another account"
+        );
+      }
+
+      sendOtpResponse(
+        res,
+        await sendOtp({
+          phone,
+          purpose: "VERIFY_PHONE",
+          userId: req.user.userId,
+        })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /otp/phone/verify - Confirm the code; the number becomes the user's
+// phone and can be used to log in
+router.post(
+  "/phone/verify",
+  authenticateToken,
+  validateBody(codeSchema),
+  async (req, res, next) => {
+    try {
+      const phone = normalizeIndianPhone(req.body.phone);
+
+      if (!phone) {
+        throw invalidPhone();
+      }
+
+      const result = await verifyOtp({
+        phone,
+        purpose: "VERIFY_PHONE",
+        code: req.body.code,
+        userId: req.user.userId,
+      });
+
+      if (result.error) {
+        throw new HttpError(400, "INVALID_OTP", result.error, null, {
+          attemptsLeft: result.attemptsLeft,
+        });
+      }
+
+      const user = await prisma.user.update({
+        where: { id: req.user.userId },
+        data: { phone, verifiedPhone: phone, phoneVerifiedAt: new Date() },
+        select: userSelect,
+      });
+
+      res.json({ message: "Phone number verified", user });
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        return next(
+          new HttpError(
+            409,
+            "PHONE_TAKEN",
+            "This number is verified on another account"
+          )
+        );
+      }
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -1,420 +1,465 @@
-// import { Router } from "express";
-// const router = Router();
-// import Razorpay from "razorpay";
-// import { PrismaClient } from "@prisma/client";
-// const prisma = new PrismaClient();
-// import { createHmac } from "crypto";
-
-// const razorpay = new Razorpay({
-//   key_id: process.env.RAZORPAY_KEY_ID,
-//   key_secret: process.env.RAZORPAY_KEY_SECRET,
-// });
-
-// router.post("/create-order", async (req, res) => {
-//   try {
-//     const { amount, currency, listingId, pricingOption } = req.body;
-
-//     const pricingOptions = {
-//       Free: 0,
-//       TopPage: 850, // ₹8.50 in paise
-//       TopPageAd: 15000, // ₹150.00 in paise
-//     };
-
-//     if (!pricingOptions.hasOwnProperty(pricingOption)) {
-//       return res.status(400).json({ error: "Invalid pricing option" });
-//     }
-
-//     if (pricingOption !== "Free" && amount !== pricingOptions[pricingOption]) {
-//       return res
-//         .status(400)
-//         .json({ error: "Amount doesn't match pricing option" });
-//     }
-
-//     // For free listings, just return a dummy order
-//     if (pricingOption === "Free") {
-//       return res.json({
-//         order: {
-//           id: "free_listing",
-//           amount: 0,
-//           currency: "INR",
-//           status: "created",
-//         },
-//       });
-//     }
-
-//     const options = {
-//       amount: amount.toString(),
-//       currency: currency || "INR",
-//       receipt: `listing_${listingId}`,
-//       payment_capture: 1,
-//       notes: {
-//         listingId,
-//         pricingOption,
-//       },
-//     };
-
-//     const order = await razorpay.orders.create(options);
-//     res.json({ order });
-//   } catch (error) {
-//     console.error("Error creating order:", error);
-//     res.status(500).json({ error: "Failed to create payment order" });
-//   }
-// });
-
-// // Verify payment
-// router.post("/verify", async (req, res) => {
-//   try {
-//     const {
-//       razorpay_payment_id,
-//       razorpay_order_id,
-//       razorpay_signature,
-//       listingId,
-//       pricingOption,
-//     } = req.body;
-
-//     // For free listings, just mark as paid
-//     if (pricingOption === "Free") {
-//       await updateListingAfterPayment(listingId, "Free", "free_listing");
-//       return res.json({ success: true });
-//     }
-
-//     // Verify the payment signature
-//     const generatedSignature = createHmac(
-//       "sha256",
-//       process.env.RAZORPAY_KEY_SECRET
-//     )
-//       .update(`${razorpay_order_id}|${razorpay_payment_id}`)
-//       .digest("hex");
-
-//     if (generatedSignature !== razorpay_signature) {
-//       return res.status(400).json({ error: "Invalid payment signature" });
-//     }
-
-//     // Update listing and create promotion
-//     await updateListingAfterPayment(
-//       listingId,
-//       pricingOption,
-//       razorpay_payment_id
-//     );
-
-//     res.json({ success: true });
-//   } catch (error) {
-//     console.error("Payment verification error:", error);
-//     res.status(500).json({ error: "Payment verification failed" });
-//   }
-// });
-
-// // Webhook for payment events
-// router.post("/webhook", async (req, res) => {
-//   const body = req.body;
-//   const signature = req.headers["x-razorpay-signature"];
-
-//   // Verify webhook signature
-//   const expectedSignature = createHmac(
-//     "sha256",
-//     process.env.RAZORPAY_WEBHOOK_SECRET
-//   )
-//     .update(JSON.stringify(body))
-//     .digest("hex");
-
-//   if (expectedSignature !== signature) {
-//     return res.status(400).json({ error: "Invalid webhook signature" });
-//   }
-
-//   const event = body.event;
-
-//   try {
-//     if (event === "payment.captured") {
-//       const payment = body.payload.payment.entity;
-//       const listingId = payment.notes?.listingId;
-//       const pricingOption = payment.notes?.pricingOption;
-
-//       if (listingId && pricingOption) {
-//         await updateListingAfterPayment(listingId, pricingOption, payment.id);
-//       }
-//     }
-
-//     res.json({ received: true });
-//   } catch (error) {
-//     console.error("Webhook processing error:", error);
-//     res.status(500).json({ error: "Webhook processing failed" });
-//   }
-// });
-
-// async function updateListingAfterPayment(listingId, pricingOption, paymentId) {
-//   // Start transaction
-//   return await prisma.$transaction(async (prisma) => {
-//     // Update listing status and tier
-//     const listing = await prisma.listing.update({
-//       where: { id: listingId },
-//       data: {
-//         status: "APPROVED",
-//         listingType: pricingOption === "TopPageAd" ? "PREMIUM" : "FREE",
-//       },
-//     });
-
-//     // For paid options, create a promotion record
-//     if (pricingOption !== "Free") {
-//       const durationMap = {
-//         TopPage: "SEVEN_DAYS",
-//         TopPageAd: "THIRTY_DAYS",
-//       };
-
-//       await prisma.promotion.create({
-//         data: {
-//           listingId,
-//           price: pricingOption === "TopPage" ? 8.5 : 150,
-//           startDate: new Date(),
-//           endDate: new Date(
-//             Date.now() +
-//               (pricingOption === "TopPage" ? 7 * 86400000 : 30 * 86400000)
-//           ),
-//           duration: durationMap[pricingOption],
-//           isActive: true,
-//         },
-//       });
-//     }
-
-//     // Create payment record
-//     await prisma.payment.create({
-//       data: {
-//         listingId,
-//         amount: pricingOption === "TopPage" ? 8.5 : 150,
-//         currency: "INR",
-//         paymentMethod: "RAZORPAY",
-//         transactionId: paymentId,
-//         status: "COMPLETED",
-//       },
-//     });
-
-//     return listing;
-//   });
-// }
-
-// export default router;
 import { Router } from "express";
 const router = Router();
-import Razorpay from "razorpay";
-import { PrismaClient } from "@prisma/client";
-const prisma = new PrismaClient();
-import { createHmac } from "crypto";
-
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET,
-});
+import prisma from "../utils/prisma.js";
+import authenticateToken from "../middleware/auth.js";
+import {
+  verifyPaymentSignature,
+  verifyWebhookSignature,
+} from "../utils/razorpay.js";
+import {
+  getPlanActivation,
+  createPaymentOrder,
+  fulfilPaymentOrder,
+  payWithWallet,
+  markPaymentFailed,
+  markPaymentRefunded,
+} from "../utils/payments.js";
+import {
+  applyRenewalCharge,
+  cancelRenewalForRefund,
+  updateRenewalStatus,
+} from "../utils/renewals.js";
+import { applyCoupon } from "../utils/coupons.js";
+import {
+  issueInvoice,
+  renderInvoiceHtml,
+  renderInvoicePdf,
+  getInvoiceFilename,
+} from "../utils/invoice.js";
+import { HttpError } from "../utils/httpError.js";
+import { invalidFields } from "../utils/validation.js";
+
+// Resolves the listing, plan and (optionally) coupon for a checkout from
+// the request, recomputing the price server-side. Throws an HttpError when
+// the checkout is not allowed.
+async function resolveCheckout(req) {
+  const { listingId, pricingOption, subscriptionId, couponCode } = req.body;
+
+  const listing = await prisma.listing.findUnique({
+    where: { id: parseInt(listingId) },
+  });
+
+  if (!listing || listing.userId !== req.user.userId) {
+    throw new HttpError(404, "NOT_FOUND", "Listing not found");
+  }
+
+  // The plan id wins over the tier name when the client sends both
+  const plan = await prisma.subscriptionPlan.findFirst({
+    where: subscriptionId
+      ? { id: subscriptionId, isActive: true }
+      : { tierType: pricingOption, isActive: true },
+    orderBy: { createdAt: "desc" },
+  });
+
+  if (!plan) {
+    throw new HttpError(400, "INVALID_PLAN", "Invalid pricing option");
+  }
+
+  const originalAmount = Math.round(Number(plan.price || 0) * 100);
+  let coupon = null;
+  let discountAmount = 0;
+
+  if (couponCode && originalAmount > 0) {
+    const result = await applyCoupon({
+      code: couponCode,
+      userId: req.user.userId,
+      listing,
+      plan,
+      amount: originalAmount,
+    });
+
+    if (result.error) {
+      throw new HttpError(400, "INVALID_COUPON", result.error);
+    }
+
+    ({ coupon, discountAmount } = result);
+  }
 
-router.post("/create-order", async (req, res) => {
+  return {
+    listing,
+    plan,
+    coupon,
+    originalAmount,
+    discountAmount,
+    amount: originalAmount - discountAmount,
+  };
+}
+
+// POST /payments/coupons/validate - Preview a coupon before checkout
+router.post("/coupons/validate", authenticateToken, async (req, res, next) => {
   try {
-    const { amount, currency, listingId, pricingOption, subscriptionId } =
-      req.body;
-
-    const subscriptionPlans = await prisma.subscriptionPlan.findMany({
-      where: { isActive: true },
-      select: {
-        tierType: true,
-        price: true,
+    if (!req.body.couponCode) {
+      throw invalidFields({ couponCode: "Required" });
+    }
+
+    const checkout = await resolveCheckout(req);
+
+    res.json({
+      valid: true,
+      code: checkout.coupon?.code,
+      originalAmount: checkout.originalAmount,
+      discountAmount: checkout.discountAmount,
+      amount: checkout.amount,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Starts payment for a resolved checkout: free plans are applied directly,
+// `useWallet` pays from the seller's wallet and anything else gets a
+// Razorpay order recorded as a PaymentOrder. Throws an HttpError when the
+// wallet can't cover it.
+async function startCheckout(req, res, checkout) {
+  const { listing, plan, coupon, discountAmount, amount } = checkout;
+
+  // Free plans skip checkout entirely
+  if (plan.tierType === "FREE" || amount === 0) {
+    await prisma.listing.update({
+      where: { id: listing.id },
+      data: getPlanActivation(listing, plan),
+    });
+
+    return res.json({
+      order: {
+        id: "free_listing",
+        amount: 0,
+        currency: "INR",
+        status: "created",
       },
+      success: true,
     });
+  }
 
-    const pricingOptions = {};
-    subscriptionPlans.forEach((plan) => {
-      pricingOptions[plan.tierType] = Number(plan.price * 100);
+  if (req.body.useWallet) {
+    const result = await payWithWallet({
+      userId: req.user.userId,
+      amount,
+      type: "SUBSCRIPTION",
+      listing,
+      plan,
+      couponId: coupon?.id,
+      discountAmount,
     });
 
-    if (!Object.keys(pricingOptions).includes(pricingOption)) {
-      return res.status(400).json({ error: "Invalid pricing option" });
+    if (result.error) {
+      throw new HttpError(400, "INSUFFICIENT_BALANCE", result.error, null, {
+        balance: result.balance,
+      });
     }
 
-    if (
-      pricingOption !== "FREE" &&
-      Number(amount) !== pricingOptions[pricingOption]
-    ) {
-      return res.status(400).json({
-        error: "Amount doesn't match pricing option",
-        expectedAmount: pricingOptions[pricingOption],
-        receivedAmount: amount,
-      });
+    return res.json({
+      success: true,
+      paidFromWallet: true,
+      listingId: listing.id,
+      paymentId: result.payment.id,
+      walletBalance: result.wallet.balance / 100,
+    });
+  }
+
+  const { order, paymentOrder } = await createPaymentOrder({
+    listing,
+    userId: req.user.userId,
+    amount,
+    notes: {
+      pricingOption: plan.tierType,
+      subscriptionId: plan.id,
+      couponCode: coupon?.code || "",
+    },
+    type: "SUBSCRIPTION",
+    planId: plan.id,
+    discountAmount,
+    couponId: coupon?.id,
+  });
+
+  res.json({
+    order,
+    paymentOrderId: paymentOrder.id,
+    originalAmount: checkout.originalAmount,
+    discountAmount,
+  });
+}
+
+router.post("/create-order", authenticateToken, async (req, res, next) => {
+  try {
+    const checkout = await resolveCheckout(req);
+    await startCheckout(req, res, checkout);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /payments/renew - Re-open checkout for a published or expired
+// listing, on its current plan unless the body picks another
+router.post("/renew", authenticateToken, async (req, res, next) => {
+  try {
+    const listing = await prisma.listing.findUnique({
+      where: { id: parseInt(req.body.listingId) },
+    });
+
+    if (!listing || listing.userId !== req.user.userId) {
+      throw new HttpError(404, "NOT_FOUND", "Listing not found");
     }
 
-    // Handle free listing
-    if (pricingOption === "FREE") {
-      await updateListingAfterPayment(listingId, "FREE", "free_listing");
-      return res.json({
-        order: {
-          id: "free_listing",
-          amount: 0,
-          currency: currency || "INR",
-          status: "created",
-        },
-        success: true,
-      });
+    if (!["APPROVED", "EXPIRED"].includes(listing.status)) {
+      throw new HttpError(
+        400,
+        "BAD_REQUEST",
+        "Only published or expired listings can be renewed"
+      );
     }
 
-    // For paid plans
-    const options = {
-      amount: amount.toString(),
-      currency: currency || "INR",
-      receipt: `listing_${listingId}`,
-      payment_capture: 1,
-      notes: {
-        listingId,
-        pricingOption,
-        subscriptionId,
-      },
-    };
+    req.body.subscriptionId =
+      req.body.subscriptionId || listing.subscriptionId || undefined;
+    req.body.pricingOption = req.body.pricingOption || listing.listingTier;
 
-    const order = await razorpay.orders.create(options);
-    res.json({ order });
+    const checkout = await resolveCheckout(req);
+    await startCheckout(req, res, checkout);
   } catch (error) {
-    console.error("Error creating order:", error);
-    res.status(500).json({
-      error: "Failed to create payment order",
-      details: error.message,
-    });
+    next(error);
   }
 });
 
-router.post("/verify", async (req, res) => {
+router.post("/verify", authenticateToken, async (req, res, next) => {
   try {
     const {
       razorpay_payment_id,
       razorpay_order_id,
       razorpay_signature,
-      listingId,
       pricingOption,
-      subscriptionId,
     } = req.body;
 
     if (pricingOption === "FREE") {
       return res.json({ success: true });
     }
 
-    // Verify payment signature
-    const generatedSignature = createHmac(
-      "sha256",
-      process.env.RAZORPAY_KEY_SECRET
-    )
-      .update(`${razorpay_order_id}|${razorpay_payment_id}`)
-      .digest("hex");
-
-    if (generatedSignature !== razorpay_signature) {
-      return res.status(400).json({ error: "Invalid payment signature" });
+    if (
+      !verifyPaymentSignature(
+        razorpay_order_id,
+        razorpay_payment_id,
+        razorpay_signature
+      )
+    ) {
+      throw new HttpError(
+        400,
+        "INVALID_SIGNATURE",
+        "Invalid payment signature"
+      );
     }
 
-    // Update listing and create subscription
-    await prisma.$transaction(async (prisma) => {
-      // Get subscription plan
-      const plan = await prisma.subscriptionPlan.findFirst({
-        where: { tierType: pricingOption },
-      });
+    const paymentOrder = await prisma.paymentOrder.findUnique({
+      where: { razorpayOrderId: razorpay_order_id },
+    });
 
-      if (!plan) {
-        throw new Error("Subscription plan not found");
-      }
+    if (!paymentOrder || paymentOrder.userId !== req.user.userId) {
+      throw new HttpError(404, "NOT_FOUND", "Payment order not found");
+    }
 
-      // Update listing with subscription
-      await prisma.listing.update({
-        where: { id: listingId },
-        data: {
-          status: "PENDING_APPROVAL",
-          listingTier: pricingOption,
-          expiresAt: new Date(Date.now() + plan.durationDays * 86400000),
-          isBannerEnabled: plan.promotionDays > 0,
-          subscriptionId: plan.id,
-        },
-      });
+    const { payment, wallet } = await fulfilPaymentOrder({
+      razorpayOrderId: razorpay_order_id,
+      razorpayPaymentId: razorpay_payment_id,
+    });
 
-      // Create promotion if applicable
-      if (plan.promotionDays > 0) {
-        await prisma.promotion.create({
-          data: {
-            listingId,
-            price: 0, // Included in subscription
-            startDate: new Date(),
-            endDate: new Date(Date.now() + plan.promotionDays * 86400000),
-            durationDays: plan.promotionDays,
-            isActive: true,
-          },
-        });
-      }
+    res.json({
+      success: true,
+      listingId: paymentOrder.listingId,
+      paymentId: payment?.id,
+      walletBalance: wallet && wallet.balance / 100,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-      // Create payment record
-      await prisma.payment.create({
-        data: {
-          listingId,
-          amount: plan.price,
-          currency: "INR",
-          paymentMethod: "RAZORPAY",
-          transactionId: razorpay_payment_id,
-          status: "COMPLETED",
-        },
-      });
+// GET /payments/:id/invoice - ?format=html for the HTML copy, PDF otherwise
+router.get("/:id/invoice", authenticateToken, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const format = req.query.format === "html" ? "html" : "pdf";
+
+    const payment = await prisma.payment.findUnique({
+      where: { id },
+      include: { listing: { select: { userId: true } }, invoice: true },
     });
 
-    res.json({ success: true });
+    if (!payment || payment.listing.userId !== req.user.userId) {
+      throw new HttpError(404, "NOT_FOUND", "Payment not found");
+    }
+
+    if (payment.status !== "COMPLETED" && !payment.invoice) {
+      throw new HttpError(
+        400,
+        "BAD_REQUEST",
+        "Invoices are only issued for completed payments"
+      );
+    }
+
+    // Payments completed before invoicing existed get theirs on first request
+    const invoice =
+      payment.invoice ||
+      (await prisma.$transaction((tx) => issueInvoice(tx, payment.id)));
+
+    if (format === "html") {
+      return res.type("html").send(renderInvoiceHtml(invoice));
+    }
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${getInvoiceFilename(invoice, "pdf")}"`
+    );
+    renderInvoicePdf(invoice, res);
   } catch (error) {
-    console.error("Payment verification error:", error);
-    res
-      .status(500)
-      .json({ error: error.message || "Payment verification failed" });
+    next(error);
   }
 });
 
-async function updateListingAfterPayment(listingId, pricingOption, paymentId) {
-  return await prisma.$transaction(async (prisma) => {
-    // Update listing status to pending approval
-    const listing = await prisma.listing.update({
-      where: { id: listingId },
-      data: {
-        status: "PENDING_APPROVAL",
-        listingType: pricingOption === "TopPageAd" ? "PREMIUM" : "FREE",
-      },
-    });
+// The payload entities each handled webhook event is read from
+const WEBHOOK_ENTITIES = {
+  "payment.captured": ["payment"],
+  "order.paid": ["payment"],
+  "payment.failed": ["payment"],
+  "refund.processed": ["refund"],
+  "subscription.charged": ["subscription", "payment"],
+  "subscription.activated": ["subscription"],
+  "subscription.resumed": ["subscription"],
+  "subscription.pending": ["subscription"],
+  "subscription.halted": ["subscription"],
+  "subscription.cancelled": ["subscription"],
+  "subscription.completed": ["subscription"],
+};
+
+// Razorpay retries any delivery that doesn't get a 2xx, so processing
+// failures return 500 while unknown events, and events missing the
+// entities we need, are acknowledged and ignored.
+router.post("/webhook", async (req, res, next) => {
+  const signature = req.headers["x-razorpay-signature"];
+
+  if (!verifyWebhookSignature(req.rawBody, signature)) {
+    return next(
+      new HttpError(400, "INVALID_SIGNATURE", "Invalid webhook signature")
+    );
+  }
 
-    // Create admin approval record
-    await prisma.adminApproval.create({
-      data: {
-        listingId,
-        adminId: "1", // or get an actual admin ID
-        status: "PENDING_APPROVAL",
-      },
-    });
+  const { event, payload } = req.body;
+  const entities = WEBHOOK_ENTITIES[event];
 
-    if (pricingOption !== "Free") {
-      const durationMap = {
-        TopPage: "SEVEN_DAYS",
-        TopPageAd: "THIRTY_DAYS",
-      };
-
-      await prisma.promotion.create({
-        data: {
-          listingId,
-          price: pricingOption === "TopPage" ? 8.5 : 150,
-          startDate: new Date(),
-          endDate: new Date(
-            Date.now() +
-              (pricingOption === "TopPage" ? 7 * 86400000 : 30 * 86400000)
-          ),
-          duration: durationMap[pricingOption],
-          isActive: true,
-        },
-      });
+  if (!entities) {
+    return res.json({ received: true, ignored: true });
+  }
+
+  const missing = entities.filter(
+    (name) => !(payload?.[name]?.entity instanceof Object)
+  );
+  if (missing.length > 0) {
+    console.warn(`Webhook ${event} without ${missing.join(", ")} entity`);
+    return res.json({ received: true, ignored: true });
+  }
+
+  try {
+    switch (event) {
+      case "payment.captured":
+      case "order.paid": {
+        const payment = payload.payment.entity;
+
+        if (!(await isKnownOrder(payment.order_id))) {
+          console.warn(
+            `Webhook ${event} for unknown order ${payment.order_id}`
+          );
+          break;
+        }
+
+        await fulfilPaymentOrder({
+          razorpayOrderId: payment.order_id,
+          razorpayPaymentId: payment.id,
+        });
+        break;
+      }
+
+      case "payment.failed": {
+        const payment = payload.payment.entity;
+
+        if (!(await isKnownOrder(payment.order_id))) {
+          break;
+        }
+
+        await markPaymentFailed({
+          razorpayOrderId: payment.order_id,
+          razorpayPaymentId: payment.id,
+          reason: payment.error_description || payment.error_code,
+        });
+        break;
+      }
+
+      case "refund.processed": {
+        const payment = payload.payment?.entity;
+        const refund = payload.refund.entity;
+
+        // Partial refunds leave the subscription in place
+        if (payment && payment.refund_status !== "full") {
+          break;
+        }
+
+        await cancelRenewalForRefund(await markPaymentRefunded(refund));
+        break;
+      }
+
+      // Auto-renewal mandates (see utils/renewals.js). The
+      // payment.captured Razorpay also sends for each charge has no
+      // PaymentOrder and is ignored above.
+      case "subscription.charged":
+        await applyRenewalCharge(
+          payload.subscription.entity,
+          payload.payment.entity
+        );
+        break;
+
+      case "subscription.activated":
+      case "subscription.resumed":
+        await updateRenewalStatus(payload.subscription.entity, "ACTIVE");
+        break;
+
+      case "subscription.pending": {
+        const payment = payload.payment?.entity;
+
+        await updateRenewalStatus(
+          payload.subscription.entity,
+          "PAST_DUE",
+          payment?.error_description || payment?.error_code
+        );
+        break;
+      }
+
+      case "subscription.halted":
+        await updateRenewalStatus(payload.subscription.entity, "HALTED");
+        break;
+
+      case "subscription.cancelled":
+        await updateRenewalStatus(payload.subscription.entity, "CANCELLED");
+        break;
+
+      case "subscription.completed":
+        await updateRenewalStatus(payload.subscription.entity, "COMPLETED");
+        break;
     }
 
-    await prisma.payment.create({
-      data: {
-        listingId,
-        amount: pricingOption === "TopPage" ? 8.5 : 150,
-        currency: "INR",
-        paymentMethod: "RAZORPAY",
-        transactionId: paymentId,
-        status: "COMPLETED",
-      },
-    });
+    res.json({ received: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Orders created outside this API (or before PaymentOrder existed) are
+// acknowledged but not applied
+async function isKnownOrder(razorpayOrderId) {
+  if (!razorpayOrderId) return false;
 
-    return listing;
+  const order = await prisma.paymentOrder.findUnique({
+    where: { razorpayOrderId },
+    select: { id: true },
   });
+
+  return !!order;
 }
 
 export default router;
@@ -0,0 +1,222 @@
+import { Router } from "express";
+import bcrypt from "bcryptjs";
+import prisma from "../utils/prisma.js";
+import authenticateToken from "../middleware/auth.js";
+import {
+  buildDataExport,
+  scheduleAccountDeletion,
+} from "../utils/accountErasure.js";
+import { GST_STATE_CODES, isValidGstin } from "../utils/invoice.js";
+import { clearAuthCookies, revokeUserSessions } from "../utils/sessions.js";
+import { HttpError } from "../utils/httpError.js";
+import {
+  invalidFields,
+  password,
+  string,
+  validateBody,
+} from "../utils/validation.js";
+
+const router = Router();
+
+// Sent fields are updated; an empty one clears the field
+const profileSchema = {
+  firstName: string({ max: 100, optional: true }),
+  lastName: string({ max: 100, optional: true }),
+  phone: string({ max: 20, optional: true }),
+  city: string({ max: 100, optional: true }),
+  gstin: string({
+    max: 15,
+    optional: true,
+    description: "15-character GSTIN",
+  }),
+  billingName: string({ max: 200, optional: true }),
+  billingAddress: string({ max: 500, optional: true }),
+  billingStateCode: string({
+    max: 2,
+    optional: true,
+    description: "Two-digit GST state code",
+  }),
+};
+
+const passwordSchema = {
+  currentPassword: password({ optional: true }),
+  newPassword: password(),
+};
+
+router.get("/", authenticateToken, async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId },
+      select: {
+        id: true,
+        email: true,
+        firstName: true,
+        lastName: true,
+        phone: true,
+        city: true,
+        gstin: true,
+        billingName: true,
+        billingAddress: true,
+        billingStateCode: true,
+        emailVerifiedAt: true,
+        verifiedPhone: true,
+        phoneVerifiedAt: true,
+        createdAt: true,
+      },
+    });
+
+    if (!user) {
+      throw new HttpError(404, "NOT_FOUND", "User not found");
+    }
+
+    res.json(user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put(
+  "/",
+  authenticateToken,
+  validateBody(profileSchema, { partial: true }),
+  async (req, res, next) => {
+    try {
+      const {
+        firstName,
+        lastName,
+        phone,
+        city,
+        gstin,
+        billingName,
+        billingAddress,
+        billingStateCode,
+      } = req.body;
+
+      // Billing details end up on GST invoices, so reject anything malformed
+      const normalizedGstin = gstin && gstin.toUpperCase();
+      if (normalizedGstin && !isValidGstin(normalizedGstin)) {
+        throw invalidFields({ gstin: "Must be a valid GSTIN" });
+      }
+
+      if (billingStateCode && !GST_STATE_CODES[billingStateCode]) {
+        throw invalidFields({ billingStateCode: "Unknown state code" });
+      }
+
+      const updatedUser = await prisma.user.update({
+        where: { id: req.user.userId },
+        data: {
+          firstName,
+          lastName,
+          phone,
+          city,
+          gstin: normalizedGstin,
+          billingName,
+          billingAddress,
+          billingStateCode,
+        },
+        select: {
+          id: true,
+          email: true,
+          firstName: true,
+          lastName: true,
+          phone: true,
+          city: true,
+          gstin: true,
+          billingName: true,
+          billingAddress: true,
+          billingStateCode: true,
+        },
+      });
+
+      res.json(updatedUser);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.put(
+  "/password",
+  authenticateToken,
+  validateBody(passwordSchema),
+  async (req, res, next) => {
+    try {
+      const { currentPassword, newPassword } = req.body;
+
+      const user = await prisma.user.findUnique({
+        where: { id: req.user.userId },
+      });
+
+      // Phone OTP and Google accounts set their first password without a
+      // current one
+      if (user.password) {
+        const passwordValid = await bcrypt.compare(
+          currentPassword || "",
+          user.password
+        );
+        if (!passwordValid) {
+          throw new HttpError(
+            401,
+            "INVALID_CREDENTIALS",
+            "Current password is incorrect"
+          );
+        }
+      }
+
+      const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+      await prisma.user.update({
+        where: { id: req.user.userId },
+        data: { password: hashedPassword },
+      });
+
+      // Sign out every other device; this one stays signed in
+      await revokeUserSessions(req.user.userId, {
+        exceptSessionId: req.user.sessionId,
+        reason: "Password changed",
+      });
+
+      res.json({ message: "Password updated successfully" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Download everything we hold about the signed-in user as JSON, with a
+// manifest of their uploaded images
+router.post("/export", authenticateToken, async (req, res, next) => {
+  try {
+    const data = await buildDataExport(req.user.userId);
+
+    if (!data) {
+      throw new HttpError(404, "NOT_FOUND", "User not found");
+    }
+
+    const date = data.exportedAt.toISOString().slice(0, 10);
+    res.attachment(`vyapaar-data-${req.user.userId}-${date}.json`);
+    res.send(JSON.stringify(data, null, 2));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Schedules the account for deletion and signs it out everywhere. Signing
+// in again before deletionDueAt cancels; after it the daily erasure job
+// (see utils/accountErasure.js) removes the account's data.
+router.delete("/", authenticateToken, async (req, res, next) => {
+  try {
+    const deletionDueAt = await scheduleAccountDeletion(req.user.userId);
+
+    clearAuthCookies(res);
+
+    res.json({
+      message: "Account scheduled for deletion; sign in before then to cancel",
+      deletionDueAt,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,173 @@
+import { Router } from "express";
+import prisma from "../utils/prisma.js";
+import authenticateToken, { requireActiveAccount } from "../middleware/auth.js";
+import { createPaymentOrder, payWithWallet } from "../utils/payments.js";
+import { BANNER_PLACEMENTS } from "../utils/promotions.js";
+import { HttpError } from "../utils/httpError.js";
+import { invalidFields } from "../utils/validation.js";
+
+const router = Router();
+
+// GET /promotion-packages - Active promotion catalog
+router.get("/promotion-packages", async (req, res, next) => {
+  try {
+    const { placement } = req.query;
+
+    const where = { isActive: true };
+    if (placement) where.placement = placement;
+
+    const packages = await prisma.promotionPackage.findMany({
+      where,
+      orderBy: [{ placement: "asc" }, { price: "asc" }],
+    });
+
+    res.json(packages);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Buys a promotion package for a listing. Returns a Razorpay order to pay
+// through the usual checkout and /payments/verify; the promotion is only
+// created once the payment succeeds. A future startDate schedules it.
+// With `useWallet` the package is paid from the wallet straight away.
+router.post(
+  "/listings/:id/promote",
+  authenticateToken,
+  requireActiveAccount,
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { packageId } = req.body;
+
+      const listing = await prisma.listing.findUnique({
+        where: { id: parseInt(id) },
+      });
+
+      if (!listing) {
+        throw new HttpError(404, "NOT_FOUND", "Listing not found");
+      }
+
+      if (listing.userId !== req.user.userId) {
+        throw new HttpError(403, "NOT_OWNER", "Unauthorized");
+      }
+
+      if (!["APPROVED", "PENDING_APPROVAL"].includes(listing.status)) {
+        throw new HttpError(
+          400,
+          "BAD_REQUEST",
+          "Only live listings can be promoted"
+        );
+      }
+
+      const promotionPackage = packageId
+        ? await prisma.promotionPackage.findFirst({
+            where: { id: packageId, isActive: true },
+          })
+        : null;
+
+      if (!promotionPackage) {
+        throw invalidFields({ packageId: "Unknown promotion package" });
+      }
+
+      if (
+        listing.listingTier === "FREE" &&
+        BANNER_PLACEMENTS.includes(promotionPackage.placement)
+      ) {
+        throw invalidFields({
+          packageId: "Banner placements need a paid listing plan",
+        });
+      }
+
+      const startDate = req.body.startDate
+        ? new Date(req.body.startDate)
+        : null;
+
+      if (startDate && isNaN(startDate)) {
+        throw invalidFields({ startDate: "Must be a date" });
+      }
+
+      const amount = Math.round(Number(promotionPackage.price) * 100);
+
+      if (req.body.useWallet) {
+        const result = await payWithWallet({
+          userId: req.user.userId,
+          amount,
+          type: "PROMOTION",
+          listing,
+          promotionPackage,
+          promotionStartDate: startDate,
+          discountAmount: 0,
+        });
+
+        if (result.error) {
+          throw new HttpError(400, "INSUFFICIENT_BALANCE", result.error, null, {
+            balance: result.balance,
+          });
+        }
+
+        return res.status(201).json({
+          paidFromWallet: true,
+          paymentId: result.payment.id,
+          walletBalance: result.wallet.balance / 100,
+          promotionPackage,
+        });
+      }
+
+      const { order, paymentOrder } = await createPaymentOrder({
+        listing,
+        userId: req.user.userId,
+        amount,
+        notes: {
+          promotionPackageId: promotionPackage.id,
+          placement: promotionPackage.placement,
+        },
+        type: "PROMOTION",
+        promotionPackageId: promotionPackage.id,
+        promotionStartDate: startDate,
+      });
+
+      res.status(201).json({
+        order,
+        paymentOrderId: paymentOrder.id,
+        promotionPackage,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Promotion history for the seller's own listing, newest first
+router.get(
+  "/listings/:id/promotions",
+  authenticateToken,
+  async (req, res, next) => {
+    try {
+      const listing = await prisma.listing.findUnique({
+        where: { id: parseInt(req.params.id) },
+        select: { id: true, userId: true },
+      });
+
+      if (!listing) {
+        throw new HttpError(404, "NOT_FOUND", "Listing not found");
+      }
+
+      if (listing.userId !== req.user.userId) {
+        throw new HttpError(403, "NOT_OWNER", "Unauthorized");
+      }
+
+      const promotions = await prisma.promotion.findMany({
+        where: { listingId: listing.id },
+        include: { events: { orderBy: { createdAt: "asc" } } },
+        orderBy: { startDate: "desc" },
+      });
+
+      res.json(promotions);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,134 @@
+import { Router } from "express";
+const router = Router();
+import prisma from "../utils/prisma.js";
+import authenticateToken from "../middleware/auth.js";
+import {
+  MIN_RENEWAL_DAYS,
+  OPEN_RENEWAL_STATUSES,
+  createRenewalMandate,
+  cancelRenewalMandate,
+} from "../utils/renewals.js";
+import { HttpError } from "../utils/httpError.js";
+
+// Mounted at /profile/renewals: a seller's auto-renewal mandates
+
+// GET /profile/renewals - List the seller's renewal mandates
+router.get("/", authenticateToken, async (req, res, next) => {
+  try {
+    const mandates = await prisma.renewalMandate.findMany({
+      where: { userId: req.user.userId },
+      include: {
+        listing: { select: { id: true, title: true, expiresAt: true } },
+        plan: {
+          select: { id: true, name: true, durationDays: true, price: true },
+        },
+      },
+      orderBy: { createdAt: "desc" },
+    });
+
+    res.json(mandates);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /profile/renewals - Turn on auto-renewal for a listing on its current
+// plan. The seller authorises the mandate at the returned shortUrl.
+router.post("/", authenticateToken, async (req, res, next) => {
+  try {
+    const listing = await prisma.listing.findUnique({
+      where: { id: parseInt(req.body.listingId) },
+      include: { subscription: true, renewalMandate: true },
+    });
+
+    if (!listing || listing.userId !== req.user.userId) {
+      throw new HttpError(404, "NOT_FOUND", "Listing not found");
+    }
+
+    if (["REJECTED", "ARCHIVED"].includes(listing.status)) {
+      throw new HttpError(
+        400,
+        "BAD_REQUEST",
+        "This listing can no longer be renewed"
+      );
+    }
+
+    // An unpaid listing's expiresAt is provisional until checkout sets it
+    if (["DRAFT", "PENDING_PAYMENT"].includes(listing.status)) {
+      throw new HttpError(
+        400,
+        "BAD_REQUEST",
+        "Pay for the listing before turning on auto-renewal"
+      );
+    }
+
+    const plan = listing.subscription;
+    if (!plan || !plan.isActive || !(Number(plan.price) > 0)) {
+      throw new HttpError(
+        400,
+        "BAD_REQUEST",
+        "Auto-renewal is only available on paid plans"
+      );
+    }
+
+    if (plan.durationDays < MIN_RENEWAL_DAYS) {
+      throw new HttpError(
+        400,
+        "BAD_REQUEST",
+        `Auto-renewal needs a plan of at least ${MIN_RENEWAL_DAYS} days`
+      );
+    }
+
+    if (
+      listing.renewalMandate &&
+      OPEN_RENEWAL_STATUSES.includes(listing.renewalMandate.status)
+    ) {
+      throw new HttpError(
+        409,
+        "CONFLICT",
+        "Auto-renewal is already set up for this listing"
+      );
+    }
+
+    const { mandate, shortUrl } = await createRenewalMandate({
+      listing,
+      plan,
+      userId: req.user.userId,
+    });
+
+    res.status(201).json({
+      mandate,
+      subscriptionId: mandate.razorpaySubscriptionId,
+      shortUrl,
+      key: process.env.RAZORPAY_KEY_ID,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /profile/renewals/:id - Cancel auto-renewal. The listing keeps
+// whatever time it has already paid for.
+router.delete("/:id", authenticateToken, async (req, res, next) => {
+  try {
+    const mandate = await prisma.renewalMandate.findUnique({
+      where: { id: req.params.id },
+    });
+
+    if (!mandate || mandate.userId !== req.user.userId) {
+      throw new HttpError(404, "NOT_FOUND", "Renewal not found");
+    }
+
+    if (!OPEN_RENEWAL_STATUSES.includes(mandate.status)) {
+      throw new HttpError(400, "BAD_REQUEST", "Renewal is not active");
+    }
+
+    const cancelled = await cancelRenewalMandate(mandate);
+
+    res.json(cancelled);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,213 @@
+import { Router } from "express";
+import prisma from "../utils/prisma.js";
+import authenticateToken, { requireActiveAccount } from "../middleware/auth.js";
+import { HttpError } from "../utils/httpError.js";
+import {
+  integer,
+  invalidFields,
+  string,
+  validateBody,
+} from "../utils/validation.js";
+
+const router = Router();
+
+const reviewFields = {
+  title: string({ min: 2, max: 120 }),
+  description: string({ min: 2, max: 2000 }),
+  rating: integer({ min: 1, max: 5 }),
+};
+
+const reviewSchema = {
+  ...reviewFields,
+  listingId: integer({ min: 1 }),
+};
+
+router.get("/", async (req, res, next) => {
+  try {
+    const { listingId } = req.query;
+
+    const reviews = await prisma.review.findMany({
+      where: { listingId: parseInt(listingId) },
+      include: {
+        user: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+          },
+        },
+      },
+      orderBy: {
+        createdAt: "desc",
+      },
+    });
+
+    res.json({ reviews });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a new review
+router.post(
+  "/",
+  authenticateToken,
+  requireActiveAccount,
+  validateBody(reviewSchema),
+  async (req, res, next) => {
+    try {
+      const userId = req.user.userId;
+      const { title, description, rating, listingId } = req.body;
+
+      // Check if user already reviewed this listing
+      const existingReview = await prisma.review.findFirst({
+        where: { listingId, userId },
+      });
+
+      if (existingReview) {
+        throw new HttpError(
+          409,
+          "ALREADY_REVIEWED",
+          "You have already reviewed this listing"
+        );
+      }
+
+      const listing = await prisma.listing.findUnique({
+        where: { id: listingId },
+        select: { id: true },
+      });
+
+      if (!listing) {
+        throw invalidFields({ listingId: "Unknown listing" });
+      }
+
+      const review = await prisma.review.create({
+        data: {
+          title,
+          description,
+          rating,
+          listingId,
+          userId,
+        },
+        include: {
+          user: {
+            select: {
+              id: true,
+              firstName: true,
+              lastName: true,
+            },
+          },
+        },
+      });
+
+      // Update listing's review stats
+      await updateListingStats(listingId);
+
+      res.status(201).json({ review });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Update a review
+router.put(
+  "/:id",
+  authenticateToken,
+  requireActiveAccount,
+  validateBody(reviewFields, { partial: true }),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      // Only the author's own review; anyone else's is a 404 (P2025)
+      const review = await prisma.review.update({
+        where: { id, userId: req.user.userId },
+        data: req.body,
+        include: {
+          user: {
+            select: {
+              id: true,
+              firstName: true,
+              lastName: true,
+            },
+          },
+        },
+      });
+
+      // Update listing's review stats
+      await updateListingStats(review.listingId);
+
+      res.json({ review });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Delete a review
+router.delete("/:id", authenticateToken, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const review = await prisma.review.findUnique({
+      where: { id },
+    });
+
+    if (!review) {
+      throw new HttpError(404, "NOT_FOUND", "Review not found");
+    }
+
+    await prisma.review.delete({
+      where: { id },
+    });
+
+    // Update listing's review stats
+    await updateListingStats(review.listingId);
+
+    res.json({ message: "Review deleted successfully" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Helper function to update listing's review stats
+async function updateListingStats(listingId) {
+  try {
+    // Get all approved reviews for this listing
+    const reviews = await prisma.review.findMany({
+      where: {
+        listingId,
+      },
+    });
+
+    const reviewCount = reviews.length;
+    const averageRating =
+      reviewCount > 0
+        ? parseFloat(
+            (
+              reviews.reduce((sum, review) => sum + review.rating, 0) /
+              reviewCount
+            ).toFixed(1)
+          )
+        : null;
+
+    // Update the listing with new stats
+    await prisma.listing.updateMany({
+      where: { id: listingId },
+      data: {
+        reviewCount,
+        rating: averageRating,
+      },
+    });
+
+    console.log(
+      `Updated listing ${listingId} with ${reviewCount} reviews and rating ${averageRating}`
+    );
+  } catch (error) {
+    console.error("Error updating listing stats:", error);
+    throw error;
+  }
+}
+
+export default router;
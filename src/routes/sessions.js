@@ -0,0 +1,64 @@
+import { Router } from "express";
+const router = Router();
+import prisma from "../utils/prisma.js";
+import authenticateToken from "../middleware/auth.js";
+import { clearAuthCookies, revokeSession } from "../utils/sessions.js";
+import { HttpError } from "../utils/httpError.js";
+
+// GET /sessions - The user's signed-in devices, most recently used first
+router.get("/", authenticateToken, async (req, res, next) => {
+  try {
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId: req.user.userId,
+        revokedAt: null,
+        expiresAt: { gt: new Date() },
+      },
+      select: {
+        id: true,
+        deviceName: true,
+        userAgent: true,
+        ipAddress: true,
+        createdAt: true,
+        lastUsedAt: true,
+        expiresAt: true,
+      },
+      orderBy: { lastUsedAt: "desc" },
+    });
+
+    res.json(
+      sessions.map((session) => ({
+        ...session,
+        current: session.id === req.user.sessionId,
+      }))
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /sessions/:id - Sign a device out. Its access token and refresh
+// token stop working straight away.
+router.delete("/:id", authenticateToken, async (req, res, next) => {
+  try {
+    const session = await prisma.session.findUnique({
+      where: { id: req.params.id },
+    });
+
+    if (!session || session.userId !== req.user.userId) {
+      throw new HttpError(404, "NOT_FOUND", "Session not found");
+    }
+
+    await revokeSession(session.id, "Signed out by user");
+
+    if (session.id === req.user.sessionId) {
+      clearAuthCookies(res);
+    }
+
+    res.json({ message: "Session revoked" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,104 @@
+import { Router } from "express";
+const router = Router();
+import prisma from "../utils/prisma.js";
+import authenticateToken from "../middleware/auth.js";
+import { createPaymentOrder } from "../utils/payments.js";
+import {
+  WALLET_TRANSACTION_TYPES,
+  formatWalletTransaction,
+} from "../utils/wallet.js";
+import {
+  invalidFields,
+  oneOf,
+  pageQuery,
+  validateQuery,
+} from "../utils/validation.js";
+
+// Top-up limits in rupees
+const MIN_TOP_UP = Number(process.env.WALLET_MIN_TOP_UP || 100);
+const MAX_TOP_UP = Number(process.env.WALLET_MAX_TOP_UP || 100000);
+
+const walletQuery = {
+  type: oneOf(WALLET_TRANSACTION_TYPES, { optional: true }),
+  ...pageQuery,
+};
+
+// GET /wallet - Balance and ledger, newest first. Filter: ?type
+router.get(
+  "/",
+  authenticateToken,
+  validateQuery(walletQuery),
+  async (req, res, next) => {
+    try {
+      const { type, page, limit } = req.query;
+
+      const wallet = await prisma.wallet.findUnique({
+        where: { userId: req.user.userId },
+      });
+
+      if (!wallet) {
+        return res.json({
+          balance: 0,
+          transactions: [],
+          total: 0,
+          page,
+          totalPages: 0,
+        });
+      }
+
+      const where = { walletId: wallet.id };
+      if (type) where.type = type;
+
+      const [transactions, total] = await Promise.all([
+        prisma.walletTransaction.findMany({
+          where,
+          skip: (page - 1) * limit,
+          take: limit,
+          orderBy: { createdAt: "desc" },
+        }),
+        prisma.walletTransaction.count({ where }),
+      ]);
+
+      res.json({
+        balance: wallet.balance / 100,
+        transactions: transactions.map(formatWalletTransaction),
+        total,
+        page,
+        totalPages: Math.ceil(total / limit),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /wallet/top-up - Razorpay order for `amount` rupees of credit. Pay it
+// through the usual checkout and /payments/verify.
+router.post("/top-up", authenticateToken, async (req, res, next) => {
+  try {
+    const rupees = Number(req.body.amount);
+
+    if (
+      !Number.isFinite(rupees) ||
+      rupees < MIN_TOP_UP ||
+      rupees > MAX_TOP_UP
+    ) {
+      throw invalidFields({
+        amount: `Must be between ₹${MIN_TOP_UP} and ₹${MAX_TOP_UP}`,
+      });
+    }
+
+    const { order, paymentOrder } = await createPaymentOrder({
+      userId: req.user.userId,
+      amount: Math.round(rupees * 100),
+      notes: { walletTopUp: "true" },
+      type: "WALLET_TOP_UP",
+    });
+
+    res.status(201).json({ order, paymentOrderId: paymentOrder.id });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,337 @@
+import { Prisma } from "@prisma/client";
+import prisma from "./prisma.js";
+import { deleteFileFromS3 } from "./upload.js";
+import { sendMail } from "./mailer.js";
+import { forgetAccountStatus } from "./accountStatus.js";
+import { revokeUserSessions } from "./sessions.js";
+import { cancelRenewalMandate, OPEN_RENEWAL_STATUSES } from "./renewals.js";
+import { transitionPromotions, OPEN_PROMOTION_STATUSES } from "./promotions.js";
+
+const DAY_MS = 86400000;
+
+// Time a user has to change their mind; signing in again cancels
+const DELETION_GRACE_DAYS = Number(
+  process.env.ACCOUNT_DELETION_GRACE_DAYS || 30
+);
+
+// S3 keys are the last path segment of the CloudFront URL
+const imageKey = (url) => url.split("/").pop();
+
+const PROFILE_SELECT = {
+  id: true,
+  email: true,
+  firstName: true,
+  lastName: true,
+  phone: true,
+  verifiedPhone: true,
+  phoneVerifiedAt: true,
+  city: true,
+  gstin: true,
+  billingName: true,
+  billingAddress: true,
+  billingStateCode: true,
+  emailVerifiedAt: true,
+  status: true,
+  suspendedUntil: true,
+  statusReason: true,
+  deletionDueAt: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+// Everything stored about `userId`, for a data export. Other people's
+// details are left out: messages name the other party by id only. The
+// images manifest lists every uploaded file so clients can fetch them.
+export async function buildDataExport(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      ...PROFILE_SELECT,
+      googleSub: true,
+      listings: {
+        include: {
+          images: true,
+          ListingImage: true,
+          promotions: true,
+          Payment: true,
+          renewalMandate: true,
+          city: { select: { name: true } },
+          category: { select: { name: true } },
+        },
+        orderBy: { createdAt: "asc" },
+      },
+      Review: { orderBy: { createdAt: "asc" } },
+      SenderMessage: { orderBy: { createdAt: "asc" } },
+      RecieverMessage: { orderBy: { createdAt: "asc" } },
+      favorites: { orderBy: { createdAt: "asc" } },
+      paymentOrders: { orderBy: { createdAt: "asc" } },
+      invoices: { orderBy: { issuedAt: "asc" } },
+      couponRedemptions: true,
+      notifications: { orderBy: { createdAt: "asc" } },
+      wallet: {
+        include: { transactions: { orderBy: { createdAt: "asc" } } },
+      },
+      sessions: {
+        select: {
+          id: true,
+          deviceName: true,
+          userAgent: true,
+          ipAddress: true,
+          createdAt: true,
+          lastUsedAt: true,
+          expiresAt: true,
+          revokedAt: true,
+        },
+        orderBy: { createdAt: "asc" },
+      },
+    },
+  });
+
+  if (!user) return null;
+
+  const {
+    googleSub,
+    listings,
+    Review,
+    SenderMessage,
+    RecieverMessage,
+    ...profile
+  } = user;
+
+  const images = listings.flatMap((listing) =>
+    [...listing.images, ...listing.ListingImage].map((image) => ({
+      listingId: listing.id,
+      url: image.url,
+      key: imageKey(image.url),
+      isPrimary: image.isPrimary,
+    }))
+  );
+
+  return {
+    exportedAt: new Date(),
+    profile: { ...profile, googleLinked: Boolean(googleSub) },
+    listings: listings.map(({ ListingImage, Payment, ...listing }) => ({
+      ...listing,
+      listingImages: ListingImage,
+      payments: Payment,
+    })),
+    reviews: Review,
+    messages: {
+      sent: SenderMessage,
+      received: RecieverMessage,
+    },
+    images,
+  };
+}
+
+// Schedules the account for erasure after the grace period and signs it
+// out everywhere. Returns the date it will be erased.
+export async function scheduleAccountDeletion(userId) {
+  const deletionDueAt = new Date(Date.now() + DELETION_GRACE_DAYS * DAY_MS);
+
+  const user = await prisma.user.update({
+    where: { id: userId },
+    data: { deletionDueAt },
+    select: { email: true },
+  });
+
+  await revokeUserSessions(userId, { reason: "Account deletion requested" });
+
+  if (user.email) {
+    const due = deletionDueAt.toDateString();
+    sendMail({
+      to: user.email,
+      subject: "Your account is scheduled for deletion",
+      text: `Your account and its listings will be deleted on ${due}.\n\nChanged your mind? Sign in before then and the deletion is cancelled.`,
+      html: `<p>Your account and its listings will be deleted on ${due}.</p><p>Changed your mind? Sign in before then and the deletion is cancelled.</p>`,
+    }).catch((error) => console.error("Deletion notice email error:", error));
+  }
+
+  return deletionDueAt;
+}
+
+// What's left of an erased user: the row stays so the reviews, messages,
+// invoices and payments that point at it keep working, anonymously
+const ERASED_PROFILE = {
+  email: null,
+  password: null,
+  firstName: null,
+  lastName: null,
+  phone: null,
+  verifiedPhone: null,
+  phoneVerifiedAt: null,
+  googleSub: null,
+  city: null,
+  gstin: null,
+  billingName: null,
+  billingAddress: null,
+  billingStateCode: null,
+  emailVerifiedAt: null,
+  statusReason: null,
+};
+
+// Placeholder for a listing that has to stay for its payment records
+const archivedListingData = (listingId) => ({
+  title: "Deleted listing",
+  description: "",
+  slug: `deleted-${listingId}`,
+  tags: [],
+  highlights: [],
+  businessHours: Prisma.DbNull,
+  phone: null,
+  website: null,
+  youtubeVideo: null,
+  locationUrl: null,
+  pincode: null,
+  businessCategory: null,
+  serviceArea: null,
+  teamSize: null,
+  establishedYear: null,
+  status: "ARCHIVED",
+  isBannerEnabled: false,
+});
+
+async function deleteImages(listingIds) {
+  const where = { listingId: { in: listingIds } };
+  const [images, listingImages] = await Promise.all([
+    prisma.image.findMany({ where, select: { url: true } }),
+    prisma.listingImage.findMany({ where, select: { url: true } }),
+  ]);
+
+  // A file that won't delete is logged and left behind rather than
+  // holding up the erasure
+  for (const { url } of [...images, ...listingImages]) {
+    try {
+      await deleteFileFromS3(imageKey(url));
+    } catch (error) {
+      console.error(`Error deleting file from S3: ${url}`, error);
+    }
+  }
+
+  await prisma.image.deleteMany({ where });
+  await prisma.listingImage.deleteMany({ where });
+
+  return images.length + listingImages.length;
+}
+
+// Wipes a user's personal data. Listings and their images are purged,
+// except listings with payment records, which tax law makes us keep: those
+// are stripped to a placeholder and archived. Reviews and messages the
+// user wrote stay, attributed to the anonymous remains of the account.
+//
+// Only runs once the deletion is due, unless `immediate` (an admin
+// deleting the account). Every step can be repeated, so a run that fails
+// part way is finished by the next one. Returns null if nothing was due.
+export async function eraseUser(userId, { immediate = false } = {}) {
+  const now = new Date();
+
+  // Credentials go first so the account can't be signed into (and the
+  // deletion cancelled) half way through
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: userId,
+      ...(!immediate && { deletionDueAt: { lte: now } }),
+    },
+    data: {
+      ...ERASED_PROFILE,
+      erasedAt: now,
+      ...(immediate && { deletionDueAt: now }),
+    },
+  });
+  if (count === 0) return null;
+
+  forgetAccountStatus(userId);
+
+  await prisma.session.deleteMany({ where: { userId } });
+  await prisma.userToken.deleteMany({ where: { userId } });
+  await prisma.phoneOtp.deleteMany({ where: { userId } });
+  await prisma.notification.deleteMany({ where: { userId } });
+  await prisma.favorite.deleteMany({ where: { userId } });
+
+  // Stop auto-renewal charges before the listings go
+  const mandates = await prisma.renewalMandate.findMany({
+    where: { userId, status: { in: OPEN_RENEWAL_STATUSES } },
+  });
+  for (const mandate of mandates) {
+    await cancelRenewalMandate(mandate);
+  }
+
+  const listings = await prisma.listing.findMany({
+    where: { userId },
+    select: {
+      id: true,
+      _count: {
+        select: { Payment: true, paymentOrders: true },
+      },
+      renewalMandate: { select: { id: true } },
+    },
+  });
+
+  const isBilled = (listing) =>
+    listing._count.Payment > 0 ||
+    listing._count.paymentOrders > 0 ||
+    listing.renewalMandate;
+  const archivedIds = listings.filter(isBilled).map(({ id }) => id);
+  const deletedIds = listings
+    .filter((listing) => !isBilled(listing))
+    .map(({ id }) => id);
+
+  const imagesDeleted = await deleteImages(listings.map(({ id }) => id));
+
+  await prisma.$transaction(async (tx) => {
+    await transitionPromotions(
+      tx,
+      {
+        listingId: { in: archivedIds },
+        status: { in: OPEN_PROMOTION_STATUSES },
+      },
+      "CANCELLED",
+      { reason: "Account deleted", endNow: true }
+    );
+    for (const listingId of archivedIds) {
+      await tx.listing.update({
+        where: { id: listingId },
+        data: archivedListingData(listingId),
+      });
+    }
+    await tx.favorite.deleteMany({ where: { listingId: { in: archivedIds } } });
+
+    const where = { listingId: { in: deletedIds } };
+    await tx.promotion.deleteMany({ where });
+    await tx.favorite.deleteMany({ where });
+    await tx.message.deleteMany({ where });
+    await tx.review.deleteMany({ where });
+    await tx.adminApproval.deleteMany({ where });
+    await tx.listing.deleteMany({ where: { id: { in: deletedIds } } });
+
+    await tx.user.update({
+      where: { id: userId },
+      data: { deletionDueAt: null },
+    });
+  });
+
+  return {
+    listingsDeleted: deletedIds.length,
+    listingsArchived: archivedIds.length,
+    imagesDeleted,
+  };
+}
+
+// Daily job: erases every account whose grace period is over. Returns the
+// number erased.
+export async function runAccountErasure() {
+  const due = await prisma.user.findMany({
+    where: { deletionDueAt: { lte: new Date() } },
+    select: { id: true },
+  });
+
+  let erased = 0;
+  for (const { id } of due) {
+    try {
+      if (await eraseUser(id)) erased++;
+    } catch (error) {
+      console.error(`Error erasing user ${id}:`, error);
+    }
+  }
+  return erased;
+}
@@ -0,0 +1,77 @@
+import NodeCache from "node-cache";
+import prisma from "./prisma.js";
+
+// authenticateToken checks the account on every request; caching keeps
+// that off the database. A suspension or ban made on another server
+// instance takes effect here within STATUS_CACHE_SECONDS.
+const STATUS_CACHE_SECONDS = 30;
+const statusCache = new NodeCache({ stdTTL: STATUS_CACHE_SECONDS });
+
+// "ACTIVE", "SUSPENDED" or "BANNED"; a suspension that has run out counts
+// as active without anyone having to lift it
+export function getEffectiveStatus(user, now = new Date()) {
+  if (user.status === "SUSPENDED" && user.suspendedUntil <= now) {
+    return "ACTIVE";
+  }
+  return user.status;
+}
+
+// Prisma filter for users whose listings the public may see. Use as
+// `user: visibleSellerFilter()` inside a listing where clause. Accounts
+// waiting to be deleted are hidden already.
+export const visibleSellerFilter = () => ({
+  deletionDueAt: null,
+  OR: [
+    { status: "ACTIVE" },
+    { status: "SUSPENDED", suspendedUntil: { lte: new Date() } },
+  ],
+});
+
+// { status, reason, suspendedUntil } for `userId`, or null if the user no
+// longer exists or was erased
+export async function getAccountStatus(userId) {
+  const cached = statusCache.get(userId);
+  if (cached !== undefined) return cached;
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      status: true,
+      statusReason: true,
+      suspendedUntil: true,
+      erasedAt: true,
+    },
+  });
+
+  // An erased account is as good as gone
+  const account = user &&
+    !user.erasedAt && {
+      status: getEffectiveStatus(user),
+      reason: user.statusReason,
+      suspendedUntil: user.suspendedUntil,
+    };
+
+  // Don't let a suspension outlive its end date in the cache
+  const ttl =
+    account?.status === "SUSPENDED"
+      ? Math.min(
+          STATUS_CACHE_SECONDS,
+          Math.ceil((user.suspendedUntil - Date.now()) / 1000)
+        )
+      : STATUS_CACHE_SECONDS;
+  statusCache.set(userId, account, ttl);
+
+  return account;
+}
+
+// Drop the cached status after changing it in this process
+export const forgetAccountStatus = (userId) => statusCache.del(userId);
+
+// Why `user` can't sign in, or null. Suspended users still can, to see
+// why and export their data; banned users can't.
+export function loginBlockReason(user) {
+  if (getEffectiveStatus(user) !== "BANNED") return null;
+  return user.statusReason
+    ? `This account has been banned: ${user.statusReason}`
+    : "This account has been banned";
+}
@@ -0,0 +1,183 @@
+import { createHash, randomBytes } from "crypto";
+import prisma from "./prisma.js";
+import {
+  buildOtpauthUri,
+  decryptSecret,
+  encryptSecret,
+  generateTotpSecret,
+  verifyTotp,
+} from "./totp.js";
+import { accountKey } from "./loginThrottle.js";
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Codes are shown as xxxxx-xxxxx but matched without the dash or case
+const normalizeRecoveryCode = (code) =>
+  String(code || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+const hashRecoveryCode = (code) =>
+  createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+
+const generateRecoveryCode = () =>
+  randomBytes(5)
+    .toString("hex")
+    .replace(/^(.{5})/, "$1-");
+
+export const isTwoFactorEnabled = (admin) => !!admin.totpEnabledAt;
+
+const logEvent = (db, admin, type, extra = {}) =>
+  db.authEvent.create({
+    data: {
+      type,
+      subject: accountKey("admin", admin.email),
+      adminId: admin.id,
+      ...extra,
+    },
+  });
+
+// Swaps in a fresh set of recovery codes. Returns the plain codes, which
+// are never shown again.
+async function replaceRecoveryCodes(tx, adminId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+    generateRecoveryCode()
+  );
+
+  await tx.adminRecoveryCode.deleteMany({ where: { adminId } });
+  await tx.adminRecoveryCode.createMany({
+    data: codes.map((code) => ({ adminId, codeHash: hashRecoveryCode(code) })),
+  });
+
+  return codes;
+}
+
+export const countRecoveryCodesLeft = (adminId) =>
+  prisma.adminRecoveryCode.count({ where: { adminId, usedAt: null } });
+
+// First enrollment step: stores a pending secret and returns it with the
+// otpauth:// URI for the QR code. Starting again replaces the pending one.
+export async function startTotpEnrollment(admin) {
+  if (isTwoFactorEnabled(admin)) {
+    return { error: "Two-factor authentication is already enabled" };
+  }
+
+  const secret = generateTotpSecret();
+  await prisma.admin.update({
+    where: { id: admin.id },
+    data: { totpSecret: encryptSecret(secret), totpLastStep: null },
+  });
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri(secret, {
+      issuer: process.env.TOTP_ISSUER || "Vyapaar Admin",
+      account: admin.email,
+    }),
+  };
+}
+
+// Second step: a code from the app proves it holds the secret. Turns 2FA
+// on and returns the recovery codes.
+export async function confirmTotpEnrollment(admin, code) {
+  if (isTwoFactorEnabled(admin)) {
+    return { error: "Two-factor authentication is already enabled" };
+  }
+  if (!admin.totpSecret) {
+    return { error: "Start two-factor setup first" };
+  }
+
+  const step = verifyTotp(decryptSecret(admin.totpSecret), code);
+  if (step === null) {
+    return { error: "Invalid authentication code" };
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.admin.updateMany({
+      where: {
+        id: admin.id,
+        totpEnabledAt: null,
+        totpSecret: admin.totpSecret,
+      },
+      data: { totpEnabledAt: new Date(), totpLastStep: step },
+    });
+    if (count === 0) {
+      return { error: "Two-factor setup changed, start again" };
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(tx, admin.id);
+    await logEvent(tx, admin, "TWO_FACTOR_ENABLED");
+
+    return { recoveryCodes };
+  });
+}
+
+// Accepts each time step once, so a code seen over someone's shoulder
+// can't be reused within its 30 seconds
+async function acceptTotpCode(admin, code) {
+  const step = verifyTotp(decryptSecret(admin.totpSecret), code);
+  if (step === null) return false;
+
+  const { count } = await prisma.admin.updateMany({
+    where: {
+      id: admin.id,
+      OR: [{ totpLastStep: null }, { totpLastStep: { lt: step } }],
+    },
+    data: { totpLastStep: step },
+  });
+  return count === 1;
+}
+
+async function acceptRecoveryCode(admin, code, event) {
+  const { count } = await prisma.adminRecoveryCode.updateMany({
+    where: {
+      adminId: admin.id,
+      codeHash: hashRecoveryCode(code),
+      usedAt: null,
+    },
+    data: { usedAt: new Date() },
+  });
+  if (count === 0) return false;
+
+  await logEvent(prisma, admin, "RECOVERY_CODE_USED", event);
+  return true;
+}
+
+// Checks the second factor on login or for sensitive changes: either an
+// authenticator `code` or a one-time `recoveryCode`. Returns the method
+// that passed, or null.
+export async function verifySecondFactor(
+  admin,
+  { code, recoveryCode },
+  event = {}
+) {
+  if (!isTwoFactorEnabled(admin)) return null;
+
+  if (code && (await acceptTotpCode(admin, code))) return "totp";
+  if (recoveryCode && (await acceptRecoveryCode(admin, recoveryCode, event))) {
+    return "recovery";
+  }
+  return null;
+}
+
+export const regenerateRecoveryCodes = (adminId) =>
+  prisma.$transaction((tx) => replaceRecoveryCodes(tx, adminId));
+
+// Turns 2FA off, either by the admin themselves or by a SUPER admin
+// (`actorAdminId`) for someone who lost their device
+export async function disableTwoFactor(admin, { actorAdminId, reason } = {}) {
+  await prisma.$transaction(async (tx) => {
+    await tx.admin.update({
+      where: { id: admin.id },
+      data: { totpSecret: null, totpEnabledAt: null, totpLastStep: null },
+    });
+    await tx.adminRecoveryCode.deleteMany({ where: { adminId: admin.id } });
+
+    await logEvent(
+      tx,
+      admin,
+      actorAdminId ? "TWO_FACTOR_RESET" : "TWO_FACTOR_DISABLED",
+      { actorAdminId, reason: reason || null }
+    );
+  });
+}
@@ -0,0 +1,125 @@
+import prisma from "./prisma.js";
+
+// Never copied into the log, whether in a diff or a request body
+const SECRET_FIELDS = new Set([
+  "password",
+  "currentPassword",
+  "newPassword",
+  "confirmPassword",
+  "totpSecret",
+  "totpLastStep",
+  "code",
+  "recoveryCode",
+  "refreshTokenHash",
+  "previousTokenHash",
+  "codeHash",
+]);
+
+const IGNORED_FIELDS = new Set(["updatedAt"]);
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !(value instanceof Date);
+
+// Included relations (a record with an id, or a list of records) are left
+// out; Json columns and scalar lists are compared like any other field
+const isRelation = (value) =>
+  Array.isArray(value)
+    ? value.some(isObject)
+    : isObject(value) && "id" in value;
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// { field: { from, to } } for every field that differs between two
+// versions of a record. Either side may be null for creates and deletes.
+export function diffRecords(before, after) {
+  const changes = {};
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+
+  for (const field of fields) {
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+
+    if (IGNORED_FIELDS.has(field) || isRelation(from) || isRelation(to)) {
+      continue;
+    }
+    if (sameValue(from, to)) continue;
+
+    changes[field] = SECRET_FIELDS.has(field)
+      ? { from: "[redacted]", to: "[redacted]" }
+      : { from, to };
+  }
+
+  return changes;
+}
+
+const redactBody = (body) =>
+  isObject(body)
+    ? Object.fromEntries(
+        Object.entries(body).map(([key, value]) => [
+          key,
+          SECRET_FIELDS.has(key) ? "[redacted]" : value,
+        ])
+      )
+    : null;
+
+const requestContext = (req) => ({
+  adminId: req.admin?.id ?? null,
+  adminEmail: req.admin?.email ?? null,
+  method: req.method,
+  path: req.originalUrl.slice(0, 512),
+  ipAddress: req.ip || null,
+  userAgent: req.get("user-agent")?.slice(0, 512) || null,
+});
+
+// Records an admin action with what it changed. `before` and `after` are
+// the target record either side of the change. Logging never fails the
+// request; the action has already happened by now.
+export async function recordAudit(
+  req,
+  { action, entityType, entityId, before = null, after = null, metadata }
+) {
+  req.auditRecorded = true;
+  const changes = diffRecords(before, after);
+
+  try {
+    await prisma.auditLog.create({
+      data: {
+        ...requestContext(req),
+        action,
+        entityType,
+        entityId: entityId == null ? null : String(entityId),
+        changes: Object.keys(changes).length > 0 ? changes : undefined,
+        metadata,
+      },
+    });
+  } catch (error) {
+    console.error("Audit log error:", error);
+  }
+}
+
+// Catch-all for admin mutations whose handler doesn't call recordAudit:
+// once a successful response is sent, logs the route, its params and the
+// (redacted) body. Mount before the routes.
+export function auditAdminMutations(req, res, next) {
+  if (["GET", "HEAD", "OPTIONS"].includes(req.method)) return next();
+
+  res.on("finish", () => {
+    if (!req.admin || req.auditRecorded || res.statusCode >= 400) return;
+
+    prisma.auditLog
+      .create({
+        data: {
+          ...requestContext(req),
+          action: `${req.method} ${req.baseUrl}${req.route?.path ?? req.path}`,
+          entityId: req.params?.id ?? null,
+          metadata: { params: req.params, body: redactBody(req.body) },
+        },
+      })
+      .catch((error) => console.error("Audit log error:", error));
+  });
+
+  next();
+}
@@ -0,0 +1,87 @@
+import prisma from "./prisma.js";
+
+// Razorpay won't create orders below ₹1
+const MIN_ORDER_AMOUNT = 100;
+
+export const normalizeCouponCode = (code) =>
+  String(code || "")
+    .trim()
+    .toUpperCase();
+
+// Discount in paise for an order of `amount` paise
+export const calculateDiscount = (coupon, amount) => {
+  let discount =
+    coupon.discountType === "PERCENTAGE"
+      ? Math.floor((amount * coupon.discountValue) / 100)
+      : Math.round(coupon.discountValue * 100);
+
+  if (coupon.discountType === "PERCENTAGE" && coupon.maxDiscount != null) {
+    discount = Math.min(discount, Math.round(coupon.maxDiscount * 100));
+  }
+
+  return Math.max(0, Math.min(discount, amount - MIN_ORDER_AMOUNT));
+};
+
+// Checks every rule on the coupon for this user, listing and plan. Returns
+// { error } when the code can't be used, otherwise the coupon and the
+// discount in paise. Limits count redemptions, which are only recorded once
+// a payment completes.
+export async function applyCoupon({ code, userId, listing, plan, amount }) {
+  const coupon = await prisma.coupon.findUnique({
+    where: { code: normalizeCouponCode(code) },
+  });
+
+  if (!coupon || !coupon.isActive) {
+    return { error: "Invalid coupon code" };
+  }
+
+  const now = new Date();
+  if (coupon.validFrom && coupon.validFrom > now) {
+    return { error: "This coupon is not active yet" };
+  }
+  if (coupon.validUntil && coupon.validUntil < now) {
+    return { error: "This coupon has expired" };
+  }
+
+  if (coupon.planIds.length > 0 && !coupon.planIds.includes(plan.id)) {
+    return { error: "This coupon does not apply to the selected plan" };
+  }
+
+  if (coupon.maxRedemptions != null) {
+    const redemptions = await prisma.couponRedemption.count({
+      where: { couponId: coupon.id },
+    });
+    if (redemptions >= coupon.maxRedemptions) {
+      return { error: "This coupon has been fully redeemed" };
+    }
+  }
+
+  if (coupon.perUserLimit != null) {
+    const userRedemptions = await prisma.couponRedemption.count({
+      where: { couponId: coupon.id, userId },
+    });
+    if (userRedemptions >= coupon.perUserLimit) {
+      return { error: "You have already used this coupon" };
+    }
+  }
+
+  if (coupon.firstListingOnly) {
+    const earlierListings = await prisma.listing.count({
+      where: {
+        userId,
+        id: { not: listing.id },
+        createdAt: { lt: listing.createdAt },
+      },
+    });
+    if (earlierListings > 0) {
+      return { error: "This coupon is only valid on your first listing" };
+    }
+  }
+
+  const discountAmount = calculateDiscount(coupon, amount);
+  if (discountAmount <= 0) {
+    return { error: "This coupon does not reduce the price of this plan" };
+  }
+
+  return { coupon, discountAmount };
+}
@@ -0,0 +1,110 @@
+import jwt from "jsonwebtoken";
+import prisma from "./prisma.js";
+import { sendMail } from "./mailer.js";
+
+const TOKEN_TTL = {
+  EMAIL_VERIFICATION: "24h",
+  PASSWORD_RESET: "1h",
+};
+
+// One email per purpose a minute, so the endpoints can't be used to spam
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+const getSecret = () =>
+  process.env.EMAIL_TOKEN_SECRET || process.env.JWT_SECRET;
+
+const frontendLink = (pathname, token) =>
+  `${process.env.FRONTEND_URL}${pathname}?token=${encodeURIComponent(token)}`;
+
+// Issues a signed token for `purpose`, replacing any unused one. The JWT
+// carries the expiry; the UserToken row makes it single-use. Returns null
+// while the previous token is still within its resend cooldown.
+export async function issueUserToken(user, purpose) {
+  const previous = await prisma.userToken.findFirst({
+    where: { userId: user.id, purpose, usedAt: null },
+    orderBy: { createdAt: "desc" },
+  });
+
+  if (previous && Date.now() - previous.createdAt < RESEND_COOLDOWN_MS) {
+    return null;
+  }
+
+  const [, record] = await prisma.$transaction([
+    prisma.userToken.deleteMany({
+      where: { userId: user.id, purpose, usedAt: null },
+    }),
+    prisma.userToken.create({
+      data: { userId: user.id, purpose, email: user.email },
+    }),
+  ]);
+
+  return jwt.sign(
+    { sub: String(user.id), purpose, email: user.email },
+    getSecret(),
+    { jwtid: record.id, expiresIn: TOKEN_TTL[purpose] }
+  );
+}
+
+// Checks the signature, expiry and purpose, then marks the token used.
+// Returns the token's user, or null for anything invalid, expired, already
+// used or issued for an email the user no longer has.
+export async function consumeUserToken(token, purpose) {
+  let payload;
+  try {
+    payload = jwt.verify(String(token || ""), getSecret());
+  } catch {
+    return null;
+  }
+
+  if (payload.purpose !== purpose || !payload.jti) {
+    return null;
+  }
+
+  const { count } = await prisma.userToken.updateMany({
+    where: { id: payload.jti, purpose, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+
+  if (count === 0) {
+    return null;
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: Number(payload.sub) },
+  });
+
+  return user && user.email === payload.email ? user : null;
+}
+
+// Both senders return false when the cooldown suppressed the email
+export async function sendVerificationEmail(user) {
+  const token = await issueUserToken(user, "EMAIL_VERIFICATION");
+  if (!token) return false;
+
+  const link = frontendLink("/verify-email", token);
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: `Welcome! Confirm your email address by opening this link within 24 hours:\n\n${link}\n\nIf you didn't create an account, you can ignore this email.`,
+    html: `<p>Welcome! Confirm your email address by opening <a href="${link}">this link</a> within 24 hours.</p><p>If you didn't create an account, you can ignore this email.</p>`,
+  });
+
+  return true;
+}
+
+export async function sendPasswordResetEmail(user) {
+  const token = await issueUserToken(user, "PASSWORD_RESET");
+  if (!token) return false;
+
+  const link = frontendLink("/reset-password", token);
+
+  await sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: `Someone asked to reset the password for this account. Open this link within an hour to choose a new one:\n\n${link}\n\nIf it wasn't you, ignore this email; your password stays the same.`,
+    html: `<p>Someone asked to reset the password for this account. Open <a href="${link}">this link</a> within an hour to choose a new one.</p><p>If it wasn't you, ignore this email; your password stays the same.</p>`,
+  });
+
+  return true;
+}
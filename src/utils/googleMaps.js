@@ -0,0 +1,6 @@
+// Google Maps web service URLs, e.g. mapsApiUrl("/maps/api/geocode/json").
+// GOOGLE_MAPS_API_URL points them somewhere else, such as the fake in
+// test/fakes/mapsMock.js for tests; it's read on every call so it can be
+// set after import.
+export const mapsApiUrl = (path) =>
+  `${process.env.GOOGLE_MAPS_API_URL || "https://maps.googleapis.com"}${path}`;
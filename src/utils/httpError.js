@@ -0,0 +1,14 @@
+// An error with a response attached. Pass it to next() (or throw it inside
+// a handler's try block) and errorHandler sends it as
+// { error: { code, message, fields, ...details } } with `status`.
+// `details` carries extra values the client acts on, such as retryAfter.
+export class HttpError extends Error {
+  constructor(status, code, message, fields = null, details = null) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.code = code;
+    this.fields = fields;
+    this.details = details;
+  }
+}
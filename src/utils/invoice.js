@@ -0,0 +1,370 @@
+import PDFDocument from "pdfkit";
+
+// GST state codes, as used in the first two digits of a GSTIN
+export const GST_STATE_CODES = {
+  "01": "Jammu and Kashmir",
+  "02": "Himachal Pradesh",
+  "03": "Punjab",
+  "04": "Chandigarh",
+  "05": "Uttarakhand",
+  "06": "Haryana",
+  "07": "Delhi",
+  "08": "Rajasthan",
+  "09": "Uttar Pradesh",
+  10: "Bihar",
+  11: "Sikkim",
+  12: "Arunachal Pradesh",
+  13: "Nagaland",
+  14: "Manipur",
+  15: "Mizoram",
+  16: "Tripura",
+  17: "Meghalaya",
+  18: "Assam",
+  19: "West Bengal",
+  20: "Jharkhand",
+  21: "Odisha",
+  22: "Chhattisgarh",
+  23: "Madhya Pradesh",
+  24: "Gujarat",
+  26: "Dadra and Nagar Haveli and Daman and Diu",
+  27: "Maharashtra",
+  29: "Karnataka",
+  30: "Goa",
+  31: "Lakshadweep",
+  32: "Kerala",
+  33: "Tamil Nadu",
+  34: "Puducherry",
+  35: "Andaman and Nicobar Islands",
+  36: "Telangana",
+  37: "Andhra Pradesh",
+  38: "Ladakh",
+};
+
+const GSTIN_REGEX = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// SAC 998365: sale of internet advertising space
+const SAC_CODE = "998365";
+
+export const isValidGstin = (gstin) =>
+  typeof gstin === "string" &&
+  GSTIN_REGEX.test(gstin) &&
+  !!GST_STATE_CODES[gstin.slice(0, 2)];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const getSeller = () => {
+  const gstin = process.env.SELLER_GSTIN || null;
+
+  return {
+    sellerName: process.env.SELLER_LEGAL_NAME || "Vyapaar",
+    sellerGstin: gstin,
+    sellerAddress: process.env.SELLER_ADDRESS || null,
+    sellerStateCode: gstin
+      ? gstin.slice(0, 2)
+      : process.env.SELLER_STATE_CODE || null,
+  };
+};
+
+// Indian financial years run April to March, e.g. "26-27"
+export const getFinancialYear = (date = new Date()) => {
+  // Shift to IST so an invoice issued just after midnight on 1 April lands
+  // in the new year
+  const ist = new Date(date.getTime() + 330 * 60 * 1000);
+  const startYear =
+    ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+
+  return `${String(startYear % 100).padStart(2, "0")}-${String(
+    (startYear + 1) % 100
+  ).padStart(2, "0")}`;
+};
+
+// GST caps invoice numbers at 16 characters: INV/26-27/00042 is 15
+const formatInvoiceNumber = (financialYear, sequence) =>
+  `${process.env.INVOICE_PREFIX || "INV"}/${financialYear}/${String(
+    sequence
+  ).padStart(5, "0")}`;
+
+// Plan prices are GST-inclusive. Supplies within the seller's state split
+// the tax into CGST + SGST; everything else is IGST. A buyer with no state
+// on record is taxed as intra-state (place of supply = supplier's location).
+export const calculateGst = (totalAmount, sellerStateCode, buyerStateCode) => {
+  const taxRate = Number(process.env.GST_RATE || 18);
+  const taxableAmount = roundMoney(totalAmount / (1 + taxRate / 100));
+  const tax = roundMoney(totalAmount - taxableAmount);
+  const isInterState =
+    !!sellerStateCode && !!buyerStateCode && sellerStateCode !== buyerStateCode;
+
+  if (isInterState) {
+    return {
+      taxRate,
+      taxableAmount,
+      cgstAmount: 0,
+      sgstAmount: 0,
+      igstAmount: tax,
+      totalAmount,
+    };
+  }
+
+  const cgstAmount = roundMoney(tax / 2);
+
+  return {
+    taxRate,
+    taxableAmount,
+    cgstAmount,
+    sgstAmount: roundMoney(tax - cgstAmount),
+    igstAmount: 0,
+    totalAmount,
+  };
+};
+
+const describePayment = (payment) => {
+  const { title } = payment.listing;
+  // Wallet purchases have no PaymentOrder, only the snapshot of the sale
+  const snapshot = payment.planSnapshot;
+  const promotionPackage =
+    snapshot?.kind === "PROMOTION"
+      ? snapshot
+      : payment.paymentOrder?.promotionPackage;
+
+  if (promotionPackage) {
+    return `${promotionPackage.name} promotion (${promotionPackage.durationDays} days) - ${title}`;
+  }
+
+  const plan =
+    (snapshot?.kind === "SUBSCRIPTION" && snapshot) ||
+    payment.paymentOrder?.plan ||
+    payment.renewalMandate?.plan ||
+    payment.listing.subscription;
+
+  return plan
+    ? `${plan.name} listing subscription (${plan.durationDays} days) - ${title}`
+    : `Listing subscription - ${title}`;
+};
+
+const buildInvoiceDetails = (payment) => {
+  const { user } = payment.listing;
+  const seller = getSeller();
+  const buyerGstin = isValidGstin(user.gstin) ? user.gstin : null;
+  const buyerStateCode = buyerGstin
+    ? buyerGstin.slice(0, 2)
+    : user.billingStateCode || null;
+
+  return {
+    ...seller,
+    buyerName:
+      user.billingName ||
+      [user.firstName, user.lastName].filter(Boolean).join(" ") ||
+      user.email ||
+      user.phone,
+    buyerEmail: user.email,
+    buyerGstin,
+    buyerAddress: user.billingAddress || user.city || null,
+    buyerStateCode,
+    description: describePayment(payment),
+    sacCode: SAC_CODE,
+    currency: payment.currency,
+    ...calculateGst(payment.amount, seller.sellerStateCode, buyerStateCode),
+  };
+};
+
+const paymentInclude = {
+  listing: { include: { user: true, subscription: true } },
+  paymentOrder: { include: { plan: true, promotionPackage: true } },
+  renewalMandate: { include: { plan: true } },
+};
+
+// Issues the invoice for a completed payment, once. Meant to run inside the
+// same transaction that completes the payment so numbering has no gaps.
+export async function issueInvoice(tx, paymentId) {
+  const existing = await tx.invoice.findUnique({ where: { paymentId } });
+  if (existing) return existing;
+
+  const payment = await tx.payment.findUnique({
+    where: { id: paymentId },
+    include: paymentInclude,
+  });
+
+  const issuedAt = new Date();
+  const financialYear = getFinancialYear(issuedAt);
+
+  // The upsert row-locks the sequence, serialising concurrent issues
+  const { lastNumber } = await tx.invoiceSequence.upsert({
+    where: { financialYear },
+    create: { financialYear, lastNumber: 1 },
+    update: { lastNumber: { increment: 1 } },
+  });
+
+  return tx.invoice.create({
+    data: {
+      ...buildInvoiceDetails(payment),
+      invoiceNumber: formatInvoiceNumber(financialYear, lastNumber),
+      financialYear,
+      sequence: lastNumber,
+      issuedAt,
+      paymentId,
+      userId: payment.listing.userId,
+    },
+  });
+}
+
+// Refreshes the buyer/seller snapshot and tax split, keeping the number
+export async function regenerateInvoice(tx, invoiceId) {
+  const invoice = await tx.invoice.findUnique({ where: { id: invoiceId } });
+  if (!invoice) return null;
+
+  const payment = await tx.payment.findUnique({
+    where: { id: invoice.paymentId },
+    include: paymentInclude,
+  });
+
+  return tx.invoice.update({
+    where: { id: invoiceId },
+    data: buildInvoiceDetails(payment),
+  });
+}
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const formatMoney = (value) => `₹${Number(value).toFixed(2)}`;
+
+const stateName = (code) =>
+  code ? `${GST_STATE_CODES[code] || "Unknown"} (${code})` : "-";
+
+const taxLines = (invoice) =>
+  invoice.igstAmount > 0
+    ? [[`IGST @ ${invoice.taxRate}%`, invoice.igstAmount]]
+    : [
+        [`CGST @ ${invoice.taxRate / 2}%`, invoice.cgstAmount],
+        [`SGST @ ${invoice.taxRate / 2}%`, invoice.sgstAmount],
+      ];
+
+export const getInvoiceFilename = (invoice, extension) =>
+  `${invoice.invoiceNumber.replace(/\//g, "-")}.${extension}`;
+
+export function renderInvoiceHtml(invoice) {
+  const rows = taxLines(invoice)
+    .map(
+      ([label, amount]) =>
+        `<tr><td>${label}</td><td class="amount">${formatMoney(
+          amount
+        )}</td></tr>`
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Tax Invoice ${escapeHtml(invoice.invoiceNumber)}</title>
+<style>
+  body { font-family: Arial, sans-serif; color: #222; max-width: 760px; margin: 32px auto; }
+  h1 { font-size: 22px; margin-bottom: 4px; }
+  .parties { display: flex; justify-content: space-between; margin: 24px 0; }
+  table { width: 100%; border-collapse: collapse; }
+  td, th { border: 1px solid #ccc; padding: 8px; text-align: left; }
+  .amount { text-align: right; }
+  .total td { font-weight: bold; }
+</style>
+</head>
+<body>
+<h1>Tax Invoice</h1>
+<div>Invoice No: ${escapeHtml(invoice.invoiceNumber)}</div>
+<div>Date: ${invoice.issuedAt.toISOString().split("T")[0]}</div>
+<div class="parties">
+  <div>
+    <strong>${escapeHtml(invoice.sellerName)}</strong><br>
+    ${escapeHtml(invoice.sellerAddress || "")}<br>
+    GSTIN: ${escapeHtml(invoice.sellerGstin || "-")}<br>
+    State: ${escapeHtml(stateName(invoice.sellerStateCode))}
+  </div>
+  <div>
+    <strong>Bill to: ${escapeHtml(invoice.buyerName)}</strong><br>
+    ${escapeHtml(invoice.buyerAddress || "")}<br>
+    ${escapeHtml(invoice.buyerEmail)}<br>
+    GSTIN: ${escapeHtml(invoice.buyerGstin || "Unregistered")}<br>
+    Place of supply: ${escapeHtml(
+      stateName(invoice.buyerStateCode || invoice.sellerStateCode)
+    )}
+  </div>
+</div>
+<table>
+  <tr><th>Description</th><th>SAC</th><th class="amount">Amount</th></tr>
+  <tr>
+    <td>${escapeHtml(invoice.description)}</td>
+    <td>${escapeHtml(invoice.sacCode)}</td>
+    <td class="amount">${formatMoney(invoice.taxableAmount)}</td>
+  </tr>
+</table>
+<table style="margin-top: 16px">
+  <tr><td>Taxable value</td><td class="amount">${formatMoney(
+    invoice.taxableAmount
+  )}</td></tr>
+  ${rows}
+  <tr class="total"><td>Total (${escapeHtml(
+    invoice.currency
+  )})</td><td class="amount">${formatMoney(invoice.totalAmount)}</td></tr>
+</table>
+</body>
+</html>`;
+}
+
+// Streams the PDF straight into `stream` (usually the Express response)
+export function renderInvoicePdf(invoice, stream) {
+  const doc = new PDFDocument({ size: "A4", margin: 50 });
+  doc.pipe(stream);
+
+  doc.fontSize(20).text("Tax Invoice");
+  doc
+    .fontSize(10)
+    .text(`Invoice No: ${invoice.invoiceNumber}`)
+    .text(`Date: ${invoice.issuedAt.toISOString().split("T")[0]}`)
+    .moveDown();
+
+  doc
+    .fontSize(11)
+    .text(invoice.sellerName)
+    .fontSize(10)
+    .text(invoice.sellerAddress || "")
+    .text(`GSTIN: ${invoice.sellerGstin || "-"}`)
+    .text(`State: ${stateName(invoice.sellerStateCode)}`)
+    .moveDown();
+
+  doc
+    .fontSize(11)
+    .text(`Bill to: ${invoice.buyerName}`)
+    .fontSize(10)
+    .text(invoice.buyerAddress || "")
+    .text(invoice.buyerEmail || "")
+    .text(`GSTIN: ${invoice.buyerGstin || "Unregistered"}`)
+    .text(
+      `Place of supply: ${stateName(
+        invoice.buyerStateCode || invoice.sellerStateCode
+      )}`
+    )
+    .moveDown();
+
+  // The built-in PDF fonts have no rupee glyph
+  const money = (value) => `INR ${Number(value).toFixed(2)}`;
+
+  doc
+    .text(`${invoice.description} (SAC ${invoice.sacCode})`)
+    .moveDown()
+    .text(`Taxable value: ${money(invoice.taxableAmount)}`);
+
+  taxLines(invoice).forEach(([label, amount]) => {
+    doc.text(`${label}: ${money(amount)}`);
+  });
+
+  doc
+    .moveDown()
+    .fontSize(12)
+    .text(`Total: ${money(invoice.totalAmount)}`);
+
+  doc.end();
+}
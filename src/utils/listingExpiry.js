@@ -0,0 +1,109 @@
+import prisma from "./prisma.js";
+import { OPEN_PROMOTION_STATUSES, transitionPromotions } from "./promotions.js";
+
+const DAY_MS = 86400000;
+
+// Days before expiresAt that owners are reminded, smallest first
+const REMINDER_DAYS = [1, 3, 7];
+
+const describeDaysLeft = (days) =>
+  days === 1 ? "within a day" : `in ${days} days`;
+
+// expiresAt for a listing that starts running today
+export const calculateExpirationDate = (durationDays) => {
+  const date = new Date();
+  date.setDate(date.getDate() + durationDays);
+  return date;
+};
+
+// Moves approved listings past their expiresAt to EXPIRED, ends their
+// promotions and queues a notice for the owner. Returns how many expired.
+export async function expireListings() {
+  const now = new Date();
+
+  return prisma.$transaction(async (tx) => {
+    const listings = await tx.listing.findMany({
+      where: { status: "APPROVED", expiresAt: { lte: now } },
+      select: { id: true, userId: true, title: true, expiresAt: true },
+    });
+
+    if (listings.length === 0) return 0;
+
+    const listingIds = listings.map((listing) => listing.id);
+
+    await tx.listing.updateMany({
+      where: { id: { in: listingIds } },
+      data: { status: "EXPIRED", isBannerEnabled: false },
+    });
+
+    await transitionPromotions(
+      tx,
+      {
+        listingId: { in: listingIds },
+        status: { in: OPEN_PROMOTION_STATUSES },
+      },
+      "CANCELLED",
+      { reason: "Listing expired", endNow: true }
+    );
+
+    await tx.notification.createMany({
+      data: listings.map((listing) => ({
+        userId: listing.userId,
+        listingId: listing.id,
+        type: "LISTING_EXPIRED",
+        title: "Your listing has expired",
+        message: `"${listing.title}" has expired and is no longer visible. Renew it to publish it again.`,
+        dedupeKey: `listing-expired:${
+          listing.id
+        }:${listing.expiresAt.toISOString()}`,
+      })),
+      skipDuplicates: true,
+    });
+
+    return listings.length;
+  });
+}
+
+// Queues one reminder per threshold in REMINDER_DAYS as a listing nears
+// expiry. Keys include expiresAt, so a renewed listing gets a fresh set.
+// Listings with an active auto-renewal mandate are skipped.
+export async function queueExpiryReminders() {
+  const now = Date.now();
+  const horizon = REMINDER_DAYS[REMINDER_DAYS.length - 1];
+
+  const listings = await prisma.listing.findMany({
+    where: {
+      status: "APPROVED",
+      expiresAt: { gt: new Date(now), lte: new Date(now + horizon * DAY_MS) },
+      NOT: { renewalMandate: { is: { status: "ACTIVE" } } },
+    },
+    select: { id: true, userId: true, title: true, expiresAt: true },
+  });
+
+  const data = listings.map((listing) => {
+    const daysLeft = (listing.expiresAt.getTime() - now) / DAY_MS;
+    const threshold = REMINDER_DAYS.find((days) => daysLeft <= days);
+
+    return {
+      userId: listing.userId,
+      listingId: listing.id,
+      type: "LISTING_EXPIRY_REMINDER",
+      title: "Your listing is about to expire",
+      message: `"${listing.title}" expires ${describeDaysLeft(
+        threshold
+      )}. Renew it to keep it visible.`,
+      dedupeKey: `listing-expiry-reminder:${
+        listing.id
+      }:${listing.expiresAt.toISOString()}:${threshold}`,
+    };
+  });
+
+  if (data.length === 0) return 0;
+
+  const { count } = await prisma.notification.createMany({
+    data,
+    skipDuplicates: true,
+  });
+
+  return count;
+}
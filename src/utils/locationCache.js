@@ -0,0 +1,8 @@
+// Geocoding results shared by the banner utils, keyed by pincode or URL
+export const locationCache = new Map();
+
+// Emptied every six hours so stale lookups don't stick around
+setInterval(() => {
+  locationCache.clear();
+  console.log("Location cache cleared");
+}, 6 * 60 * 60 * 1000).unref();
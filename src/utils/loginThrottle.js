@@ -0,0 +1,163 @@
+import prisma from "./prisma.js";
+import { HttpError } from "./httpError.js";
+
+// Failures older than this no longer count
+const FAILURE_WINDOW_MS = 60 * 60 * 1000;
+
+const LOCK_MS = Number(process.env.LOGIN_LOCK_MINUTES || 15) * 60 * 1000;
+
+const MAX_DELAY_MS = 60 * 1000;
+
+// After `freeAttempts` failures each further guess has to wait twice as
+// long as the one before; at `lockAfter` the key is locked for LOCK_MS.
+// IPs get more room since offices and mobile carriers share them.
+const POLICIES = {
+  account: { freeAttempts: 3, lockAfter: 10, lockEvent: "ACCOUNT_LOCKED" },
+  ip: { freeAttempts: 10, lockAfter: 30, lockEvent: "IP_LOCKED" },
+};
+
+// `scope` is "user" or "admin"; /login and /auth/login share "user"
+export const accountKey = (scope, email) =>
+  `${scope}:${String(email).trim().toLowerCase()}`;
+
+const ipKey = (req) => `ip:${req.ip}`;
+
+const delayFor = (failures, policy) =>
+  failures < policy.freeAttempts
+    ? 0
+    : Math.min(2 ** (failures - policy.freeAttempts) * 1000, MAX_DELAY_MS);
+
+const isStale = (throttle, now) =>
+  !throttle.lastFailureAt ||
+  now - throttle.lastFailureAt.getTime() > FAILURE_WINDOW_MS;
+
+// How long `throttle` still blocks attempts, in ms
+function blockedFor(throttle, policy, now) {
+  if (!throttle) return 0;
+
+  if (throttle.lockedUntil && throttle.lockedUntil.getTime() > now) {
+    return throttle.lockedUntil.getTime() - now;
+  }
+
+  if (isStale(throttle, now)) return 0;
+
+  const nextAttemptAt =
+    throttle.lastFailureAt.getTime() + delayFor(throttle.failures, policy);
+  return Math.max(0, nextAttemptAt - now);
+}
+
+// Checks the account and the client IP before a password is even looked
+// at. Returns null, or { retryAfter, message } when the login must wait.
+export async function checkLoginThrottle(scope, email, req) {
+  const now = Date.now();
+  const [account, ip] = await Promise.all([
+    prisma.loginThrottle.findUnique({
+      where: { key: accountKey(scope, email) },
+    }),
+    prisma.loginThrottle.findUnique({ where: { key: ipKey(req) } }),
+  ]);
+
+  const wait = Math.max(
+    blockedFor(account, POLICIES.account, now),
+    blockedFor(ip, POLICIES.ip, now)
+  );
+
+  if (wait === 0) return null;
+
+  const locked = [account, ip].some(
+    (throttle) => throttle?.lockedUntil?.getTime() > now
+  );
+
+  return {
+    retryAfter: Math.ceil(wait / 1000),
+    message: locked
+      ? "Too many failed attempts. Try again later or reset your password."
+      : "Too many failed attempts. Please wait before trying again.",
+  };
+}
+
+// Sets Retry-After and returns the 429 to throw for a throttled login
+export function throttledError(res, throttle) {
+  res.set("Retry-After", String(throttle.retryAfter));
+  return new HttpError(429, "LOGIN_THROTTLED", throttle.message, null, {
+    retryAfter: throttle.retryAfter,
+  });
+}
+
+async function recordFailure(tx, key, policy, event) {
+  const now = new Date();
+
+  // Increment in place so parallel guesses can't undercount
+  const { count } = await tx.loginThrottle.updateMany({
+    where: {
+      key,
+      lastFailureAt: { gt: new Date(now.getTime() - FAILURE_WINDOW_MS) },
+    },
+    data: { failures: { increment: 1 }, lastFailureAt: now },
+  });
+
+  const throttle = count
+    ? await tx.loginThrottle.findUnique({ where: { key } })
+    : await tx.loginThrottle.upsert({
+        where: { key },
+        create: { key, failures: 1, lastFailureAt: now },
+        update: { failures: 1, lastFailureAt: now },
+      });
+
+  if (throttle.failures < policy.lockAfter) return;
+
+  // The count starts over once the lock runs out
+  await tx.loginThrottle.update({
+    where: { key },
+    data: { failures: 0, lockedUntil: new Date(now.getTime() + LOCK_MS) },
+  });
+
+  await tx.authEvent.create({
+    data: {
+      ...event,
+      type: policy.lockEvent,
+      subject: key,
+      failures: throttle.failures,
+    },
+  });
+}
+
+// Counts a failed login against the account and the client IP, locking
+// either once it reaches its limit. `account` carries userId or adminId
+// when the email matched someone, for the audit trail.
+export async function recordLoginFailure(scope, email, req, account = {}) {
+  const event = {
+    ...account,
+    ipAddress: req.ip || null,
+    userAgent: req.get("user-agent")?.slice(0, 512) || null,
+  };
+
+  await prisma.$transaction(async (tx) => {
+    await recordFailure(tx, accountKey(scope, email), POLICIES.account, event);
+    await recordFailure(tx, ipKey(req), POLICIES.ip, event);
+  });
+}
+
+// A successful login wipes the account's slate; the IP's record stays
+export const clearLoginFailures = (scope, email) =>
+  prisma.loginThrottle.deleteMany({ where: { key: accountKey(scope, email) } });
+
+// Lifts a lock early and logs who did it. Returns false if `key` wasn't
+// being throttled.
+export async function unlockLogin(key, { actorAdminId, reason, ...account }) {
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.loginThrottle.deleteMany({ where: { key } });
+    if (count === 0) return false;
+
+    await tx.authEvent.create({
+      data: {
+        ...account,
+        type: key.startsWith("ip:") ? "IP_UNLOCKED" : "ACCOUNT_UNLOCKED",
+        subject: key,
+        actorAdminId,
+        reason: reason || null,
+      },
+    });
+    return true;
+  });
+}
@@ -0,0 +1,78 @@
+import fs from "fs";
+import path from "path";
+import nodemailer from "nodemailer";
+
+// A transport is anything with `send({ from, to, subject, text, html })`.
+// MAIL_TRANSPORT picks one: smtp, file or console (the default).
+
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return { send: (message) => transporter.sendMail(message) };
+};
+
+// Writes each message to MAIL_OUTBOX_DIR as JSON, for local testing
+const createFileTransport = () => {
+  const dir = process.env.MAIL_OUTBOX_DIR || "mail-outbox";
+
+  return {
+    send: async (message) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(
+        dir,
+        `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, "_")}.json`
+      );
+      await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+      return { file };
+    },
+  };
+};
+
+const createConsoleTransport = () => ({
+  send: async (message) => {
+    console.log(
+      `[mail] To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`
+    );
+  },
+});
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || "console";
+
+    if (!TRANSPORTS[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    }
+    transport = TRANSPORTS[name]();
+  }
+  return transport;
+};
+
+// Lets tests capture mail with their own transport
+export const setMailTransport = (custom) => {
+  transport = custom;
+};
+
+export const sendMail = ({ to, subject, text, html }) =>
+  getTransport().send({
+    from: process.env.MAIL_FROM || "Vyapaar <no-reply@localhost>",
+    to,
+    subject,
+    text,
+    html,
+  });
@@ -1,8 +1,7 @@
-import { PrismaClient } from "@prisma/client";
+import prisma from "./prisma.js";
 import axios from "axios";
-import { locationCache } from "../index.js";
-
-const prisma = new PrismaClient();
+import { locationCache } from "./locationCache.js";
+import { mapsApiUrl } from "./googleMaps.js";
 
 export default async function getFilteredMiddleBanners(
   userPincode,
@@ -404,15 +403,12 @@ function calculateDistance(lat1, lng1, lat2, lng2) {
 // Get detailed location data from coordinates
 async function getLocationDataFromCoordinates(lat, lng) {
   try {
-    const response = await axios.get(
-      `https://maps.googleapis.com/maps/api/geocode/json`,
-      {
-        params: {
-          latlng: `${lat},${lng}`,
-          key: process.env.GOOGLE_MAPS_API_KEY,
-        },
-      }
-    );
+    const response = await axios.get(mapsApiUrl("/maps/api/geocode/json"), {
+      params: {
+        latlng: `${lat},${lng}`,
+        key: process.env.GOOGLE_MAPS_API_KEY,
+      },
+    });
 
     if (response.data.status === "OK" && response.data.results?.length > 0) {
       const result = response.data.results[0];
@@ -461,16 +457,13 @@ async function getEnhancedLocationData(pincode) {
     const cachedLocation = locationCache.get(cacheKey);
     if (cachedLocation) return cachedLocation;
 
-    const response = await axios.get(
-      `https://maps.googleapis.com/maps/api/geocode/json`,
-      {
-        params: {
-          address: pincode,
-          components: "country:IN",
-          key: process.env.GOOGLE_MAPS_API_KEY,
-        },
-      }
-    );
+    const response = await axios.get(mapsApiUrl("/maps/api/geocode/json"), {
+      params: {
+        address: pincode,
+        components: "country:IN",
+        key: process.env.GOOGLE_MAPS_API_KEY,
+      },
+    });
 
     if (response.data.status === "OK" && response.data.results?.length > 0) {
       const result = response.data.results[0];
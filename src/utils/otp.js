@@ -0,0 +1,128 @@
+import { createHmac, randomInt, timingSafeEqual } from "crypto";
+import prisma from "./prisma.js";
+import { getSmsProvider } from "./sms.js";
+
+const OTP_TTL_MS = 5 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+
+// Per phone and purpose: one send every 30 seconds, five an hour
+const RESEND_COOLDOWN_MS = 30 * 1000;
+const MAX_SENDS_PER_HOUR = 5;
+
+const getSecret = () => process.env.OTP_SECRET || process.env.JWT_SECRET;
+
+// Keyed by phone too, so one leaked hash can't be replayed for another number
+const hashCode = (phone, code) =>
+  createHmac("sha256", getSecret()).update(`${phone}:${code}`).digest("hex");
+
+const matches = (expected, received) =>
+  expected.length === received.length &&
+  timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+
+// Normalises an Indian mobile number to +91XXXXXXXXXX, or null if it isn't
+// one. Accepts spaces, dashes and a leading 0, 91 or +91.
+export function normalizeIndianPhone(value) {
+  const digits = String(value || "").replace(/[\s()-]/g, "");
+  const match = digits.match(/^(?:\+91|91|0)?([6-9]\d{9})$/);
+  return match ? `+91${match[1]}` : null;
+}
+
+// Texts a fresh code for `purpose`, expiring any earlier one. Returns
+// { expiresAt } or { status, error, retryAfter } when throttled.
+export async function sendOtp({ phone, purpose, userId = null }) {
+  const now = Date.now();
+
+  const recent = await prisma.phoneOtp.findMany({
+    where: { phone, purpose, createdAt: { gt: new Date(now - 3600000) } },
+    select: { createdAt: true },
+    orderBy: { createdAt: "desc" },
+  });
+
+  if (recent[0] && now - recent[0].createdAt < RESEND_COOLDOWN_MS) {
+    return {
+      status: 429,
+      error: "Please wait before requesting another OTP",
+      retryAfter: Math.ceil(
+        (RESEND_COOLDOWN_MS - (now - recent[0].createdAt)) / 1000
+      ),
+    };
+  }
+
+  if (recent.length >= MAX_SENDS_PER_HOUR) {
+    return {
+      status: 429,
+      error: "Too many OTP requests, try again later",
+      retryAfter: Math.ceil(
+        (recent[recent.length - 1].createdAt.getTime() + 3600000 - now) / 1000
+      ),
+    };
+  }
+
+  const code = String(randomInt(0, 1000000)).padStart(6, "0");
+  const expiresAt = new Date(now + OTP_TTL_MS);
+
+  await prisma.$transaction([
+    prisma.phoneOtp.updateMany({
+      where: {
+        phone,
+        purpose,
+        consumedAt: null,
+        expiresAt: { gt: new Date() },
+      },
+      data: { expiresAt: new Date() },
+    }),
+    prisma.phoneOtp.create({
+      data: {
+        phone,
+        purpose,
+        userId,
+        codeHash: hashCode(phone, code),
+        expiresAt,
+      },
+    }),
+  ]);
+
+  await getSmsProvider().sendOtp({ phone, code });
+
+  return { expiresAt };
+}
+
+// Checks `code` against the latest live OTP and consumes it on a match.
+// Each wrong guess counts towards MAX_ATTEMPTS, after which the OTP is
+// dead. Returns { ok: true } or { error, attemptsLeft }.
+export async function verifyOtp({ phone, purpose, code, userId = null }) {
+  const otp = await prisma.phoneOtp.findFirst({
+    where: {
+      phone,
+      purpose,
+      consumedAt: null,
+      expiresAt: { gt: new Date() },
+      ...(userId && { userId }),
+    },
+    orderBy: { createdAt: "desc" },
+  });
+
+  if (!otp || otp.attempts >= MAX_ATTEMPTS) {
+    return { error: "OTP has expired, request a new one" };
+  }
+
+  if (!matches(otp.codeHash, hashCode(phone, String(code || "")))) {
+    // Conditional so concurrent guesses can't go over the limit
+    await prisma.phoneOtp.updateMany({
+      where: { id: otp.id, attempts: { lt: MAX_ATTEMPTS } },
+      data: { attempts: { increment: 1 } },
+    });
+
+    return {
+      error: "Incorrect OTP",
+      attemptsLeft: Math.max(0, MAX_ATTEMPTS - otp.attempts - 1),
+    };
+  }
+
+  const { count } = await prisma.phoneOtp.updateMany({
+    where: { id: otp.id, consumedAt: null, attempts: { lt: MAX_ATTEMPTS } },
+    data: { consumedAt: new Date() },
+  });
+
+  return count === 1 ? { ok: true } : { error: "OTP has already been used" };
+}
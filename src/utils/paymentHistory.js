@@ -0,0 +1,175 @@
+import { getPurchaseSnapshot } from "./payments.js";
+
+const PAYMENT_STATUSES = ["PENDING", "COMPLETED", "FAILED", "REFUNDED"];
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+export const paymentHistoryInclude = {
+  listing: {
+    select: {
+      id: true,
+      title: true,
+      slug: true,
+      userId: true,
+      subscription: true,
+      user: {
+        select: { id: true, email: true, firstName: true, lastName: true },
+      },
+    },
+  },
+  paymentOrder: {
+    include: {
+      plan: true,
+      promotionPackage: true,
+      coupon: { select: { code: true } },
+    },
+  },
+  renewalMandate: { include: { plan: true } },
+  invoice: true,
+};
+
+// Prisma filter for ?listingId, ?status (comma separated), ?from and ?to.
+// A date-only `to` covers that whole day. Returns { error } on bad input.
+export function buildPaymentFilter(query) {
+  const where = {};
+
+  if (query.listingId) {
+    where.listingId = parseInt(query.listingId);
+  }
+
+  if (query.status) {
+    const statuses = String(query.status).toUpperCase().split(",");
+    if (!statuses.every((status) => PAYMENT_STATUSES.includes(status))) {
+      return {
+        error: `Status must be one of ${PAYMENT_STATUSES.join(", ")}`,
+      };
+    }
+    where.status = { in: statuses };
+  }
+
+  if (query.from || query.to) {
+    where.createdAt = {};
+
+    if (query.from) {
+      const from = new Date(query.from);
+      if (isNaN(from)) return { error: "Invalid from date" };
+      where.createdAt.gte = from;
+    }
+
+    if (query.to) {
+      const to = new Date(query.to);
+      if (isNaN(to)) return { error: "Invalid to date" };
+      if (DATE_ONLY.test(query.to)) {
+        to.setUTCDate(to.getUTCDate() + 1);
+        where.createdAt.lt = to;
+      } else {
+        where.createdAt.lte = to;
+      }
+    }
+  }
+
+  return { where };
+}
+
+// Payments made before snapshots were stored fall back to the live plan
+export const getPaymentSnapshot = (payment) =>
+  payment.planSnapshot ||
+  getPurchaseSnapshot({
+    plan:
+      payment.paymentOrder?.plan ||
+      payment.renewalMandate?.plan ||
+      payment.listing?.subscription,
+    promotionPackage: payment.paymentOrder?.promotionPackage,
+  });
+
+const formatInvoice = (invoice) =>
+  invoice && {
+    id: invoice.id,
+    invoiceNumber: invoice.invoiceNumber,
+    issuedAt: invoice.issuedAt,
+    taxRate: invoice.taxRate,
+    taxableAmount: invoice.taxableAmount,
+    cgstAmount: invoice.cgstAmount,
+    sgstAmount: invoice.sgstAmount,
+    igstAmount: invoice.igstAmount,
+    totalAmount: invoice.totalAmount,
+  };
+
+export const formatPayment = (payment) => ({
+  id: payment.id,
+  amount: payment.amount,
+  currency: payment.currency,
+  status: payment.status,
+  paymentMethod: payment.paymentMethod,
+  transactionId: payment.transactionId,
+  failureReason: payment.failureReason,
+  refundedAmount: payment.refundedAmount,
+  refundedAt: payment.refundedAt,
+  isRenewal: !!payment.renewalMandateId,
+  createdAt: payment.createdAt,
+  listing: { id: payment.listing.id, title: payment.listing.title },
+  purchase: getPaymentSnapshot(payment),
+  invoice: formatInvoice(payment.invoice),
+});
+
+// Adds the checkout pricing and status timeline; expects `events` loaded
+export const formatPaymentDetail = (payment) => {
+  const order = payment.paymentOrder;
+
+  return {
+    ...formatPayment(payment),
+    refundReason: payment.refundReason,
+    checkout: order && {
+      originalAmount: (order.amount + order.discountAmount) / 100,
+      discountAmount: order.discountAmount / 100,
+      couponCode: order.coupon?.code || null,
+      orderCreatedAt: order.createdAt,
+      paidAt: order.paidAt,
+    },
+    events: payment.events.map((event) => ({
+      fromStatus: event.fromStatus,
+      toStatus: event.toStatus,
+      reason: event.reason,
+      createdAt: event.createdAt,
+    })),
+  };
+};
+
+// Just enough of each payment for totals and getPaymentGroup
+export const paymentSummarySelect = {
+  status: true,
+  amount: true,
+  refundedAmount: true,
+  planSnapshot: true,
+  paymentOrder: { select: { plan: true, promotionPackage: true } },
+  renewalMandate: { select: { plan: true } },
+  listing: { select: { subscription: true } },
+};
+
+// Revenue grouping key: the plan tier, or PROMOTION for package purchases
+export const getPaymentGroup = (payment) => {
+  const snapshot = getPaymentSnapshot(payment);
+  if (snapshot?.kind === "PROMOTION") return "PROMOTION";
+  return snapshot?.tierType || "UNKNOWN";
+};
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Stop spreadsheets from evaluating seller-supplied text as a formula
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// `columns` maps header -> accessor
+export const toCsv = (rows, columns) =>
+  [
+    Object.keys(columns).join(","),
+    ...rows.map((row) =>
+      Object.values(columns)
+        .map((accessor) => csvCell(accessor(row)))
+        .join(",")
+    ),
+  ].join("\n");
@@ -0,0 +1,567 @@
+import { randomUUID } from "crypto";
+import prisma from "./prisma.js";
+import { getRazorpay } from "./razorpay.js";
+import { issueInvoice } from "./invoice.js";
+import {
+  OPEN_PROMOTION_STATUSES,
+  transitionPromotions,
+  syncBannerFlags,
+} from "./promotions.js";
+import { creditWallet, debitWallet } from "./wallet.js";
+
+const DAY_MS = 86400000;
+
+const isUniqueViolation = (error) => error?.code === "P2002";
+
+// Listing fields for starting `plan`. Renewing the plan a live or expired
+// listing is already on keeps its approval and stacks the new period onto
+// any time left; a new listing or a plan change starts now and goes back
+// for review.
+export function getPlanActivation(listing, plan, now = new Date()) {
+  const isRenewal =
+    listing.subscriptionId === plan.id &&
+    ["APPROVED", "EXPIRED"].includes(listing.status);
+  const base = isRenewal && listing.expiresAt > now ? listing.expiresAt : now;
+
+  return {
+    status: isRenewal ? "APPROVED" : "PENDING_APPROVAL",
+    listingTier: plan.tierType,
+    expiresAt: new Date(base.getTime() + plan.durationDays * DAY_MS),
+    subscriptionId: plan.id,
+  };
+}
+
+// What was bought, frozen on the payment so later plan or price edits don't
+// rewrite a seller's history
+export const getPurchaseSnapshot = ({ plan, promotionPackage }) => {
+  if (promotionPackage) {
+    return {
+      kind: "PROMOTION",
+      id: promotionPackage.id,
+      name: promotionPackage.name,
+      placement: promotionPackage.placement,
+      durationDays: promotionPackage.durationDays,
+      price: Number(promotionPackage.price),
+    };
+  }
+
+  if (plan) {
+    return {
+      kind: "SUBSCRIPTION",
+      id: plan.id,
+      name: plan.name,
+      tierType: plan.tierType,
+      durationDays: plan.durationDays,
+      promotionDays: plan.promotionDays,
+      price: Number(plan.price ?? 0),
+    };
+  }
+
+  return null;
+};
+
+// Logs a status change for the payment timeline; `payment` carries the
+// new status
+export const recordPaymentEvent = (db, payment, fromStatus, reason) =>
+  db.paymentEvent.create({
+    data: {
+      paymentId: payment.id,
+      fromStatus: fromStatus ?? null,
+      toStatus: payment.status,
+      reason: reason || null,
+    },
+  });
+
+// Creates the Razorpay order for a checkout and records it as a
+// PaymentOrder, which fulfilPaymentOrder later applies. `fields` carries
+// the type-specific columns (planId, promotionPackageId, ...). Wallet
+// top-ups have no listing.
+export async function createPaymentOrder({
+  listing,
+  userId,
+  amount,
+  notes,
+  ...fields
+}) {
+  const order = await getRazorpay().orders.create({
+    amount,
+    currency: "INR",
+    receipt: listing ? `listing_${listing.id}` : `wallet_${userId}`,
+    payment_capture: 1,
+    notes: listing ? { listingId: String(listing.id), ...notes } : notes,
+  });
+
+  const paymentOrder = await prisma.paymentOrder.create({
+    data: {
+      ...fields,
+      razorpayOrderId: order.id,
+      listingId: listing?.id,
+      userId,
+      amount,
+      currency: order.currency,
+    },
+  });
+
+  return { order, paymentOrder };
+}
+
+async function applySubscription(tx, order, payment) {
+  const { plan } = order;
+
+  await tx.listing.update({
+    where: { id: order.listingId },
+    data: {
+      ...getPlanActivation(order.listing, plan),
+      isBannerEnabled: plan.promotionDays > 0,
+    },
+  });
+
+  if (plan.promotionDays > 0) {
+    await tx.promotion.create({
+      data: {
+        listingId: order.listingId,
+        paymentId: payment.id,
+        price: 0, // Included in subscription
+        startDate: new Date(),
+        endDate: new Date(Date.now() + plan.promotionDays * DAY_MS),
+        durationDays: plan.promotionDays,
+        isActive: true,
+      },
+    });
+  }
+}
+
+// A purchased package starts now, or is left SCHEDULED for the promotion
+// scheduler when the seller picked a later start date
+async function applyPromotionPurchase(tx, order, payment) {
+  const { promotionPackage } = order;
+
+  if (!promotionPackage) {
+    throw new Error("Promotion package not found");
+  }
+
+  const now = new Date();
+  const startDate =
+    order.promotionStartDate && order.promotionStartDate > now
+      ? order.promotionStartDate
+      : now;
+  const isScheduled = startDate > now;
+
+  await tx.promotion.create({
+    data: {
+      listingId: order.listingId,
+      paymentId: payment.id,
+      packageId: promotionPackage.id,
+      placement: promotionPackage.placement,
+      price: payment.amount,
+      startDate,
+      endDate: new Date(
+        startDate.getTime() + promotionPackage.durationDays * DAY_MS
+      ),
+      durationDays: promotionPackage.durationDays,
+      status: isScheduled ? "SCHEDULED" : "ACTIVE",
+      isActive: !isScheduled,
+    },
+  });
+
+  await syncBannerFlags(tx, [order.listingId]);
+}
+
+// Applies a completed payment to what was bought. `purchase` is a
+// PaymentOrder, or the same fields for a wallet purchase.
+async function completePurchase(tx, purchase, payment) {
+  if (purchase.type === "PROMOTION") {
+    await applyPromotionPurchase(tx, purchase, payment);
+  } else {
+    await applySubscription(tx, purchase, payment);
+  }
+
+  if (purchase.couponId) {
+    await tx.couponRedemption.create({
+      data: {
+        couponId: purchase.couponId,
+        userId: purchase.userId,
+        paymentId: payment.id,
+        discountAmount: purchase.discountAmount / 100,
+      },
+    });
+  }
+
+  await issueInvoice(tx, payment.id);
+}
+
+// Top-ups are credit rather than a sale, so they get a ledger entry but no
+// Payment or invoice; those come when the credit is spent
+async function applyWalletTopUp(tx, order, razorpayPaymentId) {
+  await tx.paymentOrder.update({
+    where: { id: order.id },
+    data: { status: "PAID", paidAt: new Date() },
+  });
+
+  const { wallet } = await creditWallet(tx, order.userId, {
+    amount: order.amount,
+    type: "TOP_UP",
+    description: "Wallet top-up",
+    paymentOrderId: order.id,
+    razorpayPaymentId,
+  });
+
+  return { payment: null, order, wallet, alreadyProcessed: false };
+}
+
+// Applies a captured Razorpay payment to what its PaymentOrder was for: the
+// listing's plan, a promotion package or a wallet top-up. Both
+// /payments/verify and the webhook end up here, so a payment that has
+// already been recorded as COMPLETED is returned untouched instead of being
+// applied twice.
+export async function fulfilPaymentOrder({
+  razorpayOrderId,
+  razorpayPaymentId,
+}) {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const order = await tx.paymentOrder.findUnique({
+        where: { razorpayOrderId },
+        include: { plan: true, promotionPackage: true, listing: true },
+      });
+
+      if (!order) {
+        throw new Error("Payment order not found");
+      }
+
+      const existing = await tx.payment.findUnique({
+        where: { razorpayPaymentId },
+      });
+
+      if (
+        order.status === "PAID" ||
+        (existing &&
+          existing.status !== "PENDING" &&
+          existing.status !== "FAILED")
+      ) {
+        return { payment: existing, order, alreadyProcessed: true };
+      }
+
+      if (order.type === "WALLET_TOP_UP") {
+        return applyWalletTopUp(tx, order, razorpayPaymentId);
+      }
+
+      const paymentData = {
+        listingId: order.listingId,
+        amount: order.amount / 100,
+        currency: order.currency,
+        paymentMethod: "RAZORPAY",
+        transactionId: razorpayPaymentId,
+        razorpayOrderId,
+        razorpayPaymentId,
+        failureReason: null,
+        planSnapshot: getPurchaseSnapshot(order),
+        status: "COMPLETED",
+      };
+
+      const payment = existing
+        ? await tx.payment.update({
+            where: { id: existing.id },
+            data: paymentData,
+          })
+        : await tx.payment.create({ data: paymentData });
+
+      await recordPaymentEvent(tx, payment, existing?.status);
+
+      await tx.paymentOrder.update({
+        where: { id: order.id },
+        data: { status: "PAID", paidAt: new Date() },
+      });
+
+      await completePurchase(tx, order, payment);
+
+      return { payment, order, alreadyProcessed: false };
+    });
+  } catch (error) {
+    // A concurrent delivery of the same payment committed first
+    if (isUniqueViolation(error)) {
+      const payment = await prisma.payment.findUnique({
+        where: { razorpayPaymentId },
+      });
+      return { payment, alreadyProcessed: true };
+    }
+    throw error;
+  }
+}
+
+export async function markPaymentFailed({
+  razorpayOrderId,
+  razorpayPaymentId,
+  reason,
+}) {
+  const order = await prisma.paymentOrder.findUnique({
+    where: { razorpayOrderId },
+    include: { plan: true, promotionPackage: true },
+  });
+
+  if (!order) {
+    throw new Error("Payment order not found");
+  }
+
+  const existing = await prisma.payment.findUnique({
+    where: { razorpayPaymentId },
+  });
+
+  // Never overwrite a payment that went through
+  if (existing && existing.status !== "PENDING") {
+    return existing;
+  }
+
+  if (order.status === "CREATED") {
+    await prisma.paymentOrder.update({
+      where: { id: order.id },
+      data: { status: "ATTEMPTED" },
+    });
+  }
+
+  // A failed top-up has nothing to record beyond the attempt
+  if (order.type === "WALLET_TOP_UP") {
+    return null;
+  }
+
+  const data = {
+    status: "FAILED",
+    failureReason: reason || null,
+  };
+
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const payment = existing
+        ? await tx.payment.update({ where: { id: existing.id }, data })
+        : await tx.payment.create({
+            data: {
+              ...data,
+              listingId: order.listingId,
+              amount: order.amount / 100,
+              currency: order.currency,
+              paymentMethod: "RAZORPAY",
+              transactionId: razorpayPaymentId,
+              razorpayOrderId,
+              razorpayPaymentId,
+              planSnapshot: getPurchaseSnapshot(order),
+            },
+          });
+
+      await recordPaymentEvent(tx, payment, existing?.status, reason);
+
+      return payment;
+    });
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return prisma.payment.findUnique({ where: { razorpayPaymentId } });
+    }
+    throw error;
+  }
+}
+
+// Buys a plan or promotion package with wallet credit instead of a
+// Razorpay checkout. `purchase` has the PaymentOrder fields completePurchase
+// reads (type, listing, plan or promotionPackage, coupon details). The
+// debit and everything it pays for commit together; returns { error } when
+// the balance doesn't cover `amount`.
+export async function payWithWallet({ userId, amount, ...purchase }) {
+  return prisma.$transaction(async (tx) => {
+    const wallet = await tx.wallet.findUnique({ where: { userId } });
+
+    if (!wallet || wallet.balance < amount) {
+      return {
+        error: "Insufficient wallet balance",
+        balance: (wallet?.balance ?? 0) / 100,
+      };
+    }
+
+    const payment = await tx.payment.create({
+      data: {
+        listingId: purchase.listing.id,
+        amount: amount / 100,
+        currency: "INR",
+        paymentMethod: "WALLET",
+        transactionId: `wallet_${randomUUID()}`,
+        planSnapshot: getPurchaseSnapshot(purchase),
+        status: "COMPLETED",
+      },
+    });
+
+    await recordPaymentEvent(tx, payment, null, "Paid from wallet");
+
+    const { wallet: debited } = await debitWallet(tx, userId, {
+      amount,
+      description: `${getPurchaseSnapshot(purchase).name} for listing #${
+        purchase.listing.id
+      }`,
+      paymentId: payment.id,
+    });
+
+    await completePurchase(
+      tx,
+      { ...purchase, userId, listingId: purchase.listing.id },
+      payment
+    );
+
+    return { payment, wallet: debited };
+  });
+}
+
+// Share of the amount (in paise) covering the days still left on the plan
+export function calculateProratedRefund(payment, durationDays) {
+  const paid = Math.round(payment.amount * 100);
+  if (!durationDays) return 0;
+
+  const elapsedDays = (Date.now() - payment.createdAt.getTime()) / DAY_MS;
+  const remaining = Math.max(0, 1 - elapsedDays / durationDays);
+
+  return Math.floor(paid * remaining);
+}
+
+// Wallet purchases have no PaymentOrder, so the snapshot decides first
+const isPromotionPayment = (payment) =>
+  (payment.planSnapshot?.kind || payment.paymentOrder?.type) === "PROMOTION";
+
+// Undoes what fulfilPaymentOrder or payWithWallet applied. A subscription
+// listing is only downgraded when no later payment has replaced the
+// subscription; a promotion purchase just loses its promotion.
+async function reversePayment(tx, payment) {
+  await transitionPromotions(
+    tx,
+    { paymentId: payment.id, status: { in: OPEN_PROMOTION_STATUSES } },
+    "CANCELLED",
+    { reason: "Payment refunded", endNow: true }
+  );
+
+  const purchaseSelect = {
+    planSnapshot: true,
+    paymentOrder: { select: { type: true } },
+  };
+
+  const reversed = await tx.payment.findUnique({
+    where: { id: payment.id },
+    select: purchaseSelect,
+  });
+
+  if (isPromotionPayment(reversed)) {
+    await syncBannerFlags(tx, [payment.listingId]);
+    return;
+  }
+
+  const newerPayments = await tx.payment.findMany({
+    where: {
+      listingId: payment.listingId,
+      status: "COMPLETED",
+      createdAt: { gt: payment.createdAt },
+    },
+    select: purchaseSelect,
+  });
+
+  if (newerPayments.some((newer) => !isPromotionPayment(newer))) {
+    await syncBannerFlags(tx, [payment.listingId]);
+    return;
+  }
+
+  const listing = await tx.listing.findUnique({
+    where: { id: payment.listingId },
+  });
+
+  const freePlan = await tx.subscriptionPlan.findFirst({
+    where: { tierType: "FREE", isActive: true },
+    orderBy: { createdAt: "desc" },
+  });
+
+  const freeExpiry = new Date(
+    Date.now() + (freePlan?.durationDays ?? 30) * DAY_MS
+  );
+
+  await tx.listing.update({
+    where: { id: payment.listingId },
+    data: {
+      listingTier: "FREE",
+      subscriptionId: freePlan?.id ?? null,
+      isBannerEnabled: false,
+      expiresAt:
+        listing.expiresAt < freeExpiry ? listing.expiresAt : freeExpiry,
+    },
+  });
+}
+
+// Issues the refund through Razorpay, then records it. Razorpay's own
+// refund.processed webhook for this refund is a no-op afterwards. Wallet
+// purchases are refunded to the wallet they were paid from.
+export async function refundPayment(payment, { amount, reason }) {
+  const isWalletPayment = payment.paymentMethod === "WALLET";
+
+  const refund = isWalletPayment
+    ? null
+    : await getRazorpay().payments.refund(payment.razorpayPaymentId, {
+        amount,
+        notes: { paymentId: payment.id, reason: reason || "" },
+      });
+
+  return prisma.$transaction(async (tx) => {
+    const refunded = await tx.payment.update({
+      where: { id: payment.id },
+      data: {
+        status: "REFUNDED",
+        razorpayRefundId: refund?.id ?? null,
+        refundedAmount: amount / 100,
+        refundReason: reason || null,
+        refundedAt: new Date(),
+      },
+    });
+
+    if (isWalletPayment) {
+      const debit = await tx.walletTransaction.findFirst({
+        where: { paymentId: payment.id, type: "DEBIT" },
+        include: { wallet: true },
+      });
+
+      await creditWallet(tx, debit.wallet.userId, {
+        amount,
+        type: "REFUND",
+        description: reason ? `Refund: ${reason}` : "Refund",
+        paymentId: payment.id,
+      });
+    }
+
+    await recordPaymentEvent(tx, refunded, payment.status, reason);
+    await reversePayment(tx, refunded);
+
+    return refunded;
+  });
+}
+
+// Refunds issued from the Razorpay dashboard only reach us via webhook
+export async function markPaymentRefunded(refund) {
+  return prisma.$transaction(async (tx) => {
+    const payment = await tx.payment.findUnique({
+      where: { razorpayPaymentId: refund.payment_id },
+    });
+
+    if (!payment || payment.status !== "COMPLETED") {
+      return payment;
+    }
+
+    const refunded = await tx.payment.update({
+      where: { id: payment.id },
+      data: {
+        status: "REFUNDED",
+        razorpayRefundId: refund.id,
+        refundedAmount: refund.amount / 100,
+        refundedAt: new Date(),
+      },
+    });
+
+    await recordPaymentEvent(
+      tx,
+      refunded,
+      payment.status,
+      "Refunded from the Razorpay dashboard"
+    );
+    await reversePayment(tx, refunded);
+
+    return refunded;
+  });
+}
@@ -0,0 +1,43 @@
+// Admin permission catalog. An admin's effective permissions are their
+// direct grants (Admin.permissions) plus those of their roles (AdminRole).
+// Routes list the permissions that may call them; any one is enough, and
+// SUPER passes every check.
+export const PERMISSIONS = {
+  SUPER: "Everything, including managing admins, roles and grants",
+  LISTINGS_VIEW: "View listings and their moderation history",
+  LISTINGS_MODERATE: "Approve, reject and feature listings",
+  LISTINGS_EDIT: "Create, edit and re-tier listings for sellers",
+  LISTINGS_DELETE: "Delete listings",
+  BANNERS_MANAGE: "Manage home, middle, bottom and category banners",
+  CONTENT_EDIT: "Edit static pages and the offer zone",
+  CATALOG_MANAGE: "Manage categories and cities",
+  PRICING_MANAGE: "Manage plans, coupons and promotion packages",
+  PROMOTIONS_MANAGE: "Cancel listing promotions",
+  PAYMENTS_VIEW: "View payments, orders, invoices and wallets",
+  PAYMENTS_MANAGE: "Refund payments, adjust wallets and regenerate invoices",
+  USERS_VIEW: "View sellers, login locks and auth events",
+  USERS_MANAGE: "Register, delete and unlock sellers",
+  MESSAGES_VIEW: "Read messages between users",
+  REPORTS_VIEW: "View dashboard statistics",
+  AUDIT_LOG_VIEW: "Read and export the admin audit log",
+};
+
+export const isKnownPermission = (permission) =>
+  Object.hasOwn(PERMISSIONS, permission);
+
+// Everything in `permissions` that isn't in the catalog
+export const unknownPermissions = (permissions) =>
+  permissions.filter((permission) => !isKnownPermission(permission));
+
+// `admin` needs its roles loaded (include: { roles: true })
+export function resolvePermissions(admin) {
+  const permissions = new Set(admin.permissions);
+  for (const role of admin.roles || []) {
+    role.permissions.forEach((permission) => permissions.add(permission));
+  }
+  return [...permissions];
+}
+
+export const hasAnyPermission = (granted, required) =>
+  granted.includes("SUPER") ||
+  required.some((permission) => granted.includes(permission));
@@ -0,0 +1,7 @@
+import { PrismaClient } from "@prisma/client";
+
+// The one client every module shares, so the app holds a single
+// connection pool
+const prisma = new PrismaClient();
+
+export default prisma;
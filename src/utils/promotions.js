@@ -0,0 +1,153 @@
+import prisma from "./prisma.js";
+
+// Promotions that haven't run their course yet
+export const OPEN_PROMOTION_STATUSES = ["SCHEDULED", "ACTIVE"];
+
+// Moves the promotions matching `where` to `status` and logs a
+// PromotionEvent for each. `db` is prisma or a transaction client. With
+// endNow, endDate is cut short to now (early cancellation). Returns the
+// promotions as they were before the change.
+export async function transitionPromotions(
+  db,
+  where,
+  status,
+  { reason, endNow = false } = {}
+) {
+  const promotions = await db.promotion.findMany({
+    where,
+    select: { id: true, listingId: true, status: true },
+  });
+
+  if (promotions.length === 0) return [];
+
+  await db.promotion.updateMany({
+    where: { id: { in: promotions.map((promotion) => promotion.id) } },
+    data: {
+      status,
+      isActive: status === "ACTIVE",
+      ...(endNow && { endDate: new Date() }),
+    },
+  });
+
+  await db.promotionEvent.createMany({
+    data: promotions.map((promotion) => ({
+      promotionId: promotion.id,
+      listingId: promotion.listingId,
+      fromStatus: promotion.status,
+      toStatus: status,
+      reason: reason || null,
+    })),
+  });
+
+  return promotions;
+}
+
+// Package placements that show the listing's banner. Only paid listings
+// have one, so FREE listings can't buy these.
+export const BANNER_PLACEMENTS = [
+  "HERO_BANNER",
+  "MIDDLE_BANNER",
+  "BOTTOM_BANNER",
+  "CATEGORY_BANNER",
+];
+
+// Shows the banner for paid listings with a running promotion that
+// includes one (a plan's own promotion or a banner package) and hides it
+// for the rest of `listingIds`
+export async function syncBannerFlags(db, listingIds) {
+  if (listingIds.length === 0) return;
+
+  const running = await db.promotion.findMany({
+    where: {
+      listingId: { in: listingIds },
+      status: "ACTIVE",
+      OR: [{ placement: null }, { placement: { in: BANNER_PLACEMENTS } }],
+    },
+    select: { listingId: true },
+    distinct: ["listingId"],
+  });
+  const promoted = running.map((promotion) => promotion.listingId);
+
+  await db.listing.updateMany({
+    where: { id: { in: promoted }, listingTier: { not: "FREE" } },
+    data: { isBannerEnabled: true },
+  });
+
+  await db.listing.updateMany({
+    where: { id: { in: listingIds, notIn: promoted } },
+    data: { isBannerEnabled: false },
+  });
+}
+
+// Listings matching `where` for one page (`skip`, `take`), newest first but
+// with those holding a running TOP_OF_CATEGORY promotion ahead of the rest
+export async function findListingsTopOfCategoryFirst({
+  where,
+  include,
+  skip = 0,
+  take,
+}) {
+  const topped = await prisma.listing.findMany({
+    where: {
+      AND: [
+        where,
+        {
+          promotions: {
+            some: { placement: "TOP_OF_CATEGORY", status: "ACTIVE" },
+          },
+        },
+      ],
+    },
+    select: { id: true },
+    orderBy: { createdAt: "desc" },
+  });
+  const toppedIds = topped.map((listing) => listing.id);
+  const pageIds = toppedIds.slice(skip, skip + take);
+
+  const first = await prisma.listing.findMany({
+    where: { id: { in: pageIds } },
+    include,
+  });
+  first.sort((a, b) => pageIds.indexOf(a.id) - pageIds.indexOf(b.id));
+
+  if (first.length === take) return first;
+
+  const rest = await prisma.listing.findMany({
+    where: { AND: [where, { id: { notIn: toppedIds } }] },
+    include,
+    orderBy: { createdAt: "desc" },
+    skip: Math.max(0, skip - toppedIds.length),
+    take: take - first.length,
+  });
+
+  return [...first, ...rest];
+}
+
+// Starts scheduled promotions whose startDate has come, ends running ones
+// past their endDate and brings the affected listings' banners in line.
+export async function runPromotionSchedule() {
+  const now = new Date();
+
+  return prisma.$transaction(async (tx) => {
+    const started = await transitionPromotions(
+      tx,
+      { status: "SCHEDULED", startDate: { lte: now } },
+      "ACTIVE",
+      { reason: "Start date reached" }
+    );
+
+    const ended = await transitionPromotions(
+      tx,
+      { status: "ACTIVE", endDate: { lte: now } },
+      "ENDED",
+      { reason: "End date reached" }
+    );
+
+    const listingIds = [
+      ...new Set([...started, ...ended].map((p) => p.listingId)),
+    ];
+    await syncBannerFlags(tx, listingIds);
+
+    return { started: started.length, ended: ended.length };
+  });
+}
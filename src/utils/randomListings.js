@@ -0,0 +1,636 @@
+import axios from "axios";
+import prisma from "./prisma.js";
+import { locationCache } from "./locationCache.js";
+import { mapsApiUrl } from "./googleMaps.js";
+import { visibleSellerFilter } from "./accountStatus.js";
+
+// Picks approved listings for GET /listings/random, favouring those near
+// the visitor's pincode
+export async function getFilteredRandomListings(userPincode, maxResults = 6) {
+  // Get all approved listings
+  const allListings = await getAllApprovedListings();
+
+  // If no pincode provided, return all listings randomly
+  if (!userPincode) {
+    console.log(
+      "No pincode provided - returning random listings from all available"
+    );
+    return getRandomListings(allListings, maxResults);
+  }
+
+  const userLocation = await getEnhancedLocationData(userPincode);
+
+  if (!userLocation) {
+    console.log(
+      `Could not determine location for pincode: ${userPincode} - returning all listings`
+    );
+    return getRandomListings(allListings, maxResults);
+  }
+
+  console.log(`User location data for ${userPincode}:`, {
+    district: userLocation.district,
+    city: userLocation.city,
+    coordinates: userLocation.coordinates,
+  });
+
+  // Categorize listings by location relevance
+  const areaListings = []; // Same district/area
+  const nearbyListings = []; // Nearby by distance
+  const fallbackListings = []; // No location data
+
+  for (const listing of allListings) {
+    const listingLocation = await getListingLocationData(listing);
+
+    // If listing has no location data, add to fallback
+    if (!listingLocation) {
+      fallbackListings.push(listing);
+      continue;
+    }
+
+    // Check if listing is in the same area (district match)
+    const isInSameArea = isListingInUserArea(userLocation, listingLocation);
+
+    if (isInSameArea) {
+      // Calculate score for sorting within area
+      const score = calculateListingLocationScore(
+        userLocation,
+        listingLocation,
+        listing
+      );
+      areaListings.push({ ...listing, locationScore: score });
+    } else {
+      // Calculate distance for nearby listings
+      console.log(userLocation.coordinates, listingLocation.coordinates);
+      if (userLocation.coordinates && listingLocation.coordinates) {
+        const distance = calculateDistance(
+          userLocation.coordinates.lat,
+          userLocation.coordinates.lng,
+          listingLocation.coordinates.lat,
+          listingLocation.coordinates.lng
+        );
+
+        listing.distance = distance;
+        nearbyListings.push({ ...listing, distance });
+      } else {
+        fallbackListings.push(listing);
+      }
+    }
+  }
+
+  console.log(
+    `Categorization - Area: ${areaListings.length}, Nearby: ${nearbyListings.length}, Fallback: ${fallbackListings.length}`
+  );
+
+  // STRATEGY: Area-first approach
+  let selectedListings = [];
+
+  // 1. PRIORITY: Use area listings if available
+  if (areaListings.length > 0) {
+    console.log(
+      `Found ${areaListings.length} listings in user's area - using area listings only`
+    );
+
+    // Sort area listings by score (highest first)
+    areaListings.sort((a, b) => b.locationScore - a.locationScore);
+    selectedListings = getRandomListings(areaListings, maxResults);
+  } else {
+    console.log(
+      "No listings found in user's area - falling back to nearest listings"
+    );
+
+    // 2. FALLBACK: Use nearest listings sorted by distance
+    if (nearbyListings.length > 0) {
+      // Sort by distance (nearest first)
+      nearbyListings.sort((a, b) => a.distance - b.distance);
+
+      // Take the nearest listings up to maxResults
+      const nearestListings = nearbyListings.slice(0, maxResults * 2); // Get more options for randomization
+      selectedListings = getRandomListings(nearestListings, maxResults);
+
+      console.log(
+        `Using ${
+          selectedListings.length
+        } nearest listings (distances: ${selectedListings
+          .map((l) => l.distance?.toFixed(1) + "km")
+          .join(", ")})`
+      );
+    } else {
+      console.log(
+        "No nearby listings found - using fallback listings without location data"
+      );
+      selectedListings = getRandomListings(fallbackListings, maxResults);
+    }
+  }
+
+  console.log(`Final selection - Total: ${selectedListings.length}`);
+
+  // Light randomization to avoid predictable ordering while maintaining relevance
+  return shuffleArray(selectedListings).slice(0, maxResults);
+}
+
+// Get all approved listings with necessary includes
+async function getAllApprovedListings() {
+  return await prisma.listing.findMany({
+    where: { status: "APPROVED", user: visibleSellerFilter() },
+    include: {
+      category: true,
+      city: true,
+      images: {
+        where: { isPrimary: true },
+        take: 1,
+      },
+    },
+    orderBy: { createdAt: "desc" },
+  });
+}
+
+function isListingInUserArea(userLocation, listingLocation) {
+  if (!userLocation || !listingLocation) return false;
+
+  // Primary check: Same district
+  if (userLocation.district && listingLocation.district) {
+    if (
+      userLocation.district.toLowerCase() ===
+      listingLocation.district.toLowerCase()
+    ) {
+      return true;
+    }
+  }
+
+  // Secondary check: Same city (if no district match)
+  if (userLocation.city && listingLocation.city) {
+    if (
+      userLocation.city.toLowerCase() === listingLocation.city.toLowerCase()
+    ) {
+      return true;
+    }
+  }
+
+  // Tertiary check: Very close proximity (within 55km in same state)
+  if (
+    userLocation.coordinates &&
+    listingLocation.coordinates &&
+    userLocation.state &&
+    listingLocation.state &&
+    userLocation.state.toLowerCase() === listingLocation.state.toLowerCase()
+  ) {
+    const distance = calculateDistance(
+      userLocation.coordinates.lat,
+      userLocation.coordinates.lng,
+      listingLocation.coordinates.lat,
+      listingLocation.coordinates.lng
+    );
+
+    // Consider within 55km as "same area" if in same state
+    return distance <= 55;
+  }
+
+  return false;
+}
+
+function calculateListingLocationScore(userLocation, listingLocation, listing) {
+  if (!listingLocation) return 0;
+
+  let score = 100; // Base score for being in area
+
+  const bonusWeights = {
+    exactCityMatch: 50,
+    subDistrictMatch: 30,
+    proximityBonus: 20,
+    serviceRadiusBonus: 10,
+  };
+
+  // Bonus for exact city match
+  if (
+    userLocation.city &&
+    listingLocation.city &&
+    userLocation.city.toLowerCase() === listingLocation.city.toLowerCase()
+  ) {
+    score += bonusWeights.exactCityMatch;
+  }
+
+  // Bonus for sub-district match
+  if (
+    userLocation.subDistrict &&
+    listingLocation.subDistrict &&
+    userLocation.subDistrict.toLowerCase() ===
+      listingLocation.subDistrict.toLowerCase()
+  ) {
+    score += bonusWeights.subDistrictMatch;
+  }
+
+  // Proximity bonus within area
+  if (userLocation.coordinates && listingLocation.coordinates) {
+    const distance = calculateDistance(
+      userLocation.coordinates.lat,
+      userLocation.coordinates.lng,
+      listingLocation.coordinates.lat,
+      listingLocation.coordinates.lng
+    );
+
+    listing.distance = distance;
+
+    // Proximity bonus (within area)
+    if (distance <= 5) score += bonusWeights.proximityBonus;
+    else if (distance <= 10) score += bonusWeights.proximityBonus * 0.8;
+    else if (distance <= 20) score += bonusWeights.proximityBonus * 0.6;
+
+    // Service radius bonus
+    if (listing.serviceRadius && distance <= listing.serviceRadius) {
+      score += bonusWeights.serviceRadiusBonus;
+    }
+  }
+
+  return Math.round(score);
+}
+
+// Get comprehensive location data for a listing
+async function getListingLocationData(listing) {
+  try {
+    // Check cache first
+    const cacheKey = `listing_location_${listing.id}`;
+    const cachedLocation = locationCache.get(cacheKey);
+    if (cachedLocation) return cachedLocation;
+
+    let coordinates = null;
+    let locationData = null;
+
+    // Priority 1: Extract from Google Maps URL
+    if (listing.locationUrl) {
+      coordinates = await extractCoordsFromUrl(listing.locationUrl);
+      if (coordinates) {
+        locationData = await getLocationDataFromCoordinates(
+          coordinates.lat,
+          coordinates.lng
+        );
+      }
+    }
+
+    // Priority 2: Geocode from pincode
+    if (!locationData && listing.pincode) {
+      const pincodeLocation = await getEnhancedLocationData(listing.pincode);
+      if (pincodeLocation) {
+        locationData = pincodeLocation;
+      }
+    }
+
+    // Priority 3: Geocode from city name
+    if (!locationData && listing.city) {
+      locationData = await getLocationDataFromCity(listing.city);
+    }
+
+    // Priority 4: Use city relation if available
+    if (!locationData && listing.city && listing.city.name) {
+      locationData = await getLocationDataFromCity(listing.city.name);
+    }
+
+    if (locationData) {
+      // Cache the result
+      locationCache.set(cacheKey, locationData);
+    }
+
+    return locationData;
+  } catch (error) {
+    console.error(
+      `Error getting location data for listing ${listing.id}:`,
+      error.message
+    );
+    return null;
+  }
+}
+
+async function getLocationDataFromCity(cityName) {
+  try {
+    // Check cache first
+    const cacheKey = `city_location_${cityName}`;
+    const cachedLocation = locationCache.get(cacheKey);
+    if (cachedLocation) return cachedLocation;
+
+    // Try Google Geocoding first
+    const response = await axios.get(mapsApiUrl("/maps/api/geocode/json"), {
+      params: {
+        address: `${cityName}, India`,
+        key: process.env.GOOGLE_MAPS_API_KEY,
+      },
+    });
+
+    if (response.data.status === "OK" && response.data.results?.length > 0) {
+      const result = response.data.results[0];
+
+      const locationData = {
+        coordinates: result.geometry.location,
+        district: extractFromAddressComponents(
+          result.address_components,
+          "administrative_area_level_2"
+        ),
+        subDistrict: extractFromAddressComponents(
+          result.address_components,
+          "administrative_area_level_3"
+        ),
+        city: extractFromAddressComponents(
+          result.address_components,
+          "locality"
+        ),
+        state: extractFromAddressComponents(
+          result.address_components,
+          "administrative_area_level_1"
+        ),
+        formattedAddress: result.formatted_address,
+      };
+
+      // Cache the result
+      locationCache.set(cacheKey, locationData);
+      return locationData;
+    }
+
+    // Fallback to OpenStreetMap
+    const osmResponse = await axios.get(
+      `https://nominatim.openstreetmap.org/search?city=${encodeURIComponent(
+        cityName
+      )}&country=India&format=json&limit=1`,
+      {
+        headers: {
+          "User-Agent": "YourApp/1.0",
+        },
+      }
+    );
+
+    if (osmResponse.data && osmResponse.data.length > 0) {
+      const result = osmResponse.data[0];
+      const locationData = {
+        coordinates: {
+          lat: parseFloat(result.lat),
+          lng: parseFloat(result.lon),
+        },
+        city: result.display_name.split(",")[0].trim(),
+        formattedAddress: result.display_name,
+      };
+
+      // Try to get more detailed info from coordinates
+      const detailedData = await getLocationDataFromCoordinates(
+        locationData.coordinates.lat,
+        locationData.coordinates.lng
+      );
+
+      const finalLocationData = detailedData || locationData;
+      locationCache.set(cacheKey, finalLocationData);
+      return finalLocationData;
+    }
+
+    return null;
+  } catch (error) {
+    console.error(`Error geocoding city ${cityName}:`, error.message);
+    return null;
+  }
+}
+
+// Enhanced random selection with Fisher-Yates shuffle
+function getRandomListings(listings, count) {
+  if (listings.length <= count) {
+    return [...listings];
+  }
+
+  const shuffled = [...listings];
+
+  // Fisher-Yates shuffle algorithm
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  return shuffled.slice(0, count);
+}
+
+// Enhanced listing formatter with location score and distance
+export function formatListings(listings) {
+  return listings.map((listing) => ({
+    id: listing.id,
+    title: listing.title,
+    category: listing.category?.name || "Uncategorized",
+    subcategory: listing.businessCategory || "",
+    location: listing.city?.name || listing.city || "Unknown",
+    date: listing.createdAt.toISOString(),
+    images: listing.images?.length || 0,
+    imageSrc: listing.images?.[0]?.url || "/api/placeholder/400/300",
+    distance: listing.distance
+      ? `${listing.distance.toFixed(1)} km`
+      : undefined,
+    locationScore: listing.locationScore || 0, // For debugging - can be removed in production
+    slug: listing.slug,
+    price: listing.price,
+    isPromoted: listing.isPromoted || false,
+  }));
+}
+
+// Distance calculation using Haversine formula
+function calculateDistance(lat1, lon1, lat2, lon2) {
+  const R = 6371; // Radius of the earth in km
+  const dLat = deg2rad(lat2 - lat1);
+  const dLon = deg2rad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(deg2rad(lat1)) *
+      Math.cos(deg2rad(lat2)) *
+      Math.sin(dLon / 2) *
+      Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c; // Distance in km
+}
+
+function deg2rad(deg) {
+  return deg * (Math.PI / 180);
+}
+
+// Get detailed location data from coordinates
+async function getLocationDataFromCoordinates(lat, lng) {
+  try {
+    const response = await axios.get(mapsApiUrl("/maps/api/geocode/json"), {
+      params: {
+        latlng: `${lat},${lng}`,
+        key: process.env.GOOGLE_MAPS_API_KEY,
+      },
+    });
+
+    if (response.data.status === "OK" && response.data.results?.length > 0) {
+      const result = response.data.results[0];
+
+      return {
+        coordinates: { lat, lng },
+        district: extractFromAddressComponents(
+          result.address_components,
+          "administrative_area_level_2"
+        ),
+        subDistrict: extractFromAddressComponents(
+          result.address_components,
+          "administrative_area_level_3"
+        ),
+        city: extractFromAddressComponents(
+          result.address_components,
+          "locality"
+        ),
+        state: extractFromAddressComponents(
+          result.address_components,
+          "administrative_area_level_1"
+        ),
+        pincode: extractFromAddressComponents(
+          result.address_components,
+          "postal_code"
+        ),
+        formattedAddress: result.formatted_address,
+      };
+    }
+
+    return null;
+  } catch (error) {
+    console.error(
+      `Failed to get location data for coordinates ${lat}, ${lng}:`,
+      error.message
+    );
+    return null;
+  }
+}
+
+// Enhanced location data extraction for user pincode
+async function getEnhancedLocationData(pincode) {
+  try {
+    // Check cache first
+    const cacheKey = `enhanced_location_${pincode}`;
+    const cachedLocation = locationCache.get(cacheKey);
+    if (cachedLocation) return cachedLocation;
+
+    const response = await axios.get(mapsApiUrl("/maps/api/geocode/json"), {
+      params: {
+        address: pincode,
+        components: "country:IN",
+        key: process.env.GOOGLE_MAPS_API_KEY,
+      },
+    });
+
+    if (response.data.status === "OK" && response.data.results?.length > 0) {
+      const result = response.data.results[0];
+
+      const locationData = {
+        coordinates: result.geometry.location,
+        district: extractFromAddressComponents(
+          result.address_components,
+          "administrative_area_level_2"
+        ),
+        subDistrict: extractFromAddressComponents(
+          result.address_components,
+          "administrative_area_level_3"
+        ),
+        city: extractFromAddressComponents(
+          result.address_components,
+          "locality"
+        ),
+        state: extractFromAddressComponents(
+          result.address_components,
+          "administrative_area_level_1"
+        ),
+        pincode: extractFromAddressComponents(
+          result.address_components,
+          "postal_code"
+        ),
+        formattedAddress: result.formatted_address,
+      };
+
+      // Cache the result
+      locationCache.set(cacheKey, locationData);
+
+      return locationData;
+    }
+
+    return null;
+  } catch (error) {
+    console.error(`Enhanced location lookup failed for ${pincode}:`, error);
+    return null;
+  }
+}
+
+// Extract specific component from Google's address components
+function extractFromAddressComponents(addressComponents, targetType) {
+  const component = addressComponents.find((comp) =>
+    comp.types.includes(targetType)
+  );
+  return component?.long_name || null;
+}
+
+function shuffleArray(array) {
+  const shuffled = [...array];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+async function extractCoordsFromUrl(url) {
+  try {
+    // Handle shortened URLs
+    if (url.includes("goo.gl") || url.includes("maps.app.goo.gl")) {
+      url = await resolveShortUrl(url);
+    }
+
+    // Method 1: Extract from @ parameter
+    if (url.includes("@")) {
+      const parts = url.split("@")[1].split(",");
+      if (parts.length >= 2) {
+        const lat = parseFloat(parts[0]);
+        const lng = parseFloat(parts[1]);
+        if (!isNaN(lat) && !isNaN(lng)) {
+          return { lat, lng };
+        }
+      }
+    }
+
+    // Method 2: Extract from query parameters
+    const urlObj = new URL(url);
+    const qParam = urlObj.searchParams.get("q");
+    if (qParam) {
+      const coords = qParam.split(",");
+      if (coords.length === 2) {
+        const lat = parseFloat(coords[0]);
+        const lng = parseFloat(coords[1]);
+        if (!isNaN(lat) && !isNaN(lng)) {
+          return { lat, lng };
+        }
+      }
+    }
+
+    // Method 3: Extract from place format (!3d and !4d)
+    const placeMatch = url.match(/!3d([\d.-]+)!4d([\d.-]+)/);
+    if (placeMatch) {
+      const lat = parseFloat(placeMatch[1]);
+      const lng = parseFloat(placeMatch[2]);
+      if (!isNaN(lat) && !isNaN(lng)) {
+        return { lat, lng };
+      }
+    }
+
+    console.log(`Could not extract coordinates from URL: ${url}`);
+    return null;
+  } catch (error) {
+    console.error(`Error extracting coords from URL ${url}:`, error.message);
+    return null;
+  }
+}
+
+// Enhanced URL resolution with better error handling
+async function resolveShortUrl(url) {
+  try {
+    const response = await axios.head(url, {
+      maxRedirects: 10,
+      timeout: 5000,
+      validateStatus: null,
+    });
+
+    const resolvedUrl =
+      response.request?.res?.responseUrl || response.headers?.location || url;
+
+    console.log(`Resolved ${url} -> ${resolvedUrl}`);
+    return resolvedUrl;
+  } catch (error) {
+    console.error(`Error resolving short URL ${url}:`, error.message);
+    return url;
+  }
+}
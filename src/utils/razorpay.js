@@ -0,0 +1,58 @@
+import Razorpay from "razorpay";
+import { createHmac, timingSafeEqual } from "crypto";
+
+let razorpay = null;
+
+// Created lazily so the server can boot without Razorpay keys in dev
+export const getRazorpay = () => {
+  if (!razorpay) {
+    razorpay = new Razorpay({
+      key_id: process.env.RAZORPAY_KEY_ID,
+      key_secret: process.env.RAZORPAY_KEY_SECRET,
+    });
+  }
+  return razorpay;
+};
+
+// Lets tests swap in a fake, such as createRazorpayMock() in
+// test/fakes/razorpayMock.js
+export const setRazorpayClient = (client) => {
+  razorpay = client;
+};
+
+const safeCompare = (expected, received) => {
+  if (typeof received !== "string") return false;
+
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(received);
+
+  return (
+    expectedBuffer.length === receivedBuffer.length &&
+    timingSafeEqual(expectedBuffer, receivedBuffer)
+  );
+};
+
+export const verifyPaymentSignature = (orderId, paymentId, signature) => {
+  const generatedSignature = createHmac(
+    "sha256",
+    process.env.RAZORPAY_KEY_SECRET
+  )
+    .update(`${orderId}|${paymentId}`)
+    .digest("hex");
+
+  return safeCompare(generatedSignature, signature);
+};
+
+// Razorpay signs the raw request body, not the parsed JSON
+export const verifyWebhookSignature = (rawBody, signature) => {
+  if (!rawBody || !process.env.RAZORPAY_WEBHOOK_SECRET) return false;
+
+  const expectedSignature = createHmac(
+    "sha256",
+    process.env.RAZORPAY_WEBHOOK_SECRET
+  )
+    .update(rawBody)
+    .digest("hex");
+
+  return safeCompare(expectedSignature, signature);
+};
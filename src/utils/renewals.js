@@ -0,0 +1,254 @@
+import prisma from "./prisma.js";
+import { getRazorpay } from "./razorpay.js";
+import { issueInvoice } from "./invoice.js";
+import { getPurchaseSnapshot, recordPaymentEvent } from "./payments.js";
+
+const DAY_MS = 86400000;
+
+// How long before expiresAt the renewal is charged, leaving Razorpay time to
+// retry a failed charge before the listing lapses
+const RENEWAL_LEAD_DAYS = Number(process.env.RENEWAL_LEAD_DAYS || 3);
+
+// Razorpay needs a fixed number of billing cycles up front
+const RENEWAL_MAX_CYCLES = Number(process.env.RENEWAL_MAX_CYCLES || 24);
+
+// Mandates in these states are still expected to charge
+export const OPEN_RENEWAL_STATUSES = ["CREATED", "ACTIVE", "PAST_DUE"];
+
+const isUniqueViolation = (error) => error?.code === "P2002";
+
+const toUnixSeconds = (date) => Math.floor(date.getTime() / 1000);
+
+// Razorpay won't bill more often than weekly, so shorter plans can't
+// auto-renew
+export const MIN_RENEWAL_DAYS = 7;
+
+// The Razorpay billing period for a plan's duration: whole weeks where it
+// divides evenly, otherwise days (which Razorpay allows from 7 up)
+const billingPeriod = (durationDays) =>
+  durationDays % 7 === 0
+    ? { period: "weekly", interval: durationDays / 7 }
+    : { period: "daily", interval: durationDays };
+
+// Razorpay plans are immutable, so one is created per price and duration and
+// cached on the plan. Editing either clears the cache.
+async function getRazorpayPlanId(plan) {
+  if (plan.razorpayPlanId) return plan.razorpayPlanId;
+
+  const razorpayPlan = await getRazorpay().plans.create({
+    ...billingPeriod(plan.durationDays),
+    item: {
+      name: `${plan.name} listing renewal`,
+      amount: Math.round(Number(plan.price) * 100),
+      currency: "INR",
+    },
+    notes: { planId: plan.id },
+  });
+
+  await prisma.subscriptionPlan.update({
+    where: { id: plan.id },
+    data: { razorpayPlanId: razorpayPlan.id },
+  });
+
+  return razorpayPlan.id;
+}
+
+// Creates the Razorpay subscription the seller authorises at `shortUrl`.
+// The first charge is scheduled just before the listing's current expiry,
+// or a day out if it has none.
+export async function createRenewalMandate({ listing, plan, userId }) {
+  const earliestStart = new Date(Date.now() + DAY_MS);
+  const chargeAt = listing.expiresAt
+    ? new Date(listing.expiresAt.getTime() - RENEWAL_LEAD_DAYS * DAY_MS)
+    : earliestStart;
+  const startAt = chargeAt > earliestStart ? chargeAt : earliestStart;
+
+  const subscription = await getRazorpay().subscriptions.create({
+    plan_id: await getRazorpayPlanId(plan),
+    total_count: RENEWAL_MAX_CYCLES,
+    start_at: toUnixSeconds(startAt),
+    customer_notify: 1,
+    notes: { listingId: String(listing.id), planId: plan.id },
+  });
+
+  const data = {
+    userId,
+    planId: plan.id,
+    razorpaySubscriptionId: subscription.id,
+    status: "CREATED",
+    failedAttempts: 0,
+    lastFailureReason: null,
+    lastChargedAt: null,
+    nextChargeAt: startAt,
+    cancelledAt: null,
+  };
+
+  // A listing keeps one mandate row; re-enabling replaces a closed one
+  const mandate = await prisma.renewalMandate.upsert({
+    where: { listingId: listing.id },
+    create: { ...data, listingId: listing.id },
+    update: data,
+  });
+
+  return { mandate, shortUrl: subscription.short_url };
+}
+
+export async function cancelRenewalMandate(mandate) {
+  await getRazorpay().subscriptions.cancel(
+    mandate.razorpaySubscriptionId,
+    false
+  );
+
+  return prisma.renewalMandate.update({
+    where: { id: mandate.id },
+    data: { status: "CANCELLED", cancelledAt: new Date() },
+  });
+}
+
+// Refunding one of a mandate's charges stops the renewal too, or Razorpay
+// would charge the seller again next period. Does nothing for payments
+// that aren't renewal charges.
+export async function cancelRenewalForRefund(payment) {
+  if (!payment?.renewalMandateId) return null;
+
+  const mandate = await prisma.renewalMandate.findUnique({
+    where: { id: payment.renewalMandateId },
+  });
+
+  if (!mandate || !OPEN_RENEWAL_STATUSES.includes(mandate.status)) {
+    return null;
+  }
+
+  return cancelRenewalMandate(mandate);
+}
+
+// Applies a subscription.charged event: records the payment, extends the
+// listing by one plan period from its current expiry and starts a fresh
+// promotion. Redelivered events find the payment already recorded.
+export async function applyRenewalCharge(subscription, razorpayPayment) {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const mandate = await tx.renewalMandate.findUnique({
+        where: { razorpaySubscriptionId: subscription.id },
+        include: { plan: true, listing: true },
+      });
+
+      if (!mandate) {
+        throw new Error("Renewal mandate not found");
+      }
+
+      const existing = await tx.payment.findUnique({
+        where: { razorpayPaymentId: razorpayPayment.id },
+      });
+
+      if (existing) {
+        return { payment: existing, mandate, alreadyProcessed: true };
+      }
+
+      const { plan, listing } = mandate;
+      const now = new Date();
+
+      const payment = await tx.payment.create({
+        data: {
+          listingId: listing.id,
+          amount: razorpayPayment.amount / 100,
+          currency: razorpayPayment.currency || "INR",
+          paymentMethod: "RAZORPAY",
+          transactionId: razorpayPayment.id,
+          razorpayPaymentId: razorpayPayment.id,
+          renewalMandateId: mandate.id,
+          planSnapshot: getPurchaseSnapshot(mandate),
+          status: "COMPLETED",
+        },
+      });
+
+      await recordPaymentEvent(tx, payment, null, "Auto-renewal charge");
+
+      const base = listing.expiresAt > now ? listing.expiresAt : now;
+
+      await tx.listing.update({
+        where: { id: listing.id },
+        data: {
+          // A renewal keeps the listing's approval; only one that lapsed
+          // while a charge was being retried comes back
+          status: listing.status === "EXPIRED" ? "APPROVED" : undefined,
+          listingTier: plan.tierType,
+          expiresAt: new Date(base.getTime() + plan.durationDays * DAY_MS),
+          isBannerEnabled: plan.promotionDays > 0,
+          subscriptionId: plan.id,
+        },
+      });
+
+      if (plan.promotionDays > 0) {
+        await tx.promotion.create({
+          data: {
+            listingId: listing.id,
+            paymentId: payment.id,
+            price: 0, // Included in subscription
+            startDate: now,
+            endDate: new Date(now.getTime() + plan.promotionDays * DAY_MS),
+            durationDays: plan.promotionDays,
+            isActive: true,
+          },
+        });
+      }
+
+      await tx.renewalMandate.update({
+        where: { id: mandate.id },
+        data: {
+          status: "ACTIVE",
+          failedAttempts: 0,
+          lastFailureReason: null,
+          lastChargedAt: now,
+          nextChargeAt: subscription.charge_at
+            ? new Date(subscription.charge_at * 1000)
+            : null,
+        },
+      });
+
+      await issueInvoice(tx, payment.id);
+
+      return { payment, mandate, alreadyProcessed: false };
+    });
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      const payment = await prisma.payment.findUnique({
+        where: { razorpayPaymentId: razorpayPayment.id },
+      });
+      return { payment, alreadyProcessed: true };
+    }
+    throw error;
+  }
+}
+
+// Mirrors the other subscription lifecycle events. Razorpay retries a failed
+// charge on its own schedule (PAST_DUE) and halts the subscription once it
+// gives up (HALTED); the listing then lapses at its expiresAt as usual.
+export async function updateRenewalStatus(subscription, status, reason) {
+  const mandate = await prisma.renewalMandate.findUnique({
+    where: { razorpaySubscriptionId: subscription.id },
+  });
+
+  // Closed mandates ignore late or out-of-order deliveries
+  if (!mandate || ["CANCELLED", "COMPLETED"].includes(mandate.status)) {
+    return mandate;
+  }
+
+  const data = {
+    status,
+    nextChargeAt: subscription.charge_at
+      ? new Date(subscription.charge_at * 1000)
+      : null,
+  };
+
+  if (status === "PAST_DUE") {
+    data.failedAttempts = { increment: 1 };
+    data.lastFailureReason = reason || null;
+  }
+
+  if (status === "CANCELLED") {
+    data.cancelledAt = new Date();
+  }
+
+  return prisma.renewalMandate.update({ where: { id: mandate.id }, data });
+}
@@ -0,0 +1,232 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import NodeCache from "node-cache";
+import prisma from "./prisma.js";
+
+const DAY_MS = 86400000;
+
+// authenticateToken checks the session behind every access token. Open
+// sessions are cached by id (value: userId) and dropped when revoked here;
+// a revocation made on another server instance takes effect within
+// SESSION_CACHE_SECONDS.
+const SESSION_CACHE_SECONDS = 30;
+const openSessionCache = new NodeCache({ stdTTL: SESSION_CACHE_SECONDS });
+
+// How often clients come back to /refresh
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+
+// Sliding: every refresh pushes the session's expiry out again
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+// Two tabs refreshing at once present the same token. The loser of that
+// race gets a 401 instead of having the session revoked as a replay.
+const REFRESH_REUSE_GRACE_MS = 10 * 1000;
+
+const cookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: process.env.sameSite,
+};
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Refresh tokens are `<sessionId>.<secret>`; only the hash is stored
+const newRefreshSecret = () => crypto.randomBytes(32).toString("base64url");
+
+const parseRefreshToken = (token) => {
+  const [sessionId, secret] = String(token || "").split(".");
+  return sessionId && secret ? { sessionId, secret } : null;
+};
+
+const getClientMetadata = (req) => ({
+  userAgent: req.get("user-agent")?.slice(0, 512) || null,
+  ipAddress: req.ip || null,
+});
+
+function setAuthCookies(res, session, secret) {
+  const accessToken = jwt.sign(
+    { userId: session.userId, sessionId: session.id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+  res.cookie("token", accessToken, cookieOptions);
+  res.cookie("refreshToken", `${session.id}.${secret}`, {
+    ...cookieOptions,
+    maxAge: REFRESH_TOKEN_TTL_DAYS * DAY_MS,
+  });
+}
+
+export function clearAuthCookies(res) {
+  res.clearCookie("token", cookieOptions);
+  res.clearCookie("refreshToken", cookieOptions);
+}
+
+// Opens a session for a user who just proved who they are and sets the
+// access and refresh cookies. `deviceName` is an optional client label.
+export async function startSession(req, res, user) {
+  const secret = newRefreshSecret();
+
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: hashToken(secret),
+      deviceName: req.body?.deviceName?.toString().slice(0, 100) || null,
+      ...getClientMetadata(req),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS),
+    },
+  });
+
+  // Signing back in during the grace period cancels a pending deletion
+  await prisma.user.updateMany({
+    where: { id: user.id, deletionDueAt: { not: null }, erasedAt: null },
+    data: { deletionDueAt: null },
+  });
+
+  setAuthCookies(res, session, secret);
+  return session;
+}
+
+// Swaps the refresh cookie for a new access token and refresh token. A
+// refresh token presented after it was rotated means it leaked, so the
+// whole session is revoked. Returns { session } or { error }.
+export async function rotateSession(req, res) {
+  const parsed = parseRefreshToken(req.cookies.refreshToken);
+
+  if (!parsed) {
+    return { error: "Refresh token required" };
+  }
+
+  const session = await prisma.session.findUnique({
+    where: { id: parsed.sessionId },
+  });
+
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return { error: "Session expired" };
+  }
+
+  const presentedHash = hashToken(parsed.secret);
+
+  if (presentedHash !== session.refreshTokenHash) {
+    const isRace =
+      presentedHash === session.previousTokenHash &&
+      session.rotatedAt &&
+      Date.now() - session.rotatedAt.getTime() < REFRESH_REUSE_GRACE_MS;
+
+    if (!isRace) {
+      await revokeSession(session.id, "Refresh token reuse detected");
+    }
+    return { error: "Refresh token already used" };
+  }
+
+  const secret = newRefreshSecret();
+  const now = new Date();
+
+  // Only the first of two concurrent refreshes gets to rotate
+  const { count } = await prisma.session.updateMany({
+    where: { id: session.id, refreshTokenHash: presentedHash, revokedAt: null },
+    data: {
+      refreshTokenHash: hashToken(secret),
+      previousTokenHash: presentedHash,
+      rotatedAt: now,
+      lastUsedAt: now,
+      expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * DAY_MS),
+      ...getClientMetadata(req),
+    },
+  });
+
+  if (count === 0) {
+    return { error: "Refresh token already used" };
+  }
+
+  setAuthCookies(res, session, secret);
+  return { session };
+}
+
+// Whether `sessionId` is neither revoked nor expired
+export async function isSessionOpen(sessionId) {
+  if (openSessionCache.has(sessionId)) return true;
+
+  const session = await prisma.session.findUnique({
+    where: { id: sessionId },
+    select: { userId: true, revokedAt: true, expiresAt: true },
+  });
+
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return false;
+  }
+
+  openSessionCache.set(sessionId, session.userId);
+  return true;
+}
+
+export async function revokeSession(sessionId, reason) {
+  const result = await prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+
+  openSessionCache.del(sessionId);
+  return result;
+}
+
+// Revokes every open session of the user except `exceptSessionId`
+export async function revokeUserSessions(
+  userId,
+  { exceptSessionId, reason } = {}
+) {
+  const result = await prisma.session.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId && { id: { not: exceptSessionId } }),
+    },
+    data: { revokedAt: new Date(), revokedReason: reason || null },
+  });
+
+  for (const sessionId of openSessionCache.keys()) {
+    if (
+      sessionId !== exceptSessionId &&
+      openSessionCache.get(sessionId) === userId
+    ) {
+      openSessionCache.del(sessionId);
+    }
+  }
+
+  return result;
+}
+
+// Ends the session behind the request's refresh cookie and clears both
+// cookies. Safe to call without a session.
+export async function endSession(req, res) {
+  const parsed = parseRefreshToken(req.cookies.refreshToken);
+
+  // Only the holder of the current refresh token can end the session
+  if (parsed) {
+    await prisma.session.updateMany({
+      where: {
+        id: parsed.sessionId,
+        refreshTokenHash: hashToken(parsed.secret),
+        revokedAt: null,
+      },
+      data: { revokedAt: new Date(), revokedReason: "Logged out" },
+    });
+    openSessionCache.del(parsed.sessionId);
+  }
+
+  clearAuthCookies(res);
+}
+
+// Drops sessions that expired or were revoked more than a month ago
+export async function pruneSessions() {
+  const cutoff = new Date(Date.now() - 30 * DAY_MS);
+
+  const { count } = await prisma.session.deleteMany({
+    where: {
+      OR: [{ expiresAt: { lt: cutoff } }, { revokedAt: { lt: cutoff } }],
+    },
+  });
+
+  return count;
+}
@@ -0,0 +1,55 @@
+import axios from "axios";
+
+// A provider is anything with `sendOtp({ phone, code })`, where phone is a
+// +91 number. SMS_PROVIDER picks one: msg91, or fake (the default).
+
+// MSG91's flow API, using a DLT-approved template with an ##otp## variable
+const createMsg91Provider = () => ({
+  sendOtp: async ({ phone, code }) => {
+    await axios.post(
+      "https://control.msg91.com/api/v5/flow/",
+      {
+        template_id: process.env.MSG91_OTP_TEMPLATE_ID,
+        short_url: "0",
+        recipients: [{ mobiles: phone.replace(/^\+/, ""), otp: code }],
+      },
+      { headers: { authkey: process.env.MSG91_AUTH_KEY } }
+    );
+  },
+});
+
+// Logs the code and keeps every message in memory for tests
+const fakeOutbox = [];
+
+const createFakeProvider = () => ({
+  sendOtp: async ({ phone, code }) => {
+    fakeOutbox.push({ phone, code, sentAt: new Date() });
+    console.log(`[sms] OTP for ${phone}: ${code}`);
+  },
+});
+
+export const getFakeSmsOutbox = () => fakeOutbox;
+
+const PROVIDERS = {
+  msg91: createMsg91Provider,
+  fake: createFakeProvider,
+};
+
+let provider = null;
+
+export const getSmsProvider = () => {
+  if (!provider) {
+    const name = process.env.SMS_PROVIDER || "fake";
+
+    if (!PROVIDERS[name]) {
+      throw new Error(`Unknown SMS_PROVIDER "${name}"`);
+    }
+    provider = PROVIDERS[name]();
+  }
+  return provider;
+};
+
+// Lets tests plug in their own provider
+export const setSmsProvider = (custom) => {
+  provider = custom;
+};
@@ -9,7 +9,7 @@ import { v4 as uuidv4 } from "uuid";
 
 dotenv.config();
 
-const s3Client = new S3Client({
+let s3Client = new S3Client({
   region: process.env.AWS_REGION,
   credentials: {
     accessKeyId: process.env.AWS_ACCESS_KEY_ID,
@@ -17,6 +17,11 @@ const s3Client = new S3Client({
   },
 });
 
+// Lets tests swap in a fake, such as createS3Mock() in test/fakes/s3Mock.js
+export const setS3Client = (client) => {
+  s3Client = client;
+};
+
 const bucketName = process.env.AWS_S3_BUCKET_NAME;
 const cloudfrontDomain = process.env.CLOUDFRONT_DOMAIN;
 
@@ -0,0 +1,414 @@
+import { HttpError } from "./httpError.js";
+
+// Declarative request validation. A schema maps field names to fields
+// built with the helpers below:
+//
+//   const reviewSchema = {
+//     title: string({ max: 120 }),
+//     rating: integer({ min: 1, max: 5 }),
+//     listingId: integer({ min: 1 }),
+//   };
+//   router.post("/", validateBody(reviewSchema), handler);
+//
+// Values are coerced from strings where it's unambiguous, since form posts
+// send everything as text. Fields not in the schema are dropped.
+//
+// Every field takes { optional, default }. A missing field is an error
+// unless it's optional or has a default; an empty one (null, "" or just
+// whitespace) becomes the default, or null if optional. In partial mode,
+// for updates, missing fields are left out rather than defaulted.
+//
+// Each field also carries a JSON Schema of what it accepts, which the
+// OpenAPI document is built from (see toJSONSchema). A { description }
+// option is carried into it.
+
+// Thrown by a field when the value doesn't fit. `fields` holds the errors
+// of nested values, keyed by their path below this one.
+class Invalid extends Error {
+  constructor(message, fields = null) {
+    super(message);
+    this.fields = fields;
+  }
+
+  under(path) {
+    if (!this.fields) return { [path]: this.message };
+    return Object.fromEntries(
+      Object.entries(this.fields).map(([key, message]) => [path + key, message])
+    );
+  }
+}
+
+const isEmpty = (raw) =>
+  raw === null || (typeof raw === "string" && raw.trim() === "");
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+function field(
+  parse,
+  { optional = false, default: fallback, description } = {},
+  schema
+) {
+  return {
+    required: !optional && fallback === undefined,
+    jsonSchema: {
+      ...schema,
+      ...(fallback !== undefined && { default: fallback }),
+      ...(description && { description }),
+    },
+    resolve(raw, partial) {
+      if (raw === undefined) {
+        if (partial) return undefined;
+        if (fallback !== undefined) return fallback;
+        if (optional) return undefined;
+        throw new Invalid("Required");
+      }
+      if (isEmpty(raw)) {
+        if (fallback !== undefined) return fallback;
+        if (optional) return null;
+        throw new Invalid("Required");
+      }
+      return parse(raw);
+    },
+  };
+}
+
+function checkRange(value, min, max) {
+  if (min !== undefined && value < min) {
+    throw new Invalid(`Must be at least ${min}`);
+  }
+  if (max !== undefined && value > max) {
+    throw new Invalid(`Must be at most ${max}`);
+  }
+}
+
+const toNumber = (raw) =>
+  typeof raw === "number" ? raw : typeof raw === "string" ? Number(raw) : NaN;
+
+// { trim: false } keeps surrounding whitespace, for secrets and tokens
+export const string = ({
+  min = 0,
+  max = 255,
+  pattern,
+  format,
+  trim = true,
+  ...options
+} = {}) =>
+  field(
+    (raw) => {
+      if (typeof raw !== "string" && typeof raw !== "number") {
+        throw new Invalid("Must be text");
+      }
+      const value = trim ? String(raw).trim() : String(raw);
+      if (value.length < min) {
+        throw new Invalid(`Must be at least ${min} characters`);
+      }
+      if (value.length > max) {
+        throw new Invalid(`Must be at most ${max} characters`);
+      }
+      if (pattern && !pattern.test(value)) {
+        throw new Invalid(format ? `Must be ${format}` : "Is not valid");
+      }
+      return value;
+    },
+    options,
+    {
+      type: "string",
+      ...(min > 0 && { minLength: min }),
+      maxLength: max,
+      ...(pattern && { pattern: pattern.source }),
+    }
+  );
+
+export const integer = ({ min, max, ...options } = {}) =>
+  field(
+    (raw) => {
+      const value = toNumber(raw);
+      if (!Number.isInteger(value)) throw new Invalid("Must be a whole number");
+      checkRange(value, min, max);
+      return value;
+    },
+    options,
+    { type: "integer", minimum: min, maximum: max }
+  );
+
+export const number = ({ min, max, ...options } = {}) =>
+  field(
+    (raw) => {
+      const value = toNumber(raw);
+      if (!Number.isFinite(value)) throw new Invalid("Must be a number");
+      checkRange(value, min, max);
+      return value;
+    },
+    options,
+    { type: "number", minimum: min, maximum: max }
+  );
+
+const TRUE_VALUES = [true, 1, "true", "1", "on", "yes"];
+const FALSE_VALUES = [false, 0, "false", "0", "off", "no"];
+
+export const boolean = (options) =>
+  field(
+    (raw) => {
+      const value = typeof raw === "string" ? raw.trim().toLowerCase() : raw;
+      if (TRUE_VALUES.includes(value)) return true;
+      if (FALSE_VALUES.includes(value)) return false;
+      throw new Invalid("Must be true or false");
+    },
+    options,
+    { type: "boolean" }
+  );
+
+// One of `values` (e.g. Object.values(ListingTier)). Matching ignores case
+// and treats spaces and dashes as underscores, so "Private individual"
+// matches PRIVATE_INDIVIDUAL.
+export const oneOf = (values, options) =>
+  field(
+    (raw) => {
+      const value =
+        typeof raw === "string"
+          ? raw
+              .trim()
+              .toUpperCase()
+              .replace(/[\s-]+/g, "_")
+          : raw;
+      if (!values.includes(value)) {
+        throw new Invalid(`Must be one of ${values.join(", ")}`);
+      }
+      return value;
+    },
+    options,
+    { type: "string", enum: values }
+  );
+
+export const url = (options) =>
+  field(
+    (raw) => {
+      const value = typeof raw === "string" ? raw.trim() : "";
+      let parsed;
+      try {
+        parsed = new URL(value);
+      } catch {
+        throw new Invalid("Must be a valid URL");
+      }
+      if (
+        !["http:", "https:"].includes(parsed.protocol) ||
+        value.length > 2048
+      ) {
+        throw new Invalid("Must be a valid URL");
+      }
+      return value;
+    },
+    options,
+    { type: "string", format: "uri", maxLength: 2048 }
+  );
+
+export const email = (options) =>
+  string({
+    max: 254,
+    pattern: /^[^\s@]+@[^\s@]+$/,
+    format: "an email address",
+    ...options,
+  });
+
+// Taken exactly as typed
+export const password = (options) =>
+  string({ max: 128, trim: false, ...options });
+
+// Indian PIN codes: six digits, never starting with 0
+export const pincode = (options) =>
+  field(
+    (raw) => {
+      const value = String(raw).trim();
+      if (!/^[1-9]\d{5}$/.test(value)) {
+        throw new Invalid("Must be a 6-digit PIN code");
+      }
+      return Number(value);
+    },
+    options,
+    { type: "string", pattern: "^[1-9]\\d{5}$" }
+  );
+
+// A calendar date as "YYYY-MM-DD", returned as that string
+export const isoDate = (options) =>
+  field(
+    (raw) => {
+      const value = typeof raw === "string" ? raw.trim() : "";
+      const date = new Date(`${value}T00:00:00Z`);
+      if (
+        !/^\d{4}-\d{2}-\d{2}$/.test(value) ||
+        Number.isNaN(date.getTime()) ||
+        date.toISOString().slice(0, 10) !== value
+      ) {
+        throw new Invalid("Must be a date (YYYY-MM-DD)");
+      }
+      return value;
+    },
+    options,
+    { type: "string", format: "date" }
+  );
+
+// A JSON object, sent as one or as a string of JSON
+export const json = (options) =>
+  field(
+    (raw) => {
+      let value = raw;
+      if (typeof raw === "string") {
+        try {
+          value = JSON.parse(raw);
+        } catch {
+          throw new Invalid("Must be valid JSON");
+        }
+      }
+      if (!isPlainObject(value)) throw new Invalid("Must be a JSON object");
+      return value;
+    },
+    options,
+    { type: "object" }
+  );
+
+// A list of `item`s. A string is split on commas, for form posts.
+export const list = (item, { max = 50, ...options } = {}) =>
+  field(
+    (raw) => {
+      const entries =
+        typeof raw === "string"
+          ? raw
+              .split(",")
+              .map((entry) => entry.trim())
+              .filter(Boolean)
+          : raw;
+      if (!Array.isArray(entries)) throw new Invalid("Must be a list");
+      if (entries.length > max) {
+        throw new Invalid(`Must have at most ${max} items`);
+      }
+
+      const value = [];
+      const fields = {};
+      entries.forEach((entry, index) => {
+        try {
+          value.push(item.resolve(entry, false));
+        } catch (error) {
+          if (!(error instanceof Invalid)) throw error;
+          Object.assign(fields, error.under(`[${index}]`));
+        }
+      });
+      if (Object.keys(fields).length > 0) {
+        throw new Invalid("Has invalid items", fields);
+      }
+      return value;
+    },
+    options,
+    { type: "array", items: item.jsonSchema, maxItems: max }
+  );
+
+// A nested object checked against its own schema
+export const object = (schema, options) =>
+  field(
+    (raw) => {
+      if (!isPlainObject(raw)) throw new Invalid("Must be an object");
+      const { value, fields } = validate(schema, raw);
+      if (fields) {
+        const nested = Object.fromEntries(
+          Object.entries(fields).map(([key, message]) => [`.${key}`, message])
+        );
+        throw new Invalid("Is not valid", nested);
+      }
+      return value;
+    },
+    options,
+    toJSONSchema(schema)
+  );
+
+// ?page and ?limit for paged lists, to spread into a query schema
+export const pageQuery = {
+  page: integer({ min: 1, default: 1 }),
+  limit: integer({ min: 1, max: 100, default: 20 }),
+};
+
+// Checks `input` against `schema`. Returns { value, fields }: the coerced
+// values, and a { path: message } map of problems or null if there were
+// none.
+export function validate(schema, input, { partial = false } = {}) {
+  const source = isPlainObject(input) ? input : {};
+  const value = {};
+  const fields = {};
+
+  for (const [name, spec] of Object.entries(schema)) {
+    try {
+      const parsed = spec.resolve(source[name], partial);
+      if (parsed !== undefined) value[name] = parsed;
+    } catch (error) {
+      if (!(error instanceof Invalid)) throw error;
+      Object.assign(fields, error.under(name));
+    }
+  }
+
+  return {
+    value,
+    fields: Object.keys(fields).length > 0 ? fields : null,
+  };
+}
+
+// JSON Schema for a request matching `schema`. In partial mode nothing is
+// required.
+export function toJSONSchema(schema, { partial = false } = {}) {
+  const required = partial
+    ? []
+    : Object.keys(schema).filter((name) => schema[name].required);
+
+  return {
+    type: "object",
+    properties: Object.fromEntries(
+      Object.entries(schema).map(([name, spec]) => [name, spec.jsonSchema])
+    ),
+    ...(required.length > 0 && { required }),
+  };
+}
+
+// The 400 for `fields`, keyed by field name, for checks a schema can't
+// express, such as an id naming a record that doesn't exist
+export const invalidFields = (fields) =>
+  new HttpError(400, "VALIDATION_FAILED", "Some fields are invalid", fields);
+
+// invalidFields for whichever of `names` are missing or empty in `data`,
+// or null when they're all there
+export function requireFields(data, names) {
+  const missing = names.filter(
+    (name) => data[name] === undefined || isEmpty(data[name])
+  );
+  if (missing.length === 0) return null;
+  return invalidFields(
+    Object.fromEntries(missing.map((name) => [name, "Required"]))
+  );
+}
+
+function validateRequest(source, schema, options) {
+  const middleware = (req, res, next) => {
+    const { value, fields } = validate(schema, req[source], options);
+    if (fields) {
+      return next(invalidFields(fields));
+    }
+    req[source] = value;
+    next();
+  };
+
+  // Found on the route by the OpenAPI generator
+  middleware.validates = {
+    source,
+    schema: toJSONSchema(schema, options),
+  };
+  return middleware;
+}
+
+// Replaces req.body with the validated values, or fails the request with a
+// 400 listing every bad field. Pass { partial: true } for updates.
+export const validateBody = (schema, options) =>
+  validateRequest("body", schema, options);
+
+// Same for route parameters, e.g. { id: integer({ min: 1 }) }
+export const validateParams = (schema) => validateRequest("params", schema);
+
+// Same for the query string. Parameters not in the schema are dropped, so
+// list every filter the handler reads.
+export const validateQuery = (schema) => validateRequest("query", schema);
@@ -0,0 +1,87 @@
+import { HttpError } from "./httpError.js";
+
+// Wallet balances are in paise. Every change goes through creditWallet or
+// debitWallet so the ledger always adds up to the balance; `db` is prisma
+// or a transaction client.
+
+export const WALLET_TRANSACTION_TYPES = [
+  "TOP_UP",
+  "DEBIT",
+  "REFUND",
+  "ADJUSTMENT",
+];
+
+export const getOrCreateWallet = (db, userId) =>
+  db.wallet.upsert({ where: { userId }, create: { userId }, update: {} });
+
+// Adds `amount` to the balance and records it as a `type` entry
+export async function creditWallet(db, userId, { amount, type, ...entry }) {
+  const wallet = await getOrCreateWallet(db, userId);
+
+  const updated = await db.wallet.update({
+    where: { id: wallet.id },
+    data: { balance: { increment: amount } },
+  });
+
+  const transaction = await db.walletTransaction.create({
+    data: {
+      ...entry,
+      walletId: wallet.id,
+      type,
+      amount,
+      balanceAfter: updated.balance,
+    },
+  });
+
+  return { wallet: updated, transaction };
+}
+
+// Takes `amount` off the balance. The guard on the update keeps two
+// concurrent debits from overdrawing; when the balance is short it throws
+// the same 400 as the callers' own check, rolling back their transaction.
+export async function debitWallet(
+  db,
+  userId,
+  { amount, type = "DEBIT", ...entry }
+) {
+  const { count } = await db.wallet.updateMany({
+    where: { userId, balance: { gte: amount } },
+    data: { balance: { decrement: amount } },
+  });
+
+  // Lost a race with another debit since the caller checked the balance
+  if (count === 0) {
+    const wallet = await db.wallet.findUnique({ where: { userId } });
+    throw new HttpError(
+      400,
+      "INSUFFICIENT_BALANCE",
+      "Insufficient wallet balance",
+      null,
+      { balance: (wallet?.balance ?? 0) / 100 }
+    );
+  }
+
+  const wallet = await db.wallet.findUnique({ where: { userId } });
+
+  const transaction = await db.walletTransaction.create({
+    data: {
+      ...entry,
+      walletId: wallet.id,
+      type,
+      amount: -amount,
+      balanceAfter: wallet.balance,
+    },
+  });
+
+  return { wallet, transaction };
+}
+
+export const formatWalletTransaction = (transaction) => ({
+  id: transaction.id,
+  type: transaction.type,
+  amount: transaction.amount / 100,
+  balanceAfter: transaction.balanceAfter / 100,
+  description: transaction.description,
+  paymentId: transaction.paymentId,
+  createdAt: transaction.createdAt,
+});
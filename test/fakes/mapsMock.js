@@ -0,0 +1,70 @@
+import express from "express";
+
+// Stand-in for the Google Maps Geocoding API, for tests.
+// `places` are the only places it knows:
+//
+//   { pincode: "560001", lat: 12.97, lng: 77.59, city: "Bengaluru",
+//     district: "Bangalore Urban", subDistrict, state: "Karnataka" }
+//
+// Geocoding an address finds the place with that pincode; reverse
+// geocoding (latlng) answers with the nearest place. Point
+// GOOGLE_MAPS_API_URL at the url it returns.
+export function createMockMaps({ places = [] } = {}) {
+  const app = express();
+
+  const toResult = (place) => ({
+    place_id: `mock-place-${place.pincode}`,
+    formatted_address: [place.city, place.state, place.pincode, "India"]
+      .filter(Boolean)
+      .join(", "),
+    geometry: { location: { lat: place.lat, lng: place.lng } },
+    address_components: [
+      [place.city, "locality"],
+      [place.subDistrict, "administrative_area_level_3"],
+      [place.district, "administrative_area_level_2"],
+      [place.state, "administrative_area_level_1"],
+      ["India", "country"],
+      [place.pincode, "postal_code"],
+    ]
+      .filter(([name]) => name)
+      .map(([name, type]) => ({
+        long_name: name,
+        short_name: name,
+        types: [type, "political"],
+      })),
+  });
+
+  // Good enough for picking the closest of a handful of places
+  const squaredDistance = (place, lat, lng) =>
+    (place.lat - lat) ** 2 + (place.lng - lng) ** 2;
+
+  app.get("/maps/api/geocode/json", (req, res) => {
+    const { address, latlng } = req.query;
+    let place = null;
+
+    if (address) {
+      place = places.find((candidate) => candidate.pincode === address.trim());
+    } else if (latlng) {
+      const [lat, lng] = latlng.split(",").map(Number);
+      place = [...places].sort(
+        (a, b) => squaredDistance(a, lat, lng) - squaredDistance(b, lat, lng)
+      )[0];
+    }
+
+    res.json(
+      place
+        ? { status: "OK", results: [toResult(place)] }
+        : { status: "ZERO_RESULTS", results: [] }
+    );
+  });
+
+  // Starts listening; resolves with the base URL and the server to close
+  const listen = (port = 0) =>
+    new Promise((resolve) => {
+      const server = app.listen(port, () => {
+        resolve({ url: `http://127.0.0.1:${server.address().port}`, server });
+      });
+    });
+
+  return { app, listen };
+}
@@ -0,0 +1,118 @@
+import express from "express";
+import { createHash, generateKeyPairSync, randomBytes } from "crypto";
+import jwt from "jsonwebtoken";
+
+// Stand-in OpenID provider for the integration tests. /authorize approves
+// straight away as `user` (or the login_hint email) and /token enforces the
+// PKCE verifier, so the whole code flow in routes/googleAuth.js runs
+// without Google. Point GOOGLE_ISSUER at the issuer it returns.
+export function createMockIdp({
+  user = {
+    sub: "mock-user-1",
+    email: "mock.user@example.com",
+    email_verified: true,
+    given_name: "Mock",
+    family_name: "User",
+  },
+} = {}) {
+  const { privateKey, publicKey } = generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+  });
+  const kid = randomBytes(8).toString("hex");
+  const codes = new Map();
+  let issuer = null;
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get("/.well-known/openid-configuration", (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      id_token_signing_alg_values_supported: ["RS256"],
+      code_challenge_methods_supported: ["S256"],
+    });
+  });
+
+  app.get("/jwks", (req, res) => {
+    res.json({
+      keys: [
+        {
+          ...publicKey.export({ format: "jwk" }),
+          kid,
+          alg: "RS256",
+          use: "sig",
+        },
+      ],
+    });
+  });
+
+  app.get("/authorize", (req, res) => {
+    const { client_id, redirect_uri, state, nonce, code_challenge } = req.query;
+    const code = randomBytes(16).toString("hex");
+    const hint = req.query.login_hint;
+
+    codes.set(code, {
+      clientId: client_id,
+      redirectUri: redirect_uri,
+      nonce,
+      codeChallenge: code_challenge,
+      user: hint ? { ...user, sub: `mock-${hint}`, email: hint } : user,
+    });
+
+    const url = new URL(redirect_uri);
+    url.searchParams.set("code", code);
+    url.searchParams.set("state", state);
+    res.redirect(url.toString());
+  });
+
+  app.post("/token", (req, res) => {
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    const challenge = createHash("sha256")
+      .update(req.body.code_verifier || "")
+      .digest("base64url");
+
+    if (
+      !grant ||
+      grant.clientId !== req.body.client_id ||
+      grant.redirectUri !== req.body.redirect_uri ||
+      grant.codeChallenge !== challenge
+    ) {
+      return res.status(400).json({ error: "invalid_grant" });
+    }
+
+    const idToken = jwt.sign(
+      { ...grant.user, nonce: grant.nonce },
+      privateKey,
+      {
+        algorithm: "RS256",
+        keyid: kid,
+        issuer,
+        audience: grant.clientId,
+        expiresIn: "5m",
+      }
+    );
+
+    res.json({
+      access_token: randomBytes(16).toString("hex"),
+      id_token: idToken,
+      token_type: "Bearer",
+      expires_in: 300,
+    });
+  });
+
+  // Starts listening; resolves with the issuer URL and the server to close
+  const listen = (port = 0) =>
+    new Promise((resolve) => {
+      const server = app.listen(port, () => {
+        issuer = `http://127.0.0.1:${server.address().port}`;
+        resolve({ issuer, server });
+      });
+    });
+
+  return { app, listen };
+}
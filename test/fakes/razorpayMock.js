@@ -0,0 +1,204 @@
+import { randomBytes, createHmac } from "crypto";
+
+// In-memory stand-in for the parts of the Razorpay SDK this API uses.
+// The integration tests pass it to setRazorpayClient.
+// The simulate* helpers return the entities Razorpay would put in a webhook
+// payload; they are not part of the real SDK.
+
+const newId = (prefix) => `${prefix}_${randomBytes(7).toString("hex")}`;
+
+const now = () => Math.floor(Date.now() / 1000);
+
+export function createRazorpayMock() {
+  const orders = new Map();
+  const payments = new Map();
+  const plans = new Map();
+  const subscriptions = new Map();
+
+  const find = (store, id) => {
+    const entity = store.get(id);
+    if (!entity) {
+      throw Object.assign(new Error(`${id} does not exist`), {
+        statusCode: 400,
+      });
+    }
+    return entity;
+  };
+
+  const createPayment = (fields) => {
+    const payment = {
+      id: newId("pay"),
+      entity: "payment",
+      currency: "INR",
+      status: "captured",
+      method: "card",
+      refund_status: null,
+      amount_refunded: 0,
+      created_at: now(),
+      ...fields,
+    };
+    payments.set(payment.id, payment);
+    return payment;
+  };
+
+  return {
+    orders: {
+      create: async ({ amount, currency = "INR", receipt, notes = {} }) => {
+        const order = {
+          id: newId("order"),
+          entity: "order",
+          amount,
+          amount_paid: 0,
+          amount_due: amount,
+          currency,
+          receipt,
+          notes,
+          status: "created",
+          attempts: 0,
+          created_at: now(),
+        };
+        orders.set(order.id, order);
+        return order;
+      },
+      fetch: async (id) => find(orders, id),
+    },
+
+    payments: {
+      fetch: async (id) => find(payments, id),
+      refund: async (paymentId, { amount, notes = {} } = {}) => {
+        const payment = find(payments, paymentId);
+        const refundAmount = amount ?? payment.amount - payment.amount_refunded;
+
+        payment.amount_refunded += refundAmount;
+        payment.refund_status =
+          payment.amount_refunded >= payment.amount ? "full" : "partial";
+
+        return {
+          id: newId("rfnd"),
+          entity: "refund",
+          payment_id: paymentId,
+          amount: refundAmount,
+          currency: payment.currency,
+          notes,
+          status: "processed",
+          created_at: now(),
+        };
+      },
+    },
+
+    plans: {
+      create: async ({ period, interval, item, notes = {} }) => {
+        const plan = {
+          id: newId("plan"),
+          entity: "plan",
+          period,
+          interval,
+          item: { id: newId("item"), ...item },
+          notes,
+          created_at: now(),
+        };
+        plans.set(plan.id, plan);
+        return plan;
+      },
+      fetch: async (id) => find(plans, id),
+    },
+
+    subscriptions: {
+      create: async ({ plan_id, total_count, start_at, notes = {} }) => {
+        find(plans, plan_id);
+        const id = newId("sub");
+        const subscription = {
+          id,
+          entity: "subscription",
+          plan_id,
+          total_count,
+          paid_count: 0,
+          remaining_count: total_count,
+          status: "created",
+          start_at: start_at ?? now(),
+          charge_at: start_at ?? now(),
+          notes,
+          short_url: `https://rzp.io/i/${id.slice(4)}`,
+          created_at: now(),
+        };
+        subscriptions.set(id, subscription);
+        return subscription;
+      },
+      fetch: async (id) => find(subscriptions, id),
+      cancel: async (id) => {
+        const subscription = find(subscriptions, id);
+        subscription.status = "cancelled";
+        subscription.ended_at = now();
+        return subscription;
+      },
+    },
+
+    // Captures a payment against an order, returning it with the checkout
+    // signature /payments/verify expects
+    simulateOrderPayment(orderId) {
+      const order = find(orders, orderId);
+      const payment = createPayment({
+        amount: order.amount,
+        currency: order.currency,
+        order_id: order.id,
+      });
+
+      order.status = "paid";
+      order.amount_paid = order.amount;
+      order.amount_due = 0;
+
+      const signature = createHmac(
+        "sha256",
+        process.env.RAZORPAY_KEY_SECRET || ""
+      )
+        .update(`${order.id}|${payment.id}`)
+        .digest("hex");
+
+      return { payment, signature };
+    },
+
+    // Marks the mandate as authorised, as the seller would at short_url
+    simulateSubscriptionAuthorised(subscriptionId) {
+      const subscription = find(subscriptions, subscriptionId);
+      subscription.status = "active";
+      return { subscription };
+    },
+
+    // Runs one billing cycle. A failed charge leaves the subscription
+    // pending; after `maxRetries` failures Razorpay halts it.
+    simulateSubscriptionCharge(
+      subscriptionId,
+      { fail = false, maxRetries = 3 } = {}
+    ) {
+      const subscription = find(subscriptions, subscriptionId);
+      const plan = find(plans, subscription.plan_id);
+
+      if (fail) {
+        subscription.failed_attempts = (subscription.failed_attempts || 0) + 1;
+        subscription.status =
+          subscription.failed_attempts > maxRetries ? "halted" : "pending";
+        return { subscription };
+      }
+
+      const payment = createPayment({
+        amount: plan.item.amount,
+        currency: plan.item.currency,
+        order_id: newId("order"),
+        invoice_id: newId("inv"),
+      });
+
+      subscription.status = "active";
+      subscription.failed_attempts = 0;
+      subscription.paid_count += 1;
+      subscription.remaining_count -= 1;
+      const periodDays = plan.period === "weekly" ? 7 : 1;
+      subscription.charge_at += plan.interval * periodDays * 86400;
+
+      if (subscription.remaining_count === 0) {
+        subscription.status = "completed";
+      }
+
+      return { subscription, payment };
+    },
+  };
+}
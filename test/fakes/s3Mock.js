@@ -0,0 +1,32 @@
+import { DeleteObjectCommand, PutObjectCommand } from "@aws-sdk/client-s3";
+
+// In-memory stand-in for the S3Client in src/utils/upload.js, for tests:
+// pass it to setS3Client. Uploaded objects are kept in `objects` by key, so a
+// test can check what was stored or deleted.
+export function createS3Mock() {
+  const objects = new Map();
+
+  return {
+    objects,
+
+    send: async (command) => {
+      const { Bucket, Key, Body, ContentType } = command.input;
+
+      if (command instanceof PutObjectCommand) {
+        objects.set(Key, {
+          bucket: Bucket,
+          body: Body,
+          contentType: ContentType,
+        });
+        return { ETag: `"${Key}"` };
+      }
+
+      if (command instanceof DeleteObjectCommand) {
+        objects.delete(Key);
+        return {};
+      }
+
+      throw new Error(`${command.constructor.name} is not supported`);
+    },
+  };
+}
@@ -0,0 +1,30 @@
+-- Rows every integration test database starts with, loaded by
+-- test/integration/harness.js after the migrations. Every password is
+-- "password123".
+
+INSERT INTO "Admin" (id, name, email, password, permissions, "createdAt", "updatedAt") VALUES
+  ('1', 'admin', 'admin@gmail.com', '$2b$10$2a1hcnFaJRfpBd.PKYdI3e/Sc1Ew0SoYrmpwUZ7O4Lv3Tij2NGmmW', '{SUPER}', NOW(), NOW());
+
+INSERT INTO "Category" (id, name, "createdAt", "updatedAt") VALUES
+  ('1', 'Business', NOW(), NOW());
+
+INSERT INTO "City" (id, name, "createdAt", "updatedAt") VALUES
+  ('1', 'Los Angeles', NOW(), NOW()),
+  ('2', 'New York', NOW(), NOW());
+
+INSERT INTO "SubscriptionPlan" (id, name, description, "durationDays", "promotionDays", "tierType", "isActive", "adminId", price, "createdAt", "updatedAt") VALUES
+  ('1', 'Free', 'Basic listing with essential features', 30, 0, 'FREE', true, '1', 0, NOW(), NOW()),
+  ('2', 'Premium', 'Enhanced visibility with promotion and extended duration', 60, 7, 'PREMIUM', true, '1', 8.5, NOW(), NOW()),
+  ('3', 'Premium+', 'Maximum visibility with extended promotion and longest duration', 120, 30, 'PREMIUM_PLUS', true, '1', 150, NOW(), NOW());
+
+INSERT INTO "User" (id, email, password, "firstName", "lastName", phone, city, "emailVerifiedAt", "createdAt", "updatedAt") VALUES
+  (1, 'user@gmail.com', '$2b$10$2a1hcnFaJRfpBd.PKYdI3e/Sc1Ew0SoYrmpwUZ7O4Lv3Tij2NGmmW', 'User', 'Test', '1234567890', 'Los Angeles', NOW(), NOW(), NOW()),
+  (2, 'reviewer@gmail.com', '$2b$10$2a1hcnFaJRfpBd.PKYdI3e/Sc1Ew0SoYrmpwUZ7O4Lv3Tij2NGmmW', 'Review', 'Writer', '1234567891', 'New York', NOW(), NOW(), NOW());
+
+INSERT INTO "Listing" (id, title, description, slug, type, price, negotiable, tags, highlights, "businessHours", phone, website, status, "listingTier", "cityId", "categoryId", "userId", "businessCategory", "establishedYear", "serviceArea", "teamSize", "reviewCount", "expiresAt", "isBannerEnabled", "subscriptionId", "createdAt", "updatedAt") VALUES
+  (1, 'Listing 1', 'Minimum 50 characters, maximum 2000 characters.', 'listing-1', 'PROFESSIONAL', 1250, false, '{tags}', '{}', '{"sunday": {"open": "", "close": ""}, "saturday": {"open": "10:00 AM", "close": "4:00 PM"}, "weekdays": {"open": "9:00 AM", "close": "6:00 PM"}}', '9876543210', NULL, 'APPROVED', 'PREMIUM_PLUS', '1', '1', 1, NULL, NULL, NULL, NULL, 0, NOW() + INTERVAL '120 days', true, '3', NOW(), NOW()),
+  (2, 'Listing 2', 'Lorem ipsum dolor sit amet, consectetur adipiscing elit.', 'listing-2', 'PROFESSIONAL', 10000, true, '{seller}', '{"Free consultation","10+ years experience"}', '{"sunday": {"open": "", "close": ""}, "saturday": {"open": "10:00 AM", "close": "4:00 PM"}, "weekdays": {"open": "9:00 AM", "close": "6:00 PM"}}', '9876503214', 'https://vyapaar-frontend.vercel.app/', 'APPROVED', 'PREMIUM', '2', '1', 1, 'Retail', 2016, '25 KM', '2-5', 0, NOW() + INTERVAL '60 days', true, '2', NOW(), NOW());
+
+-- The rows above take their ids explicitly, so move the sequences past them
+SELECT setval(pg_get_serial_sequence('"User"', 'id'), (SELECT MAX(id) FROM "User"));
+SELECT setval(pg_get_serial_sequence('"Listing"', 'id'), (SELECT MAX(id) FROM "Listing"));
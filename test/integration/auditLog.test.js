@@ -0,0 +1,123 @@
+import { startTestApp } from "./harness.js";
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+
+let app;
+let admin;
+
+before(async () => {
+  app = await startTestApp();
+  admin = await app.signInAdmin();
+});
+
+after(() => app?.close());
+
+// The entries for one record, oldest first
+const entriesFor = (entityType, entityId) =>
+  app.prisma.auditLog.findMany({
+    where: { entityType, entityId: String(entityId) },
+    orderBy: { createdAt: "asc" },
+  });
+
+test("coupon create, update and deactivate record what changed", async () => {
+  const created = await admin.post("/admin/coupons", {
+    code: "launch10",
+    discountType: "PERCENTAGE",
+    discountValue: 10,
+  });
+  assert.equal(created.status, 201);
+  const { id } = created.body;
+
+  await admin.put(`/admin/coupons/${id}`, { discountValue: 15 });
+  await admin.delete(`/admin/coupons/${id}`);
+
+  const entries = await entriesFor("Coupon", id);
+  assert.deepEqual(
+    entries.map((entry) => entry.action),
+    ["coupon.create", "coupon.update", "coupon.deactivate"]
+  );
+  assert.deepEqual(entries[0].changes.discountType, {
+    from: null,
+    to: "PERCENTAGE",
+  });
+  assert.deepEqual(entries[1].changes, { discountValue: { from: 10, to: 15 } });
+  assert.deepEqual(entries[2].changes, { isActive: { from: true, to: false } });
+  // Handlers that audit themselves aren't logged twice by the catch-all
+  assert.equal(
+    await app.prisma.auditLog.count({
+      where: { entityId: id, entityType: null },
+    }),
+    0
+  );
+});
+
+test("a category rename and delete record the name either side", async () => {
+  const created = await admin.post("/admin/categories", { name: "Tutors" });
+  const { id } = created.body;
+
+  const renamed = await admin.put(`/admin/categories/${id}`, {
+    name: "Tuition",
+  });
+  assert.equal(renamed.status, 200);
+  assert.equal((await admin.delete(`/admin/categories/${id}`)).status, 200);
+
+  const [, update, remove] = await entriesFor("Category", id);
+  assert.equal(update.action, "category.update");
+  assert.deepEqual(update.changes, {
+    name: { from: "TUTORS", to: "TUITION" },
+  });
+  assert.equal(remove.action, "category.delete");
+  assert.deepEqual(remove.changes.name, { from: "TUITION", to: null });
+});
+
+test("a banner edit records the fields it changed", async () => {
+  const banner = await app.prisma.middleBanner.create({
+    data: { Image: "https://cdn.test/old.jpg", ListingUrl: "/list/old" },
+  });
+
+  const updated = await admin.put(`/middle-banners/${banner.id}`, {
+    Image: "https://cdn.test/new.jpg",
+  });
+  assert.equal(updated.status, 200);
+
+  const [entry] = await entriesFor("middle-banners", banner.id);
+  assert.equal(entry.action, "banner.update");
+  assert.deepEqual(entry.changes.Image, {
+    from: "https://cdn.test/old.jpg",
+    to: "https://cdn.test/new.jpg",
+  });
+  // ListingUrl wasn't sent, so it's left as it was
+  assert.equal(entry.changes.ListingUrl, undefined);
+});
+
+test("suspending and unlocking a seller record their state either side", async () => {
+  const suspended = await admin.post("/admin/users/1/suspend", {
+    days: 3,
+    reason: "Spam",
+  });
+  assert.equal(suspended.status, 200);
+
+  const user = await app.prisma.user.findUnique({ where: { id: 1 } });
+  await app.prisma.loginThrottle.create({
+    data: {
+      key: `user:${user.email.toLowerCase()}`,
+      failures: 5,
+      lockedUntil: new Date(Date.now() + 60000),
+    },
+  });
+
+  const unlocked = await admin.post("/admin/users/1/unlock", {
+    reason: "Verified by phone",
+  });
+  assert.equal(unlocked.status, 200);
+
+  const entries = await entriesFor("User", 1);
+  const suspend = entries.find((entry) => entry.action === "user.suspend");
+  assert.deepEqual(suspend.changes.status, { from: "ACTIVE", to: "SUSPENDED" });
+
+  const unlock = entries.find((entry) => entry.action === "user.unlock");
+  assert.deepEqual(unlock.changes.failures, { from: 5, to: null });
+  assert.deepEqual(unlock.metadata, { reason: "Verified by phone" });
+
+  await admin.post("/admin/users/1/reinstate", { note: "Test over" });
+});
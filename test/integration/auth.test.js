@@ -0,0 +1,269 @@
+import { SEED_PASSWORD, startTestApp } from "./harness.js";
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+
+let app;
+
+before(async () => {
+  app = await startTestApp();
+});
+
+after(() => app?.close());
+
+const newAccount = (email) => ({
+  firstName: "New",
+  lastName: "Seller",
+  email,
+  password: "s3cret-pass",
+  confirmPassword: "s3cret-pass",
+});
+
+test("registering signs the user in and sends a verification link", async () => {
+  const client = app.client();
+  const email = "new.seller@example.com";
+
+  const registered = await client.post("/register", newAccount(email));
+  assert.equal(registered.status, 201);
+  assert.equal(registered.body.user.email, email);
+  assert.equal(registered.body.user.password, undefined);
+  assert.ok(client.cookies.has("token"));
+  assert.ok(client.cookies.has("refreshToken"));
+
+  const session = await client.get("/check-auth");
+  assert.equal(session.status, 200);
+  assert.equal(session.body.user.userId, registered.body.user.id);
+
+  const message = app.mail.find((sent) => sent.to === email);
+  assert.ok(message, "no verification email was sent");
+  const token = new URL(
+    message.text.match(/https?:\/\/\S+/)[0]
+  ).searchParams.get("token");
+
+  const verified = await client.post("/verify-email", { token });
+  assert.equal(verified.status, 200);
+
+  const user = await app.prisma.user.findUnique({ where: { email } });
+  assert.ok(user.emailVerifiedAt);
+
+  // Links are single-use
+  const reused = await client.post("/verify-email", { token });
+  assert.equal(reused.status, 400);
+});
+
+test("registering an existing email or mismatched passwords fails", async () => {
+  const client = app.client();
+
+  const duplicate = await client.post(
+    "/register",
+    newAccount("user@gmail.com")
+  );
+  assert.equal(duplicate.status, 400);
+  assert.equal(duplicate.body.error.code, "ALREADY_EXISTS");
+
+  for (const path of ["/register", "/auth/register"]) {
+    const mismatched = await client.post(path, {
+      ...newAccount("someone@example.com"),
+      confirmPassword: "something-else",
+    });
+    assert.equal(mismatched.status, 400, path);
+    assert.deepEqual(mismatched.body.error.fields, {
+      confirmPassword: "Does not match the password",
+    });
+  }
+  assert.equal(
+    await app.prisma.user.count({ where: { email: "someone@example.com" } }),
+    0
+  );
+});
+
+test("registering reports each invalid field", async () => {
+  const response = await app.client().post("/register", {
+    email: "not-an-email",
+    firstName: "x".repeat(101),
+  });
+  assert.equal(response.status, 400);
+  assert.deepEqual(response.body.error, {
+    code: "VALIDATION_FAILED",
+    message: "Some fields are invalid",
+    fields: {
+      email: "Must be an email address",
+      firstName: "Must be at most 100 characters",
+      password: "Required",
+    },
+  });
+});
+
+test("login checks the password", async () => {
+  const client = app.client();
+
+  const wrong = await client.post("/login", {
+    email: "user@gmail.com",
+    password: "not-the-password",
+  });
+  assert.equal(wrong.status, 401);
+  assert.equal(wrong.body.error.code, "INVALID_CREDENTIALS");
+  assert.equal(client.cookies.has("token"), false);
+
+  const right = await client.post("/login", {
+    email: "user@gmail.com",
+    password: SEED_PASSWORD,
+  });
+  assert.equal(right.status, 200);
+  assert.equal((await client.get("/check-auth")).status, 200);
+});
+
+test("refresh rotates the refresh token and rejects a replayed one", async () => {
+  const client = await app.signInUser();
+  const original = client.cookies.get("refreshToken");
+
+  const refreshed = await client.post("/refresh");
+  assert.equal(refreshed.status, 200);
+  assert.notEqual(client.cookies.get("refreshToken"), original);
+
+  // A stolen copy of the old token revokes the whole session
+  const thief = app.client();
+  thief.cookies.set("refreshToken", original);
+  await app.prisma.session.updateMany({
+    data: { rotatedAt: new Date(Date.now() - 60 * 1000) },
+  });
+  assert.equal((await thief.post("/refresh")).status, 401);
+  assert.equal((await client.post("/refresh")).status, 401);
+});
+
+test("logout ends the session", async () => {
+  const client = await app.signInUser();
+
+  assert.equal((await client.post("/logout")).status, 200);
+  assert.equal(client.cookies.has("token"), false);
+  assert.equal((await client.get("/check-auth")).status, 401);
+});
+
+test("a revoked session's access token stops working at once", async () => {
+  const laptop = await app.signInUser();
+  const phone = await app.signInUser();
+  assert.equal((await laptop.get("/check-auth")).status, 200);
+
+  // Refresh tokens are `<sessionId>.<secret>`
+  const [laptopSessionId] = laptop.cookies.get("refreshToken").split(".");
+  const sessions = await phone.get("/sessions");
+  assert.ok(sessions.body.some((session) => session.id === laptopSessionId));
+
+  const revoked = await phone.delete(`/sessions/${laptopSessionId}`);
+  assert.equal(revoked.status, 200);
+
+  // Same access token, still well within its lifetime
+  assert.equal((await laptop.get("/check-auth")).status, 401);
+  assert.equal((await phone.get("/check-auth")).status, 200);
+});
+
+test("changing the password signs every other device out", async () => {
+  const client = app.client();
+  await client.post("/register", newAccount("rotating@example.com"));
+  const other = app.client();
+  await other.post("/login", {
+    email: "rotating@example.com",
+    password: "s3cret-pass",
+  });
+  assert.equal((await other.get("/check-auth")).status, 200);
+
+  const changed = await client.put("/profile/password", {
+    currentPassword: "s3cret-pass",
+    newPassword: "n3w-secret-pass",
+  });
+  assert.equal(changed.status, 200);
+
+  assert.equal((await other.get("/check-auth")).status, 401);
+  assert.equal((await client.get("/check-auth")).status, 200);
+});
+
+test("a password change without the new password is refused", async () => {
+  const client = app.client();
+  await client.post("/register", newAccount("forgetful@example.com"));
+
+  const response = await client.put("/profile/password", {
+    currentPassword: "s3cret-pass",
+  });
+  assert.equal(response.status, 400);
+  assert.deepEqual(response.body.error.fields, { newPassword: "Required" });
+});
+
+test("paged lists refuse a page or limit that isn't a number", async () => {
+  const client = await app.signInUser();
+
+  for (const path of ["/wallet?page=abc", "/me/payments?limit=abc"]) {
+    const response = await client.get(path);
+    assert.equal(response.status, 400, path);
+    assert.equal(response.body.error.code, "VALIDATION_FAILED");
+  }
+  assert.equal((await client.get("/wallet?page=2&limit=5")).status, 200);
+});
+
+test("banned users can't sign in", async () => {
+  const client = app.client();
+  await client.post("/register", newAccount("banned@example.com"));
+  await app.prisma.user.update({
+    where: { email: "banned@example.com" },
+    data: { status: "BANNED", statusReason: "Spam" },
+  });
+
+  const login = await client.post("/login", {
+    email: "banned@example.com",
+    password: "s3cret-pass",
+  });
+  assert.equal(login.status, 403);
+  assert.equal(login.body.error.code, "ACCOUNT_BANNED");
+  assert.match(login.body.error.message, /Spam/);
+});
+
+test("Google sign-in creates the account and signs it in", async () => {
+  const client = app.client();
+  const email = "google.seller@example.com";
+
+  const start = await client.get(
+    `/auth/google?returnTo=/dashboard&loginHint=${email}`
+  );
+  assert.equal(start.status, 302);
+
+  // The fake provider approves at once and sends the browser back
+  const approved = await fetch(start.headers.get("location"), {
+    redirect: "manual",
+  });
+  const callback = new URL(approved.headers.get("location"));
+
+  const finished = await client.get(callback.pathname + callback.search);
+  assert.equal(finished.status, 302);
+  assert.equal(
+    finished.headers.get("location"),
+    `${process.env.FRONTEND_URL}/dashboard`
+  );
+  assert.equal((await client.get("/check-auth")).status, 200);
+
+  const user = await app.prisma.user.findUnique({ where: { email } });
+  assert.equal(user.googleSub, `mock-${email}`);
+  assert.ok(user.emailVerifiedAt);
+});
+
+test("admin routes want the admin cookie, not a user's", async () => {
+  const user = await app.signInUser();
+  assert.equal((await user.get("/admin/users")).status, 401);
+
+  const admin = await app.signInAdmin();
+  assert.ok(admin.cookies.has("adminToken"));
+  assert.equal((await admin.get("/admin/users")).status, 200);
+});
+
+test("an admin cookie doesn't change what storefront routes do", async () => {
+  const admin = await app.signInAdmin();
+
+  const categories = await admin.get("/categories");
+  assert.equal(categories.status, 200);
+  assert.ok(categories.body.every((name) => typeof name === "string"));
+
+  // Deleting through the storefront wants the seller's own sign-in
+  assert.equal((await admin.delete("/listings/2")).status, 401);
+  assert.ok(await app.prisma.listing.findUnique({ where: { id: 2 } }));
+
+  const adminCategories = await admin.get("/admin/categories");
+  assert.equal(adminCategories.status, 200);
+  assert.ok(adminCategories.body.every((category) => category.id));
+});
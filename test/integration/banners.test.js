@@ -0,0 +1,204 @@
+import { startTestApp } from "./harness.js";
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+
+// What the fake Google Maps knows. Ramanagara is about 45 km from central
+// Bengaluru and Hosur about 35 km, but Hosur is across the state line.
+const places = [
+  {
+    pincode: "560001",
+    lat: 12.9756,
+    lng: 77.605,
+    city: "Bengaluru",
+    district: "Bangalore Urban",
+    state: "Karnataka",
+  },
+  {
+    pincode: "560066",
+    lat: 12.9698,
+    lng: 77.75,
+    city: "Bengaluru",
+    district: "Bangalore Urban",
+    state: "Karnataka",
+  },
+  {
+    pincode: "562159",
+    lat: 12.7209,
+    lng: 77.2799,
+    city: "Ramanagara",
+    district: "Ramanagara",
+    state: "Karnataka",
+  },
+  {
+    pincode: "570001",
+    lat: 12.3052,
+    lng: 76.6552,
+    city: "Mysuru",
+    district: "Mysuru",
+    state: "Karnataka",
+  },
+  {
+    pincode: "635109",
+    lat: 12.7409,
+    lng: 77.8253,
+    city: "Hosur",
+    district: "Krishnagiri",
+    state: "Tamil Nadu",
+  },
+  {
+    pincode: "600001",
+    lat: 13.0827,
+    lng: 80.2707,
+    city: "Chennai",
+    district: "Chennai",
+    state: "Tamil Nadu",
+  },
+];
+
+// One of each kind of banner the filters tell apart
+const BANNERS = {
+  global: { pincode: 0 },
+  whitefield: { pincode: 560066 },
+  // No pincode; located from the map link alone
+  ramanagara: {
+    locationUrl: "https://www.google.com/maps/@12.7209,77.2799,15z",
+  },
+  mysuru: { pincode: 570001 },
+  hosur: { pincode: 635109 },
+  // Has a pincode Google can't place, so it's never shown by location
+  unplaceable: { pincode: 999999 },
+  anywhere: {},
+  expired: { pincode: 560066, expiresAt: new Date(Date.now() - 1000) },
+  inactive: { pincode: 560066, active: false },
+};
+
+const FEEDS = [
+  { path: "/middle-banners", model: "middleBanner" },
+  { path: "/bottom-banners", model: "bottomBanner" },
+  { path: "/hero-banners", model: "adminBanner" },
+  {
+    path: "/category-banners",
+    model: "categoryBanner",
+    query: "category=Business&",
+    fields: { categoryId: "1" },
+  },
+];
+
+let app;
+// Banner ids by feed path and BANNERS key
+const ids = {};
+
+before(async () => {
+  app = await startTestApp({ places });
+
+  for (const { path, model, fields } of FEEDS) {
+    ids[path] = {};
+    for (const [name, banner] of Object.entries(BANNERS)) {
+      const created = await app.prisma[model].create({
+        data: {
+          Image: `https://cdn.test/${name}.jpg`,
+          ListingUrl: `/list/${name}`,
+          ...banner,
+          ...fields,
+        },
+      });
+      ids[path][name] = created.id;
+    }
+  }
+});
+
+after(() => app?.close());
+
+for (const { path, query = "" } of FEEDS) {
+  const feed = async (params) => {
+    const { status, body } = await app
+      .client()
+      .get(`${path}?${query}${params}`);
+    assert.equal(status, 200);
+    return body;
+  };
+
+  // The BANNERS keys of `banners`, sorted
+  const names = (banners) => {
+    const byId = Object.fromEntries(
+      Object.entries(ids[path]).map(([name, id]) => [id, name])
+    );
+    return banners.map((banner) => byId[banner.id]).sort();
+  };
+
+  test(`${path} shows global banners first, then ones in the area`, async () => {
+    const banners = await feed("location=560001");
+
+    assert.equal(banners[0].id, ids[path].global);
+    assert.equal(banners[0].isGlobal, true);
+    assert.equal(banners[0].subtitle, "Featured Nationwide");
+    assert.equal(banners[0].locationScore, 100);
+    // Whitefield shares the district; Ramanagara is within 55 km in-state
+    assert.deepEqual(names(banners), ["global", "ramanagara", "whitefield"]);
+  });
+
+  test(`${path} ranks a closer area banner higher`, async () => {
+    const banners = await feed("location=560001");
+    const score = (name) =>
+      banners.find((banner) => banner.id === ids[path][name]).locationScore;
+
+    // Same city and within 20 km, against neither
+    assert.ok(score("whitefield") > score("ramanagara"));
+  });
+
+  test(`${path} keeps to the visitor's own area elsewhere`, async () => {
+    assert.deepEqual(names(await feed("location=570001")), [
+      "global",
+      "mysuru",
+    ]);
+    assert.deepEqual(names(await feed("location=635109")), ["global", "hosur"]);
+  });
+
+  test(`${path} falls back to unrestricted banners with nothing nearby`, async () => {
+    // Hosur is the nearest banner to Chennai, but over 200 km away
+    assert.deepEqual(names(await feed("location=600001")), [
+      "anywhere",
+      "global",
+    ]);
+  });
+
+  test(`${path} shows every live banner without a usable location`, async () => {
+    const live = [
+      "anywhere",
+      "global",
+      "hosur",
+      "mysuru",
+      "ramanagara",
+      "unplaceable",
+      "whitefield",
+    ];
+
+    assert.deepEqual(names(await feed("")), live);
+    // Google can't place 110000 either
+    assert.deepEqual(names(await feed("location=110000")), live);
+  });
+
+  test(`${path} returns at most \`limit\` banners`, async () => {
+    const banners = await feed("location=560001&limit=2");
+
+    assert.equal(banners.length, 2);
+    assert.equal(banners[0].id, ids[path].global);
+  });
+}
+
+test("/category-banners only shows banners of the asked category", async () => {
+  const other = await app.prisma.category.create({ data: { name: "Food" } });
+  const banner = await app.prisma.categoryBanner.create({
+    data: { pincode: 0, categoryId: other.id },
+  });
+
+  const food = await app.client().get("/category-banners?category=Food");
+  assert.deepEqual(
+    food.body.map((entry) => entry.id),
+    [banner.id]
+  );
+  assert.equal(food.body[0].categoryName, "Food");
+
+  const unknown = await app.client().get("/category-banners?category=Nope");
+  assert.deepEqual(unknown.body, []);
+});
@@ -0,0 +1,174 @@
+import { databaseName } from "./env.js";
+import { execFileSync } from "child_process";
+import { once } from "events";
+import { fileURLToPath } from "url";
+import { PrismaClient } from "@prisma/client";
+import { createApp } from "../../src/app.js";
+import prisma from "../../src/utils/prisma.js";
+import { setMailTransport } from "../../src/utils/mailer.js";
+import { setRazorpayClient } from "../../src/utils/razorpay.js";
+import { setS3Client } from "../../src/utils/upload.js";
+import { createMockMaps } from "../fakes/mapsMock.js";
+import { createMockIdp } from "../fakes/oidcMock.js";
+import { createRazorpayMock } from "../fakes/razorpayMock.js";
+import { createS3Mock } from "../fakes/s3Mock.js";
+
+// Boots the app in-process against a database of its own, with S3,
+// Razorpay, Google Maps, Google sign-in and mail replaced by fakes. A test file calls
+// startTestApp() once in before() and close() in after(). Run with
+//
+//   TEST_DATABASE_URL=postgresql://... npm run test:integration
+//
+// where the URL's user may create databases; the rest of the URL is reused
+// for each file's throwaway database.
+
+const projectRoot = fileURLToPath(new URL("../..", import.meta.url));
+const seedFile = fileURLToPath(
+  new URL("../fixtures/seed.sql", import.meta.url)
+);
+
+// Accounts in test/fixtures/seed.sql; every seeded password is this one
+export const SEED_PASSWORD = "password123";
+export const SEED_USER_EMAIL = "user@gmail.com";
+export const SEED_ADMIN_EMAIL = "admin@gmail.com";
+
+const prismaCli = (...args) =>
+  execFileSync("npx", ["prisma", ...args], {
+    cwd: projectRoot,
+    env: process.env,
+    stdio: "pipe",
+  });
+
+// A fetch wrapper that keeps cookies between requests, like a browser.
+// Bodies are sent as JSON, or as multipart when given a FormData.
+// Redirects are returned rather than followed.
+// Requests resolve with { status, body, headers }; body is parsed JSON
+// when the response is JSON.
+export function createClient(baseUrl) {
+  const cookies = new Map();
+
+  const request = async (method, path, body) => {
+    const isForm = body instanceof FormData;
+    const headers = {};
+    if (body !== undefined && !isForm) {
+      headers["content-type"] = "application/json";
+    }
+    if (cookies.size > 0) {
+      headers.cookie = [...cookies]
+        .map(([name, value]) => `${name}=${value}`)
+        .join("; ");
+    }
+
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers,
+      body: body === undefined || isForm ? body : JSON.stringify(body),
+      redirect: "manual",
+    });
+
+    // res.clearCookie() sends an empty value
+    for (const header of response.headers.getSetCookie()) {
+      const [pair] = header.split(";");
+      const separator = pair.indexOf("=");
+      const name = pair.slice(0, separator);
+      const value = pair.slice(separator + 1);
+      if (value) cookies.set(name, value);
+      else cookies.delete(name);
+    }
+
+    const text = await response.text();
+    const isJson = response.headers
+      .get("content-type")
+      ?.includes("application/json");
+
+    return {
+      status: response.status,
+      body: isJson && text ? JSON.parse(text) : text,
+      headers: response.headers,
+    };
+  };
+
+  return {
+    cookies,
+    get: (path) => request("GET", path),
+    post: (path, body = {}) => request("POST", path, body),
+    put: (path, body = {}) => request("PUT", path, body),
+    delete: (path) => request("DELETE", path),
+  };
+}
+
+// Creates and fills the test database, starts the fakes and the app.
+// `places` are the only places the fake Google Maps knows, see
+// test/fakes/mapsMock.js.
+export async function startTestApp({ places = [] } = {}) {
+  const server = new PrismaClient({
+    datasourceUrl: process.env.TEST_DATABASE_URL,
+  });
+  await server.$executeRawUnsafe(`CREATE DATABASE "${databaseName}"`);
+
+  prismaCli("migrate", "deploy");
+  prismaCli(
+    "db",
+    "execute",
+    "--file",
+    seedFile,
+    "--url",
+    process.env.DATABASE_URL
+  );
+
+  const maps = await createMockMaps({ places }).listen();
+  process.env.GOOGLE_MAPS_API_URL = maps.url;
+
+  const razorpay = createRazorpayMock();
+  setRazorpayClient(razorpay);
+
+  const s3 = createS3Mock();
+  setS3Client(s3);
+
+  const idp = await createMockIdp().listen();
+  process.env.GOOGLE_ISSUER = idp.issuer;
+
+  const mail = [];
+  setMailTransport({ send: async (message) => mail.push(message) });
+
+  const httpServer = createApp().listen(0, "127.0.0.1");
+  await once(httpServer, "listening");
+  const baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+  process.env.GOOGLE_REDIRECT_URI = `${baseUrl}/auth/google/callback`;
+
+  const signIn = async (path, email) => {
+    const client = createClient(baseUrl);
+    const { status, body } = await client.post(path, {
+      email,
+      password: SEED_PASSWORD,
+    });
+    if (status !== 200) {
+      throw new Error(`Sign-in as ${email} failed: ${JSON.stringify(body)}`);
+    }
+    return client;
+  };
+
+  return {
+    baseUrl,
+    prisma,
+    razorpay,
+    s3,
+    mail,
+    client: () => createClient(baseUrl),
+    // Clients with the seeded user's or admin's cookies
+    signInUser: (email = SEED_USER_EMAIL) => signIn("/login", email),
+    signInAdmin: (email = SEED_ADMIN_EMAIL) => signIn("/admin/login", email),
+
+    async close() {
+      httpServer.closeAllConnections();
+      httpServer.close();
+      maps.server.close();
+      idp.server.close();
+      await prisma.$disconnect();
+      await server.$executeRawUnsafe(
+        `DROP DATABASE IF EXISTS "${databaseName}" WITH (FORCE)`
+      );
+      await server.$disconnect();
+    },
+  };
+}
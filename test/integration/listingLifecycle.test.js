@@ -0,0 +1,306 @@
+import { startTestApp } from "./harness.js";
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { expireListings } from "../../src/utils/listingExpiry.js";
+import { applyRenewalCharge } from "../../src/utils/renewals.js";
+
+const DAY_MS = 86400000;
+
+let app;
+
+before(async () => {
+  app = await startTestApp();
+});
+
+after(() => app?.close());
+
+const listingBody = (fields) => ({
+  title: "Corner Bakery",
+  description: "Fresh bread and cakes baked every morning.",
+  category: "Business",
+  city: "Los Angeles",
+  pincode: "560001",
+  ...fields,
+});
+
+async function uploadPhoto(client) {
+  const form = new FormData();
+  form.append(
+    "photos",
+    new Blob([Buffer.from("not really a png")], { type: "image/png" }),
+    "storefront.png"
+  );
+  form.append("photoTypes[0]", "featured");
+
+  const uploaded = await client.post("/upload", form);
+  assert.equal(uploaded.status, 200);
+  return uploaded.body.urls[0];
+}
+
+// Roughly `days` from now, allowing for the time the test takes
+const assertDaysAhead = (date, days) =>
+  assert.ok(
+    Math.abs(new Date(date).getTime() - (Date.now() + days * DAY_MS)) < 60000,
+    `${date} is not ${days} days from now`
+  );
+
+test("a premium listing is paid for, approved and later expires", async () => {
+  const seller = await app.signInUser();
+  const admin = await app.signInAdmin();
+
+  const photo = await uploadPhoto(seller);
+  assert.match(photo.url, /^https:\/\/cdn\.test\//);
+  assert.ok(app.s3.objects.has(photo.key), "the photo never reached S3");
+
+  const created = await seller.post(
+    "/listings",
+    listingBody({ listingTier: "PREMIUM", photos: [{ url: photo.url }] })
+  );
+  assert.equal(created.status, 201);
+  assert.equal(created.body.requiresPayment, true);
+  const { id: listingId, slug } = created.body.listing;
+  assert.equal(slug, "corner-bakery");
+  assert.equal(created.body.listing.status, "PENDING_PAYMENT");
+  assert.equal(created.body.listing.isBannerEnabled, false);
+  assert.equal(await app.prisma.promotion.count({ where: { listingId } }), 0);
+
+  const checkout = await seller.post("/payments/create-order", {
+    listingId,
+    subscriptionId: "2",
+  });
+  assert.equal(checkout.status, 200);
+  assert.equal(checkout.body.order.amount, 850);
+
+  // The buyer pays on Razorpay's checkout, which hands back a signature
+  const { payment, signature } = app.razorpay.simulateOrderPayment(
+    checkout.body.order.id
+  );
+  const verified = await seller.post("/payments/verify", {
+    razorpay_order_id: checkout.body.order.id,
+    razorpay_payment_id: payment.id,
+    razorpay_signature: signature,
+  });
+  assert.equal(verified.status, 200);
+  assert.equal(verified.body.listingId, listingId);
+
+  let listing = await app.prisma.listing.findUnique({
+    where: { id: listingId },
+    include: { Payment: true, images: true, promotions: true },
+  });
+  assert.equal(listing.status, "PENDING_APPROVAL");
+  assert.equal(listing.listingTier, "PREMIUM");
+  assert.equal(listing.subscriptionId, "2");
+  assertDaysAhead(listing.expiresAt, 60);
+  assert.equal(listing.Payment.length, 1);
+  assert.equal(listing.Payment[0].status, "COMPLETED");
+  assert.equal(Number(listing.Payment[0].amount), 8.5);
+  // The plan's week of promotion comes with the payment, not before it
+  assert.equal(listing.isBannerEnabled, true);
+  assert.equal(listing.promotions.length, 1);
+  assert.equal(listing.promotions[0].paymentId, listing.Payment[0].id);
+  assert.deepEqual(
+    listing.images.map((image) => image.url),
+    [photo.url]
+  );
+
+  // Checkout retries the verify call; the payment is only applied once
+  const retried = await seller.post("/payments/verify", {
+    razorpay_order_id: checkout.body.order.id,
+    razorpay_payment_id: payment.id,
+    razorpay_signature: signature,
+  });
+  assert.equal(retried.status, 200);
+  assert.equal(await app.prisma.payment.count({ where: { listingId } }), 1);
+
+  const approved = await admin.put(`/admin/listings/${listingId}/approve`, {
+    comments: "Looks good",
+  });
+  assert.equal(approved.status, 200);
+  assert.equal(approved.body.status, "APPROVED");
+
+  const approval = await app.prisma.adminApproval.findUnique({
+    where: { listingId },
+  });
+  assert.equal(approval.status, "APPROVED");
+  assert.equal(approval.comments, "Looks good");
+
+  // Nothing is due yet
+  assert.equal(await expireListings(), 0);
+
+  await app.prisma.listing.update({
+    where: { id: listingId },
+    data: { expiresAt: new Date(Date.now() - 1000) },
+  });
+  assert.equal(await expireListings(), 1);
+
+  listing = await app.prisma.listing.findUnique({
+    where: { id: listingId },
+    include: { promotions: true },
+  });
+  assert.equal(listing.status, "EXPIRED");
+  assert.equal(listing.isBannerEnabled, false);
+  assert.ok(listing.promotions.length > 0);
+  assert.ok(
+    listing.promotions.every((promotion) => !promotion.isActive),
+    "promotions outlived the listing"
+  );
+
+  const notice = await app.prisma.notification.findFirst({
+    where: { listingId, type: "LISTING_EXPIRED" },
+  });
+  assert.equal(notice.userId, 1);
+
+  // Running the job again doesn't touch it
+  assert.equal(await expireListings(), 0);
+});
+
+test("a free listing skips payment and waits for an admin", async () => {
+  const seller = await app.signInUser();
+
+  const created = await seller.post(
+    "/listings",
+    listingBody({ title: "Free Tutoring", listingTier: "FREE" })
+  );
+  assert.equal(created.status, 201);
+  assert.equal(created.body.requiresPayment, false);
+  assert.equal(created.body.listing.status, "PENDING_APPROVAL");
+  assertDaysAhead(created.body.listing.expiresAt, 30);
+
+  const approval = await app.prisma.adminApproval.findUnique({
+    where: { listingId: created.body.listing.id },
+  });
+  assert.equal(approval.status, "PENDING_APPROVAL");
+});
+
+test("auto-renewal waits until the listing is paid for", async () => {
+  const seller = await app.signInUser();
+
+  const created = await seller.post(
+    "/listings",
+    listingBody({ title: "Night Market", listingTier: "PREMIUM" })
+  );
+  const listingId = created.body.listing.id;
+  assert.equal(created.body.listing.status, "PENDING_PAYMENT");
+  // Already on a paid plan, so only the status stands in the way
+  await app.prisma.listing.update({
+    where: { id: listingId },
+    data: { subscription: { connect: { id: "2" } } },
+  });
+
+  const renewal = await seller.post("/profile/renewals", { listingId });
+  assert.equal(renewal.status, 400);
+  assert.equal(
+    await app.prisma.renewalMandate.count({ where: { listingId } }),
+    0
+  );
+});
+
+test("auto-renewal bills by the plan's period and stops on a refund", async () => {
+  const seller = await app.signInUser();
+  const admin = await app.signInAdmin();
+
+  // Listing 2 is on the 60-day Premium plan
+  const renewal = await seller.post("/profile/renewals", { listingId: 2 });
+  assert.equal(renewal.status, 201);
+  const subscription = await app.razorpay.subscriptions.fetch(
+    renewal.body.subscriptionId
+  );
+  const plan = await app.razorpay.plans.fetch(subscription.plan_id);
+  assert.equal(plan.period, "daily");
+  assert.equal(plan.interval, 60);
+
+  const charge = app.razorpay.simulateSubscriptionCharge(subscription.id);
+  const { payment } = await applyRenewalCharge(
+    charge.subscription,
+    charge.payment
+  );
+  const refunded = await admin.post(`/admin/payments/${payment.id}/refund`, {
+    reason: "Did not mean to renew",
+  });
+  assert.equal(refunded.status, 200);
+
+  const mandate = await app.prisma.renewalMandate.findUnique({
+    where: { listingId: 2 },
+  });
+  assert.equal(mandate.status, "CANCELLED");
+  assert.equal(subscription.status, "cancelled");
+});
+
+test("plans shorter than a week can't auto-renew", async () => {
+  const seller = await app.signInUser();
+  const plan = await app.prisma.subscriptionPlan.create({
+    data: {
+      name: "Weekend",
+      description: "Two days at the top",
+      durationDays: 2,
+      promotionDays: 0,
+      tierType: "PREMIUM",
+      adminId: "1",
+      price: 20,
+    },
+  });
+  await app.prisma.listing.update({
+    where: { id: 1 },
+    data: { subscriptionId: plan.id },
+  });
+
+  const renewal = await seller.post("/profile/renewals", { listingId: 1 });
+  assert.equal(renewal.status, 400);
+  assert.match(renewal.body.error.message, /at least 7 days/);
+  assert.equal(
+    await app.prisma.renewalMandate.count({ where: { listingId: 1 } }),
+    0
+  );
+
+  await app.prisma.listing.update({
+    where: { id: 1 },
+    data: { subscriptionId: "3" },
+  });
+});
+
+test("listings are validated before anything is stored", async () => {
+  const seller = await app.signInUser();
+  const before = await app.prisma.listing.count();
+
+  const invalid = await seller.post(
+    "/listings",
+    listingBody({ title: "", pincode: "12345", city: "Atlantis" })
+  );
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.error.code, "VALIDATION_FAILED");
+  assert.ok(invalid.body.error.fields.title);
+  assert.ok(invalid.body.error.fields.pincode);
+
+  const unknownCity = await seller.post(
+    "/listings",
+    listingBody({ city: "Atlantis" })
+  );
+  assert.equal(unknownCity.status, 400);
+  assert.equal(unknownCity.body.error.fields.city, "Unknown city");
+
+  assert.equal(await app.prisma.listing.count(), before);
+});
+
+test("only the owner can check out a listing", async () => {
+  const stranger = await app.signInUser("reviewer@gmail.com");
+
+  const checkout = await stranger.post("/payments/create-order", {
+    listingId: 1,
+    subscriptionId: "2",
+  });
+  assert.equal(checkout.status, 404);
+});
+
+test("uploads only take images", async () => {
+  const seller = await app.signInUser();
+  const form = new FormData();
+  form.append(
+    "photos",
+    new Blob(["#!/bin/sh"], { type: "text/x-shellscript" }),
+    "run.sh"
+  );
+
+  const uploaded = await seller.post("/upload", form);
+  assert.equal(uploaded.status, 400);
+  assert.equal(uploaded.body.error.code, "UNSUPPORTED_FILE_TYPE");
+});
@@ -0,0 +1,243 @@
+import { startTestApp } from "./harness.js";
+import assert from "node:assert/strict";
+import { createHmac } from "crypto";
+import { after, before, test } from "node:test";
+import { verifyPaymentSignature } from "../../src/utils/razorpay.js";
+
+let app;
+let seller;
+
+before(async () => {
+  app = await startTestApp();
+  seller = await app.signInUser();
+});
+
+after(() => app?.close());
+
+const sign = (secret, data) =>
+  createHmac("sha256", secret).update(data).digest("hex");
+
+let listingCount = 0;
+
+// A new premium listing with a Razorpay order open for it
+async function openCheckout() {
+  listingCount += 1;
+  const created = await seller.post("/listings", {
+    title: `Signed listing ${listingCount}`,
+    description: "A listing that is waiting to be paid for.",
+    category: "Business",
+    city: "New York",
+    listingTier: "PREMIUM",
+  });
+  assert.equal(created.status, 201);
+
+  const checkout = await seller.post("/payments/create-order", {
+    listingId: created.body.listing.id,
+    subscriptionId: "2",
+  });
+  assert.equal(checkout.status, 200);
+
+  return { listingId: created.body.listing.id, order: checkout.body.order };
+}
+
+const listingState = async (listingId) => {
+  const listing = await app.prisma.listing.findUnique({
+    where: { id: listingId },
+    include: { Payment: true },
+  });
+  return { status: listing.status, payments: listing.Payment.length };
+};
+
+// Razorpay signs the exact bytes it sends, so tests post raw strings
+const postWebhook = (rawBody, signature) =>
+  fetch(`${app.baseUrl}/payments/webhook`, {
+    method: "POST",
+    headers: {
+      "content-type": "application/json",
+      ...(signature && { "x-razorpay-signature": signature }),
+    },
+    body: rawBody,
+  });
+
+const orderPaidEvent = (order, payment) =>
+  JSON.stringify({
+    event: "order.paid",
+    payload: { payment: { entity: payment }, order: { entity: order } },
+  });
+
+test("checkout signatures are an HMAC of order|payment with the key secret", () => {
+  const secret = process.env.RAZORPAY_KEY_SECRET;
+  const signature = sign(secret, "order_abc|pay_xyz");
+
+  assert.equal(verifyPaymentSignature("order_abc", "pay_xyz", signature), true);
+  assert.equal(
+    verifyPaymentSignature("order_abc", "pay_other", signature),
+    false
+  );
+  assert.equal(
+    verifyPaymentSignature("order_other", "pay_xyz", signature),
+    false
+  );
+  assert.equal(
+    verifyPaymentSignature(
+      "order_abc",
+      "pay_xyz",
+      sign("wrong", "order_abc|pay_xyz")
+    ),
+    false
+  );
+  assert.equal(
+    verifyPaymentSignature("order_abc", "pay_xyz", undefined),
+    false
+  );
+  assert.equal(verifyPaymentSignature("order_abc", "pay_xyz", ""), false);
+});
+
+test("/payments/verify rejects a forged or mismatched signature", async () => {
+  const { listingId, order } = await openCheckout();
+  const { payment, signature } = app.razorpay.simulateOrderPayment(order.id);
+
+  const attempts = [
+    // Made up without the secret
+    sign("guessed-secret", `${order.id}|${payment.id}`),
+    // Genuine, but for another payment
+    sign(process.env.RAZORPAY_KEY_SECRET, `${order.id}|pay_someoneelse`),
+    signature.toUpperCase(),
+    signature.slice(0, -1),
+  ];
+
+  for (const forged of attempts) {
+    const response = await seller.post("/payments/verify", {
+      razorpay_order_id: order.id,
+      razorpay_payment_id: payment.id,
+      razorpay_signature: forged,
+    });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.code, "INVALID_SIGNATURE");
+  }
+
+  assert.deepEqual(await listingState(listingId), {
+    status: "PENDING_PAYMENT",
+    payments: 0,
+  });
+
+  // The genuine one still goes through afterwards
+  const genuine = await seller.post("/payments/verify", {
+    razorpay_order_id: order.id,
+    razorpay_payment_id: payment.id,
+    razorpay_signature: signature,
+  });
+  assert.equal(genuine.status, 200);
+  assert.deepEqual(await listingState(listingId), {
+    status: "PENDING_APPROVAL",
+    payments: 1,
+  });
+});
+
+test("/payments/verify won't apply another user's order", async () => {
+  const { listingId, order } = await openCheckout();
+  const { payment, signature } = app.razorpay.simulateOrderPayment(order.id);
+  const stranger = await app.signInUser("reviewer@gmail.com");
+
+  const response = await stranger.post("/payments/verify", {
+    razorpay_order_id: order.id,
+    razorpay_payment_id: payment.id,
+    razorpay_signature: signature,
+  });
+  assert.equal(response.status, 404);
+  assert.deepEqual(await listingState(listingId), {
+    status: "PENDING_PAYMENT",
+    payments: 0,
+  });
+});
+
+test("a signed order.paid webhook completes the purchase once", async () => {
+  const { listingId, order } = await openCheckout();
+  const { payment } = app.razorpay.simulateOrderPayment(order.id);
+  const rawBody = orderPaidEvent(order, payment);
+  const signature = sign(process.env.RAZORPAY_WEBHOOK_SECRET, rawBody);
+
+  const delivered = await postWebhook(rawBody, signature);
+  assert.equal(delivered.status, 200);
+  assert.deepEqual(await delivered.json(), { received: true });
+  assert.deepEqual(await listingState(listingId), {
+    status: "PENDING_APPROVAL",
+    payments: 1,
+  });
+
+  // Razorpay redelivers; nothing is applied twice
+  assert.equal((await postWebhook(rawBody, signature)).status, 200);
+  assert.deepEqual(await listingState(listingId), {
+    status: "PENDING_APPROVAL",
+    payments: 1,
+  });
+
+  const paymentOrder = await app.prisma.paymentOrder.findUnique({
+    where: { razorpayOrderId: order.id },
+  });
+  assert.equal(paymentOrder.status, "PAID");
+});
+
+test("webhooks with a missing or wrong signature are refused", async () => {
+  const { listingId, order } = await openCheckout();
+  const { payment } = app.razorpay.simulateOrderPayment(order.id);
+  const rawBody = orderPaidEvent(order, payment);
+  const signature = sign(process.env.RAZORPAY_WEBHOOK_SECRET, rawBody);
+
+  const refused = [
+    await postWebhook(rawBody),
+    await postWebhook(rawBody, sign("not-the-secret", rawBody)),
+    // Signed with the checkout key instead of the webhook secret
+    await postWebhook(rawBody, sign(process.env.RAZORPAY_KEY_SECRET, rawBody)),
+    // Same JSON, different bytes: the signature covers the raw body
+    await postWebhook(JSON.stringify(JSON.parse(rawBody), null, 2), signature),
+  ];
+
+  for (const response of refused) {
+    assert.equal(response.status, 400);
+  }
+  assert.deepEqual(await listingState(listingId), {
+    status: "PENDING_PAYMENT",
+    payments: 0,
+  });
+});
+
+test("signed webhooks for events the API doesn't handle are acknowledged", async () => {
+  const rawBody = JSON.stringify({ event: "invoice.paid", payload: {} });
+  const response = await postWebhook(
+    rawBody,
+    sign(process.env.RAZORPAY_WEBHOOK_SECRET, rawBody)
+  );
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { received: true, ignored: true });
+});
+
+test("signed webhooks missing the entities they need are acknowledged", async () => {
+  const { listingId } = await openCheckout();
+  const events = [
+    { event: "order.paid", payload: {} },
+    { event: "payment.failed", payload: { payment: {} } },
+    { event: "refund.processed", payload: { refund: { entity: null } } },
+    {
+      event: "subscription.charged",
+      payload: { subscription: { entity: {} } },
+    },
+    { event: "order.paid" },
+  ];
+
+  for (const body of events) {
+    const rawBody = JSON.stringify(body);
+    const response = await postWebhook(
+      rawBody,
+      sign(process.env.RAZORPAY_WEBHOOK_SECRET, rawBody)
+    );
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { received: true, ignored: true });
+  }
+
+  assert.deepEqual(await listingState(listingId), {
+    status: "PENDING_PAYMENT",
+    payments: 0,
+  });
+});
@@ -0,0 +1,93 @@
+import { startTestApp } from "./harness.js";
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+
+const DAY_MS = 86400000;
+
+let app;
+let seller;
+const packages = {};
+
+before(async () => {
+  app = await startTestApp();
+  seller = await app.signInUser();
+
+  for (const placement of ["HERO_BANNER", "TOP_OF_CATEGORY"]) {
+    packages[placement] = await app.prisma.promotionPackage.create({
+      data: { name: placement, placement, durationDays: 7, price: 99 },
+    });
+  }
+
+  // Listing 1 is the newer of the two
+  await app.prisma.listing.update({
+    where: { id: 2 },
+    data: { createdAt: new Date(Date.now() - DAY_MS) },
+  });
+});
+
+after(() => app?.close());
+
+test("a FREE listing can't buy a banner placement", async () => {
+  await app.prisma.listing.update({
+    where: { id: 2 },
+    data: { listingTier: "FREE" },
+  });
+  const orders = await app.prisma.paymentOrder.count();
+
+  const banner = await seller.post("/listings/2/promote", {
+    packageId: packages.HERO_BANNER.id,
+  });
+  assert.equal(banner.status, 400);
+  assert.deepEqual(banner.body.error.fields, {
+    packageId: "Banner placements need a paid listing plan",
+  });
+  assert.equal(await app.prisma.paymentOrder.count(), orders);
+
+  const top = await seller.post("/listings/2/promote", {
+    packageId: packages.TOP_OF_CATEGORY.id,
+  });
+  assert.equal(top.status, 201);
+  assert.equal(await app.prisma.paymentOrder.count(), orders + 1);
+
+  await app.prisma.listing.update({
+    where: { id: 2 },
+    data: { listingTier: "PREMIUM" },
+  });
+});
+
+test("TOP_OF_CATEGORY lists the listing first on its category's pages", async () => {
+  const client = app.client();
+  const page = async (query) =>
+    (await client.get(`/listing/professional?${query}`)).body.listings.map(
+      (listing) => listing.id
+    );
+
+  assert.deepEqual(await page("category=Business"), [1, 2]);
+
+  const promotion = await app.prisma.promotion.create({
+    data: {
+      listingId: 2,
+      packageId: packages.TOP_OF_CATEGORY.id,
+      placement: "TOP_OF_CATEGORY",
+      price: 99,
+      startDate: new Date(),
+      durationDays: 7,
+    },
+  });
+
+  assert.deepEqual(await page("category=Business"), [2, 1]);
+  assert.deepEqual(await page("category=Business&limit=1&page=1"), [2]);
+  assert.deepEqual(await page("category=Business&limit=1&page=2"), [1]);
+  // Without a category it's newest first as before
+  assert.deepEqual(await page(""), [1, 2]);
+
+  const search = await client.post("/search", {
+    filters: { category: "1" },
+  });
+  assert.deepEqual(
+    search.body.map((listing) => listing.id),
+    [2, 1]
+  );
+
+  await app.prisma.promotion.delete({ where: { id: promotion.id } });
+});
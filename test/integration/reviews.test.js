@@ -0,0 +1,148 @@
+import { startTestApp } from "./harness.js";
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { forgetAccountStatus } from "../../src/utils/accountStatus.js";
+
+let app;
+let owner;
+let reviewer;
+let third;
+
+before(async () => {
+  app = await startTestApp();
+  owner = await app.signInUser();
+  reviewer = await app.signInUser("reviewer@gmail.com");
+
+  third = app.client();
+  await third.post("/register", {
+    email: "third@example.com",
+    password: "s3cret-pass",
+    confirmPassword: "s3cret-pass",
+  });
+});
+
+after(() => app?.close());
+
+// Listing 2 in the seed data; listing 1 is left for the validation tests
+const LISTING_ID = 2;
+
+const review = (rating, fields) => ({
+  title: "Great service",
+  description: "Quick and friendly, would use again.",
+  rating,
+  listingId: LISTING_ID,
+  ...fields,
+});
+
+const stats = () =>
+  app.prisma.listing.findUnique({
+    where: { id: LISTING_ID },
+    select: { rating: true, reviewCount: true },
+  });
+
+test("each review updates the listing's average and count", async () => {
+  assert.deepEqual(await stats(), { rating: null, reviewCount: 0 });
+
+  const first = await reviewer.post("/reviews", review(5));
+  assert.equal(first.status, 201);
+  assert.equal(first.body.review.user.firstName, "Review");
+  assert.deepEqual(await stats(), { rating: 5, reviewCount: 1 });
+
+  assert.equal((await owner.post("/reviews", review(4))).status, 201);
+  assert.deepEqual(await stats(), { rating: 4.5, reviewCount: 2 });
+
+  // Averages keep one decimal: 13 / 3 is 4.3
+  assert.equal((await third.post("/reviews", review("4"))).status, 201);
+  assert.deepEqual(await stats(), { rating: 4.3, reviewCount: 3 });
+
+  const listed = await app.client().get(`/reviews?listingId=${LISTING_ID}`);
+  assert.equal(listed.status, 200);
+  assert.equal(listed.body.reviews.length, 3);
+  assert.equal(listed.body.reviews[0].user.firstName, null);
+});
+
+test("a second review of the same listing is refused", async () => {
+  const again = await reviewer.post("/reviews", review(1));
+
+  assert.equal(again.status, 409);
+  assert.equal(again.body.error.code, "ALREADY_REVIEWED");
+  assert.deepEqual(await stats(), { rating: 4.3, reviewCount: 3 });
+});
+
+test("editing a review recomputes the stats", async () => {
+  const mine = await app.prisma.review.findFirst({
+    where: { listingId: LISTING_ID, user: { email: "reviewer@gmail.com" } },
+  });
+
+  const edited = await reviewer.put(`/reviews/${mine.id}`, { rating: 2 });
+  assert.equal(edited.status, 200);
+  assert.equal(edited.body.review.rating, 2);
+  assert.equal(edited.body.review.title, "Great service");
+  assert.deepEqual(await stats(), { rating: 3.3, reviewCount: 3 });
+
+  // Someone else's review looks like it doesn't exist
+  const hijacked = await owner.put(`/reviews/${mine.id}`, { rating: 5 });
+  assert.equal(hijacked.status, 404);
+  assert.deepEqual(await stats(), { rating: 3.3, reviewCount: 3 });
+});
+
+test("deleting reviews recomputes the stats down to none", async () => {
+  const reviews = await app.prisma.review.findMany({
+    where: { listingId: LISTING_ID },
+    orderBy: { createdAt: "asc" },
+  });
+
+  assert.equal(
+    (await reviewer.delete(`/reviews/${reviews[0].id}`)).status,
+    200
+  );
+  assert.deepEqual(await stats(), { rating: 4, reviewCount: 2 });
+
+  assert.equal((await owner.delete(`/reviews/${reviews[1].id}`)).status, 200);
+  assert.equal((await third.delete(`/reviews/${reviews[2].id}`)).status, 200);
+  assert.deepEqual(await stats(), { rating: null, reviewCount: 0 });
+
+  assert.equal((await owner.delete(`/reviews/${reviews[2].id}`)).status, 404);
+});
+
+test("reviews are validated", async () => {
+  const invalid = await reviewer.post(
+    "/reviews",
+    review(6, { title: "", listingId: 1 })
+  );
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.error.code, "VALIDATION_FAILED");
+  assert.deepEqual(Object.keys(invalid.body.error.fields).sort(), [
+    "rating",
+    "title",
+  ]);
+
+  const unknownListing = await reviewer.post(
+    "/reviews",
+    review(3, { listingId: 9999 })
+  );
+  assert.equal(unknownListing.status, 400);
+  assert.equal(unknownListing.body.error.fields.listingId, "Unknown listing");
+
+  assert.equal((await app.client().post("/reviews", review(3))).status, 401);
+  assert.equal(await app.prisma.review.count({ where: { listingId: 1 } }), 0);
+});
+
+test("suspended users can't review", async () => {
+  const suspended = await app.prisma.user.update({
+    where: { email: "third@example.com" },
+    data: {
+      status: "SUSPENDED",
+      statusReason: "Fake reviews",
+      suspendedUntil: new Date(Date.now() + 86400000),
+    },
+  });
+  // authenticateToken caches the account status between requests
+  forgetAccountStatus(suspended.id);
+
+  const refused = await third.post("/reviews", review(5));
+  assert.equal(refused.status, 403);
+  assert.equal(refused.body.error.code, "ACCOUNT_SUSPENDED");
+  assert.equal(refused.body.error.reason, "Fake reviews");
+  assert.deepEqual(await stats(), { rating: null, reviewCount: 0 });
+});
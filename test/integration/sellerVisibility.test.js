@@ -0,0 +1,120 @@
+import { startTestApp } from "./harness.js";
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+
+const DAY_MS = 86400000;
+
+let app;
+
+// Listing 1 stays with user 1 throughout; listing 2 is moved to the
+// reviewer, whose account each test puts in a different state
+before(async () => {
+  app = await startTestApp();
+
+  await app.prisma.listing.update({ where: { id: 2 }, data: { userId: 2 } });
+  for (const listingId of [1, 2]) {
+    await app.prisma.promotion.create({
+      data: {
+        listingId,
+        price: 0,
+        startDate: new Date(),
+        durationDays: 7,
+      },
+    });
+  }
+});
+
+after(() => app?.close());
+
+const setSeller = (data) =>
+  app.prisma.user.update({
+    where: { id: 2 },
+    data: {
+      status: "ACTIVE",
+      suspendedUntil: null,
+      deletionDueAt: null,
+      ...data,
+    },
+  });
+
+// Listing ids each public endpoint serves, sorted
+async function visibleIds() {
+  const client = app.client();
+
+  const featured = await client.get("/listings/featured");
+  const search = await client.post("/search", { query: "Listing" });
+  const bySlug = [];
+  for (const id of [1, 2]) {
+    const [slug, byId] = await Promise.all([
+      client.get(`/listing/listing-${id}`),
+      client.get(`/listing/${id}`),
+    ]);
+    assert.equal(slug.status, byId.status);
+    if (slug.status === 200) bySlug.push(id);
+  }
+
+  const ids = (listings) => listings.map((listing) => listing.id).sort();
+  return {
+    featured: ids(featured.body),
+    search: ids(search.body),
+    bySlug,
+  };
+}
+
+const everywhere = (ids) => ({ featured: ids, search: ids, bySlug: ids });
+
+test("an active seller's listings are public", async () => {
+  await setSeller({});
+  assert.deepEqual(await visibleIds(), everywhere([1, 2]));
+});
+
+test("a suspended seller's listings are hidden", async () => {
+  await setSeller({
+    status: "SUSPENDED",
+    statusReason: "Fake reviews",
+    suspendedUntil: new Date(Date.now() + DAY_MS),
+  });
+  assert.deepEqual(await visibleIds(), everywhere([1]));
+});
+
+test("listings come back once a suspension runs out", async () => {
+  await setSeller({
+    status: "SUSPENDED",
+    suspendedUntil: new Date(Date.now() - 1000),
+  });
+  assert.deepEqual(await visibleIds(), everywhere([1, 2]));
+});
+
+test("banned and departing sellers' listings are hidden", async () => {
+  await setSeller({ status: "BANNED" });
+  assert.deepEqual(await visibleIds(), everywhere([1]));
+
+  await setSeller({ deletionDueAt: new Date(Date.now() + DAY_MS) });
+  assert.deepEqual(await visibleIds(), everywhere([1]));
+});
+
+test("/listing/:slug only serves approved listings, /admin/listing/:slug any", async () => {
+  await setSeller({});
+  await app.prisma.listing.update({
+    where: { id: 2 },
+    data: { status: "PENDING_APPROVAL" },
+  });
+
+  assert.equal((await app.client().get("/listing/listing-2")).status, 404);
+  assert.equal((await app.client().get("/listing/2")).status, 404);
+
+  const admin = await app.signInAdmin();
+  const opened = await admin.get("/admin/listing/listing-2");
+  assert.equal(opened.status, 200);
+  assert.equal(opened.body.status, "PENDING_APPROVAL");
+  assert.equal((await admin.get("/admin/listing/2")).status, 200);
+  assert.equal(
+    (await app.client().get("/admin/listing/listing-2")).status,
+    401
+  );
+
+  await app.prisma.listing.update({
+    where: { id: 2 },
+    data: { status: "APPROVED" },
+  });
+});
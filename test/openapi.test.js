@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import { before, test } from "node:test";
+import { createApp } from "../src/app.js";
+import { buildOpenApiDocument, listRoutes } from "../src/openapi/index.js";
+import { operations } from "../src/openapi/operations.js";
+
+let app;
+
+before(() => {
+  process.env.JWT_SECRET ||= "test-secret";
+  process.env.JWT_SECRET_ADMIN ||= "test-admin-secret";
+  app = createApp();
+});
+
+test("every route has an entry in src/openapi/operations.js", () => {
+  const routeKeys = new Set(listRoutes(app).map((route) => route.key));
+  const undocumented = [...routeKeys].filter((key) => !operations[key]);
+
+  assert.deepEqual(undocumented, [], "Add these routes to src/openapi/paths/");
+});
+
+test("every entry in src/openapi/operations.js has a route", () => {
+  const routeKeys = new Set(listRoutes(app).map((route) => route.key));
+  const stale = Object.keys(operations).filter((key) => !routeKeys.has(key));
+
+  assert.deepEqual(stale, [], "These routes no longer exist");
+});
+
+test("the document is OpenAPI 3.1 with unique operation ids", () => {
+  const document = buildOpenApiDocument(app);
+  assert.equal(document.openapi, "3.1.0");
+
+  const ids = Object.values(document.paths).flatMap((methods) =>
+    Object.values(methods).map((operation) => operation.operationId)
+  );
+  assert.equal(new Set(ids).size, ids.length);
+});
+
+test("every schema reference resolves", () => {
+  const document = buildOpenApiDocument(app);
+  const refs = JSON.stringify(document).match(/"#\/components\/[^"]+"/g);
+
+  for (const ref of new Set(refs)) {
+    const [, section, name] = JSON.parse(ref).slice(2).split("/");
+    assert.ok(document.components[section]?.[name], `${ref} is missing`);
+  }
+});